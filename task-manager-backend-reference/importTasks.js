@@ -0,0 +1,137 @@
+// One-time import of the JSON file storage into the SQLite database
+//
+//   node importTasks.js [--from tasks.json] [--to tasks.db] [--owner <email>]
+//
+// Copies everything localDataServer.js wrote next to tasks.json - users.json,
+// lists.json, tasks.<userId>.<listId>.json and the activity logs - so a server
+// restarted with STORAGE_MODE=sqlite finds every account and list where it was.
+// The tasks in tasks.json itself belong to no account; --owner adds them to that
+// account's default list (tasks it already has are skipped by id).
+// Files that are not valid JSON stop the import instead of being read as empty,
+// and a database that already holds data is left alone.
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  DEFAULT_LIST_ID,
+  normalizeTask,
+} from '../task-manager/shared/taskModel.js';
+import { DATA_FILE_PATH, SQLITE_FILE_PATH } from './storage.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+// The array in a JSON file; [] when the file does not exist
+const readJsonArray = async (filePath) => {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const parsed = JSON.parse(contents);
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${filePath} does not hold a JSON array`);
+  }
+  return parsed;
+};
+
+// Storage keys of the per-list files next to filePath: tasks.<key>.json -> <key>
+const listFileKeys = async (directory, prefix) => {
+  const pattern = new RegExp(`^${prefix}\\.(.+)\\.json$`);
+  return (await fs.readdir(directory))
+    .map((fileName) => fileName.match(pattern))
+    .filter(Boolean)
+    .map((match) => match[1]);
+};
+
+const importJsonFiles = async ({ from, to, ownerEmail }) => {
+  const directory = path.dirname(from);
+  const storage = createSqliteStorage({ filePath: to });
+  try {
+    const [existingUsers, existingLists, existingTasks] = await Promise.all([
+      storage.readUsers(),
+      storage.readLists(),
+      storage.readTasks(DEFAULT_LIST_ID),
+    ]);
+    if (existingUsers.length || existingLists.length || existingTasks.length) {
+      throw new Error(`${to} already holds data - remove it to import again`);
+    }
+
+    const users = await readJsonArray(path.join(directory, 'users.json'));
+    const lists = await readJsonArray(path.join(directory, 'lists.json'));
+    const owner = ownerEmail
+      ? users.find((user) => user.email === ownerEmail.trim().toLowerCase())
+      : null;
+    if (ownerEmail && !owner) {
+      throw new Error(`no account with the email ${ownerEmail} in users.json`);
+    }
+
+    const taskFiles = {};
+    for (const key of await listFileKeys(directory, 'tasks')) {
+      taskFiles[key] = await readJsonArray(
+        path.join(directory, `tasks.${key}.json`)
+      );
+    }
+    const legacyTasks = await readJsonArray(from);
+    const legacyKey = owner
+      ? `${owner.id}.${DEFAULT_LIST_ID}`
+      : DEFAULT_LIST_ID;
+    const knownIds = new Set(
+      (taskFiles[legacyKey] || []).map((task) => task.id)
+    );
+    taskFiles[legacyKey] = [
+      ...(taskFiles[legacyKey] || []),
+      ...legacyTasks.filter((task) => !knownIds.has(task.id)),
+    ];
+
+    const activityFiles = {
+      [DEFAULT_LIST_ID]: await readJsonArray(
+        path.join(directory, 'activity.json')
+      ),
+    };
+    for (const key of await listFileKeys(directory, 'activity')) {
+      activityFiles[key] = await readJsonArray(
+        path.join(directory, `activity.${key}.json`)
+      );
+    }
+
+    // One transaction: an import that fails halfway leaves the database empty, so it
+    // can simply be run again
+    await storage.writeAll({
+      users,
+      lists,
+      tasks: Object.fromEntries(
+        Object.entries(taskFiles).map(([key, tasks]) => [
+          key,
+          tasks.map(normalizeTask),
+        ])
+      ),
+      activity: activityFiles,
+    });
+
+    const taskCount = Object.values(taskFiles).reduce(
+      (count, tasks) => count + tasks.length,
+      0
+    );
+    console.log(
+      `Imported ${users.length} accounts, ${lists.length} lists and ${taskCount} tasks into ${to}`
+    );
+  } finally {
+    storage.close();
+  }
+};
+
+importJsonFiles({
+  from: path.resolve(readOption('from', DATA_FILE_PATH)),
+  to: path.resolve(readOption('to', SQLITE_FILE_PATH)),
+  ownerEmail: readOption('owner', null),
+}).catch((error) => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
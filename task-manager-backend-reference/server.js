@@ -3,60 +3,70 @@ import cors from 'cors';
 import { nanoid } from 'nanoid';
 const app = express();
 import morgan from 'morgan';
+import { createReplicaStorage, createStorage } from './storage.js';
+import {
+  createExpressAuthHandler,
+  createExpressEventStream,
+  createExpressHandler,
+  createExpressHealthHandler,
+  createExpressStorageHandler,
+  requireUser,
+} from '../task-manager/shared/expressAdapter.js';
+import { createStorageHealth } from '../task-manager/shared/storageHealth.js';
+import { createStorageApi } from '../task-manager/shared/storageApi.js';
+import {
+  createAccountService,
+  createUserTaskSpaces,
+  redactAccessToken,
+} from '../task-manager/shared/accountService.js';
 
-let taskList = [
-  { id: nanoid(), title: 'walk the dog', isDone: false },
-  { id: nanoid(), title: 'wash dishes', isDone: false },
-  { id: nanoid(), title: 'drink coffee', isDone: true },
-  { id: nanoid(), title: 'take a nap', isDone: false },
-];
+// Accounts and every user's lists live in memory - data resets on restart
+// (unless STORAGE_MODE picks the file or sqlite storage, see storage.js)
+// Saves are recorded for GET /api/health (see shared/storageHealth.js)
+const health = createStorageHealth(await createStorage('memory'));
+const { storage } = health;
+const accounts = createAccountService({ storage, generateId: nanoid });
+const userSpace = createUserTaskSpaces({ storage, generateId: nanoid });
 
 if (process.env.NODE_ENV !== 'production') {
+  // The event stream gets its token as ?access_token= - keep it out of the log
+  morgan.token('url', (req) => redactAccessToken(req.originalUrl || req.url));
   app.use(morgan('dev'));
 }
 
-app.use(cors());
-app.use(express.json());
+// ETag carries task and list versions for If-Match (see shared/taskRoutes.js)
+// CORS_ORIGINS (comma separated) limits which sites may call the API
+const allowedOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim())
+  : true;
+app.use(cors({ origin: allowedOrigins, exposedHeaders: ['ETag'] }));
+// Imports (POST /api/tasks/import) carry whole files
+app.use(express.json({ limit: '2mb' }));
 
 app.get('/', (req, res) => {
   res.send('<h1>Hello From Server...</h1>');
 });
 
-app.get('/api/tasks', (req, res) => {
-  res.json({ taskList });
-});
-
-app.post('/api/tasks', (req, res) => {
-  const { title } = req.body;
-  if (!title) {
-    res.status(400).json({ msg: 'please provide title' });
-    return;
-  }
-  const newTask = { id: nanoid(), title, isDone: false };
-  taskList = [...taskList, newTask];
-  res.json({ task: newTask });
-});
-
-app.patch('/api/tasks/:id', (req, res) => {
-  const { id } = req.params;
-  const { isDone } = req.body;
-
-  taskList = taskList.map((task) => {
-    if (task.id === id) {
-      return { ...task, isDone };
-    }
-    return task;
+// Health report, storage API, sign-up and log-in; every other /api route needs a
+// bearer token
+app.use('/api', createExpressHealthHandler(health));
+// Storage API for deployments that keep their data here (REMOTE_TASKS_API of the
+// Netlify functions) - only served when REPLICATION_TOKEN is set
+if (process.env.REPLICATION_TOKEN) {
+  const storageApi = createStorageApi({
+    storage: await createReplicaStorage('memory'),
+    token: process.env.REPLICATION_TOKEN,
   });
+  app.use('/api', createExpressStorageHandler(storageApi));
+}
+app.use('/api', createExpressAuthHandler(accounts));
+app.use('/api', requireUser(accounts));
 
-  res.json({ msg: 'task updated' });
-});
-
-app.delete('/api/tasks/:id', (req, res) => {
-  const { id } = req.params;
-  taskList = taskList.filter((task) => task.id !== id);
-
-  res.json({ msg: 'task removed' });
-});
+// Each user only sees their own lists, and only their own live updates
+const userService = (req) => userSpace(req.user).service;
+const userEvents = (req) => userSpace(req.user).events;
+app.get('/api/events', createExpressEventStream(userEvents));
+app.use('/api', createExpressHandler(userService, { events: userEvents }));
 
 app.use((req, res) => res.status(404).send('Route does not exist'));
 
@@ -65,7 +75,9 @@ const port = process.env.PORT || 5000;
 const startApp = () => {
   try {
     app.listen(port, () => {
-      console.log(`Server is listening on port ${port}...`);
+      console.log(
+        `Server is listening on port ${port} (${storage.mode} storage)...`
+      );
     });
   } catch (error) {
     console.log(error);
@@ -0,0 +1,329 @@
+// SQLite storage adapter for the Express reference server (better-sqlite3)
+// Implements the storage adapter contract of ../task-manager/shared/taskService.js on
+// one database file instead of a JSON file per list:
+//   - every write runs in a transaction, so a crash leaves the previous state intact
+//   - tasks keep their fields in columns next to the JSON document, and indexes on
+//     them let queryTasks filter, sort and page in SQL
+//   - the schema is versioned with PRAGMA user_version and migrated on open
+//
+// Tasks and activity are keyed the same way as the JSON files: "default" for the
+// default list, "<ownerId>.<listId>" once createUserStorage maps them per user
+import Database from 'better-sqlite3';
+import {
+  createKeyedLock,
+  createLock,
+} from '../task-manager/shared/keyedLock.js';
+import {
+  DEFAULT_LIST_ID,
+  listETag,
+  normalizeTask,
+} from '../task-manager/shared/taskModel.js';
+import {
+  PRIORITY_RANK,
+  encodeCursor,
+  parseCursor,
+  queryTasks as queryTaskList,
+} from '../task-manager/shared/taskQuery.js';
+
+// Each migration moves the schema one version up; append new ones, never edit old ones
+const MIGRATIONS = [
+  // 1: tasks, lists, activity and accounts
+  `
+  CREATE TABLE tasks (
+    list_key TEXT NOT NULL,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    title_lower TEXT NOT NULL,
+    is_done INTEGER NOT NULL,
+    priority_rank INTEGER NOT NULL,
+    due_date TEXT,
+    created_at TEXT,
+    deleted_at TEXT,
+    version INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (list_key, id)
+  );
+  CREATE INDEX tasks_by_position ON tasks (list_key, deleted_at, position);
+  CREATE INDEX tasks_by_status ON tasks (list_key, deleted_at, is_done, position);
+  CREATE INDEX tasks_by_created ON tasks (list_key, deleted_at, created_at);
+  CREATE INDEX tasks_by_title ON tasks (list_key, deleted_at, title COLLATE NOCASE);
+  CREATE INDEX tasks_by_due_date ON tasks (list_key, deleted_at, due_date);
+  CREATE INDEX tasks_by_priority ON tasks (list_key, deleted_at, priority_rank);
+
+  CREATE TABLE lists (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE activity (
+    list_key TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (list_key, position)
+  );
+
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  `,
+  // 2: title sorts run in JavaScript (see queryTasks), the NOCASE index went unused
+  `
+  DROP INDEX tasks_by_title;
+  `,
+];
+
+// Bring the database up to the latest schema version, one transaction per step
+export const migrate = (db) => {
+  const currentVersion = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(currentVersion).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${currentVersion + index + 1}`);
+    })();
+  });
+  return MIGRATIONS.length;
+};
+
+// ORDER BY of the sorts in taskQuery.js that SQLite can run; the stored position
+// breaks ties, and tasks without a due date always go last
+const ORDER_BY = {
+  position: (direction) => `position ${direction}`,
+  created: (direction) => `COALESCE(created_at, '') ${direction}, position ASC`,
+  dueDate: (direction) =>
+    `due_date IS NULL ASC, due_date ${direction}, position ASC`,
+  priority: (direction) => `priority_rank ${direction}, position ASC`,
+};
+
+const taskRow = (listKey, task, position) => ({
+  list_key: listKey,
+  id: task.id,
+  position,
+  title: task.title,
+  title_lower: task.title.toLowerCase(),
+  is_done: task.isDone ? 1 : 0,
+  priority_rank: PRIORITY_RANK[task.priority] ?? PRIORITY_RANK.normal,
+  due_date: task.dueDate || null,
+  created_at: task.createdAt || null,
+  deleted_at: task.deletedAt || null,
+  version: task.version ?? null,
+  data: JSON.stringify(task),
+});
+
+const parseRows = (rows) => rows.map((row) => JSON.parse(row.data));
+
+// Open (or create) the database at filePath - ":memory:" works for scripts
+export const createSqliteStorage = ({ filePath }) => {
+  const db = new Database(filePath);
+  // Write-ahead logging: readers never wait for a writer, and commits survive crashes
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  migrate(db);
+
+  const statements = {
+    readTasks: db.prepare(
+      'SELECT data FROM tasks WHERE list_key = ? ORDER BY position'
+    ),
+    upsertTask: db.prepare(`
+      INSERT INTO tasks (list_key, id, position, title, title_lower, is_done,
+        priority_rank, due_date, created_at, deleted_at, version, data)
+      VALUES (@list_key, @id, @position, @title, @title_lower, @is_done,
+        @priority_rank, @due_date, @created_at, @deleted_at, @version, @data)
+      ON CONFLICT (list_key, id) DO UPDATE SET
+        position = excluded.position, title = excluded.title,
+        title_lower = excluded.title_lower, is_done = excluded.is_done,
+        priority_rank = excluded.priority_rank, due_date = excluded.due_date,
+        created_at = excluded.created_at, deleted_at = excluded.deleted_at,
+        version = excluded.version, data = excluded.data
+      WHERE data <> excluded.data OR position <> excluded.position
+    `),
+    deleteMissingTasks: db.prepare(`
+      DELETE FROM tasks
+      WHERE list_key = ? AND id NOT IN (SELECT value FROM json_each(?))
+    `),
+    readLiveTasks: db.prepare(`
+      SELECT data FROM tasks
+      WHERE list_key = ? AND deleted_at IS NULL ORDER BY position
+    `),
+    readLiveVersions: db.prepare(`
+      SELECT id, version FROM tasks
+      WHERE list_key = ? AND deleted_at IS NULL ORDER BY position
+    `),
+    countLiveTasks: db.prepare(`
+      SELECT COUNT(*) AS total, COALESCE(SUM(is_done), 0) AS done FROM tasks
+      WHERE list_key = ? AND deleted_at IS NULL
+    `),
+    readLists: db.prepare('SELECT data FROM lists ORDER BY position'),
+    deleteLists: db.prepare('DELETE FROM lists'),
+    insertList: db.prepare(
+      'INSERT INTO lists (id, position, data) VALUES (?, ?, ?)'
+    ),
+    readActivity: db.prepare(
+      'SELECT data FROM activity WHERE list_key = ? ORDER BY position'
+    ),
+    deleteActivity: db.prepare('DELETE FROM activity WHERE list_key = ?'),
+    insertActivity: db.prepare(
+      'INSERT INTO activity (list_key, position, data) VALUES (?, ?, ?)'
+    ),
+    readUsers: db.prepare('SELECT data FROM users ORDER BY position'),
+    deleteUsers: db.prepare('DELETE FROM users'),
+    insertUser: db.prepare(
+      'INSERT INTO users (id, email, position, data) VALUES (?, ?, ?, ?)'
+    ),
+  };
+
+  // Only tasks that changed (content or place) are rewritten
+  const writeTasks = db.transaction((tasks, listKey) => {
+    statements.deleteMissingTasks.run(
+      listKey,
+      JSON.stringify(tasks.map((task) => task.id))
+    );
+    tasks.forEach((task, position) =>
+      statements.upsertTask.run(taskRow(listKey, task, position))
+    );
+  });
+
+  const writeLists = db.transaction((lists) => {
+    statements.deleteLists.run();
+    lists.forEach((list, position) =>
+      statements.insertList.run(list.id, position, JSON.stringify(list))
+    );
+  });
+
+  const writeActivity = db.transaction((entries, listKey) => {
+    statements.deleteActivity.run(listKey);
+    entries.forEach((entry, position) =>
+      statements.insertActivity.run(listKey, position, JSON.stringify(entry))
+    );
+  });
+
+  const writeUsers = db.transaction((users) => {
+    statements.deleteUsers.run();
+    users.forEach((user, position) =>
+      statements.insertUser.run(
+        user.id,
+        user.email,
+        position,
+        JSON.stringify(user)
+      )
+    );
+  });
+
+  // Everything at once, in one transaction - a failure leaves the database as it was
+  // (used by importTasks.js); tasks and activity are { [listKey]: [...] }
+  const writeAll = db.transaction(({ users, lists, tasks, activity }) => {
+    writeUsers(users);
+    writeLists(lists);
+    Object.entries(tasks).forEach(([listKey, items]) =>
+      writeTasks(items, listKey)
+    );
+    Object.entries(activity).forEach(([listKey, entries]) =>
+      writeActivity(entries, listKey)
+    );
+  });
+
+  // Same result as queryTasks() in taskQuery.js, computed by SQLite on the live tasks
+  // Titles are the exception: taskQuery.js compares them with localeCompare (accents,
+  // numbers, ...), which no SQLite collation matches and better-sqlite3 cannot add,
+  // so a title sort runs that same function on the list's live tasks
+  const queryTasks = (listKey, options) => {
+    const { status, q, sort, order, limit, page, cursor } = options;
+    if (sort === 'title') {
+      const tasks = parseRows(statements.readLiveTasks.all(listKey));
+      return {
+        ...queryTaskList(tasks.map(normalizeTask), options),
+        etag: listETag(statements.readLiveVersions.all(listKey)),
+      };
+    }
+    const conditions = ['list_key = @listKey', 'deleted_at IS NULL'];
+    if (status !== 'all') {
+      conditions.push(`is_done = ${status === 'done' ? 1 : 0}`);
+    }
+    if (q) {
+      conditions.push('instr(title_lower, @q) > 0');
+    }
+    const where = conditions.join(' AND ');
+    const orderBy = ORDER_BY[sort](order === 'desc' ? 'DESC' : 'ASC');
+    const params = { listKey, q };
+
+    const { total: all, done } = statements.countLiveTasks.get(listKey);
+    const counts = { all, open: all - done, done };
+    const etag = listETag(statements.readLiveVersions.all(listKey));
+    const { total } = db
+      .prepare(`SELECT COUNT(*) AS total FROM tasks WHERE ${where}`)
+      .get(params);
+
+    if (!limit) {
+      const rows = db
+        .prepare(`SELECT data FROM tasks WHERE ${where} ORDER BY ${orderBy}`)
+        .all(params);
+      return {
+        taskList: parseRows(rows).map(normalizeTask),
+        total,
+        counts,
+        etag,
+      };
+    }
+
+    let start = ((page || 1) - 1) * limit;
+    if (cursor) {
+      const { offset, lastId } = parseCursor(cursor);
+      const match = db
+        .prepare(
+          `SELECT row_number FROM (
+            SELECT id, ROW_NUMBER() OVER (ORDER BY ${orderBy}) AS row_number
+            FROM tasks WHERE ${where}
+          ) WHERE id = @lastId`
+        )
+        .get({ ...params, lastId });
+      start = match ? match.row_number : offset;
+    }
+    const rows = db
+      .prepare(
+        `SELECT data FROM tasks WHERE ${where} ORDER BY ${orderBy}
+        LIMIT @limit OFFSET @start`
+      )
+      .all({ ...params, limit, start });
+    const taskList = parseRows(rows).map(normalizeTask);
+    const end = start + taskList.length;
+    const hasMore = end < total;
+    return {
+      taskList,
+      total,
+      counts,
+      limit,
+      page: Math.floor(start / limit) + 1,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor(end, taskList[taskList.length - 1])
+        : null,
+      etag,
+    };
+  };
+
+  return {
+    mode: 'sqlite',
+    readTasks: async (listKey = DEFAULT_LIST_ID) =>
+      parseRows(statements.readTasks.all(listKey)),
+    writeTasks: async (tasks, listKey = DEFAULT_LIST_ID) =>
+      writeTasks(tasks, listKey),
+    queryTasks: async (listKey = DEFAULT_LIST_ID, options) =>
+      queryTasks(listKey, options),
+    readLists: async () => parseRows(statements.readLists.all()),
+    writeLists: async (lists) => writeLists(lists),
+    readActivity: async (listKey = DEFAULT_LIST_ID) =>
+      parseRows(statements.readActivity.all(listKey)),
+    writeActivity: async (entries, listKey = DEFAULT_LIST_ID) =>
+      writeActivity(entries, listKey),
+    readUsers: async () => parseRows(statements.readUsers.all()),
+    writeUsers: async (users) => writeUsers(users),
+    writeAll: async (data) => writeAll(data),
+    withListLock: createKeyedLock(),
+    withListsLock: createLock(),
+    close: () => db.close(),
+  };
+};
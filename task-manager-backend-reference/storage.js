@@ -0,0 +1,58 @@
+// Storage of the Express servers, picked with the STORAGE_MODE environment variable
+//   memory - everything in memory, reset on every restart (default of server.js)
+//   file   - JSON files next to tasks.json (default of localDataServer.js)
+//   sqlite - one SQLite database at SQLITE_PATH (tasks.db next to tasks.json by default)
+// The SQLite adapter is only loaded when it is picked, so the other modes keep
+// working where better-sqlite3 could not be installed
+import { promises as fs } from 'fs';
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createJsonFileStorage,
+  createMemoryStorage,
+} from '../task-manager/shared/storageAdapters.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const STORAGE_MODES = ['memory', 'file', 'sqlite'];
+export const DATA_FILE_PATH = path.join(__dirname, 'tasks.json');
+export const SQLITE_FILE_PATH =
+  process.env.SQLITE_PATH || path.join(__dirname, 'tasks.db');
+// The data other deployments keep here through the storage API (REPLICATION_TOKEN)
+export const REPLICA_DIR = path.join(__dirname, 'replica');
+
+// Pass filePath/sqlitePath to keep the data somewhere else than the accounts' data
+export const createStorage = async (
+  defaultMode,
+  { filePath = DATA_FILE_PATH, sqlitePath = SQLITE_FILE_PATH } = {}
+) => {
+  const mode = process.env.STORAGE_MODE || defaultMode;
+  if (mode === 'memory') {
+    return createMemoryStorage();
+  }
+  if (mode !== 'sqlite' && mode !== 'file') {
+    throw new Error(
+      `STORAGE_MODE must be one of ${STORAGE_MODES.join(', ')} (got "${mode}")`
+    );
+  }
+  await fs.mkdir(path.dirname(mode === 'file' ? filePath : sqlitePath), {
+    recursive: true,
+  });
+  if (mode === 'file') {
+    const storage = createJsonFileStorage({ filePath });
+    // Corrupted files are recovered from their backups before the first request
+    await storage.checkFiles();
+    return storage;
+  }
+  const { createSqliteStorage } = await import('./sqliteStorage.js');
+  return createSqliteStorage({ filePath: sqlitePath });
+};
+
+// Storage behind /api/storage, in the same mode as the accounts' data but apart from
+// it (replica/ next to tasks.json), so a deployment replacing its lists there never
+// touches the lists of the accounts
+export const createReplicaStorage = (defaultMode) =>
+  createStorage(defaultMode, {
+    filePath: path.join(REPLICA_DIR, 'tasks.json'),
+    sqlitePath: path.join(REPLICA_DIR, 'tasks.db'),
+  });
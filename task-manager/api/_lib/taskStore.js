@@ -1,78 +1,38 @@
-import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { nanoid } from "nanoid";
+import { createTaskService } from "../../shared/taskService.js";
+import { createJsonFileStorage } from "../../shared/storageAdapters.js";
+import { createApiProtection } from "../../shared/apiProtection.js";
+import { createStorageHealth } from "../../shared/storageHealth.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const dataFilePath = path.join(__dirname, "..", "tasks.data.json");
-
-let taskCache;
-let isPersistWritable = true;
-
-const loadTasksFromDisk = async () => {
-  try {
-    const fileContents = await fs.readFile(dataFilePath, "utf8");
-    const parsed = JSON.parse(fileContents);
-    if (Array.isArray(parsed)) {
-      return parsed;
-    }
-    return [];
-  } catch (error) {
-    return [];
-  }
-};
-
-const ensureTasksLoaded = async () => {
-  if (!taskCache) {
-    taskCache = await loadTasksFromDisk();
-  }
-  return taskCache;
-};
-
-const persistTasks = async (tasks) => {
-  taskCache = tasks;
-  if (!isPersistWritable) {
-    return;
-  }
-
-  try {
-    await fs.writeFile(dataFilePath, JSON.stringify(tasks, null, 2), "utf8");
-  } catch (error) {
-    isPersistWritable = false;
-  }
-};
-
-export const getTasks = async () => {
-  const tasks = await ensureTasksLoaded();
-  return tasks;
-};
-
-export const createTask = async (title) => {
-  const tasks = await ensureTasksLoaded();
-  const newTask = { id: nanoid(), title, isDone: false };
-  const updated = [...tasks, newTask];
-  await persistTasks(updated);
-  return newTask;
-};
-
-export const updateTask = async (taskId, isDone) => {
-  const tasks = await ensureTasksLoaded();
-  const updated = tasks.map((task) => {
-    if (task.id === taskId) {
-      return { ...task, isDone };
-    }
-    return task;
-  });
-  await persistTasks(updated);
-};
-
-export const removeTask = async (taskId) => {
-  const tasks = await ensureTasksLoaded();
-  const updated = tasks.filter((task) => task.id !== taskId);
-  await persistTasks(updated);
-};
+const listsFilePath = path.join(__dirname, "..", "lists.data.json");
+const activityFilePath = path.join(__dirname, "..", "activity.data.json");
+
+const fileStorage = createJsonFileStorage({
+  filePath: dataFilePath,
+  listsFilePath,
+  activityFilePath,
+});
+// Load the data files on cold start, so a corrupted one is recovered from its
+// backup (or reported in the logs) before a request needs it
+fileStorage.checkFiles();
+
+// Saves are recorded for GET /api/health (see shared/storageHealth.js)
+export const storageHealth = createStorageHealth(fileStorage);
+
+export const taskService = createTaskService({
+  storage: storageHealth.storage,
+  generateId: nanoid,
+});
+
+// API keys, CORS allowlist and rate limit (see shared/apiProtection.js)
+// Vercel has no shared store here, so each function instance counts on its own
+export const apiProtection = createApiProtection();
 
 export const resetTasksCache = () => {
-  taskCache = undefined;
+  fileStorage.resetCache();
 };
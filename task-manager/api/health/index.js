@@ -0,0 +1,15 @@
+import {
+  apiProtection,
+  storageHealth,
+  taskService,
+} from "../_lib/taskStore.js";
+import { createVercelHandler } from "../../shared/vercelAdapter.js";
+
+export default createVercelHandler(taskService, {
+  protection: apiProtection,
+  health: storageHealth,
+});
+
+export const config = {
+  runtime: "nodejs",
+};
@@ -0,0 +1,8 @@
+import { apiProtection, taskService } from "../_lib/taskStore.js";
+import { createVercelHandler } from "../../shared/vercelAdapter.js";
+
+export default createVercelHandler(taskService, { protection: apiProtection });
+
+export const config = {
+  runtime: "nodejs",
+};
@@ -0,0 +1,10 @@
+// Netlify serverless function handler for the activity log
+// Serves /api/activity through the same shared task core as tasks.js
+import { apiProtection, initializeStore, taskService } from "./taskStore.js";
+import { createNetlifyHandler } from "../../shared/netlifyAdapter.js";
+
+export const handler = createNetlifyHandler(taskService, {
+  mount: "activity",
+  onRequest: initializeStore,
+  protection: apiProtection,
+});
@@ -0,0 +1,17 @@
+// Netlify serverless function handler for the health report
+// Serves /api/health and /api/health/storage: the storage mode the container runs in,
+// why it fell back to memory (if it did) and when the last save went through
+import {
+  apiProtection,
+  initializeStore,
+  storageHealth,
+  taskService,
+} from "./taskStore.js";
+import { createNetlifyHandler } from "../../shared/netlifyAdapter.js";
+
+export const handler = createNetlifyHandler(taskService, {
+  mount: "health",
+  onRequest: initializeStore,
+  protection: apiProtection,
+  health: storageHealth,
+});
@@ -0,0 +1,11 @@
+// Netlify serverless function handler for task lists
+// Serves /api/lists, /api/lists/:listId and /api/lists/:listId/tasks[/:id]
+// through the same shared task core as tasks.js
+import { apiProtection, initializeStore, taskService } from "./taskStore.js";
+import { createNetlifyHandler } from "../../shared/netlifyAdapter.js";
+
+export const handler = createNetlifyHandler(taskService, {
+  mount: "lists",
+  onRequest: initializeStore,
+  protection: apiProtection,
+});
@@ -1,63 +1,10 @@
-import { initializeStore, removeTask, updateTask } from "./taskStore.js";
-
-const jsonResponse = (statusCode, body) => ({
-  statusCode,
-  headers: {
-    "Content-Type": "application/json",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
-  },
-  body: JSON.stringify(body),
+// Legacy single-task endpoint (/.netlify/functions/task/:id)
+// Serves the same routes as tasks.js through the shared task core
+import { apiProtection, initializeStore, taskService } from "./taskStore.js";
+import { createNetlifyHandler } from "../../shared/netlifyAdapter.js";
+
+export const handler = createNetlifyHandler(taskService, {
+  mount: "tasks",
+  onRequest: initializeStore,
+  protection: apiProtection,
 });
-
-const extractTaskId = (event) => {
-  if (event.pathParameters && event.pathParameters.id) {
-    return event.pathParameters.id;
-  }
-
-  const parts = event.path ? event.path.split("/") : [];
-  return parts[parts.length - 1] || "";
-};
-
-export const handler = async (event) => {
-  // Handle preflight CORS requests
-  if (event.httpMethod === "OPTIONS") {
-    return jsonResponse(200, {});
-  }
-
-  await initializeStore(event);
-
-  const taskId = extractTaskId(event);
-  if (!taskId) {
-    return jsonResponse(400, { msg: "task id required" });
-  }
-
-  if (event.httpMethod === "PATCH") {
-    try {
-      const payload = event.body ? JSON.parse(event.body) : {};
-      const { isDone } = payload;
-      if (typeof isDone !== "boolean") {
-        return jsonResponse(400, { msg: "please provide isDone boolean" });
-      }
-
-      await updateTask(taskId, isDone);
-      return jsonResponse(200, { msg: "task updated" });
-    } catch (error) {
-      console.error("PATCH Error:", error);
-      return jsonResponse(500, { msg: "something went wrong" });
-    }
-  }
-
-  if (event.httpMethod === "DELETE") {
-    try {
-      await removeTask(taskId);
-      return jsonResponse(200, { msg: "task removed" });
-    } catch (error) {
-      console.error("DELETE Error:", error);
-      return jsonResponse(500, { msg: "something went wrong" });
-    }
-  }
-
-  return jsonResponse(405, { msg: "method not allowed" });
-};
@@ -1,94 +1,31 @@
-// Task store module - handles all task data persistence
+// Task store module - wires the shared task service to Netlify's storage backends
 // Supports multiple storage backends: Netlify Blobs (persistent), in-memory (fallback), or remote API
-import { randomBytes } from "crypto";
 import { connectLambda, getStore } from "@netlify/blobs";
+import {
+  DEFAULT_LIST_ID,
+  buildDefaultTasks,
+  createTaskService,
+} from "../../shared/taskService.js";
+import { createMemoryStorage } from "../../shared/storageAdapters.js";
+import { createApiProtection } from "../../shared/apiProtection.js";
+import { createStorageHealth } from "../../shared/storageHealth.js";
+import {
+  createRemoteStorage,
+  createStorageApiClient,
+} from "../../shared/remoteStorage.js";
 
 // Configuration constants for storage
 const STORE_NAME = "task-bud-store"; // Name of the Netlify Blob store
-const STORE_KEY = "task-list"; // Key used to store tasks in the blob store
-const REMOTE_BASE_URL = process.env.REMOTE_TASKS_API || ""; // Optional remote API endpoint
+const STORE_KEY = "task-list"; // Key used to store the default list's tasks in the blob store
+const LISTS_KEY = "lists"; // Key used to store the list names
+const ACTIVITY_KEY = "activity"; // Key used to store the default list's activity log
+const REMOTE_BASE_URL = process.env.REMOTE_TASKS_API || ""; // Optional remote storage API root (.../api)
 
-// Fallback ID generator using Node.js crypto module
-// Used when nanoid package is unavailable (common in Netlify's serverless environment)
-// Creates URL-safe random IDs similar to nanoid functionality
-const createFallbackNanoid =
-  () =>
-  (size = 21) => {
-    let id = "";
-    // Generate random bytes, convert to base64, filter to alphanumeric only
-    while (id.length < size) {
-      id += randomBytes(size)
-        .toString("base64")
-        .replace(/[^a-zA-Z0-9]/g, ""); // Remove special characters, keep only letters and numbers
-    }
-    return id.slice(0, size);
-  };
-
-const fallbackNanoid = createFallbackNanoid();
-let nanoid = fallbackNanoid; // Default to fallback, will try to load nanoid package if available
-
-// Attempt to load nanoid package for ID generation
-// Tries multiple import paths with fallback to crypto-based ID generator
-const loadNanoid = async () => {
-  // Try importing non-secure version first (CommonJS compatible)
-  try {
-    const module = await import("nanoid/non-secure");
-    if (typeof module.nanoid === "function") {
-      return module.nanoid;
-    }
-  } catch (nonSecureError) {
-    console.warn(
-      "nanoid/non-secure import failed, trying nanoid default export",
-      nonSecureError
-    );
-  }
-
-  // Fallback: try importing default nanoid package
-  try {
-    const module = await import("nanoid");
-    if (typeof module.nanoid === "function") {
-      return module.nanoid;
-    }
-  } catch (error) {
-    console.warn("Unable to import nanoid module, using fallback", error);
-  }
-
-  // If all imports fail, return the crypto-based fallback generator
-  return fallbackNanoid;
-};
-
-// Load nanoid asynchronously only when NOT running on Netlify
-// Netlify functions bundle CommonJS, so dynamic imports often fail - use fallback instead
-if (!process.env.NETLIFY) {
-  loadNanoid()
-    .then((fn) => {
-      nanoid = fn;
-    })
-    .catch((error) => {
-      console.warn("Unable to set nanoid from async import", error);
-      nanoid = fallbackNanoid;
-    });
-}
-
-// Build default/seed tasks for initial app state
-// These tasks appear when the store is first initialized or after a cold start
-const buildDefaultTasks = () => [
-  {
-    id: nanoid(),
-    title: "walk the dog",
-    isDone: false,
-  },
-  {
-    id: nanoid(),
-    title: "wash dishes",
-    isDone: false,
-  },
-  {
-    id: nanoid(),
-    title: "drink coffee",
-    isDone: true,
-  },
-];
+// Named lists get their own blob key next to the original single-list key
+const tasksKey = (listId) =>
+  listId === DEFAULT_LIST_ID ? STORE_KEY : `${STORE_KEY}-${listId}`;
+const activityKey = (listId) =>
+  listId === DEFAULT_LIST_ID ? ACTIVITY_KEY : `${ACTIVITY_KEY}-${listId}`;
 
 // Global key for storing fallback in-memory task container
 // Using globalThis ensures the same store is shared across all function invocations in the same container
@@ -110,6 +47,8 @@ const ensureFallbackContainer = () => {
 let store; // Netlify Blob store instance (if available)
 let connectAttempted = false; // Flag to prevent multiple connection attempts
 let storageMode = "uninitialized"; // Current storage mode: "blob" | "remote" | "memory"
+let fallbackReason = null; // Why the container dropped to memory storage (GET /api/health)
+let fallbackAt = null; // When that happened
 
 // Check if remote storage should be used (if REMOTE_TASKS_API env var is set)
 const useRemoteStorage = () => {
@@ -121,10 +60,17 @@ const useRemoteStorage = () => {
 };
 
 // Switch to in-memory storage mode (fallback when other storage methods fail)
+// reason (a message or an Error) is kept for the health report
 const switchToMemoryStorage = (reason) => {
+  const message = reason instanceof Error ? reason.message : reason;
+  // Invocations that find the same situation keep the time it started
+  if (storageMode !== "memory" || fallbackReason !== message) {
+    fallbackAt = new Date().toISOString();
+  }
   storageMode = "memory";
   ensureFallbackContainer(); // Initialize global container if needed
-  if (reason) {
+  fallbackReason = message;
+  if (reason instanceof Error) {
     console.warn("Falling back to in-memory storage", reason);
   }
 };
@@ -141,7 +87,9 @@ export const initializeStore = async (event) => {
   // If not running on Netlify, use remote API or in-memory storage
   if (!process.env.NETLIFY) {
     if (!useRemoteStorage()) {
-      switchToMemoryStorage();
+      switchToMemoryStorage(
+        "not running on Netlify and REMOTE_TASKS_API is not set"
+      );
     }
     return;
   }
@@ -151,10 +99,6 @@ export const initializeStore = async (event) => {
     // Connect to Netlify Blobs API (only attempt once)
     if (!connectAttempted) {
       try {
-        console.log("initializeStore: event keys", {
-          hasBlobs: Boolean(event?.blobs),
-          eventKeys: event ? Object.keys(event) : [],
-        });
         // Connect Lambda to Netlify Blobs if event contains blob context
         if (event?.blobs) {
           connectLambda(event);
@@ -167,15 +111,10 @@ export const initializeStore = async (event) => {
 
     // Get reference to the blob store
     store = getStore(STORE_NAME);
-    console.log("initializeStore: store ready", {
-      hasSetJSON: typeof store.setJSON === "function",
-      hasGet: typeof store.get === "function",
-    });
     // Check if store already has tasks, if not, seed with default tasks
     const existing = await store.get(STORE_KEY, { type: "json" });
     if (!Array.isArray(existing)) {
-      const seeded = buildDefaultTasks();
-      await store.setJSON(STORE_KEY, seeded);
+      await store.setJSON(STORE_KEY, buildDefaultTasks());
     }
     storageMode = "blob"; // Successfully initialized blob storage
   } catch (error) {
@@ -191,213 +130,108 @@ export const initializeStore = async (event) => {
   }
 };
 
-// Make HTTP request to remote API (if REMOTE_TASKS_API is configured)
-// Used as a fallback storage method when Netlify Blobs is unavailable
-const remoteRequest = async (path = "", init = {}) => {
-  if (!REMOTE_BASE_URL) {
-    throw new Error("REMOTE_TASKS_API not configured");
-  }
-
-  const url = `${REMOTE_BASE_URL}${path}`;
-  try {
-    const response = await fetch(url, {
-      headers: {
-        "Content-Type": "application/json",
-        ...(init.headers || {}),
-      },
-      ...init,
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`Remote request failed: ${response.status} ${text}`);
+// Storage adapters for each mode (see shared/taskService.js for the interface)
+const memoryStorage = createMemoryStorage({
+  container: ensureFallbackContainer(),
+});
+
+const blobStorage = {
+  mode: "blob",
+  readTasks: async (listId = DEFAULT_LIST_ID) => {
+    const storedTasks = await store.get(tasksKey(listId), { type: "json" });
+    if (Array.isArray(storedTasks)) {
+      return storedTasks;
     }
-
-    // Handle 204 No Content responses (common for DELETE operations)
-    if (response.status === 204) {
-      return null;
-    }
-
-    return response.json();
-  } catch (error) {
-    console.error("Remote request error", { url, init, error });
-    throw error;
-  }
-};
-
-// Read tasks from the appropriate storage backend
-// Automatically selects storage method based on current storageMode
-const readTasks = async () => {
-  // Remote storage: fetch from external API
-  if (storageMode === "remote") {
-    try {
-      const data = await remoteRequest();
-      if (data && Array.isArray(data.taskList)) {
-        return data.taskList;
-      }
+    if (listId !== DEFAULT_LIST_ID) {
       return [];
-    } catch (error) {
-      // If remote request fails, fall back to in-memory storage
-      switchToMemoryStorage(error);
     }
-  }
-
-  // In-memory storage: read from global container
-  if (storageMode === "memory" || !store) {
-    const container = ensureFallbackContainer();
-    return [...container.tasks]; // Return copy to prevent direct mutations
-  }
-
-  // Blob storage: read from Netlify Blobs
-  const storedTasks = await store.get(STORE_KEY, { type: "json" });
-  if (Array.isArray(storedTasks)) {
-    return storedTasks;
-  }
-
-  // If blob store is empty, seed it with default tasks
-  const seeded = buildDefaultTasks();
-  await store.setJSON(STORE_KEY, seeded);
-  return seeded;
+    // If blob store is empty, seed it with default tasks
+    const seeded = buildDefaultTasks();
+    await store.setJSON(STORE_KEY, seeded);
+    return seeded;
+  },
+  writeTasks: async (tasks, listId = DEFAULT_LIST_ID) => {
+    await store.setJSON(tasksKey(listId), tasks);
+  },
+  readLists: async () => {
+    const storedLists = await store.get(LISTS_KEY, { type: "json" });
+    return Array.isArray(storedLists) ? storedLists : [];
+  },
+  writeLists: async (lists) => {
+    await store.setJSON(LISTS_KEY, lists);
+  },
+  readActivity: async (listId = DEFAULT_LIST_ID) => {
+    const storedEntries = await store.get(activityKey(listId), {
+      type: "json",
+    });
+    return Array.isArray(storedEntries) ? storedEntries : [];
+  },
+  writeActivity: async (entries, listId = DEFAULT_LIST_ID) => {
+    await store.setJSON(activityKey(listId), entries);
+  },
 };
 
-// Write tasks to the appropriate storage backend
-// Automatically selects storage method based on current storageMode
-const writeTasks = async (tasks) => {
-  // Remote storage: send PUT request to external API
+// Remote storage: the storage API of another server (shared/storageApi.js), e.g. the
+// Express reference server started with REPLICATION_TOKEN. REMOTE_TASKS_API is its API
+// root (https://example.com/api - a trailing /tasks is ignored), REMOTE_TASKS_TOKEN
+// its token. Retries, the circuit breaker and the outbox of changes made while the
+// server is unreachable are described in shared/remoteStorage.js
+const remoteStorage = REMOTE_BASE_URL
+  ? createRemoteStorage({
+      client: createStorageApiClient({
+        baseUrl: REMOTE_BASE_URL.replace(/\/tasks\/?$/, ""),
+        token: process.env.REMOTE_TASKS_TOKEN,
+      }),
+      // Starts empty: a cold start during an outage must not push demo tasks upstream
+      local: createMemoryStorage(),
+      cooldownMs: Number(process.env.REMOTE_COOLDOWN_MS) || undefined,
+    })
+  : null;
+
+// Run one storage call in the current storageMode
+// Remote storage handles its own outages, so the container stays in remote mode
+const runInActiveStorage = async (method, ...args) => {
   if (storageMode === "remote") {
-    try {
-      await remoteRequest("", {
-        method: "PUT",
-        body: JSON.stringify({ taskList: tasks }),
-      });
-      return;
-    } catch (error) {
-      // If remote request fails, fall back to in-memory storage
-      switchToMemoryStorage(error);
-    }
+    return remoteStorage[method](...args);
   }
-
-  // In-memory storage: update global container
   if (storageMode === "memory" || !store) {
-    const container = ensureFallbackContainer();
-    container.tasks = tasks;
-    return;
+    return memoryStorage[method](...args);
   }
-
-  // Blob storage: save to Netlify Blobs
-  await store.setJSON(STORE_KEY, tasks);
+  return blobStorage[method](...args);
 };
 
-// ============================================
-// EXPORTED CRUD FUNCTIONS
-// These functions are used by the serverless function handler
-// ============================================
-
-// GET: Retrieve all tasks
-// Delegates to readTasks() which handles storage mode selection automatically
-export const getTasks = async () => {
-  const tasks = await readTasks();
-  return tasks;
-};
-
-// POST: Create a new task
-// Generates a unique ID and adds the task to the store
-export const createTask = async (title) => {
-  // Read existing tasks first
-  const tasks = await readTasks();
-  // Create new task object with generated ID
-  const newTask = {
-    id: nanoid(), // Generate unique identifier
-    title,
-    isDone: false, // New tasks start as incomplete
-  };
-
-  // If using remote storage, try to create via API first
-  if (storageMode === "remote") {
-    try {
-      const data = await remoteRequest("", {
-        method: "POST",
-        body: JSON.stringify({ title }),
-      });
-      // If API returns the created task, use it (may have server-generated ID)
-      if (data?.task) {
-        return data.task;
-      }
-    } catch (error) {
-      // Fall back to in-memory if remote request fails
-      switchToMemoryStorage(error);
+// Storage adapter that follows the current storageMode
+const activeStorage = {
+  get mode() {
+    return storageMode;
+  },
+  readTasks: (...args) => runInActiveStorage("readTasks", ...args),
+  writeTasks: (...args) => runInActiveStorage("writeTasks", ...args),
+  readLists: (...args) => runInActiveStorage("readLists", ...args),
+  writeLists: (...args) => runInActiveStorage("writeLists", ...args),
+  readActivity: (...args) => runInActiveStorage("readActivity", ...args),
+  writeActivity: (...args) => runInActiveStorage("writeActivity", ...args),
+  // Memory storage loses every change on the next cold start, and so does the
+  // outbox of the remote storage
+  status: () => {
+    if (storageMode === "remote") {
+      return remoteStorage.status();
     }
-    // If remote request did not return a task, fall back to local logic
-  }
-
-  // Add new task to existing tasks array (maintains immutability)
-  const updated = [...tasks, newTask];
-  // Write updated list back to storage
-  await writeTasks(updated);
-  return newTask;
+    return storageMode === "memory"
+      ? { durable: false, writable: true, fallbackReason, fallbackAt }
+      : { durable: true, writable: true };
+  },
 };
 
-// PATCH: Update task completion status (toggle isDone)
-// Finds the task by ID and updates its completion status
-export const updateTask = async (taskId, isDone) => {
-  const tasks = await readTasks();
-  console.log("updateTask read", {
-    count: tasks.length,
-    taskId,
-    storageMode,
-    hasStore: Boolean(store),
-  });
+// Saves are recorded for GET /api/health (see shared/storageHealth.js)
+export const storageHealth = createStorageHealth(activeStorage);
 
-  // If using remote storage, try to update via API first
-  if (storageMode === "remote") {
-    try {
-      await remoteRequest(`/${taskId}`, {
-        method: "PATCH",
-        body: JSON.stringify({ isDone }),
-      });
-      return true;
-    } catch (error) {
-      // Fall back to in-memory if remote request fails
-      switchToMemoryStorage(error);
-    }
-  }
+// Task service shared by every Netlify function in this directory
+export const taskService = createTaskService({
+  storage: storageHealth.storage,
+});
 
-  // Map through tasks and update the matching one
-  // Uses map() to maintain immutability (create new array instead of mutating)
-  const updated = tasks.map((task) => {
-    if (task.id === taskId) {
-      return { ...task, isDone }; // Update isDone property
-    }
-    return task; // Keep other tasks unchanged
-  });
-  // Write updated list back to storage
-  await writeTasks(updated);
-  console.log("updateTask wrote", {
-    storageMode,
-    hasStore: Boolean(store),
-  });
-  return true;
-};
-
-// DELETE: Remove a task by ID
-// Filters out the task with matching ID from the list
-export const removeTask = async (taskId) => {
-  // If using remote storage, try to delete via API first
-  if (storageMode === "remote") {
-    try {
-      await remoteRequest(`/${taskId}`, { method: "DELETE" });
-      return true;
-    } catch (error) {
-      // Fall back to in-memory if remote request fails
-      switchToMemoryStorage(error);
-    }
-  }
-
-  // Read current tasks
-  const tasks = await readTasks();
-  // Filter out the task with matching ID (creates new array without that task)
-  const updated = tasks.filter((task) => task.id !== taskId);
-  // Write updated list back to storage
-  await writeTasks(updated);
-  return true;
-};
+// API keys, CORS allowlist and rate limit (see shared/apiProtection.js)
+// The token buckets stay in memory per container, as on Vercel - in Netlify Blobs every
+// client would leave an entry behind that nothing ever deletes
+export const apiProtection = createApiProtection();
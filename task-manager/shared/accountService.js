@@ -0,0 +1,405 @@
+// Accounts - sign-up, log-in and bearer tokens for servers that serve per-user lists
+// Built on Node's crypto module only: passwords are hashed with scrypt and tokens are
+// JSON Web Tokens signed with HMAC-SHA256 (HS256), so no extra packages are needed
+//
+// The first account created takes over the lists stored before accounts were enabled
+// (claimUnownedData in storageAdapters.js)
+//
+// User (stored): { id, email, name, passwordHash, createdAt }
+// User (public): { id, email, name, createdAt } - what the API ever returns
+// The accounts live in the storage adapter's readUsers() / writeUsers(users)
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { createKeyedLock } from "./keyedLock.js";
+import { TaskError } from "./taskErrors.js";
+import { createTaskEventHub } from "./taskEvents.js";
+import { DEFAULT_LIST_ID, createId } from "./taskModel.js";
+import { createTaskService } from "./taskService.js";
+import { claimUnownedData, createUserStorage } from "./storageAdapters.js";
+
+const scryptAsync = promisify(scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NAME_LENGTH = 80;
+const HASH_LENGTH = 64;
+// Tokens are valid for a week; logging out simply drops the token in the browser
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+const unauthorized = (msg = "please log in") =>
+  new TaskError(401, msg, { code: "UNAUTHORIZED" });
+
+const invalidCredentials = () =>
+  new TaskError(401, "wrong email or password", {
+    code: "INVALID_CREDENTIALS",
+  });
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const validateEmail = (email) => {
+  const clean = typeof email === "string" ? email.trim().toLowerCase() : "";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean)) {
+    throw new TaskError(400, "please provide a valid email", {
+      field: "email",
+    });
+  }
+  return clean;
+};
+
+const validatePassword = (password) => {
+  if (
+    typeof password !== "string" ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    password.length > MAX_PASSWORD_LENGTH
+  ) {
+    throw new TaskError(
+      400,
+      `password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`,
+      { field: "password" }
+    );
+  }
+  return password;
+};
+
+// The name is shown in activity entries; it defaults to the part before the @
+const validateName = (name, email) => {
+  if (name === undefined || name === null || name === "") {
+    return email.split("@")[0];
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw new TaskError(400, "name must be a non-empty string", {
+      field: "name",
+    });
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new TaskError(
+      400,
+      `name must be at most ${MAX_NAME_LENGTH} characters`,
+      { field: "name" }
+    );
+  }
+  return name.trim();
+};
+
+// ============================================
+// PASSWORDS AND TOKENS
+// ============================================
+
+// "scrypt$<salt>$<hash>" (hex) - the salt is random per password
+const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, HASH_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+};
+
+const encodeJson = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const signature = (secret, content) =>
+  createHmac("sha256", secret).update(content).digest("base64url");
+
+const signToken = (secret, payload) => {
+  const content = `${encodeJson({ alg: "HS256", typ: "JWT" })}.${encodeJson(
+    payload
+  )}`;
+  return `${content}.${signature(secret, content)}`;
+};
+
+// The payload of a token with a valid signature, or null
+const readToken = (secret, token) => {
+  const [header, payload, signed] = String(token).split(".");
+  if (!header || !payload || !signed) {
+    return null;
+  }
+  const expected = Buffer.from(signature(secret, `${header}.${payload}`));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+// ============================================
+// SERVICE
+// ============================================
+
+// Build an account service on top of a storage adapter with readUsers / writeUsers
+// secret signs the tokens (AUTH_SECRET); without one a random secret is used, so
+// every token stops working when the process restarts
+export const createAccountService = ({
+  storage,
+  secret = process.env.AUTH_SECRET,
+  generateId = createId,
+  now = () => new Date().toISOString(),
+  tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS,
+}) => {
+  const signingSecret = secret || randomBytes(32).toString("hex");
+  if (!secret) {
+    console.warn(
+      "AUTH_SECRET is not set - using a random secret, tokens end with the process"
+    );
+  }
+
+  const readUsers = async () => {
+    const users = await storage.readUsers();
+    return Array.isArray(users) ? users : [];
+  };
+
+  // Sign-ups check the email and add the account while no other sign-up runs, so two
+  // requests for the same email cannot both get through
+  const withUsersLock = createKeyedLock();
+
+  const issueToken = (user) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    return signToken(signingSecret, {
+      sub: user.id,
+      iat: issuedAt,
+      exp: issuedAt + tokenTtlSeconds,
+    });
+  };
+
+  // POST /auth/signup: Create an account and log it in - { user, token }
+  const signup = async ({ email, password, name } = {}) => {
+    const cleanEmail = validateEmail(email);
+    validatePassword(password);
+    const cleanName = validateName(name, cleanEmail);
+    const passwordHash = await hashPassword(password);
+    const user = await withUsersLock("users", async () => {
+      const users = await readUsers();
+      if (users.some((item) => item.email === cleanEmail)) {
+        throw new TaskError(409, "an account with this email already exists", {
+          code: "EMAIL_TAKEN",
+          field: "email",
+        });
+      }
+      const newUser = {
+        id: generateId(),
+        email: cleanEmail,
+        name: cleanName,
+        passwordHash,
+        createdAt: now(),
+      };
+      await storage.writeUsers([...users, newUser]);
+      // The first account of an upgraded server keeps the tasks stored before accounts
+      if (!users.length) {
+        const copied = await claimUnownedData(storage, newUser.id);
+        if (copied.length) {
+          console.info(
+            `Copied the lists stored before accounts (${copied.join(
+              ", "
+            )}) to the first account, ${cleanEmail}`
+          );
+        }
+      }
+      return newUser;
+    });
+    return { user: toPublicUser(user), token: issueToken(user) };
+  };
+
+  // POST /auth/login: Check the password and hand out a new token - { user, token }
+  // Unknown emails and wrong passwords get the same answer
+  const login = async ({ email, password } = {}) => {
+    const cleanEmail =
+      typeof email === "string" ? email.trim().toLowerCase() : "";
+    const user = (await readUsers()).find((item) => item.email === cleanEmail);
+    const isValid =
+      user && typeof password === "string"
+        ? await verifyPassword(password, user.passwordHash)
+        : false;
+    if (!isValid) {
+      throw invalidCredentials();
+    }
+    return { user: toPublicUser(user), token: issueToken(user) };
+  };
+
+  // The public user a bearer token belongs to; 401 for missing, forged or expired
+  // tokens and for accounts that no longer exist
+  const authenticate = async (token) => {
+    if (!token) {
+      throw unauthorized();
+    }
+    const payload = readToken(signingSecret, token);
+    if (!payload || typeof payload.sub !== "string") {
+      throw unauthorized("invalid token, please log in again");
+    }
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      throw unauthorized("your session has expired, please log in again");
+    }
+    const user = (await readUsers()).find((item) => item.id === payload.sub);
+    if (!user) {
+      throw unauthorized("invalid token, please log in again");
+    }
+    return toPublicUser(user);
+  };
+
+  return { signup, login, authenticate };
+};
+
+// The task service and live-update hub of each user ({ id, name }), created on first use
+// Every service works on the shared storage through createUserStorage, and sees the
+// lists the user owns or was invited to. An event published on a user's hub reaches
+// everybody who sees its list: the owner and the members (plus a member who was just
+// removed, event.removedUserId); events of a default list stay with its user
+export const createUserTaskSpaces = ({ storage, generateId = createId }) => {
+  const spaces = new Map();
+  const hubs = new Map();
+
+  const hubOf = (userId) => {
+    if (!hubs.has(userId)) {
+      hubs.set(userId, createTaskEventHub());
+    }
+    return hubs.get(userId);
+  };
+
+  const audienceOf = async (userId, event) => {
+    if (!event.listId || event.listId === DEFAULT_LIST_ID) {
+      return [userId];
+    }
+    const lists = event.list ? [event.list] : await storage.readLists();
+    const list = (Array.isArray(lists) ? lists : []).find(
+      (item) => item.id === event.listId
+    );
+    const memberIds = list
+      ? [list.userId, ...(list.members || []).map((member) => member.userId)]
+      : [];
+    return [
+      ...new Set([userId, ...memberIds, event.removedUserId].filter(Boolean)),
+    ];
+  };
+
+  // Invitation tokens never go out with events
+  const withoutInvitations = (event) => {
+    if (!event.list) {
+      return event;
+    }
+    const { invitations, ...list } = event.list;
+    return { ...event, list };
+  };
+
+  const createSpace = (user) => {
+    const hub = hubOf(user.id);
+    // Events are fanned out one after the other, so every stream keeps their order
+    let publishing = Promise.resolve();
+    return {
+      service: createTaskService({
+        storage: createUserStorage(storage, user.id),
+        generateId,
+        userId: user.id,
+        userName: user.name,
+      }),
+      events: {
+        subscribe: hub.subscribe,
+        eventsSince: hub.eventsSince,
+        publish: (event) => {
+          publishing = publishing
+            .then(() => audienceOf(user.id, event))
+            .then((userIds) =>
+              userIds.forEach((userId) =>
+                hubOf(userId).publish(withoutInvitations(event))
+              )
+            )
+            .catch((error) => console.error("Event Error:", error));
+        },
+      },
+    };
+  };
+
+  return (user) => {
+    if (!spaces.has(user.id)) {
+      spaces.set(user.id, createSpace(user));
+    }
+    return spaces.get(user.id);
+  };
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+const jsonResult = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers,
+  body,
+});
+
+// Token of a neutral request: "Authorization: Bearer <token>"
+// allowQuery also accepts ?access_token=, for routes whose clients cannot set headers
+// (EventSource) - everywhere else tokens stay out of URLs and logs
+export const readBearerToken = (request, { allowQuery = false } = {}) => {
+  const header = (request.headers || {}).authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme && scheme.toLowerCase() === "bearer" && token) {
+    return token;
+  }
+  return allowQuery ? (request.query || {}).access_token || null : null;
+};
+
+// A URL with the value of ?access_token= blanked out, for request logs
+export const redactAccessToken = (url) =>
+  url.replace(/([?&]access_token=)[^&#]*/g, "$1[redacted]");
+
+// Route a neutral request (see taskRoutes.js) below the API root to the account service
+//   POST /auth/signup { email, password, name? } -> { user, token }
+//   POST /auth/login  { email, password }        -> { user, token }
+//   GET  /auth/me                                 -> { user } for the bearer token
+//                                                    (Authorization header only)
+// Resolves with null for every other path
+export const handleAuthRequest = async (accounts, request) => {
+  const route = (request.path || "").split("?")[0].replace(/\/+$/, "");
+  const actions = {
+    "/auth/signup": { method: "POST", run: accounts.signup },
+    "/auth/login": { method: "POST", run: accounts.login },
+    "/auth/me": {
+      method: "GET",
+      run: async () => ({
+        user: await accounts.authenticate(readBearerToken(request)),
+      }),
+    },
+  };
+  const action = actions[route];
+  if (!action) {
+    return null;
+  }
+  if (request.method !== action.method) {
+    return jsonResult(
+      405,
+      { msg: "method not allowed" },
+      { Allow: action.method }
+    );
+  }
+  try {
+    const body = action.method === "POST" ? await request.readBody() : {};
+    return jsonResult(200, await action.run(body));
+  } catch (error) {
+    if (error instanceof TaskError) {
+      return jsonResult(error.statusCode, {
+        msg: error.message,
+        code: error.code,
+        ...error.details,
+      });
+    }
+    console.error(`${request.method} Error:`, error);
+    return jsonResult(500, {
+      msg: "something went wrong",
+      code: "INTERNAL_ERROR",
+    });
+  }
+};
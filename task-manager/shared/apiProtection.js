@@ -0,0 +1,207 @@
+// API protection for the serverless functions (Netlify and Vercel)
+// Their storage is shared by everybody who can reach the URL, so writes can be locked
+// behind API keys or bearer tokens, browsers are only let in from known origins, and
+// every client gets a token bucket so a single script cannot flood the store
+//
+// Configured through environment variables:
+//   API_KEYS              - comma-separated keys accepted in the X-API-Key header
+//   API_TOKENS            - comma-separated tokens accepted as "Authorization: Bearer <token>"
+//   API_AUTH_SCOPE        - "writes" (default - reads stay open) or "all"
+//   CORS_ORIGINS          - comma-separated origins a browser may call the API from;
+//                           unset means same-origin only, "*" allows every origin
+//   RATE_LIMIT_PER_MINUTE - requests per client and minute (default 120, 0 switches it off)
+//   RATE_LIMIT_BURST      - requests a client may send at once (default: the per-minute value)
+// Without API_KEYS and API_TOKENS every request is let through, as before
+import { createHash, timingSafeEqual } from "crypto";
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 120;
+const READ_METHODS = ["GET", "HEAD"];
+
+const CORS_ALLOW_HEADERS =
+  "Content-Type, If-Match, X-Client-Id, X-API-Key, Authorization";
+const CORS_ALLOW_METHODS = "GET, POST, PATCH, DELETE, OPTIONS";
+const CORS_EXPOSE_HEADERS = "ETag, Retry-After";
+
+const jsonResult = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers,
+  body,
+});
+
+// "a, b ,c" -> ["a", "b", "c"]
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseCount = (value, fallback) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Compare secrets in constant time, so response times do not give away a key
+const sha256 = (value) => createHash("sha256").update(String(value)).digest();
+const includesSecret = (secrets, candidate) =>
+  Boolean(candidate) &&
+  secrets.some((secret) => timingSafeEqual(sha256(secret), sha256(candidate)));
+
+const readBearer = (headers) => {
+  const [scheme, token] = (headers.authorization || "").split(" ");
+  return scheme && scheme.toLowerCase() === "bearer" ? token : null;
+};
+
+// Client address from the proxy headers (lower-case names), or the fallback
+export const readClientIp = (headers = {}, fallback = "unknown") =>
+  headers["x-nf-client-connection-ip"] ||
+  (headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+  headers["x-real-ip"] ||
+  fallback;
+
+// Token buckets kept in memory - per serverless container, so a cold start refills them
+// A rate-limit store is any object with read(key) and write(key, bucket)
+// Buckets carry fullAt, the time they have refilled completely; from then on a missing
+// bucket counts the same, so they are dropped at most once a minute to keep the map small
+export const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+  let sweptAt = 0;
+  const sweep = (timestamp) => {
+    if (timestamp - sweptAt < 60 * 1000) {
+      return;
+    }
+    sweptAt = timestamp;
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= timestamp) {
+        buckets.delete(key);
+      }
+    }
+  };
+  return {
+    read: async (key) => buckets.get(key) || null,
+    write: async (key, bucket) => {
+      sweep(bucket.updatedAt);
+      buckets.set(key, bucket);
+    },
+  };
+};
+
+// Build the protection for one deployment
+// rateLimitStore keeps the buckets (see createMemoryRateLimitStore); now can be pinned in scripts
+export const createApiProtection = ({
+  env = process.env,
+  rateLimitStore = createMemoryRateLimitStore(),
+  now = Date.now,
+} = {}) => {
+  const apiKeys = parseList(env.API_KEYS);
+  const apiTokens = parseList(env.API_TOKENS);
+  const protectReads = env.API_AUTH_SCOPE === "all";
+  const corsOrigins = parseList(env.CORS_ORIGINS);
+  const perMinute = parseCount(
+    env.RATE_LIMIT_PER_MINUTE,
+    DEFAULT_RATE_LIMIT_PER_MINUTE
+  );
+  const burst = parseCount(env.RATE_LIMIT_BURST, perMinute) || perMinute;
+  const refillPerSecond = perMinute / 60;
+
+  // CORS headers for a request from origin (the Origin header, if any)
+  // Browsers on other origins only get an Access-Control-Allow-Origin when they are listed
+  const corsHeaders = (origin) => {
+    const headers = {
+      "Access-Control-Allow-Headers": CORS_ALLOW_HEADERS,
+      "Access-Control-Allow-Methods": CORS_ALLOW_METHODS,
+      "Access-Control-Expose-Headers": CORS_EXPOSE_HEADERS,
+    };
+    if (corsOrigins.includes("*")) {
+      return { ...headers, "Access-Control-Allow-Origin": "*" };
+    }
+    if (origin && corsOrigins.includes(origin)) {
+      return {
+        ...headers,
+        "Access-Control-Allow-Origin": origin,
+        Vary: "Origin",
+      };
+    }
+    return { Vary: "Origin" };
+  };
+
+  const needsCredentials = (method) =>
+    (apiKeys.length > 0 || apiTokens.length > 0) &&
+    (protectReads || !READ_METHODS.includes(method));
+
+  const hasCredentials = (headers) =>
+    includesSecret(apiKeys, headers["x-api-key"]) ||
+    includesSecret(apiTokens, readBearer(headers));
+
+  // Clients with a key are counted by key (stored hashed), the others by address
+  const clientKey = (headers, clientIp) => {
+    const secret = headers["x-api-key"] || readBearer(headers);
+    return secret
+      ? `key-${sha256(secret).toString("hex").slice(0, 32)}`
+      : `ip-${clientIp}`;
+  };
+
+  // Take one token from the client's bucket; resolves with the seconds to wait
+  // when it is empty, or 0
+  const takeToken = async (key) => {
+    const timestamp = now();
+    const bucket = (await rateLimitStore.read(key)) || {
+      tokens: burst,
+      updatedAt: timestamp,
+    };
+    const elapsedSeconds = Math.max(0, (timestamp - bucket.updatedAt) / 1000);
+    const tokens = Math.min(
+      burst,
+      bucket.tokens + elapsedSeconds * refillPerSecond
+    );
+    const left = tokens < 1 ? tokens : tokens - 1;
+    await rateLimitStore.write(key, {
+      tokens: left,
+      updatedAt: timestamp,
+      fullAt: timestamp + Math.ceil(((burst - left) / refillPerSecond) * 1000),
+    });
+    return tokens < 1 ? Math.ceil((1 - tokens) / refillPerSecond) : 0;
+  };
+
+  // Check a request before it is routed: { method, headers (lower case), clientIp }
+  // Resolves with null when it may go on, or with the { statusCode, headers, body }
+  // result to answer instead (429 rate limited, 401 missing or wrong credentials)
+  // The rate limit comes first, so guessing keys is throttled too
+  const checkRequest = async ({ method, headers = {}, clientIp }) => {
+    if (perMinute > 0) {
+      let retryAfter = 0;
+      try {
+        retryAfter = await takeToken(clientKey(headers, clientIp));
+      } catch (error) {
+        // A broken rate-limit store must not take the API down with it
+        console.warn("Rate limit store unavailable", error);
+      }
+      if (retryAfter > 0) {
+        return jsonResult(
+          429,
+          {
+            msg: `too many requests, please try again in ${retryAfter} seconds`,
+            code: "RATE_LIMITED",
+            retryAfter,
+          },
+          { "Retry-After": String(retryAfter) }
+        );
+      }
+    }
+    if (needsCredentials(method) && !hasCredentials(headers)) {
+      return jsonResult(
+        401,
+        {
+          msg: "a valid API key or bearer token is required",
+          code: "INVALID_API_KEY",
+        },
+        { "WWW-Authenticate": "Bearer" }
+      );
+    }
+    return null;
+  };
+
+  return { corsHeaders, checkRequest };
+};
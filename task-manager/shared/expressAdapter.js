@@ -0,0 +1,156 @@
+// Express adapter for the shared task routes (and the account routes)
+// Mount it below the API root: app.use("/api", createExpressHandler(taskService))
+// Requires express.json() earlier in the middleware chain
+import { handleAuthRequest, readBearerToken } from "./accountService.js";
+import { handleHealthRequest } from "./storageHealth.js";
+import { handleTaskRequest } from "./taskRoutes.js";
+
+// The service and the event hub can also be functions of the request, to pick
+// them per user on servers with accounts (see createUserTaskSpaces)
+const resolveForRequest = (value, req) =>
+  typeof value === "function" ? value(req) : value;
+
+const toNeutralRequest = (req) => ({
+  method: req.method,
+  path: req.path,
+  query: req.query,
+  headers: req.headers,
+  readBody: async () => req.body || {},
+});
+
+// Pass events (a hub from taskEvents.js) to publish every change for live updates
+// After requireUser, the user's name is the actor of the activity log
+export const createExpressHandler =
+  (service, { events } = {}) =>
+  async (req, res, next) => {
+    try {
+      const hub = resolveForRequest(events, req);
+      const result = await handleTaskRequest(resolveForRequest(service, req), {
+        ...toNeutralRequest(req),
+        actor: req.user ? req.user.name : undefined,
+        onChange: hub
+          ? (event) =>
+              hub.publish({
+                ...event,
+                origin: req.get("x-client-id") || null,
+              })
+          : undefined,
+      });
+      // Not a task route - let the rest of the Express app answer it
+      if (!result) {
+        next();
+        return;
+      }
+      res.status(result.statusCode).set(result.headers);
+      // Exports are text with their own Content-Type
+      if (typeof result.body === "string") {
+        res.send(result.body);
+        return;
+      }
+      res.json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Server-Sent Events stream of task changes: app.get("/api/events", createExpressEventStream(events))
+// A browser that reconnects sends Last-Event-ID and first receives what it missed
+export const createExpressEventStream = (eventHub) => (req, res) => {
+  const events = resolveForRequest(eventHub, req);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  events
+    .eventsSince(req.get("last-event-id"))
+    .forEach((event) => writeEvent(res, event));
+  const unsubscribe = events.subscribe((event) => writeEvent(res, event));
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// Account routes below the API root: app.use("/api", createExpressAuthHandler(accounts))
+// POST /auth/signup, POST /auth/login and GET /auth/me (see accountService.js)
+export const createExpressAuthHandler =
+  (accounts) => async (req, res, next) => {
+    try {
+      const result = await handleAuthRequest(accounts, toNeutralRequest(req));
+      if (!result) {
+        next();
+        return;
+      }
+      res.status(result.statusCode).set(result.headers).json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Health routes below the API root: app.use("/api", createExpressHealthHandler(health))
+// GET /health and /health/storage (see storageHealth.js) - mount them before
+// requireUser, so monitoring needs no account
+export const createExpressHealthHandler =
+  (health) => async (req, res, next) => {
+    try {
+      const result = await handleHealthRequest(health, toNeutralRequest(req));
+      if (!result) {
+        next();
+        return;
+      }
+      res.status(result.statusCode).set(result.headers).json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Storage API below the API root: app.use("/api", createExpressStorageHandler(storageApi))
+// GET/PUT /storage/... (see storageApi.js) - checks its own token, so mount it before
+// requireUser
+export const createExpressStorageHandler =
+  (storageApi) => async (req, res, next) => {
+    try {
+      const result = await storageApi.handleRequest(toNeutralRequest(req));
+      if (!result) {
+        next();
+        return;
+      }
+      res.status(result.statusCode).set(result.headers).json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Let only logged-in users past: sets req.user from the bearer token, answers
+// 401 + code "UNAUTHORIZED" otherwise. ?access_token= is only read for the event
+// stream (EventSource cannot send headers), so tokens stay out of other URLs and logs
+export const requireUser = (accounts) => async (req, res, next) => {
+  try {
+    req.user = await accounts.authenticate(
+      readBearerToken(req, { allowQuery: req.path === "/events" })
+    );
+    next();
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      next(error);
+      return;
+    }
+    res.status(401).json({ msg: error.message, code: error.code });
+  }
+};
@@ -0,0 +1,27 @@
+// Per-key lock: run(key, fn) starts fn once every fn started earlier for the same key
+// has settled, and resolves / rejects with fn's result
+// Storage adapters expose one as withListLock(listId, fn), so the task service can
+// read a list, change it and write it back without another request writing in between
+export const createKeyedLock = () => {
+  const tails = new Map();
+  return (key, fn) => {
+    const run = (tails.get(key) || Promise.resolve()).then(() => fn());
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    // Forget keys nobody waits on any more
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return run;
+  };
+};
+
+// Single lock: run(fn) starts fn once every fn started earlier has settled
+// Storage adapters expose one as withListsLock(fn) for the list metadata, which all
+// lists (and all users) share
+export const createLock = () => {
+  const run = createKeyedLock();
+  return (fn) => run("lock", fn);
+};
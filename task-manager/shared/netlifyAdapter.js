@@ -0,0 +1,120 @@
+// Netlify adapter for the shared task routes
+// Turns a Netlify Functions event into a neutral request and the result back into
+// a { statusCode, headers, body } response with CORS headers
+import { readClientIp } from "./apiProtection.js";
+import { handleHealthRequest } from "./storageHealth.js";
+import { handleTaskRequest, parseJsonBody } from "./taskRoutes.js";
+
+// CORS headers that allow requests from any origin - used without a protection
+// (see apiProtection.js), which answers with its allowlist instead
+const openCorsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, If-Match, X-Client-Id",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+const jsonResponse = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "application/json",
+    ...headers,
+  },
+  body: JSON.stringify(body),
+});
+
+// Work out the route path from the event
+// Requests arrive either through the redirect rules (/api/tasks/abc) or directly
+// at the function URL (/.netlify/functions/<name>/abc); the function name is
+// replaced by the resource it serves (`mount`)
+const toRoutePath = (event, mount) => {
+  const rawPath = event.path || "";
+  const functionPrefix = rawPath.match(/^\/\.netlify\/functions\/[^/]+/);
+  if (functionPrefix) {
+    return `/${mount}${rawPath.slice(functionPrefix[0].length)}`;
+  }
+  return rawPath.replace(/^\/api/, "");
+};
+
+// Header names are case-insensitive; the shared routes read them in lower case
+const readHeaders = (event) =>
+  Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [
+      name.toLowerCase(),
+      value,
+    ])
+  );
+
+const readBody = (event) => {
+  if (!event.body) {
+    return {};
+  }
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+  return parseJsonBody(rawBody);
+};
+
+// onRequest runs before routing (e.g. to connect the storage backend)
+// protection (createApiProtection) checks keys and the rate limit after onRequest,
+// so a rate-limit store in Netlify Blobs is connected by then
+// health (createStorageHealth) answers GET /api/health and /api/health/storage
+export const createNetlifyHandler =
+  (service, { mount = "tasks", onRequest, protection, health } = {}) =>
+  async (event) => {
+    const headers = readHeaders(event);
+    const corsHeaders = protection
+      ? protection.corsHeaders(headers.origin)
+      : openCorsHeaders;
+
+    // Handle preflight CORS requests (OPTIONS method)
+    // Browsers send this automatically before actual requests to check CORS permissions
+    if (event.httpMethod === "OPTIONS") {
+      return jsonResponse(200, {}, corsHeaders);
+    }
+
+    if (onRequest) {
+      await onRequest(event);
+    }
+
+    if (protection) {
+      const refusal = await protection.checkRequest({
+        method: event.httpMethod,
+        headers,
+        clientIp: readClientIp(headers),
+      });
+      if (refusal) {
+        return jsonResponse(refusal.statusCode, refusal.body, {
+          ...corsHeaders,
+          ...refusal.headers,
+        });
+      }
+    }
+
+    const request = {
+      method: event.httpMethod,
+      path: toRoutePath(event, mount),
+      query: event.queryStringParameters || {},
+      headers,
+      readBody: async () => readBody(event),
+    };
+    const result =
+      (health && (await handleHealthRequest(health, request))) ||
+      (await handleTaskRequest(service, request));
+
+    if (!result) {
+      return jsonResponse(404, { msg: "route does not exist" }, corsHeaders);
+    }
+    // Exports are text with their own Content-Type
+    if (typeof result.body === "string") {
+      return {
+        statusCode: result.statusCode,
+        headers: { ...corsHeaders, ...result.headers },
+        body: result.body,
+      };
+    }
+    return jsonResponse(result.statusCode, result.body, {
+      ...corsHeaders,
+      ...result.headers,
+    });
+  };
@@ -0,0 +1,378 @@
+// Remote storage - keeps a deployment's data in another server's storage API
+// (storageApi.js), e.g. the Netlify functions in the Express reference server
+//
+// createStorageApiClient talks HTTP: network errors, timeouts, 408/429 and 5xx are
+// retried with exponential backoff before a call gives up.
+//
+// createRemoteStorage is the storage adapter on top of it:
+//   - every array read from the remote is kept in a local copy (memory storage), and
+//     its ETag goes along as If-Match when the array is written back, so a change based
+//     on data someone else has replaced since fails with 409 REMOTE_CONFLICT instead of
+//     silently overwriting it
+//   - circuit breaker: after failureThreshold failed calls in a row the remote is left
+//     alone for cooldownMs (doubled on every new failure, up to maxCooldownMs); reads
+//     and writes use the local copy meanwhile. The first call after the cooldown tries
+//     the remote again and closes the circuit when it answers; status().remote then
+//     reports the time in recoveredAt
+//   - outbox: arrays written while the remote was unavailable are pushed upstream
+//     before anything else once it answers again. When the remote copy changed in
+//     the meantime both are merged by id - the newer task version (list updatedAt)
+//     wins, the outage change on a tie, and activity entries are combined
+//
+// The outbox lives in memory, like the local copy: changes made during an outage are
+// lost if the process ends before the remote comes back (status() reports them).
+import { createKeyedLock, createLock } from "./keyedLock.js";
+import { MAX_ACTIVITY_PER_LIST } from "./taskActivity.js";
+import { TaskError } from "./taskErrors.js";
+import { DEFAULT_LIST_ID } from "./taskModel.js";
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "lists", "tasks/sprint-42", "activity/default"
+const storageKey = (collection, listId) =>
+  listId ? `${collection}/${listId}` : collection;
+
+// HTTP client of the storage API below baseUrl (".../api")
+//   get(collection, listId?)                -> { items, etag }
+//   put(collection, listId, items, ifMatch) -> etag of the stored array
+// Failed calls reject with an Error carrying status (HTTP status, or null when the
+// server could not be reached), code (from the response body) and, for 412, etag
+export const createStorageApiClient = ({
+  baseUrl,
+  token,
+  retries = 2,
+  retryDelayMs = 200,
+  timeoutMs = 5000,
+  fetch: fetchImpl = globalThis.fetch,
+}) => {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  const send = async (method, key, { body, ifMatch } = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(`${root}/storage/${key}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(ifMatch ? { "If-Match": ifMatch } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      throw Object.assign(
+        new Error(`remote storage unreachable (${error.message})`),
+        { status: null, retryable: true }
+      );
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw Object.assign(
+        new Error(
+          `remote storage answered ${response.status} (${
+            data.msg || response.statusText
+          })`
+        ),
+        {
+          status: response.status,
+          code: data.code,
+          etag: data.etag,
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+        }
+      );
+    }
+    return data;
+  };
+
+  // Wait retryDelayMs, then twice as long after every further failure (with jitter,
+  // so containers failing together do not retry together)
+  const withRetries = async (run) => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await run();
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+        await sleep(retryDelayMs * 2 ** attempt * (0.5 + Math.random() / 2));
+      }
+    }
+  };
+
+  return {
+    get: async (collection, listId) => {
+      const data = await withRetries(() =>
+        send("GET", storageKey(collection, listId))
+      );
+      return {
+        items: Array.isArray(data.items) ? data.items : [],
+        etag: data.etag,
+      };
+    },
+    put: async (collection, listId, items, ifMatch) => {
+      const data = await withRetries(() =>
+        send("PUT", storageKey(collection, listId), {
+          body: { items },
+          ifMatch,
+        })
+      );
+      return data.etag;
+    },
+  };
+};
+
+// The adapter methods of each collection (see taskService.js for the contract)
+const COLLECTIONS = {
+  tasks: { read: "readTasks", write: "writeTasks" },
+  lists: { read: "readLists", write: "writeLists" },
+  activity: { read: "readActivity", write: "writeActivity" },
+};
+
+// Outage changes first, in their order, then what only the remote has
+const mergeById = (remoteItems, localItems, isNewer) => {
+  const remoteById = new Map(remoteItems.map((item) => [item.id, item]));
+  const localIds = new Set(localItems.map((item) => item.id));
+  return [
+    ...localItems.map((item) => {
+      const remoteItem = remoteById.get(item.id);
+      return remoteItem && isNewer(remoteItem, item) ? remoteItem : item;
+    }),
+    ...remoteItems.filter((item) => !localIds.has(item.id)),
+  ];
+};
+
+const MERGES = {
+  tasks: (remoteItems, localItems) =>
+    mergeById(
+      remoteItems,
+      localItems,
+      (remoteTask, localTask) =>
+        (remoteTask.version || 0) > (localTask.version || 0)
+    ),
+  lists: (remoteItems, localItems) =>
+    mergeById(
+      remoteItems,
+      localItems,
+      (remoteList, localList) =>
+        (remoteList.updatedAt || "") > (localList.updatedAt || "")
+    ),
+  // Both logs, oldest first (sort is stable), trimmed like the service trims them
+  activity: (remoteItems, localItems) =>
+    mergeById(remoteItems, localItems, () => false)
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .slice(-MAX_ACTIVITY_PER_LIST),
+};
+
+// Storage adapter on the storage API, with local as the copy used during outages
+export const createRemoteStorage = ({
+  client,
+  local,
+  failureThreshold = 3,
+  cooldownMs = 30 * 1000,
+  maxCooldownMs = 5 * 60 * 1000,
+  now = Date.now,
+}) => {
+  const etags = new Map(); // storage key -> ETag of the remote copy last seen
+  const outbox = new Map(); // storage key -> { collection, listId } written locally only
+  let circuit = "closed"; // "closed" | "open" | "half-open"
+  let consecutiveFailures = 0;
+  let openings = 0; // times the circuit opened since the remote last answered
+  let retryAt = 0;
+  let lastError = null;
+  let failingSince = null;
+  let recoveredAt = null; // when the remote last answered again after an outage
+  let flushing = null;
+
+  const readLocal = ({ collection, listId }) =>
+    local[COLLECTIONS[collection].read](...(listId ? [listId] : []));
+  const writeLocal = ({ collection, listId }, items) =>
+    local[COLLECTIONS[collection].write](items, ...(listId ? [listId] : []));
+
+  // Open circuits let one call through again once their cooldown is over
+  const isRemoteAllowed = () => {
+    if (circuit === "open" && now() >= retryAt) {
+      circuit = "half-open";
+    }
+    return circuit !== "open";
+  };
+
+  const recordSuccess = () => {
+    if (circuit !== "closed") {
+      recoveredAt = new Date(now()).toISOString();
+    }
+    circuit = "closed";
+    consecutiveFailures = 0;
+    openings = 0;
+    lastError = null;
+    failingSince = null;
+  };
+
+  const recordFailure = (error) => {
+    consecutiveFailures += 1;
+    lastError = error.message;
+    failingSince = failingSince || new Date(now()).toISOString();
+    if (circuit === "half-open" || consecutiveFailures >= failureThreshold) {
+      const cooldown = Math.min(cooldownMs * 2 ** openings, maxCooldownMs);
+      openings += 1;
+      circuit = "open";
+      retryAt = now() + cooldown;
+      console.warn(
+        `Remote storage failing (${error.message}), using the local copy for ${cooldown}ms`
+      );
+    }
+  };
+
+  // Write one outbox entry upstream; a remote copy that changed since it was last
+  // seen (or was never seen) is merged with the local one first
+  const pushEntry = async (key, entry) => {
+    const items = await readLocal(entry);
+    try {
+      if (!etags.has(key)) {
+        throw Object.assign(new Error("remote copy not seen yet"), {
+          code: "VERSION_CONFLICT",
+        });
+      }
+      etags.set(
+        key,
+        await client.put(entry.collection, entry.listId, items, etags.get(key))
+      );
+    } catch (error) {
+      if (error.code !== "VERSION_CONFLICT") {
+        throw error;
+      }
+      const remote = await client.get(entry.collection, entry.listId);
+      const merged = MERGES[entry.collection](remote.items, items);
+      etags.set(
+        key,
+        await client.put(entry.collection, entry.listId, merged, remote.etag)
+      );
+      await writeLocal(entry, merged);
+    }
+    outbox.delete(key);
+  };
+
+  // Push every outbox entry, oldest first; one flush at a time
+  const flushOutbox = () => {
+    if (!flushing) {
+      flushing = (async () => {
+        for (const [key, entry] of [...outbox]) {
+          await pushEntry(key, entry);
+        }
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  // Is the remote usable for the next call? Pending changes go upstream first, so a
+  // read never replaces a local change that has not reached the remote yet
+  const reachRemote = async () => {
+    if (!isRemoteAllowed()) {
+      return false;
+    }
+    if (!outbox.size) {
+      return true;
+    }
+    try {
+      await flushOutbox();
+      recordSuccess();
+      return true;
+    } catch (error) {
+      recordFailure(error);
+      return false;
+    }
+  };
+
+  const read = async (collection, listId) => {
+    const entry = { collection, listId };
+    if (await reachRemote()) {
+      try {
+        const { items, etag } = await client.get(collection, listId);
+        recordSuccess();
+        etags.set(storageKey(collection, listId), etag);
+        await writeLocal(entry, items);
+        return items;
+      } catch (error) {
+        recordFailure(error);
+      }
+    }
+    return readLocal(entry);
+  };
+
+  const write = async (collection, items, listId) => {
+    const key = storageKey(collection, listId);
+    const entry = { collection, listId };
+    if (await reachRemote()) {
+      try {
+        const etag = await client.put(
+          collection,
+          listId,
+          items,
+          etags.get(key)
+        );
+        recordSuccess();
+        etags.set(key, etag);
+        await writeLocal(entry, items);
+        return;
+      } catch (error) {
+        if (error.code === "VERSION_CONFLICT") {
+          // The remote answered - it just holds newer data than this change is based on
+          recordSuccess();
+          throw new TaskError(
+            409,
+            "the data changed on the remote storage in the meantime, please try again",
+            { code: "REMOTE_CONFLICT" }
+          );
+        }
+        recordFailure(error);
+      }
+    }
+    await writeLocal(entry, items);
+    outbox.set(key, entry);
+  };
+
+  return {
+    mode: "remote",
+    readTasks: (listId = DEFAULT_LIST_ID) => read("tasks", listId),
+    writeTasks: (tasks, listId = DEFAULT_LIST_ID) =>
+      write("tasks", tasks, listId),
+    readLists: () => read("lists"),
+    writeLists: (lists) => write("lists", lists),
+    readActivity: (listId = DEFAULT_LIST_ID) => read("activity", listId),
+    writeActivity: (entries, listId = DEFAULT_LIST_ID) =>
+      write("activity", entries, listId),
+    withListLock: createKeyedLock(),
+    withListsLock: createLock(),
+    // Push the outbox now - resolves with the number of arrays still waiting
+    flush: async () => {
+      await reachRemote();
+      return outbox.size;
+    },
+    // Changes waiting in the outbox only exist in this process (see storageHealth.js)
+    status: () => {
+      const pendingChanges = outbox.size;
+      const failing = circuit !== "closed" || pendingChanges > 0;
+      return {
+        durable: !failing,
+        writable: true,
+        fallbackReason: failing
+          ? `remote storage unavailable: ${
+              lastError || "not reached yet"
+            } - ${pendingChanges} unsynced change(s) kept in memory`
+          : null,
+        fallbackAt: failing ? failingSince : null,
+        remote: {
+          circuit,
+          pendingChanges,
+          retryAt: circuit === "open" ? new Date(retryAt).toISOString() : null,
+          lastError,
+          recoveredAt,
+        },
+      };
+    },
+  };
+};
@@ -0,0 +1,462 @@
+// Reusable storage adapters for the task service
+// Platform-specific adapters (Netlify Blobs, remote API) live next to their handlers
+//
+// Every adapter stores tasks per list: readTasks(listId) / writeTasks(tasks, listId),
+// plus the list metadata through readLists() / writeLists(lists) and the activity
+// log of each list through readActivity(listId) / writeActivity(entries, listId).
+// The accounts of the Express servers go through readUsers() / writeUsers(users).
+// withListLock(listId, fn) runs the task service's read-modify-write of one list
+// while no other change to that list is under way (see keyedLock.js), and
+// withListsLock(fn) does the same for the list metadata.
+// The default list keeps the original single-list location, so existing data keeps working.
+import { promises as fs } from "fs";
+import path from "path";
+import { createKeyedLock, createLock } from "./keyedLock.js";
+import { DEFAULT_LIST_ID } from "./taskModel.js";
+
+// In-memory storage - data resets whenever the process restarts
+// Pass a container object to share the lists between several service instances
+export const createMemoryStorage = ({
+  initialTasks = [],
+  container = { tasks: initialTasks },
+} = {}) => {
+  // The default list lives in container.tasks, named lists in container.tasksByList
+  const getTasks = (listId) =>
+    listId === DEFAULT_LIST_ID
+      ? container.tasks
+      : (container.tasksByList || {})[listId] || [];
+  // Activity logs are keyed by list ID, the default list included
+  const getActivity = (listId) =>
+    (container.activityByList || {})[listId] || [];
+
+  return {
+    mode: "memory",
+    readTasks: async (listId = DEFAULT_LIST_ID) => [...getTasks(listId)], // Return copy to prevent direct mutations
+    writeTasks: async (tasks, listId = DEFAULT_LIST_ID) => {
+      if (listId === DEFAULT_LIST_ID) {
+        container.tasks = tasks;
+        return;
+      }
+      container.tasksByList = { ...container.tasksByList, [listId]: tasks };
+    },
+    readLists: async () => [...(container.lists || [])],
+    writeLists: async (lists) => {
+      container.lists = lists;
+    },
+    readActivity: async (listId = DEFAULT_LIST_ID) => [...getActivity(listId)],
+    writeActivity: async (entries, listId = DEFAULT_LIST_ID) => {
+      container.activityByList = {
+        ...container.activityByList,
+        [listId]: entries,
+      };
+    },
+    readUsers: async () => [...(container.users || [])],
+    writeUsers: async (users) => {
+      container.users = users;
+    },
+    withListLock: createKeyedLock(),
+    withListsLock: createLock(),
+    // Nothing survives a restart (see storageHealth.js)
+    status: () => ({ durable: false, writable: true }),
+  };
+};
+
+// JSON file storage - each list lives in its own file on disk
+//   default list -> filePath (e.g. tasks.json)
+//   named list   -> filePath with the list id before ".json" (tasks.sprint-42.json)
+//   list names   -> listsFilePath (lists.json next to filePath by default)
+//   activity     -> activityFilePath (activity.json next to filePath by default),
+//                   named lists again with the list id (activity.sprint-42.json)
+//   accounts     -> usersFilePath (users.json next to filePath by default)
+// Files are cached in memory after the first read.
+//
+// Saves are crash-safe: the new contents go to a temporary file that is renamed over
+// the old one, so a file is always either the old or the new version, and the writes
+// of each file wait for each other in a queue. After a save, a copy goes to backupDir
+// (backups/ next to filePath) at most every backupIntervalMs, keeping the newest
+// backupCount copies per file: tasks.2024-05-01T10-00-00-000Z.json, ...
+// A file that cannot be parsed is copied to backupDir as <name>.<time>.corrupt and
+// replaced by its newest valid backup; without one, reads fail instead of returning
+// an empty list that the next save would write over the data.
+// On read-only filesystems (serverless bundles) the cache keeps working on its own.
+const READ_ONLY_ERRORS = ["EROFS", "EACCES", "EPERM"];
+const BACKUP_STAMP = "\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "2024-05-01T10:00:00.000Z" -> "2024-05-01T10-00-00-000Z" (valid in file names)
+const fileStamp = () => new Date().toISOString().replace(/[:.]/g, "-");
+
+const parseArray = (fileContents, targetPath) => {
+  const parsed = JSON.parse(fileContents);
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${targetPath} does not hold a JSON array`);
+  }
+  return parsed;
+};
+
+// Write through a temporary file in the same directory, flushed before the rename
+const writeFileAtomic = async (targetPath, contents) => {
+  const tempPath = `${targetPath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const file = await fs.open(tempPath, "w");
+    try {
+      await file.writeFile(contents, "utf8");
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.rename(tempPath, targetPath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+};
+
+export const createJsonFileStorage = ({
+  filePath,
+  listsFilePath = path.join(path.dirname(filePath), "lists.json"),
+  activityFilePath = path.join(path.dirname(filePath), "activity.json"),
+  usersFilePath = path.join(path.dirname(filePath), "users.json"),
+  backupDir = path.join(path.dirname(filePath), "backups"),
+  backupCount = 5,
+  backupIntervalMs = 60 * 1000,
+}) => {
+  const fileCache = new Map();
+  const lastBackupAt = new Map();
+  const corruptCopies = new Map();
+  let isPersistWritable = true;
+  let readOnlySince = null;
+
+  const perListPath = (basePath, listId) =>
+    listId === DEFAULT_LIST_ID
+      ? basePath
+      : basePath.replace(/(\.json)?$/, `.${listId}.json`);
+
+  // tasks.json -> "tasks", tasks.sprint-42.json -> "tasks.sprint-42"
+  const backupName = (targetPath) =>
+    path.basename(targetPath).replace(/\.json$/, "");
+
+  // Backups of one file, newest first
+  const listBackups = async (targetPath) => {
+    const pattern = new RegExp(
+      `^${escapeRegExp(backupName(targetPath))}\\.${BACKUP_STAMP}\\.json$`
+    );
+    try {
+      return (await fs.readdir(backupDir))
+        .filter((fileName) => pattern.test(fileName))
+        .sort()
+        .reverse()
+        .map((fileName) => path.join(backupDir, fileName));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const backUp = async (targetPath, contents) => {
+    const timestamp = Date.now();
+    if (timestamp - (lastBackupAt.get(targetPath) || 0) < backupIntervalMs) {
+      return;
+    }
+    try {
+      await fs.mkdir(backupDir, { recursive: true });
+      await writeFileAtomic(
+        path.join(backupDir, `${backupName(targetPath)}.${fileStamp()}.json`),
+        contents
+      );
+      lastBackupAt.set(targetPath, timestamp);
+      const outdated = (await listBackups(targetPath)).slice(backupCount);
+      await Promise.all(outdated.map((backupPath) => fs.rm(backupPath)));
+    } catch (error) {
+      // The save itself went through - a missing backup is worth a warning only
+      console.warn(`Unable to back up ${targetPath}`, error);
+    }
+  };
+
+  // Keep the corrupted file for inspection (once per process) - resolves with the
+  // copy's path, or null
+  const keepCorruptCopy = async (targetPath) => {
+    if (corruptCopies.has(targetPath)) {
+      return corruptCopies.get(targetPath);
+    }
+    const corruptPath = path.join(
+      backupDir,
+      `${backupName(targetPath)}.${fileStamp()}.corrupt`
+    );
+    try {
+      await fs.mkdir(backupDir, { recursive: true });
+      await fs.copyFile(targetPath, corruptPath);
+      corruptCopies.set(targetPath, corruptPath);
+      return corruptPath;
+    } catch (error) {
+      console.error(`Unable to keep a copy of ${targetPath}`, error);
+      return null;
+    }
+  };
+
+  // The newest backup of a corrupted file that parses, written back in its place
+  const recoverFromBackup = async (targetPath, parseError) => {
+    console.error(
+      `${targetPath} is corrupted (${parseError.message}), looking for a backup`
+    );
+    const corruptPath = await keepCorruptCopy(targetPath);
+    const kept = corruptPath
+      ? `the corrupted file was kept as ${corruptPath}`
+      : "the corrupted file could not be copied";
+    for (const backupPath of await listBackups(targetPath)) {
+      let fileContents;
+      let items;
+      try {
+        fileContents = await fs.readFile(backupPath, "utf8");
+        items = parseArray(fileContents, backupPath);
+      } catch (error) {
+        console.error(`Backup ${backupPath} is not usable either`, error);
+        continue;
+      }
+      try {
+        await writeFileAtomic(targetPath, fileContents);
+      } catch (error) {
+        console.error(
+          `Unable to write the recovered ${targetPath}, serving it from memory`,
+          error
+        );
+      }
+      console.error(
+        `Recovered ${targetPath} from ${backupPath} (${items.length} items); ${kept}`
+      );
+      return items;
+    }
+    throw new Error(
+      `${targetPath} is corrupted and has no valid backup - fix or restore the ` +
+        `file by hand (${kept})`
+    );
+  };
+
+  const loadArrayFromDisk = async (targetPath) => {
+    let fileContents;
+    try {
+      fileContents = await fs.readFile(targetPath, "utf8");
+    } catch (error) {
+      // A named list that was never written simply has no file yet
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    try {
+      return parseArray(fileContents, targetPath);
+    } catch (error) {
+      return recoverFromBackup(targetPath, error);
+    }
+  };
+
+  // Concurrent loads of one file share the same read (and recovery)
+  const readArray = async (targetPath) => {
+    if (!fileCache.has(targetPath)) {
+      const loading = loadArrayFromDisk(targetPath);
+      fileCache.set(targetPath, loading);
+      loading.catch(() => fileCache.delete(targetPath));
+    }
+    return fileCache.get(targetPath);
+  };
+
+  // Saves of one file run one after the other, in the order they were made
+  const enqueueWrite = createKeyedLock();
+
+  const writeArray = (targetPath, items) =>
+    enqueueWrite(targetPath, async () => {
+      if (isPersistWritable) {
+        const contents = JSON.stringify(items, null, 2);
+        try {
+          await writeFileAtomic(targetPath, contents);
+        } catch (error) {
+          if (!READ_ONLY_ERRORS.includes(error.code)) {
+            // Disk full, ...: the save fails and the cache keeps the saved data
+            console.error(`Unable to write ${targetPath}`, error);
+            throw error;
+          }
+          console.warn(
+            `${path.dirname(targetPath)} is read-only (${error.code}) - ` +
+              "changes are kept in memory until the process ends"
+          );
+          isPersistWritable = false;
+          readOnlySince = new Date().toISOString();
+        }
+        if (isPersistWritable) {
+          await backUp(targetPath, contents);
+        }
+      }
+      fileCache.set(targetPath, Promise.resolve(items));
+    });
+
+  // Load every data file once (e.g. at startup), so corrupted files are found and
+  // recovered before a request needs them - resolves with the paths that failed
+  const checkFiles = async () => {
+    const directory = path.dirname(filePath);
+    const perListPattern = (basePath) =>
+      new RegExp(`^${escapeRegExp(backupName(basePath))}\\..+\\.json$`);
+    let fileNames = [];
+    try {
+      fileNames = await fs.readdir(directory);
+    } catch (error) {
+      console.error(`Unable to list ${directory}`, error);
+    }
+    const targetPaths = new Set([
+      filePath,
+      listsFilePath,
+      activityFilePath,
+      usersFilePath,
+      ...fileNames
+        .filter(
+          (fileName) =>
+            perListPattern(filePath).test(fileName) ||
+            perListPattern(activityFilePath).test(fileName)
+        )
+        .map((fileName) => path.join(directory, fileName)),
+    ]);
+    const failed = [];
+    for (const targetPath of targetPaths) {
+      try {
+        await readArray(targetPath);
+      } catch (error) {
+        console.error(error.message);
+        failed.push(targetPath);
+      }
+    }
+    return failed;
+  };
+
+  return {
+    mode: "file",
+    readTasks: (listId = DEFAULT_LIST_ID) =>
+      readArray(perListPath(filePath, listId)),
+    writeTasks: (tasks, listId = DEFAULT_LIST_ID) =>
+      writeArray(perListPath(filePath, listId), tasks),
+    readLists: () => readArray(listsFilePath),
+    writeLists: (lists) => writeArray(listsFilePath, lists),
+    readActivity: (listId = DEFAULT_LIST_ID) =>
+      readArray(perListPath(activityFilePath, listId)),
+    writeActivity: (entries, listId = DEFAULT_LIST_ID) =>
+      writeArray(perListPath(activityFilePath, listId), entries),
+    readUsers: () => readArray(usersFilePath),
+    writeUsers: (users) => writeArray(usersFilePath, users),
+    withListLock: createKeyedLock(),
+    withListsLock: createLock(),
+    checkFiles,
+    // After a save hit a read-only filesystem, changes only live in the cache
+    status: () =>
+      isPersistWritable
+        ? { durable: true, writable: true }
+        : {
+            durable: false,
+            writable: false,
+            fallbackReason: `${path.dirname(
+              filePath
+            )} is read-only, changes are kept in memory`,
+            fallbackAt: readOnlySince,
+          },
+    // Drop the cached files so the next read hits the disk again
+    resetCache: () => {
+      fileCache.clear();
+    },
+  };
+};
+
+// One user's view of a shared storage adapter (servers with accounts)
+// Tasks and activity are stored under "<ownerId>.<listId>" (tasks.<ownerId>.default.json,
+// ...): a named list's data lives with its owner, so members of a shared list reach
+// the same tasks, and every user's default list is their own. The lists themselves
+// stay in one shared store, tagged with their owner's userId - which of them a user
+// may see is decided by the task service (createTaskService with userId)
+export const createUserStorage = (storage, userId) => {
+  const listKey = async (listId = DEFAULT_LIST_ID) => {
+    if (listId !== DEFAULT_LIST_ID) {
+      const lists = await storage.readLists();
+      const list = (Array.isArray(lists) ? lists : []).find(
+        (item) => item.id === listId
+      );
+      if (list && list.userId) {
+        return `${list.userId}.${listId}`;
+      }
+    }
+    return `${userId}.${listId}`;
+  };
+
+  return {
+    ...storage,
+    mode: `${storage.mode} (user ${userId})`,
+    readTasks: async (listId) => storage.readTasks(await listKey(listId)),
+    writeTasks: async (tasks, listId) =>
+      storage.writeTasks(tasks, await listKey(listId)),
+    readActivity: storage.readActivity
+      ? async (listId) => storage.readActivity(await listKey(listId))
+      : undefined,
+    writeActivity: storage.writeActivity
+      ? async (entries, listId) =>
+          storage.writeActivity(entries, await listKey(listId))
+      : undefined,
+    queryTasks: storage.queryTasks
+      ? async (listId, options) =>
+          storage.queryTasks(await listKey(listId), options)
+      : undefined,
+    // Locked by storage key, so the members of a shared list take turns with its owner
+    withListLock: storage.withListLock
+      ? async (listId, fn) => storage.withListLock(await listKey(listId), fn)
+      : undefined,
+  };
+};
+
+// Data stored before accounts were turned on: the default list under "default" and
+// named lists without an owner. createUserStorage looks for both under per-user keys
+// only, so the first account created takes them over - tasks and activity are copied
+// to "<userId>.<listId>" (unless that key already holds data) and the lists get userId
+// The old keys are left as they were (tasks.json stays untouched and doubles as a
+// backup): nothing reads them once there are accounts, and the accounts store is the
+// marker that the claim is done - it only runs while no account exists yet
+// Resolves with the IDs of the lists that were copied
+export const claimUnownedData = async (storage, userId) => {
+  const stored = await storage.readLists();
+  const lists = Array.isArray(stored) ? stored : [];
+  const unowned = lists.filter(
+    (list) => !list.userId && list.id !== DEFAULT_LIST_ID
+  );
+  const hasActivity =
+    typeof storage.readActivity === "function" &&
+    typeof storage.writeActivity === "function";
+  const copyArray = async (read, write, listId) => {
+    const items = await read(listId);
+    const targetKey = `${userId}.${listId}`;
+    if (!Array.isArray(items) || !items.length) {
+      return false;
+    }
+    const existing = await read(targetKey);
+    if (Array.isArray(existing) && existing.length) {
+      return false;
+    }
+    await write(items, targetKey);
+    return true;
+  };
+  const copied = [];
+  for (const listId of [DEFAULT_LIST_ID, ...unowned.map((list) => list.id)]) {
+    const copiedTasks = await copyArray(
+      storage.readTasks,
+      storage.writeTasks,
+      listId
+    );
+    const copiedActivity = hasActivity
+      ? await copyArray(storage.readActivity, storage.writeActivity, listId)
+      : false;
+    if (copiedTasks || copiedActivity) {
+      copied.push(listId);
+    }
+  }
+  if (unowned.length) {
+    await storage.writeLists(
+      lists.map((list) => (unowned.includes(list) ? { ...list, userId } : list))
+    );
+  }
+  return copied;
+};
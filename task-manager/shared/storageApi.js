@@ -0,0 +1,161 @@
+// Storage API - lets another deployment keep its data in this server's storage
+// The Netlify functions use it as their remote storage (REMOTE_TASKS_API, see
+// remoteStorage.js): they read and replace whole arrays, the way storage adapters do.
+//
+//   GET /storage/lists              -> { items, etag }
+//   PUT /storage/lists              { items } -> { etag }
+//   GET /storage/tasks/:listId      -> { items, etag }   (also /storage/activity/:listId)
+//   PUT /storage/tasks/:listId      { items } -> { etag }
+//
+// Every request needs "Authorization: Bearer <token>". A PUT with If-Match only goes
+// through while the stored array still has that ETag (412 VERSION_CONFLICT with the
+// current etag otherwise), so two writers cannot silently overwrite each other.
+import { createHash, timingSafeEqual } from "crypto";
+import { TaskError } from "./taskErrors.js";
+import { isValidListId, matchesETag } from "./taskModel.js";
+
+const jsonResult = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers,
+  body,
+});
+
+// Version of a stored array - changes whenever its contents do
+export const storageETag = (items) =>
+  `"${createHash("sha1")
+    .update(JSON.stringify(items))
+    .digest("base64url")
+    .slice(0, 16)}"`;
+
+const sha256 = (value) => createHash("sha256").update(String(value)).digest();
+
+const hasToken = (request, token) => {
+  const [scheme, candidate] = (
+    (request.headers || {}).authorization || ""
+  ).split(" ");
+  return (
+    Boolean(candidate) &&
+    scheme.toLowerCase() === "bearer" &&
+    timingSafeEqual(sha256(candidate), sha256(token))
+  );
+};
+
+// The adapter methods behind /storage/<collection>[/:listId]
+const COLLECTIONS = {
+  lists: { read: "readLists", write: "writeLists", keyed: false },
+  tasks: { read: "readTasks", write: "writeTasks", keyed: true },
+  activity: { read: "readActivity", write: "writeActivity", keyed: true },
+};
+
+const resolveTarget = (storage, segments) => {
+  const [, name, listId, ...rest] = segments;
+  const collection = COLLECTIONS[name];
+  if (
+    !collection ||
+    rest.length ||
+    Boolean(listId) !== collection.keyed ||
+    (listId && !isValidListId(listId)) ||
+    typeof storage[collection.read] !== "function"
+  ) {
+    return null;
+  }
+  const args = collection.keyed ? [listId] : [];
+  return {
+    read: async () => {
+      const items = await storage[collection.read](...args);
+      return Array.isArray(items) ? items : [];
+    },
+    write: (items) => storage[collection.write](items, ...args),
+    key: segments.join("/"),
+  };
+};
+
+// Build the storage API on top of a storage adapter
+// token is the shared secret (REPLICATION_TOKEN); without one the API stays closed
+export const createStorageApi = ({ storage, token }) => {
+  // Replacing an array waits for the previous replace of that array, so the ETag
+  // check and the write cannot interleave with another request
+  const writeQueues = new Map();
+  const enqueue = (key, run) => {
+    const queued = (writeQueues.get(key) || Promise.resolve()).then(run);
+    writeQueues.set(
+      key,
+      queued.catch(() => {})
+    );
+    return queued;
+  };
+
+  // Route a neutral request (see taskRoutes.js) below the API root
+  // Resolves with null for paths outside /storage
+  const handleRequest = async (request) => {
+    const segments = (request.path || "")
+      .split("?")[0]
+      .split("/")
+      .filter(Boolean);
+    if (segments[0] !== "storage" || !token) {
+      return null;
+    }
+    if (!hasToken(request, token)) {
+      return jsonResult(
+        401,
+        { msg: "a valid bearer token is required", code: "INVALID_API_KEY" },
+        { "WWW-Authenticate": "Bearer" }
+      );
+    }
+    const target = resolveTarget(storage, segments);
+    if (!target) {
+      return jsonResult(404, { msg: "route does not exist" });
+    }
+
+    try {
+      if (request.method === "GET") {
+        const items = await target.read();
+        const etag = storageETag(items);
+        return jsonResult(200, { items, etag }, { ETag: etag });
+      }
+      if (request.method !== "PUT") {
+        return jsonResult(
+          405,
+          { msg: "method not allowed" },
+          { Allow: "GET, PUT" }
+        );
+      }
+      const { items } = await request.readBody();
+      if (!Array.isArray(items)) {
+        throw new TaskError(400, "items must be an array", { field: "items" });
+      }
+      return await enqueue(target.key, async () => {
+        const currentETag = storageETag(await target.read());
+        if (!matchesETag((request.headers || {})["if-match"], currentETag)) {
+          return jsonResult(
+            412,
+            {
+              msg: "the stored data changed since it was read",
+              code: "VERSION_CONFLICT",
+              etag: currentETag,
+            },
+            { ETag: currentETag }
+          );
+        }
+        await target.write(items);
+        const etag = storageETag(items);
+        return jsonResult(200, { etag }, { ETag: etag });
+      });
+    } catch (error) {
+      if (error instanceof TaskError) {
+        return jsonResult(error.statusCode, {
+          msg: error.message,
+          code: error.code,
+          ...error.details,
+        });
+      }
+      console.error(`${request.method} Error:`, error);
+      return jsonResult(500, {
+        msg: "something went wrong",
+        code: "INTERNAL_ERROR",
+      });
+    }
+  };
+
+  return { handleRequest };
+};
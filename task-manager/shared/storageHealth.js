@@ -0,0 +1,175 @@
+// Storage health - what GET /api/health and /api/health/storage report on every backend
+// Wrap the storage adapter once, where the backend creates it, and hand the wrapped
+// adapter to the task service: every save then records when it last went through.
+//
+// Adapters may describe themselves with an optional status() method:
+//   status() -> { durable, writable, fallbackReason, fallbackAt }
+//     durable        - saved data survives a restart (false for memory storage)
+//     writable       - saves reach the storage at all
+//     fallbackReason - why the adapter runs in a weaker mode than configured, or null
+//     fallbackAt     - when that happened (ISO timestamp), or null
+//     remote         - optional state of a remote storage (see remoteStorage.js),
+//                      reported as it is
+// Adapters without status() are reported as durable and writable.
+import { DEFAULT_LIST_ID, isTrashed } from "./taskModel.js";
+
+const WRITE_METHODS = [
+  "writeTasks",
+  "writeLists",
+  "writeActivity",
+  "writeUsers",
+];
+
+const jsonResult = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers,
+  body,
+});
+
+// Storage keys of every task list: "default" and the list IDs, or - on servers with
+// accounts - "<userId>.default" per account and "<ownerId>.<listId>" per list, the
+// keys createUserStorage (storageAdapters.js) maps them to
+const readListKeys = async (storage) => {
+  const lists = await storage.readLists();
+  const users =
+    typeof storage.readUsers === "function" ? await storage.readUsers() : [];
+  if (!Array.isArray(users) || !users.length) {
+    return [DEFAULT_LIST_ID, ...(lists || []).map((list) => list.id)];
+  }
+  return [
+    ...users.map((user) => `${user.id}.${DEFAULT_LIST_ID}`),
+    ...(lists || []).map((list) => `${list.userId}.${list.id}`),
+  ];
+};
+
+const countLiveTasks = (tasks) =>
+  (Array.isArray(tasks) ? tasks : []).filter((task) => !isTrashed(task)).length;
+
+// Wrap a storage adapter - returns { storage, report }
+//   storage  - the adapter to use from now on (same methods, saves are recorded)
+//   report() - resolves with the storage report (see report below)
+export const createStorageHealth = (baseStorage) => {
+  let lastWriteAt = null;
+  let lastWriteError = null;
+
+  const recordWrite =
+    (method) =>
+    async (...args) => {
+      try {
+        const result = await baseStorage[method](...args);
+        lastWriteAt = new Date().toISOString();
+        lastWriteError = null;
+        return result;
+      } catch (error) {
+        lastWriteError = error.message;
+        throw error;
+      }
+    };
+
+  // Live tasks per storage key: every list is read once, for the first report, and
+  // the saves through this wrapper keep the numbers current from then on - so a
+  // health check (public, often polled) does not read every list again
+  let taskCounts = null;
+  let counting = null;
+
+  const countTasks = async () => {
+    if (!counting) {
+      const counts = new Map();
+      taskCounts = counts;
+      counting = (async () => {
+        for (const key of await readListKeys(baseStorage)) {
+          const tasks = await baseStorage.readTasks(key);
+          // A save made while counting already set the newer number
+          if (!counts.has(key)) {
+            counts.set(key, countLiveTasks(tasks));
+          }
+        }
+      })();
+      counting.catch(() => {
+        counting = null;
+        taskCounts = null;
+      });
+    }
+    await counting;
+    return [...taskCounts.values()].reduce((sum, count) => sum + count, 0);
+  };
+
+  const storage = { ...baseStorage };
+  // mode may be a getter that follows fallbacks (Netlify)
+  Object.defineProperty(storage, "mode", {
+    enumerable: true,
+    get: () => baseStorage.mode,
+  });
+  WRITE_METHODS.filter(
+    (method) => typeof baseStorage[method] === "function"
+  ).forEach((method) => {
+    storage[method] = recordWrite(method);
+  });
+  if (typeof baseStorage.writeTasks === "function") {
+    const writeTasks = recordWrite("writeTasks");
+    storage.writeTasks = async (tasks, key = DEFAULT_LIST_ID) => {
+      const result = await writeTasks(tasks, key);
+      if (taskCounts) {
+        taskCounts.set(key, countLiveTasks(tasks));
+      }
+      return result;
+    };
+  }
+
+  // { status, storageMode, durable, writable, fallbackReason, fallbackAt, taskCount,
+  //   lastWriteAt, lastWriteError, checkedAt, remote?, error? }
+  // status is "ok", "degraded" (not durable or not writable) or "error" (the storage
+  // cannot be read); lastWriteAt is null until the first save since the process started
+  const report = async () => {
+    const adapterStatus =
+      typeof baseStorage.status === "function" ? baseStorage.status() : {};
+    const durable = adapterStatus.durable !== false;
+    const writable = adapterStatus.writable !== false && !lastWriteError;
+    const result = {
+      storageMode: baseStorage.mode,
+      durable,
+      writable,
+      fallbackReason: adapterStatus.fallbackReason || null,
+      fallbackAt: adapterStatus.fallbackAt || null,
+      taskCount: null,
+      lastWriteAt,
+      lastWriteError,
+      checkedAt: new Date().toISOString(),
+      ...(adapterStatus.remote && { remote: adapterStatus.remote }),
+    };
+    try {
+      result.taskCount = await countTasks();
+    } catch (error) {
+      console.error("Health check could not read the storage", error);
+      return { status: "error", ...result, error: error.message };
+    }
+    return { status: durable && writable ? "ok" : "degraded", ...result };
+  };
+
+  return { storage, report };
+};
+
+// Route a neutral request (see taskRoutes.js) below the API root to the health report
+//   GET /health         -> { status, storage: report }
+//   GET /health/storage -> report
+// Both answer 503 when the storage cannot be read. Resolves with null for other paths
+export const handleHealthRequest = async (health, request) => {
+  const route = (request.path || "").split("?")[0].replace(/\/+$/, "");
+  if (route !== "/health" && route !== "/health/storage") {
+    return null;
+  }
+  if (request.method !== "GET") {
+    return jsonResult(405, { msg: "method not allowed" }, { Allow: "GET" });
+  }
+  const storageReport = await health.report();
+  const statusCode = storageReport.status === "error" ? 503 : 200;
+  const headers = { "Cache-Control": "no-store" };
+  if (route === "/health/storage") {
+    return jsonResult(statusCode, storageReport, headers);
+  }
+  return jsonResult(
+    statusCode,
+    { status: storageReport.status, storage: storageReport },
+    headers
+  );
+};
@@ -0,0 +1,55 @@
+// Activity log - what happened to the tasks of a list, by whom and when
+// The service appends an entry for every stored change; the log is kept per list
+// by the storage adapter (readActivity / writeActivity) and served at
+// GET /api/activity and GET /api/tasks/:id/activity
+//
+// Entry: { id, type, listId, taskId, title, actor, at, ...details }
+//   type    - "created", "renamed" ({ from, to }), "completed", "reopened",
+//             "updated" ({ fields }), "deleted" (moved to the trash), "restored",
+//             "purged" (deleted for good), "reordered" ({ count }, no taskId) or
+//             "imported" ({ count, trashed, format }, no taskId)
+//   actor   - who made the change (see readActor in taskRoutes.js), null if unknown
+//   title   - the task's title at the time, so entries stay readable after a purge
+
+// Entries kept per list - the oldest ones are dropped first
+export const MAX_ACTIVITY_PER_LIST = 500;
+export const DEFAULT_ACTIVITY_LIMIT = 50;
+export const MAX_ACTIVITY_LIMIT = 200;
+
+// Fields reported as "updated" - title and isDone have entries of their own
+const TRACKED_FIELDS = [
+  "priority",
+  "dueDate",
+  "notes",
+  "completeWithSubtasks",
+  "subtasks",
+  "assigneeId",
+];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What changed between two copies of a task, as activity types with their details
+export const describeTaskChanges = (before, after) => {
+  const changes = [];
+  if (before.title !== after.title) {
+    changes.push({ type: "renamed", from: before.title, to: after.title });
+  }
+  if (before.isDone !== after.isDone) {
+    changes.push({ type: after.isDone ? "completed" : "reopened" });
+  }
+  const fields = TRACKED_FIELDS.filter(
+    (field) => !isSameValue(before[field], after[field])
+  );
+  if (fields.length) {
+    changes.push({ type: "updated", fields });
+  }
+  return changes;
+};
+
+// Newest first, at most limit entries (logs are stored oldest first, and entries
+// written by the same change share a timestamp)
+export const latestActivity = (entries, limit) =>
+  [...entries]
+    .reverse()
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
@@ -0,0 +1,19 @@
+// Error type shared by the task core and every backend adapter
+// Error thrown for problems the caller can fix (missing title, unknown task id, ...)
+// statusCode lets the HTTP adapters turn it straight into a response, and
+// code/details end up in the JSON body so clients can react without parsing msg
+const DEFAULT_ERROR_CODES = {
+  400: "VALIDATION_ERROR",
+  404: "TASK_NOT_FOUND",
+  412: "VERSION_CONFLICT",
+};
+
+export class TaskError extends Error {
+  constructor(statusCode, msg, { code, ...details } = {}) {
+    super(msg);
+    this.name = "TaskError";
+    this.statusCode = statusCode;
+    this.code = code || DEFAULT_ERROR_CODES[statusCode] || "TASK_ERROR";
+    this.details = details;
+  }
+}
@@ -0,0 +1,52 @@
+// Task change events for live updates
+// The routes report every successful write as an event; a hub fans the events out to
+// subscribers (the Express server streams them to browsers at GET /api/events)
+//
+// Event: { id, type, listId, origin, at, ...data }
+//   type   - "task.created" / "task.updated" ({ task }), "task.removed" / "task.purged" ({ taskId }),
+//            "tasks.bulk" ({ updated, removed }), "tasks.reordered" ({ ids }),
+//            "tasks.restored" ({ restored: [{ task, index }] }),
+//            "tasks.imported" ({ imported: [task], trashed: [taskId] }),
+//            "list.created" / "list.updated" ({ list, removedUserId? }), "list.removed" ({ list })
+//            and "resync" (events were missed - reload everything)
+//   origin - X-Client-Id of the browser tab that made the change, so it can skip its own
+//   id     - increasing number, used as the SSE event id
+
+// Events kept for clients that reconnect with Last-Event-ID
+const DEFAULT_HISTORY_SIZE = 200;
+
+export const createTaskEventHub = ({
+  historySize = DEFAULT_HISTORY_SIZE,
+} = {}) => {
+  const listeners = new Set();
+  let history = [];
+  let lastId = 0;
+
+  const publish = (event) => {
+    lastId += 1;
+    const stored = { ...event, id: lastId, at: new Date().toISOString() };
+    history = [...history, stored].slice(-historySize);
+    listeners.forEach((listener) => listener(stored));
+    return stored;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Events after lastEventId, or a single "resync" when some of them are gone already
+  // (or the ID comes from before a server restart)
+  const eventsSince = (lastEventId) => {
+    const since = Number(lastEventId);
+    if (!lastEventId || !Number.isInteger(since) || since === lastId) {
+      return [];
+    }
+    if (since > lastId || history[0].id > since + 1) {
+      return [{ id: lastId, type: "resync" }];
+    }
+    return history.filter((event) => event.id > since);
+  };
+
+  return { publish, subscribe, eventsSince };
+};
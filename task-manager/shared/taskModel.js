@@ -0,0 +1,524 @@
+// Task model - the shape of a task (and of task lists), defaults and per-field validators
+// Task: { id, title, isDone, priority, dueDate, notes, subtasks, completeWithSubtasks,
+//         version, createdAt, updatedAt, completedAt, deletedAt }
+//   dueDate            - "YYYY-MM-DD" or null
+//   subtasks           - ordered checklist: [{ id, title, isDone }]
+//   completeWithSubtasks - when true, the task is done exactly when all subtasks are done
+//   version            - starts at 1 and goes up with every stored change (ETag / If-Match)
+//   createdAt/updatedAt/completedAt - ISO timestamps (completedAt is null while open)
+//   deletedAt          - set while the task is in the trash, null otherwise
+//   userId             - creator, on servers with accounts (see accountService.js); absent elsewhere
+//   assigneeId         - user the task is assigned to (a member of its list), or null
+import { createHash, randomBytes } from "crypto";
+import { TaskError } from "./taskErrors.js";
+
+// List: { id, name, createdAt, updatedAt }
+// The default list always exists; it is the original single list served at /api/tasks
+// On servers with accounts a list also has userId (its owner), members
+// ([{ userId, name, role }], the owner included) and invitations (see SHARING below)
+export const DEFAULT_LIST_ID = "default";
+export const DEFAULT_LIST_NAME = "my tasks";
+const MAX_LIST_NAME_LENGTH = 80;
+
+export const TASK_PRIORITIES = ["low", "normal", "high", "urgent"];
+export const DEFAULT_PRIORITY = "normal";
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_SUBTASKS = 100;
+const MAX_ASSIGNEE_ID_LENGTH = 64;
+// Maintained by the service itself - clients can read but never write them
+// (subtasks are changed through /tasks/:id/subtasks)
+const READ_ONLY_FIELDS = [
+  "id",
+  "subtasks",
+  "version",
+  "createdAt",
+  "updatedAt",
+  "completedAt",
+  "deletedAt",
+  "userId",
+];
+
+// URL-safe random ID generator built on Node's crypto module
+// Works everywhere without depending on nanoid (whose ESM-only builds break some bundlers)
+export const createId = (size = 21) => {
+  let id = "";
+  // Generate random bytes, convert to base64, filter to alphanumeric only
+  while (id.length < size) {
+    id += randomBytes(size)
+      .toString("base64")
+      .replace(/[^a-zA-Z0-9]/g, "");
+  }
+  return id.slice(0, size);
+};
+
+// Fill in fields that tasks stored before the rich model was introduced do not have
+export const normalizeTask = (task) => ({
+  ...task,
+  isDone: Boolean(task.isDone),
+  priority: TASK_PRIORITIES.includes(task.priority)
+    ? task.priority
+    : DEFAULT_PRIORITY,
+  dueDate: task.dueDate || null,
+  notes: typeof task.notes === "string" ? task.notes : "",
+  subtasks: Array.isArray(task.subtasks)
+    ? task.subtasks.map((subtask) => ({
+        id: subtask.id,
+        title: subtask.title,
+        isDone: Boolean(subtask.isDone),
+      }))
+    : [],
+  completeWithSubtasks: Boolean(task.completeWithSubtasks),
+  assigneeId: task.assigneeId || null,
+  version:
+    Number.isInteger(task.version) && task.version > 0 ? task.version : 1,
+  createdAt: task.createdAt || null,
+  updatedAt: task.updatedAt || task.createdAt || null,
+  completedAt: task.isDone ? task.completedAt || null : null,
+  deletedAt: task.deletedAt || null,
+});
+
+// Build a brand new task from already validated fields
+// A task created as done counts as completed when it was created
+export const buildTask = ({ id, title, timestamp, ...fields }) =>
+  normalizeTask({
+    id,
+    title,
+    isDone: false,
+    ...fields,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    completedAt: fields.isDone ? timestamp : null,
+  });
+
+// Seed tasks shown when a store starts out empty
+export const buildDefaultTasks = (generateId = createId) => {
+  const timestamp = new Date().toISOString();
+  return [
+    { title: "walk the dog", isDone: false },
+    { title: "wash dishes", isDone: false },
+    { title: "drink coffee", isDone: true },
+  ].map(({ title, isDone }) => ({
+    ...buildTask({ id: generateId(), title, timestamp }),
+    isDone,
+    completedAt: isDone ? timestamp : null,
+  }));
+};
+
+// Task and subtask titles are one line in the list, so they are kept short
+const validateTitle = (title) => {
+  if (typeof title !== "string" || !title.trim()) {
+    throw new TaskError(400, "please provide title", { field: "title" });
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    throw new TaskError(
+      400,
+      `title must be at most ${MAX_TITLE_LENGTH} characters`,
+      { field: "title" }
+    );
+  }
+  return title.trim();
+};
+
+const validateIsDone = (isDone) => {
+  if (typeof isDone !== "boolean") {
+    throw new TaskError(400, "please provide isDone boolean", {
+      field: "isDone",
+    });
+  }
+  return isDone;
+};
+
+const validatePriority = (priority) => {
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw new TaskError(
+      400,
+      `priority must be one of ${TASK_PRIORITIES.join(", ")}`,
+      { field: "priority" }
+    );
+  }
+  return priority;
+};
+
+// Due dates are calendar days ("2024-05-31"); null or "" clears the date
+const validateDueDate = (dueDate) => {
+  if (dueDate === null || dueDate === "") {
+    return null;
+  }
+  const isCalendarDay =
+    typeof dueDate === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(dueDate) &&
+    new Date(`${dueDate}T00:00:00Z`).toISOString().startsWith(dueDate);
+  if (!isCalendarDay) {
+    throw new TaskError(400, "dueDate must be a YYYY-MM-DD date or null", {
+      field: "dueDate",
+    });
+  }
+  return dueDate;
+};
+
+const validateFlag = (field) => (value) => {
+  if (typeof value !== "boolean") {
+    throw new TaskError(400, `please provide ${field} boolean`, { field });
+  }
+  return value;
+};
+
+const validateNotes = (notes) => {
+  if (typeof notes !== "string" || notes.length > MAX_NOTES_LENGTH) {
+    throw new TaskError(
+      400,
+      `notes must be text of at most ${MAX_NOTES_LENGTH} characters`,
+      { field: "notes" }
+    );
+  }
+  return notes;
+};
+
+// A user ID or null (unassigned); whether the user may be assigned is up to the service
+const validateAssigneeId = (assigneeId) => {
+  if (assigneeId === null || assigneeId === "") {
+    return null;
+  }
+  if (
+    typeof assigneeId !== "string" ||
+    assigneeId.length > MAX_ASSIGNEE_ID_LENGTH
+  ) {
+    throw new TaskError(400, "assigneeId must be a user id or null", {
+      field: "assigneeId",
+    });
+  }
+  return assigneeId;
+};
+
+// Fields a client may change through PATCH, each with its validator
+// A validator returns the cleaned value or throws a 400 TaskError naming the field
+const editableFields = {
+  title: validateTitle,
+  isDone: validateIsDone,
+  priority: validatePriority,
+  dueDate: validateDueDate,
+  notes: validateNotes,
+  completeWithSubtasks: validateFlag("completeWithSubtasks"),
+  assigneeId: validateAssigneeId,
+};
+
+// Validate the body of a create request; title is required, the rest optional
+// isDone may be sent to create a task that is already done (imports, quick logging)
+export const validateNewTask = (input) => {
+  if (!input || typeof input !== "object") {
+    throw new TaskError(400, "please provide title", { field: "title" });
+  }
+  const { title, ...optional } = input;
+  return {
+    ...validateTaskChanges(optional, { allowEmpty: true }),
+    title: validateTitle(title),
+  };
+};
+
+// Validate a partial update and return only the cleaned, known fields
+// id and any unknown field are rejected so typos do not silently do nothing
+export const validateTaskChanges = (changes, { allowEmpty = false } = {}) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new TaskError(400, "please provide the fields to update");
+  }
+  const entries = Object.entries(changes);
+  if (entries.length === 0 && !allowEmpty) {
+    throw new TaskError(400, "please provide at least one field to update");
+  }
+  return entries.reduce((cleaned, [field, value]) => {
+    const validate = editableFields[field];
+    if (!validate) {
+      const msg = READ_ONLY_FIELDS.includes(field)
+        ? `field ${field} cannot be updated`
+        : `unknown field ${field}`;
+      throw new TaskError(400, msg, { field });
+    }
+    return { ...cleaned, [field]: validate(value) };
+  }, {});
+};
+
+// Apply validated changes to a task and maintain the timestamps and version
+// completedAt is set when a task is completed and cleared when it is reopened
+export const applyTaskChanges = (task, changes, timestamp) => {
+  const updated = {
+    ...task,
+    ...changes,
+    version: task.version + 1,
+    updatedAt: timestamp,
+  };
+  if (changes.isDone === true && !task.isDone) {
+    updated.completedAt = timestamp;
+  }
+  if (changes.isDone === false) {
+    updated.completedAt = null;
+  }
+  return updated;
+};
+
+// List IDs end up in storage keys and file names, so only URL-safe characters are allowed
+export const isValidListId = (listId) =>
+  typeof listId === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(listId);
+
+// Task IDs follow the same rules, minus the words the routes use after /tasks/
+// (see routeTasks in taskRoutes.js) - a task called "bulk" could never be reached
+const RESERVED_TASK_IDS = ["bulk", "reorder", "restore", "export", "import"];
+
+export const isValidTaskId = (taskId) =>
+  isValidListId(taskId) && !RESERVED_TASK_IDS.includes(taskId);
+
+// ============================================
+// RESTORE (undo of a delete)
+// ============================================
+
+const isTimestamp = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+const invalidRestore = (msg, field) =>
+  new TaskError(400, msg, { field: field ? `task.${field}` : "task" });
+
+// Validate a task sent back for restoring - the full task as the client read it
+// Only the ID, the editable fields, the subtasks, createdAt/completedAt and the version
+// are taken over; everything else is rebuilt like for a new task
+export const validateRestoredTask = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw invalidRestore("please provide the task to restore");
+  }
+  const { id, title, subtasks = [], createdAt, completedAt, version } = input;
+  if (!isValidTaskId(id)) {
+    throw invalidRestore("please provide the id of the task to restore", "id");
+  }
+  const editable = Object.fromEntries(
+    Object.keys(editableFields)
+      .filter((field) => field !== "title" && input[field] !== undefined)
+      .map((field) => [field, input[field]])
+  );
+  const isSubtaskList =
+    Array.isArray(subtasks) &&
+    subtasks.length <= MAX_SUBTASKS &&
+    subtasks.every(
+      (subtask) =>
+        subtask &&
+        isValidListId(subtask.id) &&
+        typeof subtask.title === "string" &&
+        subtask.title.trim() &&
+        subtask.title.trim().length <= MAX_TITLE_LENGTH &&
+        typeof subtask.isDone === "boolean"
+    );
+  if (!isSubtaskList) {
+    throw invalidRestore(
+      `subtasks must be a list of at most ${MAX_SUBTASKS} { id, title, isDone }`,
+      "subtasks"
+    );
+  }
+  if (
+    createdAt !== undefined &&
+    createdAt !== null &&
+    !isTimestamp(createdAt)
+  ) {
+    throw invalidRestore("createdAt must be an ISO timestamp", "createdAt");
+  }
+  return {
+    id,
+    title: validateTitle(title),
+    ...validateTaskChanges(editable, { allowEmpty: true }),
+    subtasks,
+    createdAt: createdAt || null,
+    completedAt: isTimestamp(completedAt) ? completedAt : null,
+    version: Number.isInteger(version) && version > 0 ? version : 1,
+  };
+};
+
+// Rebuild a validated task; the version moves on so copies read before the delete
+// cannot be written back over it with an old If-Match
+export const buildRestoredTask = (fields, timestamp) =>
+  normalizeTask({
+    ...fields,
+    createdAt: fields.createdAt || timestamp,
+    completedAt: fields.isDone ? fields.completedAt || timestamp : null,
+    version: fields.version + 1,
+    updatedAt: timestamp,
+  });
+
+export const validateListName = (name) => {
+  if (
+    typeof name !== "string" ||
+    !name.trim() ||
+    name.trim().length > MAX_LIST_NAME_LENGTH
+  ) {
+    throw new TaskError(
+      400,
+      `please provide a list name of at most ${MAX_LIST_NAME_LENGTH} characters`,
+      { field: "name" }
+    );
+  }
+  return name.trim();
+};
+
+// The default list is not stored until it is renamed; this is its implicit record
+// With accounts it belongs to the user asking (owner: { userId, name, role: "owner" })
+export const buildDefaultList = (owner = null) => ({
+  id: DEFAULT_LIST_ID,
+  name: DEFAULT_LIST_NAME,
+  createdAt: null,
+  updatedAt: null,
+  ...(owner ? { userId: owner.userId, members: [owner] } : {}),
+});
+
+// ============================================
+// SHARING
+// ============================================
+
+// owner  - renames, deletes and shares the list, manages its members
+// editor - changes the tasks of the list
+// viewer - reads the tasks only
+// Ordered from the fewest rights to the most
+export const LIST_ROLES = ["viewer", "editor", "owner"];
+// A list has exactly one owner, so invitations and role changes grant these
+const MEMBER_ROLES = ["editor", "viewer"];
+export const INVITATION_TTL_DAYS = 7;
+
+export const hasListRole = (role, needed) =>
+  LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(needed);
+
+export const validateMemberRole = (role) => {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new TaskError(400, `role must be one of ${MEMBER_ROLES.join(", ")}`, {
+      field: "role",
+    });
+  }
+  return role;
+};
+
+// Invitation: { token, role, createdAt, expiresAt } - single use, kept on the list
+export const buildInvitation = ({ token, role, timestamp }) => ({
+  token,
+  role,
+  createdAt: timestamp,
+  expiresAt: new Date(
+    Date.parse(timestamp) + INVITATION_TTL_DAYS * DAY_MS
+  ).toISOString(),
+});
+
+export const isInvitationExpired = (invitation, timestamp) =>
+  Date.parse(invitation.expiresAt) <= Date.parse(timestamp);
+
+// ============================================
+// SUBTASKS
+// ============================================
+
+// Validate the body of a subtask create request - { title, isDone? }
+export const validateNewSubtask = (input, subtaskCount) => {
+  if (subtaskCount >= MAX_SUBTASKS) {
+    throw new TaskError(
+      400,
+      `a task can hold at most ${MAX_SUBTASKS} subtasks`,
+      {
+        field: "subtasks",
+      }
+    );
+  }
+  const { title, isDone = false } = input || {};
+  return { title: validateTitle(title), isDone: validateIsDone(isDone) };
+};
+
+// Validate a partial subtask update - only title and isDone can change
+export const validateSubtaskChanges = (changes) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new TaskError(400, "please provide the fields to update");
+  }
+  const entries = Object.entries(changes);
+  if (entries.length === 0) {
+    throw new TaskError(400, "please provide at least one field to update");
+  }
+  const subtaskFields = { title: validateTitle, isDone: validateIsDone };
+  return entries.reduce((cleaned, [field, value]) => {
+    if (!subtaskFields[field]) {
+      throw new TaskError(400, `unknown field ${field}`, { field });
+    }
+    return { ...cleaned, [field]: subtaskFields[field](value) };
+  }, {});
+};
+
+// Apply new subtasks to a task and, with completeWithSubtasks set, keep the task's
+// own done state in line: done once every subtask is done, open again otherwise
+// Counts as one change: the version goes up once even when the done state follows
+export const applySubtasks = (task, subtasks, timestamp) => {
+  const updated = applyTaskChanges(task, { subtasks }, timestamp);
+  if (!task.completeWithSubtasks || subtasks.length === 0) {
+    return updated;
+  }
+  const allDone = subtasks.every((subtask) => subtask.isDone);
+  if (allDone === task.isDone) {
+    return updated;
+  }
+  return applyTaskChanges(task, { subtasks, isDone: allDone }, timestamp);
+};
+
+// ============================================
+// TRASH (soft delete)
+// ============================================
+
+// A deleted task stays in the stored array, in the slot it had, with deletedAt set
+// It is left out of every task view until it is restored, purged, or its
+// retention period runs out
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (task) => Boolean(task.deletedAt);
+
+// Days a trashed task is kept (TRASH_RETENTION_DAYS); anything but a positive
+// number falls back to the default
+export const parseRetentionDays = (value) => {
+  const days = Number(value);
+  return value !== undefined && value !== "" && days > 0
+    ? days
+    : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+export const isTrashExpired = (task, timestamp, retentionDays) =>
+  isTrashed(task) &&
+  Date.parse(task.deletedAt) <= Date.parse(timestamp) - retentionDays * DAY_MS;
+
+// Moving a task in or out of the trash is a change like any other: new version
+export const trashTask = (task, timestamp) => ({
+  ...task,
+  deletedAt: timestamp,
+  updatedAt: timestamp,
+  version: task.version + 1,
+});
+
+export const untrashTask = (task, timestamp) => ({
+  ...task,
+  deletedAt: null,
+  updatedAt: timestamp,
+  version: task.version + 1,
+});
+
+// ============================================
+// VERSIONS (ETag / If-Match)
+// ============================================
+
+// A task's ETag is its version number: "3"
+export const taskETag = (task) => `"${task.version}"`;
+
+// A list's ETag changes whenever a task is added, changed, removed or moved,
+// so it is derived from the ordered task IDs and versions instead of being stored
+export const listETag = (tasks) =>
+  `"${createHash("sha1")
+    .update(tasks.map((task) => `${task.id}:${task.version}`).join(","))
+    .digest("base64url")
+    .slice(0, 16)}"`;
+
+// Does an If-Match header allow a write to a resource with this ETag?
+// A missing header always does (clients that do not send it keep working);
+// "*", weak validators (W/"3") and comma-separated lists are understood
+export const matchesETag = (ifMatch, etag) => {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === "") {
+    return true;
+  }
+  return String(ifMatch)
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+};
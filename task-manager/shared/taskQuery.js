@@ -0,0 +1,205 @@
+// Filtering, sorting and pagination for task lists
+// Pure functions with no Node dependencies, so the React client can import this
+// module too and filter a cached list exactly the way the API would
+import { TaskError } from "./taskErrors.js";
+
+export const TASK_STATUSES = ["all", "open", "done"];
+// "position" is the manual order (the order tasks are stored in, changed by reordering)
+export const TASK_SORTS = [
+  "position",
+  "created",
+  "title",
+  "dueDate",
+  "priority",
+];
+export const MAX_PAGE_SIZE = 100;
+
+// Direction used when the client does not send ?order=
+// Priority defaults to most urgent first, everything else to ascending
+const DEFAULT_ORDER = {
+  position: "asc",
+  created: "asc",
+  title: "asc",
+  dueDate: "asc",
+  priority: "desc",
+};
+
+// Sort rank of each priority (storage adapters that sort themselves use it too)
+export const PRIORITY_RANK = { low: 0, normal: 1, high: 2, urgent: 3 };
+
+const invalidParam = (param, msg) =>
+  new TaskError(400, msg, { code: "INVALID_QUERY", param });
+
+const parsePositiveInt = (value, param, max = Infinity) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw invalidParam(
+      param,
+      `${param} must be a whole number between 1 and ${max}`
+    );
+  }
+  return number;
+};
+
+// Turn raw query-string values into validated query options
+// Unset values fall back to "everything, in manual order, unpaginated"
+export const parseTaskQuery = (query = {}) => {
+  const status = query.status || "all";
+  if (!TASK_STATUSES.includes(status)) {
+    throw invalidParam(
+      "status",
+      `status must be one of ${TASK_STATUSES.join(", ")}`
+    );
+  }
+
+  const sort = query.sort || "position";
+  if (!TASK_SORTS.includes(sort)) {
+    throw invalidParam("sort", `sort must be one of ${TASK_SORTS.join(", ")}`);
+  }
+
+  const order = query.order || DEFAULT_ORDER[sort];
+  if (order !== "asc" && order !== "desc") {
+    throw invalidParam("order", "order must be asc or desc");
+  }
+
+  const limit = query.limit
+    ? parsePositiveInt(query.limit, "limit", MAX_PAGE_SIZE)
+    : null;
+  const page = query.page ? parsePositiveInt(query.page, "page") : null;
+  if (page && query.cursor) {
+    throw invalidParam("cursor", "use either page or cursor, not both");
+  }
+
+  return {
+    status,
+    q: typeof query.q === "string" ? query.q.trim().toLowerCase() : "",
+    sort,
+    order,
+    limit,
+    page,
+    cursor: query.cursor || null,
+  };
+};
+
+const compareDueDates = (a, b) => {
+  // Tasks without a due date always go last, whatever the direction
+  if (!a.task.dueDate || !b.task.dueDate) {
+    return 0;
+  }
+  return a.task.dueDate.localeCompare(b.task.dueDate);
+};
+
+const comparators = {
+  position: (a, b) => a.index - b.index,
+  // Tasks stored before timestamps existed have no createdAt and sort as oldest
+  created: (a, b) =>
+    (a.task.createdAt || "").localeCompare(b.task.createdAt || ""),
+  title: (a, b) =>
+    a.task.title.localeCompare(b.task.title, undefined, {
+      sensitivity: "base",
+    }),
+  dueDate: compareDueDates,
+  priority: (a, b) =>
+    (PRIORITY_RANK[a.task.priority] ?? PRIORITY_RANK.normal) -
+    (PRIORITY_RANK[b.task.priority] ?? PRIORITY_RANK.normal),
+};
+
+const sortTasks = (tasks, sort, order) => {
+  const direction = order === "desc" ? -1 : 1;
+  return tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => {
+      if (
+        sort === "dueDate" &&
+        Boolean(a.task.dueDate) !== Boolean(b.task.dueDate)
+      ) {
+        return a.task.dueDate ? -1 : 1;
+      }
+      // Insertion order breaks ties so pages stay stable between requests
+      return comparators[sort](a, b) * direction || a.index - b.index;
+    })
+    .map(({ task }) => task);
+};
+
+// Move the given tasks into a new order while every other task keeps its place
+// The listed tasks are written back into the slots they occupied, in the order of ids,
+// so reordering a filtered view (only open tasks, one page) leaves hidden tasks untouched.
+// IDs that are not in the list are ignored.
+export const applyTaskOrder = (tasks, ids) => {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const orderedIds = ids.filter((id) => byId.has(id));
+  const movedIds = new Set(orderedIds);
+  let nextSlot = 0;
+  return tasks.map((task) =>
+    movedIds.has(task.id) ? byId.get(orderedIds[nextSlot++]) : task
+  );
+};
+
+// Cursors are "<offset>:<id of the last task on the page>"
+// The id keeps paging stable when tasks before the cursor were added or removed;
+// the offset is the fallback when that task no longer matches
+export const encodeCursor = (offset, task) => `${offset}:${task.id}`;
+
+// { offset, lastId } of a cursor, or a 400 TaskError for malformed ones
+export const parseCursor = (cursor) => {
+  const separator = cursor.indexOf(":");
+  const offset = Number(cursor.slice(0, separator));
+  const lastId = cursor.slice(separator + 1);
+  if (separator < 1 || !Number.isInteger(offset) || offset < 0) {
+    throw invalidParam("cursor", "cursor is not valid");
+  }
+  return { offset, lastId };
+};
+
+const resolveCursor = (cursor, tasks) => {
+  const { offset, lastId } = parseCursor(cursor);
+  const lastIndex = tasks.findIndex((task) => task.id === lastId);
+  return lastIndex === -1 ? offset : lastIndex + 1;
+};
+
+// Apply parsed query options to a task list
+// Resolves to { taskList, total, counts } plus page/limit/nextCursor/hasMore when paginated
+// total counts every task matching the filters, not just the current page
+export const queryTasks = (tasks, options) => {
+  const { status, q, sort, order, limit, page, cursor } = options;
+  // Counts over the whole list (ignoring filters) for "3 of 12 remaining" style summaries
+  const doneCount = tasks.filter((task) => task.isDone).length;
+  const counts = {
+    all: tasks.length,
+    open: tasks.length - doneCount,
+    done: doneCount,
+  };
+  const filtered = tasks.filter((task) => {
+    if (status === "open" && task.isDone) {
+      return false;
+    }
+    if (status === "done" && !task.isDone) {
+      return false;
+    }
+    return !q || task.title.toLowerCase().includes(q);
+  });
+  const sorted = sortTasks(filtered, sort, order);
+  const total = sorted.length;
+
+  if (!limit) {
+    return { taskList: sorted, total, counts };
+  }
+
+  const start = cursor
+    ? resolveCursor(cursor, sorted)
+    : ((page || 1) - 1) * limit;
+  const taskList = sorted.slice(start, start + limit);
+  const end = start + taskList.length;
+  const hasMore = end < total;
+  return {
+    taskList,
+    total,
+    counts,
+    limit,
+    page: Math.floor(start / limit) + 1,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor(end, taskList[taskList.length - 1])
+      : null,
+  };
+};
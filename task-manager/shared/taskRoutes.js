@@ -0,0 +1,504 @@
+// Platform-neutral routing for the task API
+// The Express, Vercel and Netlify adapters translate their own request objects into
+// a plain { method, path, query, headers, readBody } request (header names in lower case),
+// call handleTaskRequest, and translate the { statusCode, headers, body } result back
+// into their response format
+// A result body is JSON, or a string to send as it is (file exports) - the headers
+// then carry its Content-Type
+// An adapter may add request.onChange(event): it is called after every successful write
+// with a change event (see taskEvents.js) - the Express server uses it for live updates
+import { TaskError } from "./taskErrors.js";
+import { DEFAULT_LIST_ID, taskETag } from "./taskModel.js";
+
+const jsonResult = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers,
+  body,
+});
+
+// Parse a raw JSON request body, treating an empty body as {}
+// Shared by adapters that receive the body as a string or buffer
+export const parseJsonBody = (rawBody) => {
+  if (!rawBody) {
+    return {};
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    throw new TaskError(400, "invalid JSON body", { code: "INVALID_JSON" });
+  }
+};
+
+// Split "/tasks/abc/" into ["tasks", "abc"]
+// A malformed escape like "%E0%A4%A" cannot name a task or list, so it is a 400
+const splitPath = (path = "") =>
+  path
+    .split("?")[0]
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        throw new TaskError(400, `malformed path segment ${segment}`, {
+          field: "path",
+        });
+      }
+    });
+
+// Writes can carry If-Match with an ETag from an earlier read; the service answers
+// 412 when the task or list changed since then
+const readIfMatch = (request) => (request.headers || {})["if-match"];
+
+// Who makes the change, for the activity log: adapters that know the user set
+// request.actor; otherwise it is the browser tab's X-Client-Id
+const readActor = (request) =>
+  request.actor || (request.headers || {})["x-client-id"] || null;
+
+const notifyChange = (request, event) => {
+  if (request.onChange) {
+    request.onChange(event);
+  }
+};
+
+const methodNotAllowed = (allow) =>
+  jsonResult(405, { msg: "method not allowed" }, { Allow: allow });
+
+// /tasks (or /lists/:listId/tasks) - `tasks` is the service scoped to one list
+const handleCollection = async (tasks, request) => {
+  if (request.method === "GET") {
+    // { taskList, total } plus pagination fields when ?limit= is set
+    // (?deleted=true lists the trash and adds retentionDays)
+    // The list's ETag goes in the header, for If-Match on bulk and reorder
+    const { etag, ...result } = await tasks.findTasks(request.query);
+    return jsonResult(200, result, { ETag: etag });
+  }
+
+  if (request.method === "POST") {
+    const body = await request.readBody();
+    const task = await tasks.createTask(body);
+    notifyChange(request, {
+      type: "task.created",
+      listId: tasks.listId,
+      task,
+    });
+    return jsonResult(200, { task }, { ETag: taskETag(task) });
+  }
+
+  return methodNotAllowed("GET, POST");
+};
+
+// /tasks/:id (or /lists/:listId/tasks/:id)
+const handleItem = async (tasks, request, taskId) => {
+  if (request.method === "PATCH") {
+    const body = await request.readBody();
+    const task = await tasks.updateTask(taskId, body, {
+      ifMatch: readIfMatch(request),
+    });
+    notifyChange(request, {
+      type: "task.updated",
+      listId: tasks.listId,
+      task,
+    });
+    return jsonResult(
+      200,
+      { msg: "task updated", task },
+      { ETag: taskETag(task) }
+    );
+  }
+
+  // Moves the task to the trash; ?permanent=true removes it for good (also from the trash)
+  if (request.method === "DELETE") {
+    const permanent = (request.query || {}).permanent === "true";
+    const options = { ifMatch: readIfMatch(request) };
+    if (permanent) {
+      await tasks.purgeTask(taskId, options);
+    } else {
+      await tasks.removeTask(taskId, options);
+    }
+    notifyChange(request, {
+      type: permanent ? "task.purged" : "task.removed",
+      listId: tasks.listId,
+      taskId,
+    });
+    return jsonResult(200, {
+      msg: permanent ? "task deleted permanently" : "task moved to trash",
+    });
+  }
+
+  return methodNotAllowed("PATCH, DELETE");
+};
+
+// /tasks/:id/restore - take one task out of the trash
+const handleItemRestore = async (tasks, request, taskId) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const result = await tasks.restoreFromTrash(taskId, {
+    ifMatch: readIfMatch(request),
+  });
+  notifyChange(request, {
+    type: "tasks.restored",
+    listId: tasks.listId,
+    restored: [result],
+  });
+  return jsonResult(
+    200,
+    { msg: "task restored", ...result },
+    { ETag: taskETag(result.task) }
+  );
+};
+
+// /tasks/:id/activity
+const handleTaskActivity = async (tasks, request, taskId) => {
+  if (request.method !== "GET") {
+    return methodNotAllowed("GET");
+  }
+  const activity = await tasks.listTaskActivity(taskId, request.query);
+  return jsonResult(200, { activity });
+};
+
+// /activity - the latest changes of every list (?listId= for one, ?limit=)
+const handleActivity = async (service, request) => {
+  if (request.method !== "GET") {
+    return methodNotAllowed("GET");
+  }
+  const activity = await service.listActivity(request.query);
+  return jsonResult(200, { activity });
+};
+
+// /tasks/:id/subtasks
+const handleSubtaskCollection = async (tasks, request, taskId) => {
+  if (request.method === "GET") {
+    const subtasks = await tasks.listSubtasks(taskId);
+    return jsonResult(200, { subtasks });
+  }
+
+  if (request.method === "POST") {
+    const body = await request.readBody();
+    const result = await tasks.createSubtask(taskId, body);
+    notifyChange(request, {
+      type: "task.updated",
+      listId: tasks.listId,
+      task: result.task,
+    });
+    return jsonResult(200, result);
+  }
+
+  return methodNotAllowed("GET, POST");
+};
+
+// /tasks/:id/subtasks/:subtaskId
+const handleSubtaskItem = async (tasks, request, taskId, subtaskId) => {
+  if (request.method === "PATCH") {
+    const body = await request.readBody();
+    const result = await tasks.updateSubtask(taskId, subtaskId, body);
+    notifyChange(request, {
+      type: "task.updated",
+      listId: tasks.listId,
+      task: result.task,
+    });
+    return jsonResult(200, { msg: "subtask updated", ...result });
+  }
+
+  if (request.method === "DELETE") {
+    const task = await tasks.removeSubtask(taskId, subtaskId);
+    notifyChange(request, { type: "task.updated", listId: tasks.listId, task });
+    return jsonResult(200, { msg: "subtask removed", task });
+  }
+
+  return methodNotAllowed("PATCH, DELETE");
+};
+
+// /lists
+const handleListCollection = async (service, request) => {
+  if (request.method === "GET") {
+    const lists = await service.getLists();
+    return jsonResult(200, { lists });
+  }
+
+  if (request.method === "POST") {
+    const body = await request.readBody();
+    const list = await service.createList(body);
+    notifyChange(request, { type: "list.created", listId: list.id, list });
+    return jsonResult(200, { list });
+  }
+
+  return methodNotAllowed("GET, POST");
+};
+
+// /lists/:listId
+const handleListItem = async (service, request, listId) => {
+  if (request.method === "GET") {
+    const list = await service.findList(listId);
+    return jsonResult(200, { list });
+  }
+
+  if (request.method === "PATCH") {
+    const body = await request.readBody();
+    const list = await service.renameList(listId, body);
+    notifyChange(request, { type: "list.updated", listId, list });
+    return jsonResult(200, { msg: "list updated", list });
+  }
+
+  if (request.method === "DELETE") {
+    const list = await service.removeList(listId);
+    notifyChange(request, { type: "list.removed", listId, list });
+    return jsonResult(200, { msg: "list removed" });
+  }
+
+  return methodNotAllowed("GET, PATCH, DELETE");
+};
+
+// /lists/:listId/invitations - the owner invites someone ({ role }) and passes the
+// token on; it is redeemed at /invitations/accept
+const handleInvitations = async (service, request, listId) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const invitation = await service.createInvitation(listId, body);
+  return jsonResult(200, { invitation });
+};
+
+// /invitations/accept - join a shared list with a token ({ token })
+const handleAcceptInvitation = async (service, request) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const list = await service.acceptInvitation(body);
+  notifyChange(request, { type: "list.updated", listId: list.id, list });
+  return jsonResult(200, { msg: "invitation accepted", list });
+};
+
+// /lists/:listId/members/:userId - change a member's role, remove them, or leave
+const handleMember = async (service, request, listId, userId) => {
+  if (request.method === "PATCH") {
+    const body = await request.readBody();
+    const list = await service.updateMember(listId, userId, body);
+    notifyChange(request, { type: "list.updated", listId, list });
+    return jsonResult(200, { msg: "member updated", list });
+  }
+
+  if (request.method === "DELETE") {
+    const list = await service.removeMember(listId, userId);
+    notifyChange(request, {
+      type: "list.updated",
+      listId,
+      list,
+      removedUserId: userId,
+    });
+    return jsonResult(200, { msg: "member removed", list });
+  }
+
+  return methodNotAllowed("PATCH, DELETE");
+};
+
+// /tasks/bulk (or /lists/:listId/tasks/bulk)
+const handleBulk = async (tasks, request) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const result = await tasks.applyBulk(body, {
+    ifMatch: readIfMatch(request),
+  });
+  if (result.updated.length || result.removed.length) {
+    notifyChange(request, {
+      type: "tasks.bulk",
+      listId: tasks.listId,
+      updated: result.updated,
+      removed: result.removed,
+    });
+  }
+  return jsonResult(200, { msg: "bulk operations applied", ...result });
+};
+
+// /tasks/reorder (or /lists/:listId/tasks/reorder)
+const handleReorder = async (tasks, request) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const result = await tasks.reorderTasks(body, {
+    ifMatch: readIfMatch(request),
+  });
+  if (result.notFound.length < body.ids.length) {
+    notifyChange(request, {
+      type: "tasks.reordered",
+      listId: tasks.listId,
+      ids: body.ids,
+    });
+  }
+  return jsonResult(200, { msg: "tasks reordered", ...result });
+};
+
+// /tasks/restore (or /lists/:listId/tasks/restore)
+const handleRestore = async (tasks, request) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const result = await tasks.restoreTasks(body);
+  if (result.restored.length) {
+    notifyChange(request, {
+      type: "tasks.restored",
+      listId: tasks.listId,
+      restored: result.restored,
+    });
+  }
+  return jsonResult(200, { msg: "tasks restored", ...result });
+};
+
+// /tasks/export?format=json|csv|md (or /lists/:listId/tasks/export) - a file download
+const handleExport = async (tasks, request) => {
+  if (request.method !== "GET") {
+    return methodNotAllowed("GET");
+  }
+  const { content, contentType, fileName } = await tasks.exportTasks(
+    request.query
+  );
+  return jsonResult(200, content, {
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+  });
+};
+
+// /tasks/import (or /lists/:listId/tasks/import) - { format, content, mode }
+const handleImport = async (tasks, request) => {
+  if (request.method !== "POST") {
+    return methodNotAllowed("POST");
+  }
+  const body = await request.readBody();
+  const result = await tasks.importTasks(body);
+  if (result.imported.length) {
+    notifyChange(request, {
+      type: "tasks.imported",
+      listId: tasks.listId,
+      imported: result.imported,
+      trashed: result.trashed,
+    });
+  }
+  return jsonResult(200, {
+    msg: result.imported.length ? "tasks imported" : "no tasks imported",
+    ...result,
+  });
+};
+
+// Task routes below a list: [] -> collection, ["bulk"] -> batch,
+// ["reorder"] -> manual order, ["restore"] -> undo deletes,
+// ["export"] / ["import"] -> files, [taskId] -> item,
+// [taskId, "restore"] -> back from the trash, [taskId, "activity"] -> its history,
+// [taskId, "subtasks"(, subtaskId)] -> checklist of one task
+const routeTasks = (tasks, request, rest) => {
+  if (rest.length === 0) {
+    return handleCollection(tasks, request);
+  }
+  if (rest.length === 1 && rest[0] === "bulk") {
+    return handleBulk(tasks, request);
+  }
+  if (rest.length === 1 && rest[0] === "reorder") {
+    return handleReorder(tasks, request);
+  }
+  if (rest.length === 1 && rest[0] === "restore") {
+    return handleRestore(tasks, request);
+  }
+  if (rest.length === 1 && rest[0] === "export") {
+    return handleExport(tasks, request);
+  }
+  if (rest.length === 1 && rest[0] === "import") {
+    return handleImport(tasks, request);
+  }
+  if (rest.length === 1) {
+    return handleItem(tasks, request, rest[0]);
+  }
+  if (rest[1] === "restore" && rest.length === 2) {
+    return handleItemRestore(tasks, request, rest[0]);
+  }
+  if (rest[1] === "activity" && rest.length === 2) {
+    return handleTaskActivity(tasks, request, rest[0]);
+  }
+  if (rest[1] === "subtasks" && rest.length === 2) {
+    return handleSubtaskCollection(tasks, request, rest[0]);
+  }
+  if (rest[1] === "subtasks" && rest.length === 3) {
+    return handleSubtaskItem(tasks, request, rest[0], rest[2]);
+  }
+  return null;
+};
+
+// Match the path segments to a handler; resolves with null for unknown routes
+//   /tasks[/:id]                      -> default list (/tasks/bulk, /reorder, /restore,
+//                                        /export, /import)
+//   /lists[/:listId]                  -> list management
+//   /lists/:listId/tasks[/:id]        -> tasks of a named list
+//   /lists/:listId/invitations        -> invite someone to a list
+//   /lists/:listId/members/:userId    -> roles and membership
+//   /invitations/accept               -> join a list with an invitation token
+//   /activity                         -> activity log of every list
+const routeRequest = (service, request, segments) => {
+  const [resource, ...rest] = segments;
+  const scope = { actor: readActor(request) };
+
+  if (resource === "tasks") {
+    return routeTasks(service.tasksIn(DEFAULT_LIST_ID, scope), request, rest);
+  }
+
+  if (resource === "activity" && rest.length === 0) {
+    return handleActivity(service, request);
+  }
+
+  if (resource === "invitations" && rest.length === 1 && rest[0] === "accept") {
+    return handleAcceptInvitation(service, request);
+  }
+
+  if (resource === "lists") {
+    if (rest.length === 0) {
+      return handleListCollection(service, request);
+    }
+    if (rest.length === 1) {
+      return handleListItem(service, request, rest[0]);
+    }
+    if (rest[1] === "invitations" && rest.length === 2) {
+      return handleInvitations(service, request, rest[0]);
+    }
+    if (rest[1] === "members" && rest.length === 3) {
+      return handleMember(service, request, rest[0], rest[2]);
+    }
+    if (rest[1] === "tasks") {
+      return routeTasks(
+        service.tasksIn(rest[0], scope),
+        request,
+        rest.slice(2)
+      );
+    }
+  }
+
+  return null;
+};
+
+// Route a neutral request to the task service
+// request.path is the path below the API root, e.g. "/tasks/abc" or "/lists/home/tasks"
+// Resolves with null when the path is not an API route, so each platform can
+// answer unknown routes its own way
+export const handleTaskRequest = async (service, request) => {
+  try {
+    const segments = splitPath(request.path);
+    const pending = routeRequest(service, request, segments);
+    return pending ? await pending : null;
+  } catch (error) {
+    if (error instanceof TaskError) {
+      return jsonResult(error.statusCode, {
+        msg: error.message,
+        code: error.code,
+        ...error.details,
+      });
+    }
+    console.error(`${request.method} Error:`, error);
+    return jsonResult(500, {
+      msg: "something went wrong",
+      code: "INTERNAL_ERROR",
+    });
+  }
+};
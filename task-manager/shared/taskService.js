@@ -0,0 +1,1298 @@
+// Platform-neutral task service - the single home of the task rules
+// Express, Vercel and Netlify all build a service on top of a storage adapter,
+// so validation, ID generation and error messages stay identical everywhere
+import { createKeyedLock, createLock } from "./keyedLock.js";
+import { TaskError } from "./taskErrors.js";
+import {
+  DEFAULT_ACTIVITY_LIMIT,
+  MAX_ACTIVITY_LIMIT,
+  MAX_ACTIVITY_PER_LIST,
+  describeTaskChanges,
+  latestActivity,
+} from "./taskActivity.js";
+import {
+  DEFAULT_LIST_ID,
+  applySubtasks,
+  applyTaskChanges,
+  buildDefaultList,
+  buildInvitation,
+  buildRestoredTask,
+  buildTask,
+  createId,
+  hasListRole,
+  isInvitationExpired,
+  isTrashExpired,
+  isTrashed,
+  isValidListId,
+  isValidTaskId,
+  listETag,
+  matchesETag,
+  normalizeTask,
+  parseRetentionDays,
+  taskETag,
+  trashTask,
+  untrashTask,
+  validateListName,
+  validateMemberRole,
+  validateNewSubtask,
+  validateNewTask,
+  validateRestoredTask,
+  validateSubtaskChanges,
+  validateTaskChanges,
+} from "./taskModel.js";
+import {
+  TASK_STATUSES,
+  applyTaskOrder,
+  parseTaskQuery,
+  queryTasks,
+} from "./taskQuery.js";
+import {
+  exportTaskFile,
+  parseTaskFile,
+  validateTransferFormat,
+} from "./taskTransfer.js";
+
+export { TaskError } from "./taskErrors.js";
+export {
+  DEFAULT_LIST_ID,
+  LIST_ROLES,
+  TASK_PRIORITIES,
+  buildDefaultTasks,
+  createId,
+  validateTaskChanges,
+} from "./taskModel.js";
+
+const taskNotFound = (taskId) =>
+  new TaskError(404, `no task with id ${taskId}`, { taskId });
+
+const subtaskNotFound = (taskId, subtaskId) =>
+  new TaskError(404, `no subtask with id ${subtaskId}`, {
+    code: "SUBTASK_NOT_FOUND",
+    taskId,
+    subtaskId,
+  });
+
+// Bulk operations accepted by POST /tasks/bulk
+// complete/reopen are shorthands for update with { isDone: true/false }
+const BULK_OPERATIONS = ["complete", "reopen", "update", "delete"];
+const BULK_SHORTHANDS = {
+  complete: { isDone: true },
+  reopen: { isDone: false },
+};
+const MAX_BULK_OPERATIONS = 100;
+
+const invalidBulk = (msg, details = {}) =>
+  new TaskError(400, msg, { code: "INVALID_BULK", ...details });
+
+// Validate a batch up front so a bad operation never leaves a half-applied batch
+// Each operation targets tasks by ids ([id, ...]) or by status ("all", "open", "done")
+const validateBulkOperations = (body) => {
+  const operations = body && body.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw invalidBulk("please provide a non-empty operations array");
+  }
+  if (operations.length > MAX_BULK_OPERATIONS) {
+    throw invalidBulk(
+      `a batch can hold at most ${MAX_BULK_OPERATIONS} operations`
+    );
+  }
+  return operations.map((operation, index) => {
+    const { op, ids, status, changes } = operation || {};
+    if (!BULK_OPERATIONS.includes(op)) {
+      throw invalidBulk(`op must be one of ${BULK_OPERATIONS.join(", ")}`, {
+        index,
+      });
+    }
+    const hasIds =
+      Array.isArray(ids) &&
+      ids.length > 0 &&
+      ids.every((id) => typeof id === "string" && id);
+    const hasStatus = TASK_STATUSES.includes(status);
+    if (hasIds === hasStatus) {
+      throw invalidBulk("provide either a non-empty ids array or a status", {
+        index,
+      });
+    }
+    const cleanChanges =
+      op === "update" ? validateTaskChanges(changes) : BULK_SHORTHANDS[op];
+    return {
+      op,
+      ids: hasIds ? ids : null,
+      status: hasStatus ? status : null,
+      changes: cleanChanges || null,
+    };
+  });
+};
+
+// Validate the body of a reorder request: { ids: [id, ...] } without duplicates
+const validateTaskOrder = (body) => {
+  const ids = body && body.ids;
+  const isIdList =
+    Array.isArray(ids) &&
+    ids.length > 0 &&
+    ids.every((id) => typeof id === "string" && id);
+  if (!isIdList || new Set(ids).size !== ids.length) {
+    throw new TaskError(400, "please provide the task ids in their new order", {
+      field: "ids",
+    });
+  }
+  return ids;
+};
+
+// Validate the body of a restore request: { tasks: [{ task, index? }] }
+// index is where the task stood in the list; without it the task is appended
+const validateRestoreEntries = (body) => {
+  const entries = body && body.tasks;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new TaskError(400, "please provide the tasks to restore", {
+      field: "tasks",
+    });
+  }
+  if (entries.length > MAX_BULK_OPERATIONS) {
+    throw new TaskError(
+      400,
+      `at most ${MAX_BULK_OPERATIONS} tasks can be restored at once`,
+      { field: "tasks" }
+    );
+  }
+  return entries.map((entry) => {
+    const { task, index } = entry || {};
+    if (index !== undefined && !(Number.isInteger(index) && index >= 0)) {
+      throw new TaskError(400, "index must be a whole number from 0", {
+        field: "index",
+      });
+    }
+    return {
+      fields: validateRestoredTask(task),
+      index: index === undefined ? Infinity : index,
+    };
+  });
+};
+
+// Validate the body of an import request: { format, content, mode? }
+//   merge   - the file's tasks are added after the list's tasks (default)
+//   replace - the list's tasks move to the trash and the file's tasks take their place
+const IMPORT_MODES = ["merge", "replace"];
+const MAX_IMPORT_TASKS = 1000;
+
+const validateImportRequest = (body) => {
+  const { format, content, mode = "merge" } = body || {};
+  validateTransferFormat(format);
+  if (typeof content !== "string" || !content.trim()) {
+    throw new TaskError(400, "please provide the contents of the file", {
+      field: "content",
+    });
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new TaskError(400, `mode must be one of ${IMPORT_MODES.join(", ")}`, {
+      field: "mode",
+    });
+  }
+  return { format, content, mode };
+};
+
+const isLive = (task) => !isTrashed(task);
+
+// Array slot in front of the index-th task that is not in the trash
+// (trashed tasks keep their slots, so positions sent by clients skip them)
+const slotOfLiveIndex = (tasks, index) => {
+  let liveCount = 0;
+  const slot = tasks.findIndex((task) => {
+    if (isTrashed(task)) {
+      return false;
+    }
+    liveCount += 1;
+    return liveCount > index;
+  });
+  return slot === -1 ? tasks.length : slot;
+};
+
+const matchesStatus = (task, status) =>
+  status === "all" || (status === "done") === task.isDone;
+
+// If-Match did not match: someone else changed the task (or list) since the client
+// read it. The current copy goes back so the client can offer to merge
+const taskVersionConflict = (task) =>
+  new TaskError(412, `task ${task.id} was changed since you loaded it`, {
+    taskId: task.id,
+    version: task.version,
+    task,
+  });
+
+const listVersionConflict = (listId, etag) =>
+  new TaskError(412, "the list was changed since you loaded it", {
+    listId,
+    etag,
+  });
+
+// ?limit= of the activity routes
+const parseActivityLimit = (limit) => {
+  if (limit === undefined || limit === "") {
+    return DEFAULT_ACTIVITY_LIMIT;
+  }
+  const number = Number(limit);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_ACTIVITY_LIMIT) {
+    throw new TaskError(
+      400,
+      `limit must be a whole number between 1 and ${MAX_ACTIVITY_LIMIT}`,
+      { code: "INVALID_QUERY", param: "limit" }
+    );
+  }
+  return number;
+};
+
+const listNotFound = (listId) =>
+  new TaskError(404, `no list with id ${listId}`, {
+    code: "LIST_NOT_FOUND",
+    listId,
+  });
+
+const roleNames = {
+  owner: "the owner",
+  editor: "an editor",
+  viewer: "a viewer",
+};
+
+// The caller sees the list, but their role does not allow this
+const forbidden = (listId, role, needed) =>
+  new TaskError(403, `only ${roleNames[needed]} of the list can do this`, {
+    code: "FORBIDDEN",
+    listId,
+    role,
+    requiredRole: needed,
+  });
+
+// Build a task service on top of a storage adapter
+// A storage adapter is any object with:
+//   mode                      - short label for logs ("memory", "file", "blob", ...)
+//   readTasks(listId)         - resolves with the Task[] of one list
+//   writeTasks(tasks, listId) - persists the full Task[] of one list
+//   readLists()               - resolves with the stored List[]
+//   writeLists(lists)         - persists the List[]
+//   readActivity(listId)      - optional: resolves with the activity log of one list
+//   writeActivity(entries, listId) - optional: persists that log (see taskActivity.js)
+//   queryTasks(listId, options) - optional: runs a parsed query (see taskQuery.js) on the
+//                               live tasks itself and resolves with the queryTasks()
+//                               result plus the list's etag (databases with indexes)
+//   withListLock(listId, fn)  - optional: runs fn while no other fn runs for the same
+//                               list (see keyedLock.js); adapters shared by several
+//                               services need one, otherwise each service locks alone
+//   withListsLock(fn)         - optional: the same for the List[] (one lock for all lists)
+// generateId can be swapped (e.g. for nanoid) where that package is available,
+// and now (ISO timestamp factory) can be pinned in scripts that need stable output
+// trashRetentionDays - days deleted tasks stay in the trash (TRASH_RETENTION_DAYS, 30)
+// userId / userName - the user the service works for, on servers with accounts: only
+// lists they own or were invited to are visible, their role in a list decides what they
+// may change, and userId is stamped on every task they create or restore
+// (the storage maps lists to their owner's data, see createUserStorage)
+export const createTaskService = ({
+  storage,
+  generateId = createId,
+  now = () => new Date().toISOString(),
+  trashRetentionDays = process.env.TRASH_RETENTION_DAYS,
+  userId = null,
+  userName = null,
+}) => {
+  const retentionDays = parseRetentionDays(trashRetentionDays);
+  const withOwner = (task) => (userId ? { ...task, userId } : task);
+
+  // Every change to a list reads its tasks, changes them and writes them back; the
+  // list lock makes concurrent requests take turns, so none writes over another's
+  const withListLock =
+    typeof storage.withListLock === "function"
+      ? storage.withListLock
+      : createKeyedLock();
+
+  // Changes to the lists themselves (create, rename, share, ...) read the whole List[]
+  // and write it back, so they take turns under one lock for all lists
+  const withListsLock =
+    typeof storage.withListsLock === "function"
+      ? storage.withListsLock
+      : createLock();
+  const listsLocked =
+    (run) =>
+    (...args) =>
+      withListsLock(() => run(...args));
+
+  // ============================================
+  // ACTIVITY
+  // ============================================
+
+  // Adapters without readActivity / writeActivity simply keep no log
+  const hasActivityLog =
+    typeof storage.readActivity === "function" &&
+    typeof storage.writeActivity === "function";
+
+  const readActivityLog = async (listId) => {
+    if (!hasActivityLog) {
+      return [];
+    }
+    const entries = await storage.readActivity(listId);
+    return Array.isArray(entries) ? entries : [];
+  };
+
+  // Append entries ({ type, task?, ...details }) to a list's log, oldest dropped first
+  const appendActivity = async (listId, actor, changes) => {
+    if (!hasActivityLog || !changes.length) {
+      return;
+    }
+    const at = now();
+    const entries = changes.map(({ type, task, ...details }) => ({
+      id: generateId(),
+      type,
+      listId,
+      taskId: task ? task.id : null,
+      title: task ? task.title : null,
+      actor,
+      at,
+      ...details,
+    }));
+    const log = await readActivityLog(listId);
+    await storage.writeActivity(
+      [...log, ...entries].slice(-MAX_ACTIVITY_PER_LIST),
+      listId
+    );
+  };
+
+  // GET /activity: The latest entries of every list, or of one (query.listId)
+  const listActivity = async (query = {}) => {
+    const limit = parseActivityLimit(query.limit);
+    const listIds = query.listId
+      ? [(await findList(query.listId)).id]
+      : (await getLists()).map((list) => list.id);
+    const logs = await Promise.all(listIds.map(readActivityLog));
+    return latestActivity(logs.flat(), limit);
+  };
+
+  // ============================================
+  // LISTS
+  // ============================================
+
+  // Without accounts every list is everybody's; with them a list is seen by its owner
+  // and its members only, and the caller's role decides what they may do with it
+  const owner = userId
+    ? { userId, name: userName || userId, role: "owner" }
+    : null;
+
+  const canSee = (list) =>
+    !userId ||
+    list.userId === userId ||
+    (list.members || []).some((member) => member.userId === userId);
+
+  const roleIn = (list) => {
+    if (!userId || list.userId === userId) {
+      return "owner";
+    }
+    const member = (list.members || []).find((item) => item.userId === userId);
+    return member ? member.role : null;
+  };
+
+  // Invitation tokens are for the owner's eyes only
+  const presentList = (list) => {
+    if (roleIn(list) === "owner") {
+      return list;
+    }
+    const { invitations, ...shared } = list;
+    return shared;
+  };
+
+  const requireRole = (list, needed) => {
+    const role = roleIn(list);
+    if (!hasListRole(role, needed)) {
+      throw forbidden(list.id, role, needed);
+    }
+  };
+
+  // Every stored list, also those of other users
+  const readStoredLists = async () => {
+    const stored = await storage.readLists();
+    return Array.isArray(stored) ? stored : [];
+  };
+
+  // The lists the caller sees, always starting with their default list
+  const readVisibleLists = async () => {
+    const lists = (await readStoredLists()).filter(canSee);
+    if (lists.some((list) => list.id === DEFAULT_LIST_ID)) {
+      return lists;
+    }
+    return [buildDefaultList(owner), ...lists];
+  };
+
+  const findStoredList = async (listId) => {
+    const list = isValidListId(listId)
+      ? (await readVisibleLists()).find((item) => item.id === listId)
+      : undefined;
+    if (!list) {
+      throw listNotFound(listId);
+    }
+    return list;
+  };
+
+  // Store a changed copy of a list the caller sees (the implicit default list is added)
+  const writeList = async (updatedList) => {
+    const lists = await readStoredLists();
+    const isStored = lists.some(
+      (list) => list.id === updatedList.id && canSee(list)
+    );
+    await storage.writeLists(
+      isStored
+        ? lists.map((list) =>
+            list.id === updatedList.id && canSee(list) ? updatedList : list
+          )
+        : [...lists, updatedList]
+    );
+    return updatedList;
+  };
+
+  // GET: All lists, always starting with the default list
+  const getLists = async () => (await readVisibleLists()).map(presentList);
+
+  const findList = async (listId) => presentList(await findStoredList(listId));
+
+  // POST: Create a new, empty list - owned by the caller when there are accounts
+  const createList = async ({ name } = {}) => {
+    const cleanName = validateListName(name);
+    const lists = await readStoredLists();
+    const timestamp = now();
+    const newList = {
+      id: generateId(),
+      name: cleanName,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      ...(owner ? { userId, members: [owner], invitations: [] } : {}),
+    };
+    await storage.writeLists([...lists, newList]);
+    return newList;
+  };
+
+  // PATCH: Rename a list (the default list can be renamed too) - owner only
+  const renameList = async (listId, { name } = {}) => {
+    const cleanName = validateListName(name);
+    const existing = await findStoredList(listId);
+    requireRole(existing, "owner");
+    return writeList({ ...existing, name: cleanName, updatedAt: now() });
+  };
+
+  // DELETE: Remove a list together with its tasks - owner only
+  // Resolves with the removed list, so its members can be told
+  const removeList = async (listId) => {
+    if (listId === DEFAULT_LIST_ID) {
+      throw new TaskError(400, "the default list cannot be deleted", {
+        code: "DEFAULT_LIST",
+        listId,
+      });
+    }
+    const existing = await findStoredList(listId);
+    requireRole(existing, "owner");
+    await withListLock(listId, async () => {
+      await storage.writeTasks([], listId);
+      if (hasActivityLog) {
+        await storage.writeActivity([], listId);
+      }
+    });
+    const lists = await readStoredLists();
+    await storage.writeLists(
+      lists.filter((list) => !(list.id === listId && canSee(list)))
+    );
+    return presentList(existing);
+  };
+
+  // ============================================
+  // SHARING (servers with accounts)
+  // ============================================
+
+  // A named list of the caller's that other users can be invited to
+  const findSharedList = async (listId) => {
+    if (!userId) {
+      throw new TaskError(400, "sharing needs a server with accounts", {
+        code: "SHARING_UNAVAILABLE",
+      });
+    }
+    if (listId === DEFAULT_LIST_ID) {
+      throw new TaskError(400, "the default list cannot be shared", {
+        code: "DEFAULT_LIST",
+        listId,
+      });
+    }
+    return findStoredList(listId);
+  };
+
+  const findMember = (list, memberId) => {
+    const member = (list.members || []).find(
+      (item) => item.userId === memberId && item.userId !== list.userId
+    );
+    if (!member) {
+      throw new TaskError(404, `no member with id ${memberId}`, {
+        code: "MEMBER_NOT_FOUND",
+        listId: list.id,
+        userId: memberId,
+      });
+    }
+    return member;
+  };
+
+  // POST /lists/:listId/invitations: A single-use token that lets another user join
+  // the list with the given role (editor by default) - owner only
+  const createInvitation = async (listId, { role = "editor" } = {}) => {
+    const list = await findSharedList(listId);
+    requireRole(list, "owner");
+    const timestamp = now();
+    const invitation = buildInvitation({
+      token: generateId(32),
+      role: validateMemberRole(role),
+      timestamp,
+    });
+    await writeList({
+      ...list,
+      // Expired invitations are dropped whenever a new one is made
+      invitations: [
+        ...(list.invitations || []).filter(
+          (item) => !isInvitationExpired(item, timestamp)
+        ),
+        invitation,
+      ],
+    });
+    return { ...invitation, listId };
+  };
+
+  // POST /invitations/accept: Join the list an invitation token belongs to
+  // Resolves with the list; members who accept another token keep their role
+  const acceptInvitation = async ({ token } = {}) => {
+    if (!userId) {
+      throw new TaskError(400, "sharing needs a server with accounts", {
+        code: "SHARING_UNAVAILABLE",
+      });
+    }
+    const timestamp = now();
+    const lists = await readStoredLists();
+    const list =
+      typeof token === "string" && token
+        ? lists.find((item) =>
+            (item.invitations || []).some(
+              (invitation) =>
+                invitation.token === token &&
+                !isInvitationExpired(invitation, timestamp)
+            )
+          )
+        : undefined;
+    if (!list) {
+      throw new TaskError(404, "this invitation is unknown or has expired", {
+        code: "INVITATION_NOT_FOUND",
+      });
+    }
+    if (canSee(list)) {
+      return presentList(list);
+    }
+    const invitation = list.invitations.find((item) => item.token === token);
+    const joinedList = {
+      ...list,
+      members: [
+        ...(list.members || []),
+        { userId, name: owner.name, role: invitation.role },
+      ],
+      invitations: list.invitations.filter((item) => item !== invitation),
+      updatedAt: timestamp,
+    };
+    await storage.writeLists(
+      lists.map((item) => (item === list ? joinedList : item))
+    );
+    return presentList(joinedList);
+  };
+
+  // PATCH /lists/:listId/members/:userId: Make a member an editor or a viewer - owner only
+  const updateMember = async (listId, memberId, { role } = {}) => {
+    const list = await findSharedList(listId);
+    requireRole(list, "owner");
+    const cleanRole = validateMemberRole(role);
+    const member = findMember(list, memberId);
+    return writeList({
+      ...list,
+      members: list.members.map((item) =>
+        item === member ? { ...member, role: cleanRole } : item
+      ),
+      updatedAt: now(),
+    });
+  };
+
+  // DELETE /lists/:listId/members/:userId: The owner removes a member, or a member
+  // leaves (their own userId) - resolves with the list as it is now
+  const removeMember = async (listId, memberId) => {
+    const list = await findSharedList(listId);
+    if (memberId === list.userId) {
+      throw new TaskError(
+        400,
+        "the owner cannot leave the list, delete it instead",
+        { code: "OWNER_CANNOT_LEAVE", listId }
+      );
+    }
+    if (memberId !== userId) {
+      requireRole(list, "owner");
+    }
+    const member = findMember(list, memberId);
+    const updatedList = {
+      ...list,
+      members: list.members.filter((item) => item !== member),
+      updatedAt: now(),
+    };
+    await writeList(updatedList);
+    return presentList(updatedList);
+  };
+
+  // ============================================
+  // TASKS (scoped to one list)
+  // ============================================
+
+  // actor (optional) is who makes the changes - it goes into the activity log
+  const tasksIn = (listId = DEFAULT_LIST_ID, { actor = null } = {}) => {
+    // The default list always exists; named lists must be created first
+    // (and be visible to the caller) - resolves with the list
+    const ensureList = () => findStoredList(listId);
+
+    // Reads take the lock too: they may purge expired trash (readStoredTasks)
+    const locked =
+      (run) =>
+      (...args) =>
+        withListLock(listId, () => run(...args));
+
+    // Task writes need at least the editor role
+    const asEditor = (write) =>
+      locked(async (...args) => {
+        requireRole(await ensureList(), "editor");
+        return write(...args);
+      });
+
+    // Tasks can only be assigned to users who see the list
+    const requireMemberAssignee = (list, changes) => {
+      const isMember = (list.members || []).some(
+        (member) => member.userId === changes.assigneeId
+      );
+      if (!isMember) {
+        throw new TaskError(400, "tasks can only be assigned to list members", {
+          field: "assigneeId",
+        });
+      }
+    };
+
+    const checkAssignee = async (changes) => {
+      if (!changes || !changes.assigneeId) {
+        return;
+      }
+      requireMemberAssignee(await ensureList(), changes);
+    };
+
+    // Every stored task, trashed ones included
+    // Tasks stored before the rich model existed are filled in with defaults, and
+    // trashed tasks past the retention period are purged on the way
+    const readStoredTasks = async () => {
+      await ensureList();
+      const stored = await storage.readTasks(listId);
+      const tasks = Array.isArray(stored) ? stored.map(normalizeTask) : [];
+      const timestamp = now();
+      const kept = tasks.filter(
+        (task) => !isTrashExpired(task, timestamp, retentionDays)
+      );
+      if (kept.length < tasks.length) {
+        await storage.writeTasks(kept, listId);
+        // Nobody asked for these - the retention period did
+        await appendActivity(
+          listId,
+          null,
+          tasks
+            .filter((task) => !kept.includes(task))
+            .map((task) => ({ type: "purged", task }))
+        );
+      }
+      return kept;
+    };
+
+    const logActivity = (changes) => appendActivity(listId, actor, changes);
+
+    // Activity entries for a task that was stored with changes
+    const changeActivity = (before, after) =>
+      describeTaskChanges(before, after).map((change) => ({
+        ...change,
+        task: after,
+      }));
+
+    // GET: Retrieve all tasks (the trash is left out)
+    const listTasks = async () => (await readStoredTasks()).filter(isLive);
+
+    // GET with query params: filter (status, q), sort (sort, order) and paginate
+    // (limit + page or cursor) - see taskQuery.js for the accepted values
+    // ?deleted=true runs the same query on the trash, most recently deleted first
+    // etag is the version of the whole list, whatever page was asked for
+    // Adapters with queryTasks answer the live list themselves; expired trash is
+    // then purged by the next write or trash view instead
+    const findTasks = async (query = {}) => {
+      const options = parseTaskQuery(query);
+      if (
+        query.deleted !== "true" &&
+        typeof storage.queryTasks === "function"
+      ) {
+        await ensureList();
+        return storage.queryTasks(listId, options);
+      }
+      const stored = await readStoredTasks();
+      const tasks = stored.filter(isLive);
+      const etag = listETag(tasks);
+      if (query.deleted !== "true") {
+        return { ...queryTasks(tasks, options), etag };
+      }
+      const trash = stored
+        .filter(isTrashed)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+      return { ...queryTasks(trash, options), retentionDays, etag };
+    };
+
+    // Read the stored tasks for a write that carries If-Match with the list's ETag
+    const readTasksMatching = async (ifMatch) => {
+      const stored = await readStoredTasks();
+      const etag = listETag(stored.filter(isLive));
+      if (!matchesETag(ifMatch, etag)) {
+        throw listVersionConflict(listId, etag);
+      }
+      return stored;
+    };
+
+    // Find the task a write targets; ifMatch is the request's If-Match header (optional)
+    // Tasks in the trash only count when inTrash is set
+    const findTaskMatching = (tasks, taskId, ifMatch, inTrash = false) => {
+      const existing = tasks.find(
+        (task) => task.id === taskId && isTrashed(task) === inTrash
+      );
+      if (!existing) {
+        throw taskNotFound(taskId);
+      }
+      if (!matchesETag(ifMatch, taskETag(existing))) {
+        throw taskVersionConflict(existing);
+      }
+      return existing;
+    };
+
+    // POST: Create a new task and append it to the list
+    // Accepts { title, priority?, dueDate?, notes? }
+    const createTask = async (input) => {
+      const fields = validateNewTask(input);
+      await checkAssignee(fields);
+      const tasks = await readStoredTasks();
+      const newTask = withOwner(
+        buildTask({ ...fields, id: generateId(), timestamp: now() })
+      );
+      await storage.writeTasks([...tasks, newTask], listId);
+      await logActivity([{ type: "created", task: newTask }]);
+      return newTask;
+    };
+
+    // PATCH: Apply a partial update (title, isDone, priority, ...) to one task
+    // Resolves with the updated task, throws a 404 TaskError for unknown IDs
+    // and a 412 TaskError when ifMatch names an older version
+    const updateTask = async (taskId, changes, { ifMatch } = {}) => {
+      const cleanChanges = validateTaskChanges(changes);
+      await checkAssignee(cleanChanges);
+      const tasks = await readStoredTasks();
+      const existing = findTaskMatching(tasks, taskId, ifMatch);
+      const timestamp = now();
+      let updatedTask = applyTaskChanges(existing, cleanChanges, timestamp);
+      // Switching completeWithSubtasks on brings the done state in line right away
+      // (still one change, so one version)
+      if (cleanChanges.completeWithSubtasks) {
+        updatedTask = {
+          ...applySubtasks(updatedTask, updatedTask.subtasks, timestamp),
+          version: updatedTask.version,
+        };
+      }
+      await storage.writeTasks(
+        tasks.map((task) => (task.id === taskId ? updatedTask : task)),
+        listId
+      );
+      await logActivity(changeActivity(existing, updatedTask));
+      return updatedTask;
+    };
+
+    // DELETE: Move a task to the trash
+    // Resolves with the trashed task; unknown IDs and stale If-Match versions throw
+    // without touching storage
+    const removeTask = async (taskId, { ifMatch } = {}) => {
+      const tasks = await readStoredTasks();
+      const existing = findTaskMatching(tasks, taskId, ifMatch);
+      const trashedTask = trashTask(existing, now());
+      await storage.writeTasks(
+        tasks.map((task) => (task.id === taskId ? trashedTask : task)),
+        listId
+      );
+      await logActivity([{ type: "deleted", task: trashedTask }]);
+      return trashedTask;
+    };
+
+    // POST /:id/restore: Take a task out of the trash, back into its old slot
+    // Resolves with { task, index } - index is its position among the live tasks
+    const restoreFromTrash = async (taskId, { ifMatch } = {}) => {
+      const tasks = await readStoredTasks();
+      const existing = findTaskMatching(tasks, taskId, ifMatch, true);
+      const restoredTask = untrashTask(existing, now());
+      const updatedTasks = tasks.map((task) =>
+        task.id === taskId ? restoredTask : task
+      );
+      await storage.writeTasks(updatedTasks, listId);
+      await logActivity([{ type: "restored", task: restoredTask }]);
+      return {
+        task: restoredTask,
+        index: updatedTasks.filter(isLive).indexOf(restoredTask),
+      };
+    };
+
+    // DELETE ?permanent=true: Remove a task for good, from the trash or straight
+    // from the list - resolves with the removed task
+    const purgeTask = async (taskId, { ifMatch } = {}) => {
+      const tasks = await readStoredTasks();
+      const existing = tasks.find((task) => task.id === taskId);
+      if (!existing) {
+        throw taskNotFound(taskId);
+      }
+      if (!matchesETag(ifMatch, taskETag(existing))) {
+        throw taskVersionConflict(existing);
+      }
+      await storage.writeTasks(
+        tasks.filter((task) => task.id !== taskId),
+        listId
+      );
+      await logActivity([{ type: "purged", task: existing }]);
+      return existing;
+    };
+
+    // ============================================
+    // SUBTASKS (/tasks/:id/subtasks)
+    // ============================================
+
+    // Read-modify-write the subtasks of one task
+    // changeSubtasks receives the current subtasks and returns the new array
+    // Resolves with the updated parent task
+    const writeSubtasks = async (taskId, changeSubtasks) => {
+      const tasks = await readStoredTasks();
+      const existing = tasks.find((task) => task.id === taskId && isLive(task));
+      if (!existing) {
+        throw taskNotFound(taskId);
+      }
+      const updatedTask = applySubtasks(
+        existing,
+        changeSubtasks(existing.subtasks),
+        now()
+      );
+      await storage.writeTasks(
+        tasks.map((task) => (task.id === taskId ? updatedTask : task)),
+        listId
+      );
+      await logActivity(changeActivity(existing, updatedTask));
+      return updatedTask;
+    };
+
+    // GET: The ordered subtasks of one task
+    const listSubtasks = async (taskId) => {
+      const tasks = await listTasks();
+      const existing = tasks.find((task) => task.id === taskId);
+      if (!existing) {
+        throw taskNotFound(taskId);
+      }
+      return existing.subtasks;
+    };
+
+    // POST: Append a subtask - resolves with { subtask, task }
+    const createSubtask = async (taskId, input) => {
+      let subtask;
+      const task = await writeSubtasks(taskId, (subtasks) => {
+        subtask = {
+          id: generateId(),
+          ...validateNewSubtask(input, subtasks.length),
+        };
+        return [...subtasks, subtask];
+      });
+      return { subtask, task };
+    };
+
+    // PATCH: Rename or tick a subtask - resolves with { subtask, task }
+    const updateSubtask = async (taskId, subtaskId, changes) => {
+      const cleanChanges = validateSubtaskChanges(changes);
+      let subtask;
+      const task = await writeSubtasks(taskId, (subtasks) => {
+        const existing = subtasks.find((item) => item.id === subtaskId);
+        if (!existing) {
+          throw subtaskNotFound(taskId, subtaskId);
+        }
+        subtask = { ...existing, ...cleanChanges };
+        return subtasks.map((item) => (item.id === subtaskId ? subtask : item));
+      });
+      return { subtask, task };
+    };
+
+    // DELETE: Remove a subtask - resolves with the updated parent task
+    const removeSubtask = (taskId, subtaskId) =>
+      writeSubtasks(taskId, (subtasks) => {
+        if (!subtasks.some((item) => item.id === subtaskId)) {
+          throw subtaskNotFound(taskId, subtaskId);
+        }
+        return subtasks.filter((item) => item.id !== subtaskId);
+      });
+
+    // POST /bulk: Apply a batch of operations in one read-modify-write
+    // Operations run in order against the same snapshot, so the batch is stored atomically.
+    // IDs that do not exist are skipped and reported back instead of failing the batch.
+    // ifMatch (optional) is checked against the list's ETag before anything changes.
+    // Deleted tasks go to the trash like single deletes.
+    // Resolves with { updated: Task[], removed: id[], notFound: id[] }
+    const applyBulk = async (body, { ifMatch } = {}) => {
+      const operations = validateBulkOperations(body);
+      await Promise.all(
+        operations.map(({ changes }) => checkAssignee(changes))
+      );
+      const tasks = await readTasksMatching(ifMatch);
+      const timestamp = now();
+      const byId = new Map(tasks.filter(isLive).map((task) => [task.id, task]));
+      const trashed = new Map();
+      const touched = new Set();
+      const removed = [];
+      const notFound = new Set();
+
+      operations.forEach(({ op, ids, status, changes }) => {
+        const targetIds = ids
+          ? ids.filter((id) => {
+              if (!byId.has(id)) {
+                notFound.add(id);
+                return false;
+              }
+              return true;
+            })
+          : [...byId.values()]
+              .filter((task) => matchesStatus(task, status))
+              .map((task) => task.id);
+
+        targetIds.forEach((id) => {
+          if (op === "delete") {
+            trashed.set(id, trashTask(byId.get(id), timestamp));
+            byId.delete(id);
+            touched.delete(id);
+            removed.push(id);
+            return;
+          }
+          byId.set(id, applyTaskChanges(byId.get(id), changes, timestamp));
+          touched.add(id);
+        });
+      });
+
+      if (touched.size || removed.length) {
+        await storage.writeTasks(
+          tasks.map(
+            (task) => byId.get(task.id) || trashed.get(task.id) || task
+          ),
+          listId
+        );
+        const before = new Map(tasks.map((task) => [task.id, task]));
+        await logActivity([
+          ...[...touched].flatMap((id) =>
+            changeActivity(before.get(id), byId.get(id))
+          ),
+          ...removed.map((id) => ({ type: "deleted", task: trashed.get(id) })),
+        ]);
+      }
+      return {
+        updated: [...touched].map((id) => byId.get(id)),
+        removed,
+        notFound: [...notFound].filter((id) => !removed.includes(id)),
+      };
+    };
+
+    // POST /reorder: Store a new manual order for some or all tasks
+    // The listed tasks swap into each other's slots (see applyTaskOrder in taskQuery.js);
+    // unknown IDs are skipped and reported in notFound; ifMatch works as for bulk
+    const reorderTasks = async (body, { ifMatch } = {}) => {
+      const ids = validateTaskOrder(body);
+      const tasks = await readTasksMatching(ifMatch);
+      const knownIds = new Set(tasks.filter(isLive).map((task) => task.id));
+      const notFound = ids.filter((id) => !knownIds.has(id));
+      if (notFound.length < ids.length) {
+        await storage.writeTasks(
+          applyTaskOrder(
+            tasks,
+            ids.filter((id) => knownIds.has(id))
+          ),
+          listId
+        );
+        await logActivity([
+          { type: "reordered", count: ids.length - notFound.length },
+        ]);
+      }
+      return { notFound };
+    };
+
+    // POST /restore: Put deleted tasks back with their original IDs (undo of a delete)
+    // Entries are inserted by ascending index, so tasks removed together return to
+    // the slots they had; a trashed copy of the same task is replaced.
+    // IDs that exist outside the trash are skipped and reported back.
+    // Resolves with { restored: [{ task, index }], skipped: id[] }
+    const restoreTasks = async (body) => {
+      const entries = validateRestoreEntries(body);
+      const requestedIds = new Set(entries.map(({ fields }) => fields.id));
+      const stored = await readStoredTasks();
+      // The restored copy must outrank the trashed one it replaces
+      const trashedVersions = new Map(
+        stored
+          .filter((task) => isTrashed(task) && requestedIds.has(task.id))
+          .map((task) => [task.id, task.version])
+      );
+      const tasks = stored.filter((task) => !trashedVersions.has(task.id));
+      const timestamp = now();
+      const knownIds = new Set(tasks.map((task) => task.id));
+      const skipped = [];
+      const restoredTasks = [];
+      const updatedTasks = [...tasks];
+
+      [...entries]
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ fields, index }) => {
+          if (knownIds.has(fields.id)) {
+            skipped.push(fields.id);
+            return;
+          }
+          knownIds.add(fields.id);
+          const task = withOwner(
+            buildRestoredTask(
+              {
+                ...fields,
+                version: Math.max(
+                  fields.version,
+                  trashedVersions.get(fields.id) || 0
+                ),
+              },
+              timestamp
+            )
+          );
+          updatedTasks.splice(slotOfLiveIndex(updatedTasks, index), 0, task);
+          restoredTasks.push(task);
+        });
+
+      if (restoredTasks.length) {
+        await storage.writeTasks(updatedTasks, listId);
+        await logActivity(
+          restoredTasks.map((task) => ({ type: "restored", task }))
+        );
+      }
+      const liveTasks = updatedTasks.filter(isLive);
+      return {
+        restored: restoredTasks.map((task) => ({
+          task,
+          index: liveTasks.indexOf(task),
+        })),
+        skipped,
+      };
+    };
+
+    // GET /export?format=: The live tasks as a file, in list order (see taskTransfer.js)
+    // Resolves with { content, contentType, fileName }
+    const exportTasks = async (query = {}) => {
+      const format = validateTransferFormat(query.format || "json");
+      const list = await ensureList();
+      return exportTaskFile(await listTasks(), format, {
+        listId,
+        listName: list.name,
+        exportedAt: now(),
+      });
+    };
+
+    // Validate one row of an import like a task sent back by restoreTasks; rows
+    // without an ID (and subtasks from a checklist) get new ones
+    const validateImportedTask = (list, input) => {
+      if (
+        input.id !== undefined &&
+        input.id !== null &&
+        !isValidTaskId(input.id)
+      ) {
+        throw new TaskError(
+          400,
+          "id may only hold letters, digits, - and _, and cannot be a route name (bulk, reorder, restore, export, import)",
+          { field: "id" }
+        );
+      }
+      const subtasks = Array.isArray(input.subtasks)
+        ? input.subtasks.map((subtask) =>
+            subtask && typeof subtask === "object" && !subtask.id
+              ? { ...subtask, id: generateId() }
+              : subtask
+          )
+        : input.subtasks;
+      const fields = validateRestoredTask({
+        ...input,
+        id: input.id || generateId(),
+        subtasks,
+      });
+      if (fields.assigneeId) {
+        requireMemberAssignee(list, fields);
+      }
+      return fields;
+    };
+
+    // POST /import: Add the tasks of a file ({ format, content, mode }, see
+    // taskTransfer.js and validateImportRequest)
+    // Every row is checked on its own: invalid rows end up in errors, rows that repeat
+    // a task - the same ID, or the same title ignoring case - in duplicates, and the
+    // rest is imported. An ID from the trash replaces the trashed copy, as for
+    // restoreTasks. Nothing changes when no row can be imported, not even in replace mode
+    // Resolves with { mode, imported: task[], trashed: id[], duplicates, errors }
+    const importTasks = async (body) => {
+      const { format, content, mode } = validateImportRequest(body);
+      const { rows, errors } = parseTaskFile(content, format);
+      if (rows.length + errors.length > MAX_IMPORT_TASKS) {
+        throw new TaskError(
+          400,
+          `a file can hold at most ${MAX_IMPORT_TASKS} tasks`,
+          { code: "INVALID_IMPORT" }
+        );
+      }
+      const list = await ensureList();
+      const stored = await readStoredTasks();
+      const timestamp = now();
+      // Tasks the file is compared with; in replace mode the list starts over
+      const kept = mode === "replace" ? [] : stored.filter(isLive);
+      const idsSeen = new Set(kept.map((task) => task.id));
+      const titlesSeen = new Map(
+        kept.map((task) => [task.title.toLowerCase(), task.id])
+      );
+      // An imported task that takes the place of a stored copy moves past that copy's
+      // version; any other keeps the version of the file (1 when it has none)
+      const replacedVersions = new Map(
+        stored
+          .filter((task) => !kept.includes(task))
+          .map((task) => [task.id, task.version])
+      );
+      const duplicates = [];
+      const importedTasks = [];
+
+      rows.forEach(({ row, input }) => {
+        let fields;
+        try {
+          fields = validateImportedTask(list, input);
+        } catch (error) {
+          if (!(error instanceof TaskError)) {
+            throw error;
+          }
+          const field = (error.details.field || "").replace(/^task\.?/, "");
+          errors.push({ row, msg: error.message, ...(field && { field }) });
+          return;
+        }
+        const title = fields.title.toLowerCase();
+        if (idsSeen.has(fields.id) || titlesSeen.has(title)) {
+          const match = idsSeen.has(fields.id) ? "id" : "title";
+          duplicates.push({
+            row,
+            title: fields.title,
+            match,
+            taskId: match === "id" ? fields.id : titlesSeen.get(title),
+          });
+          return;
+        }
+        idsSeen.add(fields.id);
+        titlesSeen.set(title, fields.id);
+        const replacedVersion = replacedVersions.get(fields.id);
+        importedTasks.push(
+          withOwner(
+            replacedVersion === undefined
+              ? {
+                  ...buildRestoredTask(fields, timestamp),
+                  version: fields.version,
+                }
+              : buildRestoredTask(
+                  {
+                    ...fields,
+                    version: Math.max(fields.version, replacedVersion),
+                  },
+                  timestamp
+                )
+          )
+        );
+      });
+
+      const importedIds = new Set(importedTasks.map((task) => task.id));
+      const remaining = stored.filter((task) => !importedIds.has(task.id));
+      const trashed =
+        mode === "replace" && importedTasks.length
+          ? remaining.filter(isLive).map((task) => task.id)
+          : [];
+      if (importedTasks.length) {
+        await storage.writeTasks(
+          mode === "replace"
+            ? [
+                ...importedTasks,
+                ...remaining.map((task) =>
+                  isLive(task) ? trashTask(task, timestamp) : task
+                ),
+              ]
+            : [...remaining, ...importedTasks],
+          listId
+        );
+        await logActivity([
+          {
+            type: "imported",
+            count: importedTasks.length,
+            trashed: trashed.length,
+            format,
+          },
+        ]);
+      }
+      return {
+        mode,
+        imported: importedTasks,
+        trashed,
+        duplicates,
+        errors: errors.sort((a, b) => a.row - b.row),
+      };
+    };
+
+    // GET /:id/activity: The latest entries about one task - also after it was
+    // purged, so no 404 for unknown IDs
+    const listTaskActivity = async (taskId, query = {}) => {
+      const limit = parseActivityLimit(query.limit);
+      await ensureList();
+      const log = await readActivityLog(listId);
+      return latestActivity(
+        log.filter((entry) => entry.taskId === taskId),
+        limit
+      );
+    };
+
+    return {
+      listId,
+      listTasks: locked(listTasks),
+      findTasks: locked(findTasks),
+      createTask: asEditor(createTask),
+      updateTask: asEditor(updateTask),
+      removeTask: asEditor(removeTask),
+      restoreFromTrash: asEditor(restoreFromTrash),
+      purgeTask: asEditor(purgeTask),
+      applyBulk: asEditor(applyBulk),
+      reorderTasks: asEditor(reorderTasks),
+      restoreTasks: asEditor(restoreTasks),
+      exportTasks: locked(exportTasks),
+      importTasks: asEditor(importTasks),
+      listSubtasks: locked(listSubtasks),
+      createSubtask: asEditor(createSubtask),
+      updateSubtask: asEditor(updateSubtask),
+      removeSubtask: asEditor(removeSubtask),
+      listTaskActivity,
+    };
+  };
+
+  return {
+    storage,
+    // Task methods without a list act on the default list (/api/tasks)
+    ...tasksIn(DEFAULT_LIST_ID),
+    tasksIn,
+    listActivity,
+    getLists,
+    findList,
+    createList: listsLocked(createList),
+    renameList: listsLocked(renameList),
+    removeList: listsLocked(removeList),
+    createInvitation: listsLocked(createInvitation),
+    acceptInvitation: listsLocked(acceptInvitation),
+    updateMember: listsLocked(updateMember),
+    removeMember: listsLocked(removeMember),
+  };
+};
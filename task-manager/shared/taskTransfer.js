@@ -0,0 +1,289 @@
+// Import and export of a list's tasks as files (GET /tasks/export, POST /tasks/import)
+//   json - { listId, exportedAt, tasks: [task, ...] }, every field kept; an import
+//          also takes a plain array or the { taskList } of GET /api/tasks
+//   csv  - one task per row under a header row of CSV_COLUMNS (subtasks are left out,
+//          titles and notes that start like a formula get a leading ');
+//          an import needs a title column, the others are optional
+//   md   - a checklist, "- [ ] title" / "- [x] title", subtasks indented below their
+//          task; headings, blank lines and other text are skipped on import
+// Parsing only turns a file into task inputs - validating them is up to the service,
+// so one bad row is reported by its number instead of failing the whole file.
+import { TaskError } from "./taskErrors.js";
+
+export const TRANSFER_FORMATS = ["json", "csv", "md"];
+
+export const CSV_COLUMNS = [
+  "id",
+  "title",
+  "isDone",
+  "priority",
+  "dueDate",
+  "notes",
+  "assigneeId",
+  "createdAt",
+  "completedAt",
+];
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+};
+
+const invalidImport = (msg, details = {}) =>
+  new TaskError(400, msg, { code: "INVALID_IMPORT", ...details });
+
+export const validateTransferFormat = (format) => {
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw new TaskError(
+      400,
+      `format must be one of ${TRANSFER_FORMATS.join(", ")}`,
+      { field: "format" }
+    );
+  }
+  return format;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Quote cells that would otherwise break the row (RFC 4180)
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheets run a cell that starts with =, +, - or @ as a formula, so such titles
+// and notes go out behind a ' (a text marker for spreadsheets) - the import takes one
+// ' off again. Text that already starts with ' and a formula character gets one more
+const FORMULA_TEXT = /^'*[=+\-@\t\r]/;
+const TEXT_COLUMNS = ["title", "notes"];
+
+const escapeFormula = (text) =>
+  typeof text === "string" && FORMULA_TEXT.test(text) ? `'${text}` : text;
+
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_TEXT.test(text) ? text.slice(1) : text;
+
+const toCsv = (tasks) =>
+  [
+    CSV_COLUMNS,
+    ...tasks.map((task) =>
+      CSV_COLUMNS.map((key) =>
+        TEXT_COLUMNS.includes(key) ? escapeFormula(task[key]) : task[key]
+      )
+    ),
+  ]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+// A checklist item has to stay on one line
+const checklistLine = (indent, { title, isDone }) =>
+  `${indent}- [${isDone ? "x" : " "}] ${title.replace(/\s*\n\s*/g, " ")}`;
+
+const toMarkdown = (tasks, listName) =>
+  [
+    `# ${listName}`,
+    "",
+    ...tasks.flatMap((task) => [
+      checklistLine("", task),
+      ...task.subtasks.map((subtask) => checklistLine("  ", subtask)),
+    ]),
+  ].join("\n") + "\n";
+
+// Serialize tasks (in list order) - returns { content, contentType, fileName }
+export const exportTaskFile = (
+  tasks,
+  format,
+  { listId, listName, exportedAt }
+) => {
+  const contents = {
+    json: () => `${JSON.stringify({ listId, exportedAt, tasks }, null, 2)}\n`,
+    csv: () => toCsv(tasks),
+    md: () => toMarkdown(tasks, listName),
+  };
+  return {
+    content: contents[format](),
+    contentType: CONTENT_TYPES[format],
+    fileName: `${listId}-tasks.${format}`,
+  };
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Records of a CSV file with the line each one starts on; quoted cells may hold
+// commas, doubled quotes and line breaks
+const parseCsvRecords = (content) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    // Blank lines are no records
+    if (record.length > 1 || record[0] !== "") {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") {
+          line += 1;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[index + 1] === "\n") {
+        index += 1;
+      }
+      line += 1;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) {
+    throw invalidImport(`unclosed quote in the row on line ${recordLine}`);
+  }
+  if (cell || record.length) {
+    endRecord();
+  }
+  return records;
+};
+
+// "true", "x", "yes" and "1" are done, "false", "no", "0" and an empty cell open;
+// anything else is left for the validation to report
+const parseCsvFlag = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (["true", "x", "yes", "1"].includes(normalized)) {
+    return true;
+  }
+  if (["false", "no", "0", ""].includes(normalized)) {
+    return false;
+  }
+  return value;
+};
+
+const parseCsv = (content) => {
+  const [header, ...records] = parseCsvRecords(content);
+  if (!header) {
+    return { rows: [], errors: [] };
+  }
+  const columns = header.cells.map((name) => name.trim());
+  const unknown = columns.filter((name) => !CSV_COLUMNS.includes(name));
+  if (unknown.length || !columns.includes("title")) {
+    throw invalidImport(
+      `the header row needs a title column and may hold ${CSV_COLUMNS.join(
+        ", "
+      )}${unknown.length ? ` (unknown: ${unknown.join(", ")})` : ""}`
+    );
+  }
+  const rows = records.map(({ line, cells }) => {
+    const input = {};
+    columns.forEach((name, index) => {
+      const value = cells[index] === undefined ? "" : cells[index];
+      if (name === "isDone") {
+        input.isDone = parseCsvFlag(value);
+      } else if (TEXT_COLUMNS.includes(name)) {
+        input[name] = unescapeFormula(value);
+      } else if (name === "dueDate") {
+        input.dueDate = value.trim() || null;
+      } else if (value.trim()) {
+        input[name] = value.trim();
+      }
+    });
+    return { row: line, input };
+  });
+  return { rows, errors: [] };
+};
+
+const CHECKLIST_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/;
+const LIST_ITEM = /^\s*[-*+]\s/;
+
+const parseMarkdown = (content) => {
+  const rows = [];
+  const errors = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const row = index + 1;
+    const match = text.match(CHECKLIST_ITEM);
+    if (!match) {
+      if (LIST_ITEM.test(text)) {
+        errors.push({ row, msg: "expected a checklist item like - [ ] title" });
+      }
+      return;
+    }
+    const [, indent, mark, title] = match;
+    const item = { title: title.trim(), isDone: mark !== " " };
+    if (!indent) {
+      rows.push({ row, input: { ...item, subtasks: [] } });
+      return;
+    }
+    const parent = rows[rows.length - 1];
+    if (!parent) {
+      errors.push({ row, msg: "a subtask needs a task above it" });
+      return;
+    }
+    parent.input.subtasks.push(item);
+  });
+  return { rows, errors };
+};
+
+const parseJson = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw invalidImport(`the file is not valid JSON (${error.message})`);
+  }
+  const tasks = Array.isArray(parsed)
+    ? parsed
+    : parsed && (parsed.tasks || parsed.taskList);
+  if (!Array.isArray(tasks)) {
+    throw invalidImport("the file holds no tasks array");
+  }
+  const rows = [];
+  const errors = [];
+  tasks.forEach((input, index) => {
+    const row = index + 1;
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      errors.push({ row, msg: "each task must be an object" });
+      return;
+    }
+    rows.push({ row, input });
+  });
+  return { rows, errors };
+};
+
+// Turn a file into { rows: [{ row, input }], errors: [{ row, msg }] }
+// row is the item number (json) or the line number (csv, md); a file that cannot be
+// read at all throws a 400 TaskError with code INVALID_IMPORT
+export const parseTaskFile = (content, format) => {
+  // Spreadsheet programs like to start files with a byte order mark
+  const text = content.replace(/^\uFEFF/, "");
+  const parsers = { json: parseJson, csv: parseCsv, md: parseMarkdown };
+  return parsers[format](text);
+};
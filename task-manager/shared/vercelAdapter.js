@@ -0,0 +1,95 @@
+// Vercel adapter for the shared task routes
+// Every file under api/ exports the same handler; routing happens on the request path
+import { readClientIp } from "./apiProtection.js";
+import { handleHealthRequest } from "./storageHealth.js";
+import { handleTaskRequest, parseJsonBody } from "./taskRoutes.js";
+
+const sendJson = (res, statusCode, payload, headers = {}) => {
+  res.statusCode = statusCode;
+  Object.entries(headers).forEach(([name, value]) => {
+    res.setHeader(name, value);
+  });
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(payload));
+};
+
+// Results with a string body (exports) are sent as they are, with their own Content-Type
+const sendResult = (res, result, headers) => {
+  if (typeof result.body !== "string") {
+    sendJson(res, result.statusCode, result.body, headers);
+    return;
+  }
+  res.statusCode = result.statusCode;
+  Object.entries(headers).forEach(([name, value]) => {
+    res.setHeader(name, value);
+  });
+  res.end(result.body);
+};
+
+// Vercel usually pre-parses JSON bodies into req.body; fall back to reading the stream
+const readBody = async (req) => {
+  if (req.body && typeof req.body === "object") {
+    return req.body;
+  }
+  if (typeof req.body === "string") {
+    return parseJsonBody(req.body);
+  }
+
+  const rawBody = await new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", (error) => reject(error));
+  });
+  return parseJsonBody(rawBody);
+};
+
+// protection (createApiProtection) adds the CORS allowlist, API keys and the rate limit
+// health (createStorageHealth) answers GET /api/health and /api/health/storage
+export const createVercelHandler = (service, { protection, health } = {}) =>
+  async function handler(req, res) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const corsHeaders = protection
+      ? protection.corsHeaders(req.headers.origin)
+      : {};
+
+    if (protection && req.method === "OPTIONS") {
+      sendJson(res, 200, {}, corsHeaders);
+      return;
+    }
+    if (protection) {
+      const refusal = await protection.checkRequest({
+        method: req.method,
+        headers: req.headers,
+        clientIp: readClientIp(req.headers, req.socket?.remoteAddress),
+      });
+      if (refusal) {
+        sendJson(res, refusal.statusCode, refusal.body, {
+          ...corsHeaders,
+          ...refusal.headers,
+        });
+        return;
+      }
+    }
+
+    const request = {
+      method: req.method,
+      // "/api/tasks/abc" -> "/tasks/abc"
+      path: requestUrl.pathname.replace(/^\/api/, ""),
+      query: Object.fromEntries(requestUrl.searchParams),
+      // Node already lower-cases incoming header names
+      headers: req.headers,
+      readBody: () => readBody(req),
+    };
+    const result =
+      (health && (await handleHealthRequest(health, request))) ||
+      (await handleTaskRequest(service, request));
+
+    if (!result) {
+      sendJson(res, 404, { msg: "route does not exist" }, corsHeaders);
+      return;
+    }
+    sendResult(res, result, { ...corsHeaders, ...result.headers });
+  };
@@ -0,0 +1,23 @@
+import { useLogout, useSession } from "./reactQueryCustomHooks";
+
+// AccountBar component - who is logged in, with a log-out button
+// Renders nothing on backends without accounts (no one has logged in)
+const AccountBar = () => {
+  const { user, isLoggedIn } = useSession();
+  const logout = useLogout();
+
+  if (!isLoggedIn || !user) {
+    return null;
+  }
+  return (
+    <div className="account-bar">
+      <p>
+        logged in as <strong>{user.name}</strong>
+      </p>
+      <button type="button" className="btn list-btn" onClick={logout}>
+        log out
+      </button>
+    </div>
+  );
+};
+export default AccountBar;
@@ -0,0 +1,35 @@
+import { useState } from "react";
+import ActivityList from "./ActivityList";
+import { useActivityFeed } from "./reactQueryCustomHooks";
+
+// ActivityFeed component - the latest changes in the active list, by whom and when
+// Collapsed by default; the feed is only fetched once it is opened
+const ActivityFeed = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { activity, isLoading, isError } = useActivityFeed({
+    enabled: isOpen,
+  });
+
+  return (
+    <section className="activity">
+      <button
+        type="button"
+        className="btn activity-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "hide activity" : "show activity"}
+      </button>
+      {isOpen && (
+        <div className="activity-body">
+          <ActivityList
+            activity={activity}
+            isLoading={isLoading}
+            isError={isError}
+          />
+        </div>
+      )}
+    </section>
+  );
+};
+export default ActivityFeed;
@@ -0,0 +1,85 @@
+import { useSession } from "./reactQueryCustomHooks";
+import { CLIENT_ID } from "./utils";
+
+// Who made a change: this tab or the logged-in account, another account by name,
+// or another tab / unknown client
+const describeActor = (actor, user) => {
+  if (actor === CLIENT_ID || (user && actor === user.name)) {
+    return "you";
+  }
+  if (!actor || actor.startsWith("tab-")) {
+    return "someone";
+  }
+  return actor;
+};
+
+// Task fields as they are named in "changed the ... of"
+const fieldNames = {
+  dueDate: "due date",
+  completeWithSubtasks: "checklist option",
+  subtasks: "checklist",
+  assigneeId: "assignee",
+};
+
+// What happened, per entry type (see shared/taskActivity.js)
+const describeChange = (entry) => {
+  const title = `"${entry.title}"`;
+  switch (entry.type) {
+    case "created":
+      return `added ${title}`;
+    case "renamed":
+      return `renamed "${entry.from}" to "${entry.to}"`;
+    case "completed":
+      return `completed ${title}`;
+    case "reopened":
+      return `reopened ${title}`;
+    case "updated":
+      return `changed the ${entry.fields
+        .map((field) => fieldNames[field] || field)
+        .join(", ")} of ${title}`;
+    case "deleted":
+      return `moved ${title} to the trash`;
+    case "restored":
+      return `restored ${title}`;
+    case "purged":
+      return `deleted ${title} for good`;
+    case "reordered":
+      return `reordered ${entry.count} tasks`;
+    case "imported":
+      return `imported ${entry.count} tasks from a ${entry.format} file${
+        entry.trashed
+          ? ` (${entry.trashed} replaced tasks moved to the trash)`
+          : ""
+      }`;
+    default:
+      return `${entry.type} ${title}`;
+  }
+};
+
+// ActivityList component - activity entries as "who did what, when", newest first
+// Shared by the list's activity feed and the history in a task's details panel
+const ActivityList = ({ activity, isLoading, isError }) => {
+  const { user } = useSession();
+  if (isLoading) {
+    return <p>Loading...</p>;
+  }
+  if (isError) {
+    return <p>There was an error...</p>;
+  }
+  if (!activity.length) {
+    return <p className="activity-note">no changes recorded yet</p>;
+  }
+  return (
+    <ul className="activity-list">
+      {activity.map((entry) => (
+        <li key={entry.id} className="activity-item">
+          {describeActor(entry.actor, user)} {describeChange(entry)}
+          <span className="activity-date">
+            {new Date(entry.at).toLocaleString()}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+export default ActivityList;
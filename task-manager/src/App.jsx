@@ -1,19 +1,63 @@
 import { ToastContainer } from "react-toastify";
+import AccountBar from "./AccountBar";
+import ActivityFeed from "./ActivityFeed";
+import ConflictPrompt from "./ConflictPrompt";
 import Form from "./Form";
 import Items from "./Items";
+import ListSharing from "./ListSharing";
+import ListSwitcher from "./ListSwitcher";
+import Login from "./Login";
+import StorageStatus from "./StorageStatus";
+import SyncStatus from "./SyncStatus";
+import TaskTransfer from "./TaskTransfer";
+import Trash from "./Trash";
+import UndoShortcuts from "./UndoShortcuts";
+import { useSession } from "./reactQueryCustomHooks";
+import { ActiveListProvider } from "./useActiveList";
 
 // Main application component - serves as the root layout
 // ToastContainer provides toast notifications throughout the app (success/error messages)
+// ActiveListProvider shares the selected task list (?list=) with every component below it
+// When the server asks for a login (401), the login screen replaces everything else
 const App = () => {
+  const { loginRequired } = useSession();
   return (
-    <section className="section-center">
-      {/* Toast notifications will appear at the top-center of the screen */}
-      <ToastContainer position="top-center" />
-      {/* Form component for creating new tasks */}
-      <Form />
-      {/* Items component that displays the list of tasks using React Query */}
-      <Items />
-    </section>
+    <ActiveListProvider>
+      <section className="section-center">
+        {/* Toast notifications will appear at the top-center of the screen */}
+        <ToastContainer position="top-center" />
+        {loginRequired ? (
+          <Login />
+        ) : (
+          <>
+            {/* Offline banner + replay of changes queued without a connection */}
+            <SyncStatus />
+            {/* Warning when the server does not save changes durably */}
+            <StorageStatus />
+            {/* Keep mine / take theirs / merge when a task was changed elsewhere */}
+            <ConflictPrompt />
+            {/* Undo / redo of task actions (toast buttons and keyboard shortcuts) */}
+            <UndoShortcuts />
+            {/* Logged-in account and log out (servers with accounts only) */}
+            <AccountBar />
+            {/* List picker - Form and Items always work on the selected list */}
+            <ListSwitcher />
+            {/* Members, invitations and joining shared lists (servers with accounts only) */}
+            <ListSharing />
+            {/* Export the selected list as JSON / CSV / markdown, or import a file */}
+            <TaskTransfer />
+            {/* Form component for creating new tasks */}
+            <Form />
+            {/* Items component that displays the list of tasks using React Query */}
+            <Items />
+            {/* Deleted tasks of the selected list - restore or delete for good */}
+            <Trash />
+            {/* Latest changes in the selected list - who did what, when */}
+            <ActivityFeed />
+          </>
+        )}
+      </section>
+    </ActiveListProvider>
   );
 };
 export default App;
@@ -0,0 +1,74 @@
+// BulkBar component - list-wide actions plus actions for the selected tasks
+// Purely presentational: Items owns the selection and runs the useBulkTasks mutation
+
+const BulkBar = ({
+  counts,
+  selectedCount,
+  disabled,
+  onMarkAllDone,
+  onClearCompleted,
+  onSelectedAction,
+  onClearSelection,
+}) => {
+  // Nothing selected: only the list-wide shortcuts
+  if (!selectedCount) {
+    return (
+      <div className="bulk-bar">
+        <button
+          type="button"
+          className="btn bulk-btn"
+          disabled={disabled || !counts || !counts.open}
+          onClick={onMarkAllDone}
+        >
+          mark all done
+        </button>
+        <button
+          type="button"
+          className="btn bulk-btn"
+          disabled={disabled || !counts || !counts.done}
+          onClick={onClearCompleted}
+        >
+          clear completed
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bulk-bar">
+      <span className="bulk-count">{selectedCount} selected</span>
+      <button
+        type="button"
+        className="btn bulk-btn"
+        disabled={disabled}
+        onClick={() => onSelectedAction("complete")}
+      >
+        complete
+      </button>
+      <button
+        type="button"
+        className="btn bulk-btn"
+        disabled={disabled}
+        onClick={() => onSelectedAction("reopen")}
+      >
+        reopen
+      </button>
+      <button
+        type="button"
+        className="btn bulk-btn remove-btn"
+        disabled={disabled}
+        onClick={() => onSelectedAction("delete")}
+      >
+        delete
+      </button>
+      <button
+        type="button"
+        className="btn bulk-btn btn-hipster"
+        onClick={onClearSelection}
+      >
+        clear selection
+      </button>
+    </div>
+  );
+};
+export default BulkBar;
@@ -0,0 +1,145 @@
+import { useEffect, useState } from "react";
+import { useTaskConflicts } from "./reactQueryCustomHooks";
+import { CONFLICT_FIELDS } from "./taskConflicts";
+
+const fieldLabels = {
+  title: "title",
+  isDone: "status",
+  priority: "priority",
+  dueDate: "due date",
+  notes: "notes",
+  completeWithSubtasks: "complete with checklist",
+  assigneeId: "assignee",
+};
+
+const formatValue = (field, value) => {
+  if (field === "isDone") {
+    return value ? "done" : "open";
+  }
+  if (typeof value === "boolean") {
+    return value ? "on" : "off";
+  }
+  return value || "none";
+};
+
+// ConflictPrompt component - shown when a change hit a task that was changed somewhere
+// else in the meantime (412 from the API); one conflict is shown at a time
+// For edits, every field this tab changed is listed next to the server's value;
+// "merge" keeps the fields ticked as "mine" and takes the server's value for the rest
+const ConflictPrompt = () => {
+  const { conflict, conflictCount, resolveConflict } = useTaskConflicts();
+  // Fields to keep from this tab when merging - all of them to begin with
+  const [keptFields, setKeptFields] = useState([]);
+
+  useEffect(() => {
+    setKeptFields(conflict?.mine ? Object.keys(conflict.mine) : []);
+  }, [conflict]);
+
+  if (!conflict) {
+    return null;
+  }
+
+  const { theirs, mine } = conflict;
+  const more = conflictCount > 1 ? ` (${conflictCount - 1} more waiting)` : "";
+
+  if (conflict.type === "delete") {
+    return (
+      <div className="conflict-prompt" role="alertdialog">
+        <p>
+          "{theirs.title}" was changed somewhere else after you loaded it.
+          delete it anyway?{more}
+        </p>
+        <div className="conflict-actions">
+          <button
+            type="button"
+            className="btn list-btn remove-btn"
+            onClick={() => resolveConflict(conflict, "mine")}
+          >
+            delete anyway
+          </button>
+          <button
+            type="button"
+            className="btn list-btn"
+            onClick={() => resolveConflict(conflict, "theirs")}
+          >
+            keep it
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const fields = CONFLICT_FIELDS.filter((field) => field in mine);
+  const toggleField = (field) =>
+    setKeptFields((current) =>
+      current.includes(field)
+        ? current.filter((item) => item !== field)
+        : [...current, field]
+    );
+
+  return (
+    <div className="conflict-prompt" role="alertdialog">
+      <p>
+        "{theirs.title}" was changed somewhere else while you were editing it
+        {more}
+      </p>
+      <table className="conflict-fields">
+        <thead>
+          <tr>
+            <th>field</th>
+            <th>mine</th>
+            <th>theirs</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field) => (
+            <tr key={field}>
+              <td>{fieldLabels[field]}</td>
+              <td>
+                {fields.length > 1 ? (
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={keptFields.includes(field)}
+                      onChange={() => toggleField(field)}
+                    />{" "}
+                    {formatValue(field, mine[field])}
+                  </label>
+                ) : (
+                  formatValue(field, mine[field])
+                )}
+              </td>
+              <td>{formatValue(field, theirs[field])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="conflict-actions">
+        <button
+          type="button"
+          className="btn list-btn"
+          onClick={() => resolveConflict(conflict, "mine")}
+        >
+          keep mine
+        </button>
+        <button
+          type="button"
+          className="btn list-btn"
+          onClick={() => resolveConflict(conflict, "theirs")}
+        >
+          take theirs
+        </button>
+        {fields.length > 1 && (
+          <button
+            type="button"
+            className="btn list-btn"
+            onClick={() => resolveConflict(conflict, "merge", keptFields)}
+          >
+            merge ticked
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+export default ConflictPrompt;
@@ -0,0 +1,91 @@
+// FilterBar component - tabs, live search, sort dropdown and task counters
+// Purely presentational: the filter state lives in the URL (see useTaskFilters)
+
+const STATUS_TABS = [
+  { value: "all", label: "all" },
+  { value: "open", label: "active" },
+  { value: "done", label: "completed" },
+];
+
+// Each option maps to a sort + order pair understood by the API
+const SORT_OPTIONS = [
+  { value: "position:asc", label: "manual order" },
+  { value: "created:asc", label: "oldest first" },
+  { value: "created:desc", label: "newest first" },
+  { value: "title:asc", label: "title (a-z)" },
+  { value: "dueDate:asc", label: "due date" },
+  { value: "priority:desc", label: "priority" },
+];
+
+const DEFAULT_ORDERS = {
+  position: "asc",
+  created: "asc",
+  title: "asc",
+  dueDate: "asc",
+  priority: "desc",
+};
+
+const FilterBar = ({ filters, onChange, counts }) => {
+  const sortValue = `${filters.sort}:${
+    filters.order || DEFAULT_ORDERS[filters.sort]
+  }`;
+
+  const handleSortChange = (event) => {
+    const [sort, order] = event.target.value.split(":");
+    onChange({ sort, order: order === DEFAULT_ORDERS[sort] ? "" : order });
+  };
+
+  return (
+    <div className="filter-bar">
+      {/* Status tabs */}
+      <div className="filter-tabs" role="tablist">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            type="button"
+            role="tab"
+            aria-selected={filters.status === tab.value}
+            className={`filter-tab ${
+              filters.status === tab.value ? "active" : ""
+            }`}
+            onClick={() => onChange({ status: tab.value })}
+          >
+            {tab.label}
+            {counts && (
+              <span className="filter-count">{counts[tab.value]}</span>
+            )}
+          </button>
+        ))}
+      </div>
+      <div className="filter-controls">
+        {/* Live search - filters as you type */}
+        <input
+          type="search"
+          className="form-input"
+          placeholder="search tasks"
+          aria-label="search tasks"
+          value={filters.q}
+          onChange={(event) => onChange({ q: event.target.value })}
+        />
+        <select
+          className="form-input"
+          aria-label="sort tasks"
+          value={sortValue}
+          onChange={handleSortChange}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {counts && (
+        <p className="items-count">
+          {counts.open} of {counts.all} remaining
+        </p>
+      )}
+    </div>
+  );
+};
+export default FilterBar;
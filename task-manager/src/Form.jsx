@@ -1,43 +1,96 @@
 import { useState } from "react";
-import { useCreateTask } from "./reactQueryCustomHooks";
+import { useCreateTask, useListAccess } from "./reactQueryCustomHooks";
+import { DEFAULT_PRIORITY, TASK_PRIORITIES } from "./taskHelpers";
 
 // Form component for creating new tasks
 // Uses React Query's mutation hook to handle task creation with optimistic updates
+// Viewers of a shared list see the form disabled
 const Form = () => {
-  // Local state to manage the input field value
+  // Local state to manage the input field values
+  // dueDate, priority and notes are optional - only the title is required
   const [newItemName, setNewItemName] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [notes, setNotes] = useState("");
 
   // React Query mutation hook - handles API call and cache updates
   // isLoading: indicates if the mutation is in progress (useful for disabling submit button)
   // createTask: the mutation function that will be called when form is submitted
   const { isLoading, createTask } = useCreateTask();
+  const { canEdit } = useListAccess();
 
   // Handle form submission
   // Prevents default form behavior and triggers the mutation
-  // onSuccess callback clears the input field after successful task creation
+  // onSuccess callback clears the fields after successful task creation
   const handleSubmit = (e) => {
     e.preventDefault();
-    createTask(newItemName, {
-      onSuccess: () => {
-        setNewItemName("");
-      },
-    });
+    createTask(
+      { title: newItemName, dueDate: dueDate || null, priority, notes },
+      {
+        onSuccess: () => {
+          setNewItemName("");
+          setDueDate("");
+          setPriority(DEFAULT_PRIORITY);
+          setNotes("");
+        },
+      }
+    );
   };
   return (
     <form onSubmit={handleSubmit}>
       <h4>task bud</h4>
-      <div className="form-control">
-        <input
-          type="text "
-          className="form-input"
-          value={newItemName}
-          onChange={(event) => setNewItemName(event.target.value)}
+      {!canEdit && (
+        <p className="read-only-note">
+          you can view this list, but not change it
+        </p>
+      )}
+      {/* A disabled fieldset disables every control inside it */}
+      <fieldset className="form-fieldset" disabled={!canEdit}>
+        <div className="form-control">
+          <input
+            type="text "
+            className="form-input"
+            value={newItemName}
+            onChange={(event) => setNewItemName(event.target.value)}
+          />
+          {/* Button is disabled while mutation is in progress to prevent duplicate submissions */}
+          <button type="submit" className="btn" disabled={isLoading}>
+            add task
+          </button>
+        </div>
+        {/* Optional task details */}
+        <div className="form-options">
+          <label className="form-label">
+            due date
+            <input
+              type="date"
+              className="form-input"
+              value={dueDate}
+              onChange={(event) => setDueDate(event.target.value)}
+            />
+          </label>
+          <label className="form-label">
+            priority
+            <select
+              className="form-input"
+              value={priority}
+              onChange={(event) => setPriority(event.target.value)}
+            >
+              {TASK_PRIORITIES.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <textarea
+          className="form-textarea form-notes"
+          placeholder="notes (optional)"
+          value={notes}
+          onChange={(event) => setNotes(event.target.value)}
         />
-        {/* Button is disabled while mutation is in progress to prevent duplicate submissions */}
-        <button type="submit" className="btn" disabled={isLoading}>
-          add task
-        </button>
-      </div>
+      </fieldset>
     </form>
   );
 };
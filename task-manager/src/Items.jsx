@@ -1,40 +1,200 @@
+import { useEffect, useRef } from "react";
 import SingleItem from "./SingleItem";
-import { useFetchTasks } from "./reactQueryCustomHooks";
+import FilterBar from "./FilterBar";
+import BulkBar from "./BulkBar";
+import {
+  useBulkTasks,
+  useListAccess,
+  useReorderTasks,
+  useTaskPages,
+} from "./reactQueryCustomHooks";
+import { useActiveList } from "./useActiveList";
+import { useDebouncedValue, useTaskFilters } from "./useTaskFilters";
+import { useTaskReorder } from "./useTaskReorder";
+import { useTaskSelection } from "./useTaskSelection";
 
-// Items component - displays the list of tasks
-// Uses React Query to fetch tasks from the API with automatic caching and refetching
+// Items component - displays the list of tasks with a filter toolbar
+// Tasks are shown one page at a time; scrolling to the bottom loads the next page,
+// either from the local cache or from the paginated API
+// Viewers of a shared list get the tasks read-only: no batch actions, no reordering
 const Items = () => {
-  // React Query hook that handles fetching tasks
-  // isLoading: true while the initial fetch is in progress
+  // Filters are kept in the URL query string so filtered views can be bookmarked
+  // The search text is debounced before it reaches the query (avoids a request per keystroke)
+  const [filters, updateFilters] = useTaskFilters();
+  const debouncedSearch = useDebouncedValue(filters.q);
+  const queryParams = {
+    status: filters.status,
+    q: debouncedSearch,
+    sort: filters.sort,
+    ...(filters.order && { order: filters.order }),
+  };
+
+  // React Query hook that handles fetching tasks page by page
+  // isLoading: true while the first page is loading
   // isError: true if the fetch failed
-  // data: contains the fetched tasks data (structure: { taskList: [...] })
-  const { isLoading, isError, data } = useFetchTasks();
+  // taskList: every task loaded so far, total: number of matching tasks, counts: per-status totals
+  const {
+    isLoading,
+    isError,
+    taskList,
+    total,
+    counts,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useTaskPages(queryParams);
+
+  // Multi-select (shift-click selects a range) and the batch actions built on it
+  const { listId } = useActiveList();
+  const { selectedIds, isSelected, toggleTask, clearSelection } =
+    useTaskSelection(taskList);
+  const { bulkTasks, bulkTasksLoading } = useBulkTasks();
+  const { canEdit, members } = useListAccess();
+
+  // Manual ordering only makes sense while the list is shown in manual order
+  const { reorderTasks } = useReorderTasks();
+  const { getReorderProps } = useTaskReorder(taskList, {
+    enabled: canEdit && filters.sort === "position" && !filters.order,
+    onReorder: reorderTasks,
+  });
+
+  // A new list or new filters start with an empty selection
+  const selectionKey = JSON.stringify({ listId, ...queryParams });
+  useEffect(() => {
+    clearSelection();
+  }, [selectionKey, clearSelection]);
+
+  // List-wide actions target tasks by status, so they also cover pages not loaded yet
+  // The label names the change in the toast that offers to undo it
+  const markAllDone = () =>
+    bulkTasks([{ op: "complete", status: "open" }], {
+      label: "all tasks done",
+    });
+  const clearCompleted = () =>
+    bulkTasks([{ op: "delete", status: "done" }], {
+      label: (data) => `${data.removed.length} completed tasks cleared`,
+    });
+  const applyToSelected = (op) =>
+    bulkTasks([{ op, ids: selectedIds }], {
+      label: (data) =>
+        op === "delete"
+          ? `${data.removed.length} tasks removed`
+          : `${data.updated.length} tasks ${
+              op === "complete" ? "completed" : "reopened"
+            }`,
+      onSuccess: clearSelection,
+    });
+
+  // Sentinel element at the end of the list - when it scrolls into view, load the next page
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (
+      !sentinel ||
+      !hasNextPage ||
+      typeof IntersectionObserver === "undefined"
+    ) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  // Toolbar stays visible in every state so filters can always be changed
+  const filterBar = (
+    <FilterBar filters={filters} onChange={updateFilters} counts={counts} />
+  );
 
   // Show loading state while fetching data
   if (isLoading) {
-    return <p style={{ marginTop: "1rem " }}>Loading...</p>;
+    return (
+      <>
+        {filterBar}
+        <p style={{ marginTop: "1rem " }}>Loading...</p>
+      </>
+    );
   }
   // Show error state if the API call failed
   if (isError) {
-    return <p style={{ marginTop: "1rem " }}>There was an error...</p>;
+    return (
+      <>
+        {filterBar}
+        <p style={{ marginTop: "1rem " }}>There was an error...</p>
+      </>
+    );
   }
 
-  // Add safety check for data and taskList
-  // Ensures data exists and has the expected structure before rendering
-  // This prevents crashes if API returns unexpected data format
-  if (!data || !data.taskList || !Array.isArray(data.taskList)) {
-    return <p style={{ marginTop: "1rem " }}>No tasks found...</p>;
+  const bulkBar = canEdit && (
+    <BulkBar
+      counts={counts}
+      selectedCount={selectedIds.length}
+      disabled={bulkTasksLoading}
+      onMarkAllDone={markAllDone}
+      onClearCompleted={clearCompleted}
+      onSelectedAction={applyToSelected}
+      onClearSelection={clearSelection}
+    />
+  );
+
+  // Nothing matches the current filters
+  if (!taskList.length) {
+    return (
+      <>
+        {filterBar}
+        {bulkBar}
+        <p style={{ marginTop: "1rem " }}>No tasks found...</p>
+      </>
+    );
   }
 
   // Render the list of tasks
   // Each task is rendered as a SingleItem component
   // key prop is required by React for list rendering (using task.id for uniqueness)
   return (
-    <div className="items">
-      {data.taskList.map((item) => {
-        return <SingleItem key={item.id} item={item} />;
-      })}
-    </div>
+    <>
+      {filterBar}
+      {bulkBar}
+      <div className="items">
+        {taskList.map((item) => {
+          return (
+            <SingleItem
+              key={item.id}
+              item={item}
+              isSelected={isSelected(item.id)}
+              onSelect={
+                canEdit
+                  ? (event) => toggleTask(item.id, { shiftKey: event.shiftKey })
+                  : undefined
+              }
+              reorder={getReorderProps(item.id)}
+              members={members}
+              readOnly={!canEdit}
+            />
+          );
+        })}
+        {/* Load more: triggered automatically by the sentinel, button kept as a fallback */}
+        {hasNextPage && (
+          <div ref={loadMoreRef} className="load-more">
+            <button
+              type="button"
+              className="btn"
+              disabled={isFetchingNextPage}
+              onClick={() => fetchNextPage()}
+            >
+              {isFetchingNextPage ? "loading..." : "load more"}
+            </button>
+          </div>
+        )}
+        <p className="items-count">
+          showing {taskList.length} of {total}
+        </p>
+      </div>
+    </>
   );
 };
 export default Items;
@@ -0,0 +1,192 @@
+import { useEffect, useState } from "react";
+import {
+  useAcceptInvitation,
+  useCreateInvitation,
+  useListAccess,
+  useRemoveMember,
+  useSession,
+  useUpdateMember,
+} from "./reactQueryCustomHooks";
+import { getInitials } from "./taskHelpers";
+import { useActiveList } from "./useActiveList";
+import { DEFAULT_LIST_ID } from "./utils";
+
+// Roles the owner can give (a list has a single owner)
+const memberRoles = ["editor", "viewer"];
+
+// ListSharing component - the members of the active list, invitations and joining a list
+// Collapsed by default; renders nothing on backends without accounts (no one logged in)
+// The owner creates an invitation with a role and passes its code on; the other user
+// enters the code under "join". The owner can change roles or remove members, and
+// members can leave
+const ListSharing = () => {
+  const { user, isLoggedIn } = useSession();
+  const { listId } = useActiveList();
+  const { list, isOwner, members } = useListAccess();
+  const [isOpen, setIsOpen] = useState(false);
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [code, setCode] = useState("");
+  const {
+    createInvitation,
+    invitation,
+    clearInvitation,
+    isLoading: createInvitationLoading,
+  } = useCreateInvitation();
+  const { acceptInvitation, isLoading: acceptInvitationLoading } =
+    useAcceptInvitation();
+  const { updateMember, isLoading: updateMemberLoading } = useUpdateMember();
+  const { removeMember, isLoading: removeMemberLoading } = useRemoveMember();
+
+  // An invitation code is only shown for the list it was created for
+  useEffect(() => {
+    clearInvitation();
+  }, [listId, clearInvitation]);
+
+  if (!isLoggedIn) {
+    return null;
+  }
+
+  const handleInvite = (event) => {
+    event.preventDefault();
+    createInvitation({ listId, role: inviteRole });
+  };
+
+  const handleJoin = (event) => {
+    event.preventDefault();
+    const token = code.trim();
+    if (!token) {
+      return;
+    }
+    acceptInvitation(token, { onSuccess: () => setCode("") });
+  };
+
+  const handleRemove = (member) => {
+    const isSelf = member.userId === user?.id;
+    const question = isSelf
+      ? `leave "${list?.name}"?`
+      : `remove ${member.name} from "${list?.name}"?`;
+    if (window.confirm(question)) {
+      removeMember({ listId, userId: member.userId });
+    }
+  };
+
+  return (
+    <section className="sharing">
+      <button
+        type="button"
+        className="btn sharing-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "hide sharing" : "sharing"}
+      </button>
+      {isOpen && (
+        <div className="sharing-body">
+          {listId === DEFAULT_LIST_ID ? (
+            <p className="sharing-note">
+              your default list is private - create a new list to share it
+            </p>
+          ) : (
+            <>
+              <ul className="member-list">
+                {members.map((member) => (
+                  <li key={member.userId} className="member">
+                    <span className="avatar">{getInitials(member.name)}</span>
+                    <span className="member-name">
+                      {member.name}
+                      {member.userId === user?.id && " (you)"}
+                    </span>
+                    {isOwner && member.role !== "owner" ? (
+                      <select
+                        className="form-input member-role"
+                        aria-label={`role of ${member.name}`}
+                        value={member.role}
+                        disabled={updateMemberLoading}
+                        onChange={(event) =>
+                          updateMember({
+                            listId,
+                            userId: member.userId,
+                            role: event.target.value,
+                          })
+                        }
+                      >
+                        {memberRoles.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="member-role">{member.role}</span>
+                    )}
+                    {/* The owner removes members; a member can only leave */}
+                    {member.role !== "owner" &&
+                      (isOwner || member.userId === user?.id) && (
+                        <button
+                          type="button"
+                          className="btn list-btn remove-btn"
+                          disabled={removeMemberLoading}
+                          onClick={() => handleRemove(member)}
+                        >
+                          {member.userId === user?.id ? "leave" : "remove"}
+                        </button>
+                      )}
+                  </li>
+                ))}
+              </ul>
+              {isOwner && (
+                <form className="sharing-form" onSubmit={handleInvite}>
+                  <select
+                    className="form-input"
+                    aria-label="role of the invited user"
+                    value={inviteRole}
+                    onChange={(event) => setInviteRole(event.target.value)}
+                  >
+                    {memberRoles.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="submit"
+                    className="btn"
+                    disabled={createInvitationLoading}
+                  >
+                    invite
+                  </button>
+                </form>
+              )}
+              {invitation && (
+                <p className="sharing-note">
+                  send this code to the person you invite (single use, valid
+                  until {new Date(invitation.expiresAt).toLocaleDateString()}):{" "}
+                  <code className="sharing-code">{invitation.token}</code>
+                </p>
+              )}
+            </>
+          )}
+          {/* Joining works from any list - the joined list becomes the active one */}
+          <form className="sharing-form" onSubmit={handleJoin}>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="invitation code"
+              aria-label="invitation code"
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+            />
+            <button
+              type="submit"
+              className="btn"
+              disabled={acceptInvitationLoading}
+            >
+              join
+            </button>
+          </form>
+        </div>
+      )}
+    </section>
+  );
+};
+export default ListSharing;
@@ -0,0 +1,140 @@
+import { useEffect, useState } from "react";
+import {
+  useCreateList,
+  useDeleteList,
+  useFetchLists,
+  useListAccess,
+  useRenameList,
+} from "./reactQueryCustomHooks";
+import { useActiveList } from "./useActiveList";
+import { DEFAULT_LIST_ID } from "./utils";
+
+// ListSwitcher component - picks the active task list and creates, renames or deletes lists
+// The same name input is used for "new list" and "rename"; mode says which one is open
+// Only the owner of a shared list can rename or delete it
+const ListSwitcher = () => {
+  const { listId, setListId } = useActiveList();
+  const { lists, isPlaceholderData } = useFetchLists();
+  const { createList, isLoading: createListLoading } = useCreateList();
+  const { renameList, isLoading: renameListLoading } = useRenameList();
+  const { deleteList, isLoading: deleteListLoading } = useDeleteList();
+  const { isOwner } = useListAccess();
+
+  // mode: null (just the switcher), "create" or "rename"
+  const [mode, setMode] = useState(null);
+  const [draftName, setDraftName] = useState("");
+  const activeList = lists.find((list) => list.id === listId);
+
+  // A bookmarked link can point to a list that was deleted meanwhile - fall back to the default list
+  useEffect(() => {
+    if (!isPlaceholderData && lists.length && !activeList) {
+      setListId(DEFAULT_LIST_ID);
+    }
+  }, [isPlaceholderData, lists, activeList, setListId]);
+
+  const openForm = (nextMode) => {
+    setDraftName(nextMode === "rename" && activeList ? activeList.name : "");
+    setMode(nextMode);
+  };
+
+  const closeForm = () => {
+    setMode(null);
+    setDraftName("");
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) {
+      return;
+    }
+    if (mode === "create") {
+      createList(name, { onSuccess: closeForm });
+      return;
+    }
+    renameList({ listId, name }, { onSuccess: closeForm });
+  };
+
+  const handleDelete = () => {
+    if (
+      !activeList ||
+      !window.confirm(`delete "${activeList.name}" and all of its tasks?`)
+    ) {
+      return;
+    }
+    deleteList(listId);
+  };
+
+  if (mode) {
+    return (
+      <form className="list-switcher" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="form-input"
+          placeholder="list name"
+          aria-label="list name"
+          autoFocus
+          value={draftName}
+          onChange={(event) => setDraftName(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Escape") {
+              closeForm();
+            }
+          }}
+        />
+        <button
+          type="submit"
+          className="btn"
+          disabled={createListLoading || renameListLoading}
+        >
+          {mode === "create" ? "add list" : "save"}
+        </button>
+        <button type="button" className="btn list-btn" onClick={closeForm}>
+          cancel
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="list-switcher">
+      <select
+        className="form-input"
+        aria-label="task list"
+        value={activeList ? listId : DEFAULT_LIST_ID}
+        onChange={(event) => setListId(event.target.value)}
+      >
+        {lists.map((list) => (
+          <option key={list.id} value={list.id}>
+            {list.members?.length > 1 ? `${list.name} (shared)` : list.name}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="btn list-btn"
+        onClick={() => openForm("create")}
+      >
+        new
+      </button>
+      <button
+        type="button"
+        className="btn list-btn"
+        disabled={!isOwner}
+        onClick={() => openForm("rename")}
+      >
+        rename
+      </button>
+      {/* The default list cannot be deleted */}
+      <button
+        type="button"
+        className="btn list-btn remove-btn"
+        disabled={listId === DEFAULT_LIST_ID || !isOwner || deleteListLoading}
+        onClick={handleDelete}
+      >
+        delete
+      </button>
+    </div>
+  );
+};
+export default ListSwitcher;
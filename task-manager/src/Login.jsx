@@ -0,0 +1,87 @@
+import { useState } from "react";
+import { useLogin, useSignup } from "./reactQueryCustomHooks";
+
+// Login component - shown instead of the task lists when the server asks for a login
+// One form for both logging in and creating an account (which also logs in)
+const Login = () => {
+  const [isSignup, setIsSignup] = useState(false);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const { login, isLoading: loginLoading } = useLogin();
+  const { signup, isLoading: signupLoading } = useSignup();
+  const isLoading = loginLoading || signupLoading;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isSignup) {
+      signup({ email, password, name: name.trim() || undefined });
+      return;
+    }
+    login({ email, password });
+  };
+
+  return (
+    <form className="login" onSubmit={handleSubmit}>
+      <h4>{isSignup ? "create an account" : "log in"}</h4>
+      <div className="form-row">
+        <label className="form-label" htmlFor="login-email">
+          email
+        </label>
+        <input
+          id="login-email"
+          type="email"
+          className="form-input"
+          autoComplete="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          required
+        />
+      </div>
+      {isSignup && (
+        <div className="form-row">
+          <label className="form-label" htmlFor="login-name">
+            name (optional)
+          </label>
+          <input
+            id="login-name"
+            type="text"
+            className="form-input"
+            autoComplete="nickname"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+          />
+        </div>
+      )}
+      <div className="form-row">
+        <label className="form-label" htmlFor="login-password">
+          password
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          className="form-input"
+          autoComplete={isSignup ? "new-password" : "current-password"}
+          minLength={isSignup ? 8 : undefined}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          required
+        />
+      </div>
+      <button type="submit" className="btn btn-block" disabled={isLoading}>
+        {isSignup ? "sign up" : "log in"}
+      </button>
+      <p className="login-switch">
+        {isSignup ? "already have an account?" : "no account yet?"}{" "}
+        <button
+          type="button"
+          className="login-link"
+          onClick={() => setIsSignup((value) => !value)}
+        >
+          {isSignup ? "log in" : "sign up"}
+        </button>
+      </p>
+    </form>
+  );
+};
+export default Login;
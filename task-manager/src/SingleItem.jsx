@@ -1,44 +1,322 @@
+import { useRef, useState } from "react";
 import { useDeleteTask, useEditTask } from "./reactQueryCustomHooks";
+import SubtaskList from "./SubtaskList";
+import TaskHistory from "./TaskHistory";
+import {
+  TASK_PRIORITIES,
+  getDueStatus,
+  getInitials,
+  getSubtaskProgress,
+} from "./taskHelpers";
+
+// Badge labels for the due-date status returned by getDueStatus
+const dueBadgeLabels = {
+  overdue: "overdue",
+  today: "due today",
+};
 
 // SingleItem component - renders an individual task with checkbox and delete button
-// Each task item can be toggled (checked/unchecked) or deleted
-const SingleItem = ({ item }) => {
+// Each task item can be toggled (checked/unchecked), renamed inline or deleted,
+// and the details panel edits due date, priority and notes and shows the task's history
+// Optional multi-select: pass isSelected + onSelect(event) to show a selection checkbox
+// Optional reordering: pass reorder (from useTaskReorder) to show a drag handle
+// Shared lists: members ([{ userId, name, role }]) can be assigned the task, and
+// readOnly (viewers) disables every control that would change it
+const SingleItem = ({
+  item,
+  isSelected = false,
+  onSelect,
+  reorder,
+  members = [],
+  readOnly = false,
+}) => {
   // React Query mutation hooks for editing and deleting tasks
-  // editTask: function to toggle task completion status (isDone)
+  // editTask: function to update any task field (isDone, title, ...)
   // deleteTask: function to remove the task
   // deleteTaskLoading: loading state for delete operation (disables button during deletion)
   const { editTask } = useEditTask();
   const { deleteTask, deleteTaskLoading } = useDeleteTask();
 
+  // Inline title editing state
+  // isEditing switches the title between text and an input; draftTitle holds the unsaved value
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(item.title);
+  // Set when Escape cancels, so the blur that follows does not save the draft
+  const cancelEditRef = useRef(false);
+  // Details panel state - notes are edited locally and saved on blur
+  const [showDetails, setShowDetails] = useState(false);
+  const [draftNotes, setDraftNotes] = useState(item.notes || "");
+  const dueStatus = getDueStatus(item);
+  // A task that is still being created only has a temporary ID the server does not know yet
+  const isPending = Boolean(item.isPending);
+  const progress = getSubtaskProgress(item);
+  // The assignee may have left the list since - the avatar then shows "?"
+  const assignee = item.assigneeId
+    ? members.find((member) => member.userId === item.assigneeId) || {
+        name: "a former member",
+      }
+    : null;
+
+  const startEditing = () => {
+    cancelEditRef.current = false;
+    setDraftTitle(item.title);
+    setIsEditing(true);
+  };
+
+  // Save only when the title actually changed and is not blank
+  const saveTitle = () => {
+    setIsEditing(false);
+    const title = draftTitle.trim();
+    if (cancelEditRef.current || !title || title === item.title) {
+      return;
+    }
+    editTask({ taskId: item.id, title });
+  };
+
+  // Enter saves, Escape cancels and restores the original title
+  const handleTitleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      saveTitle();
+    }
+    if (event.key === "Escape") {
+      cancelEditRef.current = true;
+      setIsEditing(false);
+      setDraftTitle(item.title);
+    }
+  };
+
+  const toggleDetails = () => {
+    setDraftNotes(item.notes || "");
+    setShowDetails(!showDetails);
+  };
+
+  const saveNotes = () => {
+    if (draftNotes !== (item.notes || "")) {
+      editTask({ taskId: item.id, notes: draftNotes });
+    }
+  };
+
   return (
-    <div className="single-item">
-      {/* Checkbox to toggle task completion status */}
-      {/* When clicked, it inverts the current isDone value and triggers the mutation */}
-      <input
-        type="checkbox"
-        checked={item.isDone}
-        onChange={() => editTask({ taskId: item.id, isDone: !item.isDone })}
-      />
-      {/* Task title with conditional styling */}
-      {/* textTransform: 'capitalize' makes first letter uppercase */}
-      {/* textDecoration: adds strikethrough when task is completed */}
-      <p
-        style={{
-          textTransform: "capitalize",
-          textDecoration: item.isDone && "line-through",
-        }}
-      >
-        {item.title}
-      </p>
-      {/* Delete button - disabled while deletion is in progress to prevent duplicate requests */}
-      <button
-        className="btn remove-btn"
-        type="button"
-        disabled={deleteTaskLoading}
-        onClick={() => deleteTask(item.id)}
+    <div
+      className={[
+        "task",
+        isSelected && "selected",
+        isPending && "pending",
+        item.isQueued && "queued",
+        reorder?.isDragging && "dragging",
+        reorder?.isDropTarget && "drop-target",
+      ]
+        .filter(Boolean)
+        .join(" ")}
+      {...reorder?.itemProps}
+    >
+      <div
+        className={[
+          "single-item",
+          onSelect && "selectable",
+          reorder && "reorderable",
+        ]
+          .filter(Boolean)
+          .join(" ")}
       >
-        delete
-      </button>
+        {/* Drag handle - drag to reorder, or focus it and press Alt+Up / Alt+Down */}
+        {reorder && (
+          <button
+            type="button"
+            className="drag-handle"
+            aria-label={`move ${item.title} (Alt+Up / Alt+Down)`}
+            title="drag to reorder (Alt+Up / Alt+Down)"
+            {...reorder.handleProps}
+          >
+            ⠿
+          </button>
+        )}
+        {/* Selection checkbox - click events carry shiftKey for range selection */}
+        {onSelect && (
+          <input
+            type="checkbox"
+            className="select-checkbox"
+            aria-label={`select ${item.title}`}
+            checked={isSelected}
+            readOnly
+            onClick={onSelect}
+          />
+        )}
+        {/* Checkbox to toggle task completion status */}
+        {/* When clicked, it inverts the current isDone value and triggers the mutation */}
+        <input
+          type="checkbox"
+          checked={item.isDone}
+          disabled={isPending || readOnly}
+          onChange={() => editTask({ taskId: item.id, isDone: !item.isDone })}
+        />
+        {/* Task title - double-click to edit inline */}
+        {/* textTransform: 'capitalize' makes first letter uppercase */}
+        {/* textDecoration: adds strikethrough when task is completed */}
+        {isEditing ? (
+          <input
+            type="text"
+            className="form-input edit-input"
+            aria-label="edit task title"
+            value={draftTitle}
+            autoFocus
+            onChange={(event) => setDraftTitle(event.target.value)}
+            onKeyDown={handleTitleKeyDown}
+            onBlur={saveTitle}
+          />
+        ) : (
+          <div className="task-title">
+            <p
+              title={readOnly ? undefined : "double-click to edit"}
+              onDoubleClick={isPending || readOnly ? undefined : startEditing}
+              style={{
+                textTransform: "capitalize",
+                textDecoration: item.isDone && "line-through",
+              }}
+            >
+              {item.title}
+            </p>
+            {/* Badges: priority (only when not "normal") and due-date status */}
+            {item.priority && item.priority !== "normal" && (
+              <span className={`badge badge-${item.priority}`}>
+                {item.priority}
+              </span>
+            )}
+            {dueStatus && (
+              <span className={`badge badge-${dueStatus}`}>
+                {dueBadgeLabels[dueStatus]}
+              </span>
+            )}
+            {/* Changed while offline - waiting in the offline queue */}
+            {item.isQueued && (
+              <span
+                className="badge badge-queued"
+                title="saved on this device, will sync when you reconnect"
+              >
+                not synced
+              </span>
+            )}
+            {/* Checklist progress, e.g. "2/5" */}
+            {progress && (
+              <span
+                className={`badge badge-progress ${
+                  progress.done === progress.total ? "complete" : ""
+                }`}
+                title={`${progress.done} of ${progress.total} checklist items done`}
+              >
+                {progress.done}/{progress.total}
+              </span>
+            )}
+            {/* Assignee initials, e.g. "AL" */}
+            {assignee && (
+              <span className="avatar" title={`assigned to ${assignee.name}`}>
+                {assignee.userId ? getInitials(assignee.name) : "?"}
+              </span>
+            )}
+          </div>
+        )}
+        <div className="item-actions">
+          <button
+            className="btn remove-btn details-btn"
+            type="button"
+            aria-expanded={showDetails}
+            disabled={isPending}
+            onClick={toggleDetails}
+          >
+            {showDetails ? "hide" : "details"}
+          </button>
+          {/* Delete button - disabled while deletion is in progress to prevent duplicate requests */}
+          <button
+            className="btn remove-btn"
+            type="button"
+            disabled={deleteTaskLoading || isPending || readOnly}
+            onClick={() => deleteTask(item.id)}
+          >
+            delete
+          </button>
+        </div>
+      </div>
+      {/* Details panel - each change is saved straight away through useEditTask */}
+      {showDetails && (
+        <div className="item-details">
+          <div className="form-options">
+            <label className="form-label">
+              due date
+              <input
+                type="date"
+                className="form-input"
+                value={item.dueDate || ""}
+                disabled={readOnly}
+                onChange={(event) =>
+                  editTask({
+                    taskId: item.id,
+                    dueDate: event.target.value || null,
+                  })
+                }
+              />
+            </label>
+            <label className="form-label">
+              priority
+              <select
+                className="form-input"
+                value={item.priority || "normal"}
+                disabled={readOnly}
+                onChange={(event) =>
+                  editTask({ taskId: item.id, priority: event.target.value })
+                }
+              >
+                {TASK_PRIORITIES.map((value) => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {/* Only lists shared on a server with accounts have members */}
+            {members.length > 0 && (
+              <label className="form-label">
+                assignee
+                <select
+                  className="form-input"
+                  value={item.assigneeId || ""}
+                  disabled={readOnly}
+                  onChange={(event) =>
+                    editTask({
+                      taskId: item.id,
+                      assigneeId: event.target.value || null,
+                    })
+                  }
+                >
+                  <option value="">nobody</option>
+                  {members.map((member) => (
+                    <option key={member.userId} value={member.userId}>
+                      {member.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <SubtaskList task={item} readOnly={readOnly} />
+          <textarea
+            className="form-textarea form-notes"
+            placeholder="notes"
+            readOnly={readOnly}
+            value={draftNotes}
+            onChange={(event) => setDraftNotes(event.target.value)}
+            onBlur={saveNotes}
+          />
+          {item.createdAt && (
+            <p className="item-meta">
+              created {new Date(item.createdAt).toLocaleString()}
+              {item.completedAt &&
+                ` · completed ${new Date(item.completedAt).toLocaleString()}`}
+            </p>
+          )}
+          <TaskHistory taskId={item.id} />
+        </div>
+      )}
     </div>
   );
 };
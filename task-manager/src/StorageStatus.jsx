@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { useStorageHealth } from "./reactQueryCustomHooks";
+
+// The warning for a storage report that is not "ok" (see shared/storageHealth.js)
+const describeReport = (report) => {
+  if (report.status === "error") {
+    return "the server cannot read its storage - your changes may be lost";
+  }
+  if (!report.writable) {
+    return "the server cannot save changes right now - they will be lost when it restarts";
+  }
+  return `changes are only kept in the server's memory (${report.storageMode}) and will be lost when it restarts`;
+};
+
+// StorageStatus component - warns when the server does not save changes durably,
+// e.g. a Netlify function that fell back to memory storage
+// Renders nothing while the storage is fine or the backend has no health route;
+// a dismissed warning comes back when the server's situation changes
+const StorageStatus = () => {
+  const { report, isAtRisk } = useStorageHealth();
+  const [dismissedKey, setDismissedKey] = useState(null);
+
+  if (!isAtRisk) {
+    return null;
+  }
+  const reportKey = [
+    report.status,
+    report.storageMode,
+    report.fallbackAt,
+    report.lastWriteError,
+  ].join("|");
+  if (dismissedKey === reportKey) {
+    return null;
+  }
+
+  const reason =
+    report.error || report.lastWriteError || report.fallbackReason || null;
+  return (
+    <div className="sync-status storage-status" role="alert">
+      <div>
+        <p>{describeReport(report)}</p>
+        {reason && <p className="storage-status-reason">{reason}</p>}
+      </div>
+      <button
+        type="button"
+        className="btn list-btn"
+        onClick={() => setDismissedKey(reportKey)}
+      >
+        dismiss
+      </button>
+    </div>
+  );
+};
+export default StorageStatus;
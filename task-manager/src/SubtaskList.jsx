@@ -0,0 +1,121 @@
+import { useState } from "react";
+import {
+  useCreateSubtask,
+  useDeleteSubtask,
+  useEditSubtask,
+  useEditTask,
+} from "./reactQueryCustomHooks";
+import { isTempId } from "./taskHelpers";
+
+// SubtaskList component - the checklist inside a task's details panel
+// Subtasks can be ticked, added and removed; the option below the list lets the
+// parent task complete itself once every subtask is done
+// readOnly (viewers of a shared list) shows the checklist without any controls to change it
+const SubtaskList = ({ task, readOnly = false }) => {
+  const { createSubtask, createSubtaskLoading } = useCreateSubtask();
+  const { editSubtask } = useEditSubtask();
+  const { deleteSubtask } = useDeleteSubtask();
+  const { editTask } = useEditTask();
+  const [newTitle, setNewTitle] = useState("");
+  const subtasks = task.subtasks || [];
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const title = newTitle.trim();
+    if (!title) {
+      return;
+    }
+    createSubtask(
+      { taskId: task.id, title },
+      { onSuccess: () => setNewTitle("") }
+    );
+  };
+
+  // A task created offline has no server ID yet, so its checklist cannot be stored
+  if (isTempId(task.id)) {
+    return (
+      <p className="item-meta">
+        the checklist is available once the task is saved
+      </p>
+    );
+  }
+
+  return (
+    <div className="subtasks">
+      <h5 className="subtasks-title">checklist</h5>
+      {subtasks.length > 0 && (
+        <ul className="subtask-list">
+          {subtasks.map((subtask) => (
+            <li key={subtask.id} className="subtask">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={subtask.isDone}
+                  disabled={readOnly}
+                  onChange={() =>
+                    editSubtask({
+                      taskId: task.id,
+                      subtaskId: subtask.id,
+                      isDone: !subtask.isDone,
+                    })
+                  }
+                />
+                <span
+                  style={{
+                    textDecoration: subtask.isDone && "line-through",
+                  }}
+                >
+                  {subtask.title}
+                </span>
+              </label>
+              <button
+                type="button"
+                className="btn remove-btn"
+                disabled={readOnly}
+                aria-label={`remove ${subtask.title}`}
+                onClick={() =>
+                  deleteSubtask({ taskId: task.id, subtaskId: subtask.id })
+                }
+              >
+                remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {readOnly && !subtasks.length && (
+        <p className="item-meta">no checklist items</p>
+      )}
+      {!readOnly && (
+        <form className="subtask-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="form-input"
+            placeholder="add a checklist item"
+            aria-label="new subtask"
+            value={newTitle}
+            onChange={(event) => setNewTitle(event.target.value)}
+          />
+          <button type="submit" className="btn" disabled={createSubtaskLoading}>
+            add
+          </button>
+        </form>
+      )}
+      <label className="subtask-option">
+        <input
+          type="checkbox"
+          checked={Boolean(task.completeWithSubtasks)}
+          disabled={readOnly}
+          onChange={() =>
+            editTask({
+              taskId: task.id,
+              completeWithSubtasks: !task.completeWithSubtasks,
+            })
+          }
+        />
+        complete the task when every item is done
+      </label>
+    </div>
+  );
+};
+export default SubtaskList;
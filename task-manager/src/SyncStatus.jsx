@@ -0,0 +1,90 @@
+import {
+  useLiveUpdates,
+  useOfflineSync,
+  useTaskCacheBridge,
+} from "./reactQueryCustomHooks";
+
+const countChanges = (count) =>
+  `${count} ${count === 1 ? "change" : "changes"}`;
+
+// SyncStatus component - runs the offline queue replay and tells the user about it
+// It also keeps the caches live: changes from other tabs (useTaskCacheBridge) and from
+// other devices (useLiveUpdates) are merged in as they happen
+// Changes the server kept failing on are shown on their own, to retry or discard
+// Renders nothing while online with nothing left to sync
+const SyncStatus = () => {
+  const {
+    isOnline,
+    queuedCount,
+    failedCount,
+    isSyncing,
+    replayQueue,
+    retryFailed,
+    discardFailed,
+  } = useOfflineSync();
+  useTaskCacheBridge();
+  useLiveUpdates();
+
+  if (isOnline && !queuedCount && !failedCount) {
+    return null;
+  }
+
+  const changes = countChanges(queuedCount);
+  return (
+    <>
+      {(!isOnline || queuedCount > 0) && (
+        <div
+          className={`sync-status ${isOnline ? "" : "offline"}`}
+          role="status"
+        >
+          {!isOnline && (
+            <p>
+              you are offline
+              {queuedCount ? ` - ${changes} will sync when you reconnect` : ""}
+            </p>
+          )}
+          {isOnline && (
+            <>
+              <p>
+                {isSyncing ? `syncing ${changes}...` : `${changes} not synced`}
+              </p>
+              {!isSyncing && (
+                <button
+                  type="button"
+                  className="btn list-btn"
+                  onClick={() => replayQueue({ ignoreBackoff: true })}
+                >
+                  retry
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      {failedCount > 0 && (
+        <div className="sync-status failed" role="alert">
+          <p>{countChanges(failedCount)} could not be saved</p>
+          <div>
+            <button
+              type="button"
+              className="btn list-btn"
+              onClick={retryFailed}
+              disabled={!isOnline || isSyncing}
+            >
+              retry
+            </button>
+            <button
+              type="button"
+              className="btn list-btn"
+              onClick={discardFailed}
+              disabled={isSyncing}
+            >
+              discard
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+export default SyncStatus;
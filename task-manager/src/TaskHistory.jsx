@@ -0,0 +1,33 @@
+import { useState } from "react";
+import ActivityList from "./ActivityList";
+import { useTaskActivity } from "./reactQueryCustomHooks";
+
+// TaskHistory component - the change history at the bottom of a task's details panel
+// Only fetched once "history" is clicked
+const TaskHistory = ({ taskId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { activity, isLoading, isError } = useTaskActivity(taskId, {
+    enabled: isOpen,
+  });
+
+  return (
+    <div className="task-history">
+      <button
+        type="button"
+        className="btn remove-btn details-btn"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "hide history" : "history"}
+      </button>
+      {isOpen && (
+        <ActivityList
+          activity={activity}
+          isLoading={isLoading}
+          isError={isError}
+        />
+      )}
+    </div>
+  );
+};
+export default TaskHistory;
@@ -0,0 +1,141 @@
+import { useRef, useState } from "react";
+import { toast } from "react-toastify";
+import {
+  useExportTasks,
+  useImportTasks,
+  useListAccess,
+} from "./reactQueryCustomHooks";
+
+const formats = [
+  { value: "json", label: "JSON" },
+  { value: "csv", label: "CSV" },
+  { value: "md", label: "markdown checklist" },
+];
+
+// The reference servers take request bodies up to 2 MB
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+// Format of a picked file from its extension (.markdown counts as md)
+const formatOfFile = (fileName) => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return extension === "markdown"
+    ? "md"
+    : formats.find((format) => format.value === extension)?.value;
+};
+
+// TaskTransfer component - export the active list as a file, or import one into it
+// Collapsed by default. Export downloads the list in the selected format; import
+// opens the browser's file picker and reads the format from the file extension.
+// "merge" adds the file's tasks next to the existing ones, "replace" makes the file
+// the whole list (the other tasks go to the trash, so it asks first). Viewers can
+// only export.
+const TaskTransfer = () => {
+  const { list, canEdit } = useListAccess();
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState("json");
+  const [mode, setMode] = useState("merge");
+  const fileInput = useRef(null);
+  const { exportTasks, exportTasksLoading } = useExportTasks();
+  const { importTasks, importTasksLoading } = useImportTasks();
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    // Picking the same file again should fire change again
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    const fileFormat = formatOfFile(file.name);
+    if (!fileFormat) {
+      toast.error("pick a .json, .csv or .md file");
+      return;
+    }
+    if (file.size > MAX_IMPORT_BYTES) {
+      toast.error("the file is too large to import (2 MB at most)");
+      return;
+    }
+    if (
+      mode === "replace" &&
+      !window.confirm(
+        `replace the tasks of "${list?.name || "this list"}" with ${
+          file.name
+        }? the current tasks go to the trash`
+      )
+    ) {
+      return;
+    }
+    importTasks({ format: fileFormat, content: await file.text(), mode });
+  };
+
+  return (
+    <section className="transfer">
+      <button
+        type="button"
+        className="btn transfer-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "hide import / export" : "import / export"}
+      </button>
+      {isOpen && (
+        <div className="transfer-body">
+          <div className="transfer-row">
+            <select
+              className="form-input"
+              aria-label="export format"
+              value={format}
+              onChange={(event) => setFormat(event.target.value)}
+            >
+              {formats.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn list-btn"
+              disabled={exportTasksLoading}
+              onClick={() => exportTasks(format)}
+            >
+              export
+            </button>
+          </div>
+          {canEdit && (
+            <div className="transfer-row">
+              <select
+                className="form-input"
+                aria-label="import mode"
+                value={mode}
+                onChange={(event) => setMode(event.target.value)}
+              >
+                <option value="merge">add to the list</option>
+                <option value="replace">replace the list</option>
+              </select>
+              <button
+                type="button"
+                className="btn list-btn"
+                disabled={importTasksLoading}
+                onClick={() => fileInput.current.click()}
+              >
+                import
+              </button>
+              <input
+                ref={fileInput}
+                type="file"
+                accept=".json,.csv,.md,.markdown"
+                hidden
+                onChange={handleFile}
+              />
+            </div>
+          )}
+          <p className="transfer-note">
+            duplicates (same ID or title) and invalid rows are skipped and
+            reported
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+export default TaskTransfer;
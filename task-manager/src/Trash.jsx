@@ -0,0 +1,81 @@
+import { useState } from "react";
+import {
+  useListAccess,
+  usePurgeTask,
+  useRestoreFromTrash,
+  useTrash,
+} from "./reactQueryCustomHooks";
+
+// Trash component - the deleted tasks of the active list, below the task list
+// Collapsed by default; the trash is only fetched once it is opened
+// Each task can be restored to its old place or deleted for good (not by viewers)
+const Trash = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { trash, retentionDays, isLoading, isError } = useTrash({
+    enabled: isOpen,
+  });
+  const { restoreFromTrash } = useRestoreFromTrash();
+  const { purgeTask } = usePurgeTask();
+  const { canEdit } = useListAccess();
+
+  const handlePurge = (task) => {
+    if (window.confirm(`delete "${task.title}" for good?`)) {
+      purgeTask(task.id);
+    }
+  };
+
+  return (
+    <section className="trash">
+      <button
+        type="button"
+        className="btn trash-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "hide trash" : "show trash"}
+      </button>
+      {isOpen && (
+        <div className="trash-body">
+          {isLoading && <p>Loading...</p>}
+          {isError && <p>There was an error...</p>}
+          {!isLoading && !isError && !trash.length && (
+            <p className="trash-note">the trash is empty</p>
+          )}
+          {trash.map((task) => (
+            <div key={task.id} className="trash-item">
+              <p className="trash-title">
+                {task.title}
+                <span className="trash-date">
+                  deleted {new Date(task.deletedAt).toLocaleString()}
+                </span>
+              </p>
+              <button
+                type="button"
+                className="btn list-btn"
+                disabled={!canEdit}
+                onClick={() => restoreFromTrash(task.id)}
+              >
+                restore
+              </button>
+              <button
+                type="button"
+                className="btn list-btn remove-btn"
+                disabled={!canEdit}
+                onClick={() => handlePurge(task)}
+              >
+                delete forever
+              </button>
+            </div>
+          ))}
+          {retentionDays && trash.length > 0 && (
+            <p className="trash-note">
+              tasks are deleted for good {retentionDays} days after they were
+              moved here
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+export default Trash;
@@ -0,0 +1,9 @@
+import { useUndoRedo } from "./reactQueryCustomHooks";
+
+// UndoShortcuts component - runs undo / redo for the whole app: Ctrl+Z, Ctrl+Shift+Z
+// (or Ctrl+Y) and the undo buttons in the toasts. Renders nothing
+const UndoShortcuts = () => {
+  useUndoRedo();
+  return null;
+};
+export default UndoShortcuts;
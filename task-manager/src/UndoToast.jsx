@@ -0,0 +1,18 @@
+// UndoToast component - toast content with an action button ("undo" / "redo")
+// react-toastify passes closeToast, so the toast closes once the button is used
+const UndoToast = ({ msg, actionLabel = "undo", onAction, closeToast }) => (
+  <div className="undo-toast">
+    <span>{msg}</span>
+    <button
+      type="button"
+      className="btn undo-btn"
+      onClick={() => {
+        onAction();
+        closeToast();
+      }}
+    >
+      {actionLabel}
+    </button>
+  </div>
+);
+export default UndoToast;
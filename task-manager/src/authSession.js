@@ -0,0 +1,73 @@
+// Login session persisted in localStorage
+// Backends with accounts (the Express reference servers) answer 401 + code
+// "UNAUTHORIZED" without a valid token; the Axios interceptors in utils.js send the
+// token with every request and call requireLogin on such a 401, and App shows the
+// login screen until useLogin / useSignup store a new session
+//
+// Session: { token, user, loginRequired }
+//   token         - bearer token from POST /auth/login or /auth/signup, null when logged out
+//   user          - { id, email, name } of the last account, kept after the token expires
+//                   so a different account logging in next can be told apart
+//   loginRequired - the server refused the token (or there is none); show the login screen
+
+const SESSION_KEY = "react-query-task-manager-session";
+
+const isBrowser = () => typeof window !== "undefined" && !!window.localStorage;
+
+const readStoredSession = () => {
+  if (!isBrowser()) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+let session = {
+  token: null,
+  user: null,
+  ...readStoredSession(),
+  loginRequired: false,
+};
+const listeners = new Set();
+
+const setSession = (nextSession) => {
+  session = nextSession;
+  if (isBrowser()) {
+    try {
+      window.localStorage.setItem(
+        SESSION_KEY,
+        JSON.stringify({ token: session.token, user: session.user })
+      );
+    } catch (error) {
+      // ignore write errors (e.g., quota exceeded, private browsing mode)
+    }
+  }
+  listeners.forEach((listener) => listener(session));
+};
+
+export const readSession = () => session;
+
+// After a successful log-in or sign-up
+export const saveSession = ({ token, user }) =>
+  setSession({ token, user, loginRequired: false });
+
+// The server wants a (new) login: the token is dropped, the user is remembered
+export const requireLogin = () => {
+  if (session.loginRequired) {
+    return;
+  }
+  setSession({ ...session, token: null, loginRequired: true });
+};
+
+// Log out: forget the token and the account
+export const clearSession = () =>
+  setSession({ token: null, user: null, loginRequired: true });
+
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
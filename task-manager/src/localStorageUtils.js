@@ -1,23 +1,54 @@
 // localStorage utility functions for persisting tasks in the browser
 // This provides offline-like functionality - tasks persist across page refreshes
 
+import { DEFAULT_LIST_ID } from "./utils";
+
 const STORAGE_KEY = "react-query-task-manager";
 
+// Each list is stored under its own key
+// The default list keeps the original key so tasks saved before lists existed still load
+const getStorageKey = (listId = DEFAULT_LIST_ID) =>
+  listId === DEFAULT_LIST_ID ? STORAGE_KEY : `${STORAGE_KEY}:${listId}`;
+
 // Check if code is running in a browser environment with localStorage support
 // Important for SSR (Server-Side Rendering) compatibility
 const isBrowser = () => typeof window !== "undefined" && !!window.localStorage;
 
+// Other tabs of the app are told about every write, so their caches can follow
+// BroadcastChannel carries the list directly; browsers without it get the storage event
+const channel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel(STORAGE_KEY)
+    : null;
+
+const announce = (listId, taskList) => {
+  if (channel) {
+    channel.postMessage({ listId: listId || DEFAULT_LIST_ID, taskList });
+  }
+};
+
+// Turn a localStorage key back into its list ID (undefined for other keys)
+const getListIdFromKey = (key) => {
+  if (key === STORAGE_KEY) {
+    return DEFAULT_LIST_ID;
+  }
+  if (key && key.startsWith(`${STORAGE_KEY}:`)) {
+    return key.slice(STORAGE_KEY.length + 1);
+  }
+  return undefined;
+};
+
 // Read tasks from browser's localStorage
 // Returns undefined if no data exists, not a browser environment, or data is invalid
 // Used to hydrate React Query's cache on app initialization for instant UI display
-export const readTasksFromStorage = () => {
+export const readTasksFromStorage = (listId) => {
   // Safety check: only run in browser environment
   if (!isBrowser()) {
     return undefined;
   }
   try {
     // Retrieve the stored JSON string from localStorage
-    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const raw = window.localStorage.getItem(getStorageKey(listId));
     if (!raw) {
       return undefined;
     }
@@ -37,29 +68,67 @@ export const readTasksFromStorage = () => {
 // Write tasks to browser's localStorage
 // Called after successful API responses to keep localStorage in sync with server data
 // This ensures tasks persist even if the server resets (like in serverless cold starts)
-export const writeTasksToStorage = (taskList) => {
+export const writeTasksToStorage = (taskList, listId) => {
   // Safety check: only run in browser environment
   if (!isBrowser()) {
     return;
   }
   try {
     // Convert task array to JSON string and store in localStorage
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(taskList));
+    window.localStorage.setItem(
+      getStorageKey(listId),
+      JSON.stringify(taskList)
+    );
   } catch (error) {
     // ignore write errors (e.g., quota exceeded, private browsing mode)
   }
+  announce(listId, taskList);
 };
 
-// Remove all tasks from localStorage
-// Useful for clearing cached data or implementing a "clear all" feature
-export const removeTasksFromStorage = () => {
+// Remove all tasks of a list from localStorage
+// Used when a list is deleted, or for clearing cached data
+export const removeTasksFromStorage = (listId) => {
   // Safety check: only run in browser environment
   if (!isBrowser()) {
     return;
   }
   try {
-    window.localStorage.removeItem(STORAGE_KEY);
+    window.localStorage.removeItem(getStorageKey(listId));
   } catch (error) {
     // ignore remove errors
   }
+  announce(listId, null);
+};
+
+// Remove the tasks of every list - used when another account logs in on this browser
+export const clearStoredTasks = () => {
+  if (!isBrowser()) {
+    return;
+  }
+  const listIds = Object.keys(window.localStorage)
+    .map(getListIdFromKey)
+    .filter(Boolean);
+  listIds.forEach(removeTasksFromStorage);
+};
+
+// Listen for task lists written by other tabs
+// listener({ listId, taskList }) - taskList is null when the list was removed
+// Returns an unsubscribe function
+export const subscribeToStoredTasks = (listener) => {
+  if (channel) {
+    const handleMessage = (event) => listener(event.data);
+    channel.addEventListener("message", handleMessage);
+    return () => channel.removeEventListener("message", handleMessage);
+  }
+  if (!isBrowser()) {
+    return () => {};
+  }
+  const handleStorage = (event) => {
+    const listId = getListIdFromKey(event.key);
+    if (listId) {
+      listener({ listId, taskList: readTasksFromStorage(listId) || null });
+    }
+  };
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
 };
@@ -0,0 +1,189 @@
+// Offline mutation queue ("outbox") persisted in localStorage
+// Task changes made without a connection are stored here in order and replayed
+// by useOfflineSync once the browser is back online - also after a page reload
+//
+// Entry: { id, type, listId, taskId, payload, ifMatch, queuedAt, attempts, retryAt }
+//   type     - "create" (taskId is the temporary ID), "edit" or "delete"
+//   payload  - request body for create / edit, null for delete
+//   ifMatch  - ETag of the task version the change was made on, null when unknown
+//   attempts - replays the server answered with a 5xx so far
+//   retryAt  - time (ms) before which the entry is not replayed again, null at first
+//
+// After MAX_REPLAY_ATTEMPTS failed replays the changes for that task move to a
+// separate "failed" list, so the rest of the queue keeps draining; the user can
+// retry or discard them from there
+
+const OUTBOX_KEY = "react-query-task-manager-outbox";
+const FAILED_KEY = "react-query-task-manager-outbox-failed";
+
+export const MAX_REPLAY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+const isBrowser = () => typeof window !== "undefined" && !!window.localStorage;
+
+// Components showing the queue length subscribe here
+const listeners = new Set();
+
+const readEntries = (key) => {
+  if (!isBrowser()) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(key));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeEntries = (key, entries) => {
+  if (isBrowser()) {
+    try {
+      if (entries.length) {
+        window.localStorage.setItem(key, JSON.stringify(entries));
+      } else {
+        window.localStorage.removeItem(key);
+      }
+    } catch (error) {
+      // ignore write errors (e.g., quota exceeded, private browsing mode)
+    }
+  }
+  listeners.forEach((listener) =>
+    listener(readEntries(OUTBOX_KEY), readEntries(FAILED_KEY))
+  );
+};
+
+export const readQueue = () => readEntries(OUTBOX_KEY);
+
+export const readFailedMutations = () => readEntries(FAILED_KEY);
+
+const writeQueue = (entries) => writeEntries(OUTBOX_KEY, entries);
+
+export const enqueueMutation = ({
+  type,
+  listId,
+  taskId,
+  payload = null,
+  ifMatch = null,
+}) => {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    listId,
+    taskId,
+    payload,
+    ifMatch,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    retryAt: null,
+  };
+  writeQueue([...readQueue(), entry]);
+  return entry;
+};
+
+// Drop the entry that was just replayed (or rejected by the server)
+export const removeQueuedMutation = (entryId) => {
+  writeQueue(readQueue().filter((entry) => entry.id !== entryId));
+};
+
+// Once a queued create is stored, later entries must use the server ID
+export const replaceQueuedTaskId = (tempId, taskId) => {
+  writeQueue(
+    readQueue().map((entry) =>
+      entry.taskId === tempId ? { ...entry, taskId } : entry
+    )
+  );
+};
+
+// Changes queued on top of a replayed one expect the version the server just stored
+export const replaceQueuedETag = (taskId, ifMatch) => {
+  writeQueue(
+    readQueue().map((entry) =>
+      entry.taskId === taskId && entry.ifMatch ? { ...entry, ifMatch } : entry
+    )
+  );
+};
+
+// A rejected create leaves nothing for the entries that depend on it
+export const removeQueuedTask = (taskId) => {
+  writeQueue(readQueue().filter((entry) => entry.taskId !== taskId));
+};
+
+// The server failed (5xx) on a replayed entry: count the attempt and wait longer
+// before each retry - 2s, 4s, 8s... up to a minute
+// Returns the updated entry
+export const recordFailedReplay = (entryId) => {
+  let failed = null;
+  writeQueue(
+    readQueue().map((entry) => {
+      if (entry.id !== entryId) {
+        return entry;
+      }
+      const attempts = (entry.attempts || 0) + 1;
+      const delay = Math.min(
+        RETRY_BASE_DELAY_MS * 2 ** (attempts - 1),
+        RETRY_MAX_DELAY_MS
+      );
+      failed = { ...entry, attempts, retryAt: Date.now() + delay };
+      return failed;
+    })
+  );
+  return failed;
+};
+
+// Give up on a task's changes for now: they leave the queue together, so a retry
+// later still sends them in their original order
+// Returns the entries that were moved
+export const moveTaskToFailed = (taskId, msg) => {
+  const queue = readQueue();
+  const moved = queue
+    .filter((entry) => entry.taskId === taskId)
+    .map((entry) => ({ ...entry, failedAt: new Date().toISOString(), msg }));
+  writeQueue(queue.filter((entry) => entry.taskId !== taskId));
+  writeEntries(FAILED_KEY, [...readFailedMutations(), ...moved]);
+  return moved;
+};
+
+// Put the failed changes back at the end of the queue with a fresh attempt count
+export const retryFailedMutations = () => {
+  const failed = readFailedMutations().map(({ failedAt, msg, ...entry }) => ({
+    ...entry,
+    attempts: 0,
+    retryAt: null,
+  }));
+  writeEntries(FAILED_KEY, []);
+  writeQueue([...readQueue(), ...failed]);
+};
+
+// Drop the failed changes; returns them so the caches can be put right
+export const discardFailedMutations = () => {
+  const failed = readFailedMutations();
+  writeEntries(FAILED_KEY, []);
+  return failed;
+};
+
+// Drop every queued and failed change - they belong to an account that logged out
+export const clearQueue = () => {
+  writeEntries(FAILED_KEY, []);
+  writeQueue([]);
+};
+
+export const hasQueuedMutations = (taskId) =>
+  readQueue().some((entry) => taskId === undefined || entry.taskId === taskId);
+
+// Listeners are called with (queuedEntries, failedEntries)
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Requests go to the queue while offline, and while older changes still wait,
+// so the server always sees the changes in the order they were made
+export const shouldQueueMutation = () =>
+  (typeof navigator !== "undefined" && navigator.onLine === false) ||
+  hasQueuedMutations();
+
+// Axios errors without a response never reached the server (offline, DNS, CORS...)
+export const isNetworkError = (error) =>
+  Boolean(error) && !error.response && error.code !== "ERR_CANCELED";
@@ -1,191 +1,2318 @@
 // Custom React Query hooks for task management
 // These hooks encapsulate data fetching, mutations, and cache management using React Query
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import customFetch from "./utils";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  useInfiniteQuery,
+  useQuery,
+  useMutation,
+  useQueryClient,
+} from "@tanstack/react-query";
+import {
+  CLIENT_ID,
+  DEFAULT_LIST_ID,
+  apiFetch,
+  getEventsUrl,
+  getTasksPath,
+} from "./utils";
 import { toast } from "react-toastify";
-import { readTasksFromStorage, writeTasksToStorage } from "./localStorageUtils";
-
-// Hook for fetching tasks from the API
-// Uses React Query's useQuery for automatic caching, refetching, and state management
-// Configured to prioritize cache over network requests - only fetches when absolutely necessary
-export const useFetchTasks = () => {
-  const { isLoading, data, isError, error } = useQuery({
-    // queryKey: unique identifier for this query in React Query's cache
-    // Used for cache invalidation and refetching
-    queryKey: ["tasks"],
-    // queryFn: async function that fetches data from the API
-    // This is ONLY called when cache is empty or explicitly invalidated
-    // With our configuration, this should only run once on initial app load
-    queryFn: async () => {
+import {
+  clearStoredTasks,
+  readTasksFromStorage,
+  removeTasksFromStorage,
+  subscribeToStoredTasks,
+  writeTasksToStorage,
+} from "./localStorageUtils";
+import { useActiveList } from "./useActiveList";
+import {
+  MAX_REPLAY_ATTEMPTS,
+  clearQueue,
+  discardFailedMutations,
+  enqueueMutation,
+  hasQueuedMutations,
+  isNetworkError,
+  moveTaskToFailed,
+  readFailedMutations,
+  readQueue,
+  recordFailedReplay,
+  removeQueuedMutation,
+  removeQueuedTask,
+  replaceQueuedETag,
+  replaceQueuedTaskId,
+  retryFailedMutations,
+  shouldQueueMutation,
+  subscribeToQueue,
+} from "./offlineQueue";
+import {
+  CONFLICT_FIELDS,
+  dismissConflict,
+  readConflicts,
+  reportConflict,
+  subscribeToConflicts,
+} from "./taskConflicts";
+import {
+  clearHistory,
+  readHistory,
+  recordAction,
+  requestRedo,
+  requestUndo,
+  subscribeToHistory,
+  subscribeToHistoryRequests,
+  takeRedo,
+  takeUndo,
+} from "./undoHistory";
+import UndoToast from "./UndoToast";
+import {
+  clearSession,
+  readSession,
+  saveSession,
+  subscribeToSession,
+} from "./authSession";
+import {
+  applyOptimisticChanges,
+  buildOptimisticTask,
+  createTempId,
+  getListRole,
+} from "./taskHelpers";
+import {
+  MAX_PAGE_SIZE,
+  applyTaskOrder,
+  parseTaskQuery,
+  queryTasks,
+} from "../shared/taskQuery.js";
+
+// Number of tasks loaded per page when scrolling through the list
+export const TASK_PAGE_SIZE = 20;
+
+// Lists up to this many tasks are kept whole in the ["tasks", listId] cache (see
+// useTaskPages); longer ones are only ever loaded page by page
+export const FULL_LIST_LIMIT = 500;
+
+// How long a loaded full list counts as fresh; after that it is loaded again when Items
+// mounts or the window regains focus (live updates and mutations keep it current between)
+const FULL_LIST_STALE_TIME = 60 * 1000;
+
+// Cache keys are scoped per list:
+//   ["tasks", listId]                       - full task list of one list (mirrored in localStorage),
+//                                             { taskList: null } when it is too long to keep
+//   ["tasks", listId, "infinite", params]   - server-paged views of one list
+//   ["trash", listId]                       - deleted tasks of one list (GET ?deleted=true)
+//   ["activity", listId]                    - latest changes in one list (GET /activity)
+//   ["activity", listId, taskId]            - history of one task (GET /tasks/:id/activity)
+//   ["lists"]                               - the list names
+
+// Apply a change to every cached page of useInfiniteTasks for one list
+// updatePage receives a page's taskList and returns the new one
+const updateInfiniteTaskPages = (queryClient, listId, updatePage) => {
+  queryClient.setQueriesData(["tasks", listId, "infinite"], (oldData) => {
+    if (!oldData || !Array.isArray(oldData.pages)) {
+      return oldData;
+    }
+    return {
+      ...oldData,
+      pages: oldData.pages.map((page) => ({
+        ...page,
+        taskList: updatePage(page.taskList || []),
+      })),
+    };
+  });
+};
+
+// Mirror a list to localStorage, leaving out tasks that are still being created
+// (a reload mid-request must not keep a task that never reached the server)
+const persistTaskList = (taskList, listId) =>
+  writeTasksToStorage(
+    taskList.filter((task) => !task.isPending),
+    listId
+  );
+
+// Apply a change to the ["tasks", listId] cache and every loaded page of that list
+// updateTaskList receives a taskList and returns the new one
+const updateTaskCaches = (queryClient, listId, updateTaskList) => {
+  queryClient.setQueryData(["tasks", listId], (oldData) => {
+    // Safety check: ensure we have valid data structure
+    if (!oldData || !Array.isArray(oldData.taskList)) {
+      return oldData;
+    }
+    const updatedTaskList = updateTaskList(oldData.taskList);
+    // Sync updated list to localStorage
+    persistTaskList(updatedTaskList, listId);
+    return { ...oldData, taskList: updatedTaskList };
+  });
+  updateInfiniteTaskPages(queryClient, listId, updateTaskList);
+};
+
+// The server's copy of a list, keeping the local copy of tasks this tab is still
+// creating or has changes queued for
+const mergeServerTaskList = (localTaskList, serverTaskList) => {
+  const localTasks = new Map(
+    localTaskList
+      .filter((task) => task.isPending || task.isQueued)
+      .map((task) => [task.id, task])
+  );
+  const serverIds = new Set(serverTaskList.map((task) => task.id));
+  return [
+    ...serverTaskList.map((task) => localTasks.get(task.id) || task),
+    ...[...localTasks.values()].filter((task) => !serverIds.has(task.id)),
+  ];
+};
+
+// Remove a single task from the ["tasks", listId] cache and keep localStorage in sync
+// Used after a delete, and whenever the server reports a task no longer exists
+const removeTaskFromCache = (queryClient, listId, taskId) =>
+  updateTaskCaches(queryClient, listId, (taskList) =>
+    taskList.filter((task) => task.id !== taskId)
+  );
+
+// Put the server's copy of one task into the ["tasks", listId] cache and the loaded pages
+// taskId defaults to the task's own ID; pass the temporary ID to swap in a created task
+const replaceTaskInCache = (
+  queryClient,
+  listId,
+  updatedTask,
+  taskId = updatedTask.id
+) =>
+  updateTaskCaches(queryClient, listId, (taskList) =>
+    taskList.map((task) => (task.id === taskId ? updatedTask : task))
+  );
+
+// Optimistic updates: every mutation that changes the cache before the server answers
+// takes a snapshot first, and puts it back (cache + localStorage) if the request fails
+const snapshotTaskCaches = async (queryClient, listId) => {
+  // Stop in-flight fetches from overwriting the optimistic change
+  await queryClient.cancelQueries(["tasks", listId]);
+  return {
+    previousTasks: queryClient.getQueryData(["tasks", listId]),
+    previousPages: queryClient.getQueriesData(["tasks", listId, "infinite"]),
+  };
+};
+
+const restoreTaskCaches = (queryClient, listId, snapshot) => {
+  if (!snapshot) {
+    return;
+  }
+  if (snapshot.previousTasks) {
+    queryClient.setQueryData(["tasks", listId], snapshot.previousTasks);
+    persistTaskList(snapshot.previousTasks.taskList, listId);
+  }
+  snapshot.previousPages.forEach(([queryKey, data]) => {
+    queryClient.setQueryData(queryKey, data);
+  });
+};
+
+// The server answers PATCH/DELETE for an unknown ID with 404 + code "TASK_NOT_FOUND"
+// (task removed from another tab, device or lost on a cold start)
+// Checking the code rather than the status avoids purging tasks when the API URL itself is wrong
+// 401 + code "UNAUTHORIZED": no valid login - utils.js already switched to the login
+// screen, so no error toast is needed on top
+const isUnauthorizedError = (error) =>
+  error?.response?.status === 401 &&
+  error.response.data?.code === "UNAUTHORIZED";
+
+const isTaskNotFoundError = (error) =>
+  error?.response?.data?.code === "TASK_NOT_FOUND";
+
+// ============================================
+// VERSIONS (If-Match)
+// ============================================
+
+// 412 + code "VERSION_CONFLICT": the task changed on the server since this tab read it
+// The body carries the server's current copy as `task`
+const isVersionConflictError = (error) =>
+  error?.response?.data?.code === "VERSION_CONFLICT";
+
+// Newest version this tab has seen per task, recorded as soon as a response arrives
+// (the next request for a task can start before React Query has updated the cache)
+const seenVersions = new Map();
+
+const rememberVersion = (task) => {
+  if (task?.id && task.version) {
+    seenVersions.set(
+      task.id,
+      Math.max(task.version, seenVersions.get(task.id) || 0)
+    );
+  }
+};
+
+// Record the version from a task response, or from the body of a 412
+const trackVersion = (request) =>
+  request.then(
+    (response) => {
+      rememberVersion(response.data?.task);
+      return response;
+    },
+    (error) => {
+      if (isVersionConflictError(error)) {
+        rememberVersion(error.response.data.task);
+      }
+      throw error;
+    }
+  );
+
+const findCachedTask = (queryClient, listId, taskId) => {
+  const fullList = queryClient.getQueryData(["tasks", listId])?.taskList || [];
+  const pagedTasks = queryClient
+    .getQueriesData(["tasks", listId, "infinite"])
+    .flatMap(([, data]) =>
+      (data?.pages || []).flatMap((page) => page.taskList || [])
+    );
+  return [...fullList, ...pagedTasks].find((task) => task.id === taskId);
+};
+
+// If-Match value for a change to one task: the version the change was made on
+// Tasks cached before versions existed (and temporary tasks) send none
+const getTaskIfMatch = (queryClient, listId, taskId) => {
+  const version = Math.max(
+    findCachedTask(queryClient, listId, taskId)?.version || 0,
+    seenVersions.get(taskId) || 0
+  );
+  return version ? `"${version}"` : null;
+};
+
+const ifMatchHeaders = (ifMatch) => (ifMatch ? { "If-Match": ifMatch } : {});
+
+// Requests for the same task go out one after another, so a quick second edit is
+// sent with the version the first one produced instead of failing with 412
+const taskRequests = new Map();
+
+const inTaskOrder = (taskId, send) => {
+  const previous = taskRequests.get(taskId) || Promise.resolve();
+  const request = previous.catch(() => {}).then(send);
+  taskRequests.set(taskId, request);
+  const cleanUp = () => {
+    if (taskRequests.get(taskId) === request) {
+      taskRequests.delete(taskId);
+    }
+  };
+  request.then(cleanUp, cleanUp);
+  return request;
+};
+
+// Put the server's copy of a task in the cache, adding it to the full list when it
+// is missing there (a task deleted offline that the server kept)
+const upsertTaskInCache = (queryClient, listId, task) => {
+  if (findCachedTask(queryClient, listId, task.id)) {
+    replaceTaskInCache(queryClient, listId, task);
+    return;
+  }
+  queryClient.setQueryData(["tasks", listId], (oldData) => {
+    if (!oldData || !Array.isArray(oldData.taskList)) {
+      return oldData;
+    }
+    const updatedTaskList = [...oldData.taskList, task];
+    persistTaskList(updatedTaskList, listId);
+    return { ...oldData, taskList: updatedTaskList };
+  });
+};
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+// Position of a task in the full cached list - where a restore puts it back
+// Undefined when only server pages are cached; the server then appends the task
+const findTaskIndex = (queryClient, listId, taskId) => {
+  const taskList = queryClient.getQueryData(["tasks", listId])?.taskList;
+  const index = taskList
+    ? taskList.findIndex((task) => task.id === taskId)
+    : -1;
+  return index === -1 ? undefined : index;
+};
+
+// Editable fields that differ between two copies of a task, with the values of `from`
+// (CONFLICT_FIELDS is the list of editable fields)
+const pickChangedFields = (from, to) =>
+  Object.fromEntries(
+    CONFLICT_FIELDS.filter((field) => from[field] !== to[field]).map(
+      (field) => [field, from[field]]
+    )
+  );
+
+// The bulk and restore endpoints take at most 100 operations / tasks per request
+const MAX_BATCH = 100;
+
+const inBatches = (items) =>
+  Array.from({ length: Math.ceil(items.length / MAX_BATCH) }, (_, index) =>
+    items.slice(index * MAX_BATCH, (index + 1) * MAX_BATCH)
+  );
+
+// Record an action the server confirmed and show a toast with an undo button
+const recordUndoable = (entry) => {
+  const recorded = recordAction(entry);
+  toast.success(
+    <UndoToast msg={entry.label} onAction={() => requestUndo(recorded.id)} />
+  );
+};
+
+// ============================================
+// OFFLINE QUEUE
+// ============================================
+
+// Send a task request, or put it in the offline queue when there is no connection
+// Resolves with the axios response, or with { queued: true } once the change is queued
+const sendOrQueue = async (entry, send) => {
+  if (shouldQueueMutation()) {
+    enqueueMutation(entry);
+    return { queued: true };
+  }
+  try {
+    return await send();
+  } catch (error) {
+    if (isNetworkError(error)) {
+      enqueueMutation(entry);
+      return { queued: true };
+    }
+    throw error;
+  }
+};
+
+// Queued tasks keep their optimistic state and are flagged isQueued until replayed
+// Unlike isPending tasks they are persisted, so they survive a reload
+const markTaskQueued = (queryClient, listId, taskId) =>
+  updateTaskCaches(queryClient, listId, (taskList) =>
+    taskList.map((task) =>
+      task.id === taskId ? { ...task, isPending: false, isQueued: true } : task
+    )
+  );
+
+// The server's copy of a replayed task - still flagged while later changes wait
+const withQueueFlag = (task) =>
+  hasQueuedMutations(task.id) ? { ...task, isQueued: true } : task;
+
+const sendQueuedMutation = ({ type, listId, taskId, payload, ifMatch }) => {
+  if (type === "create") {
+    return apiFetch.post(getTasksPath(listId), payload);
+  }
+  const headers = ifMatchHeaders(ifMatch);
+  if (type === "edit") {
+    return apiFetch.patch(`${getTasksPath(listId)}/${taskId}`, payload, {
+      headers,
+    });
+  }
+  return apiFetch.delete(`${getTasksPath(listId)}/${taskId}`, { headers });
+};
+
+// Apply the server's answer to a replayed change
+// A replayed create swaps the temporary ID everywhere: in the cache and in later queue entries
+const applyReplayedMutation = (queryClient, entry, data) => {
+  const { type, listId, taskId } = entry;
+  if (type === "create" && data?.task) {
+    replaceQueuedTaskId(taskId, data.task.id);
+    replaceTaskInCache(queryClient, listId, withQueueFlag(data.task), taskId);
+  }
+  if (type === "edit" && data?.task) {
+    rememberVersion(data.task);
+    replaceQueuedETag(taskId, `"${data.task.version}"`);
+    replaceTaskInCache(queryClient, listId, withQueueFlag(data.task));
+  }
+};
+
+// The server refused a replayed change (validation error, task gone, ...)
+// There is nothing to retry, so the change is dropped and the user is told
+const rejectReplayedMutation = (queryClient, entry, error) => {
+  const { type, listId, taskId, payload } = entry;
+  const msg = error?.response?.data?.msg || "something went wrong";
+  if (type === "create") {
+    // Changes queued for the task that was never created go with it
+    removeQueuedTask(taskId);
+    removeTaskFromCache(queryClient, listId, taskId);
+    toast.error(`"${payload.title}" could not be saved: ${msg}`);
+    return;
+  }
+  if (isVersionConflictError(error)) {
+    // Later changes to the task were made on the same old version, so they are part
+    // of the same conflict: they leave the queue and end up in one prompt
+    const related = [
+      entry,
+      ...readQueue().filter((item) => item.taskId === taskId),
+    ];
+    removeQueuedTask(taskId);
+    const theirs = error.response.data.task;
+    const isDelete = related.some((item) => item.type === "delete");
+    upsertTaskInCache(queryClient, listId, theirs);
+    reportConflict({
+      type: isDelete ? "delete" : "edit",
+      listId,
+      taskId,
+      mine: isDelete
+        ? null
+        : Object.assign({}, ...related.map((item) => item.payload)),
+      theirs,
+    });
+    return;
+  }
+  if (isTaskNotFoundError(error)) {
+    removeTaskFromCache(queryClient, listId, taskId);
+    return;
+  }
+  toast.error(`a change made offline could not be saved: ${msg}`);
+};
+
+// The server kept failing (5xx) on a replayed change: the task's queued changes move
+// to the failed list, so the rest of the queue can drain, and the user is told
+// The task keeps its local copy and "not synced" badge until the changes are
+// retried or discarded
+const failReplayedMutation = (entry, error) => {
+  const msg = error?.response?.data?.msg || "the server is not responding";
+  const moved = moveTaskToFailed(entry.taskId, msg);
+  const changes = `${moved.length} ${
+    moved.length === 1 ? "change" : "changes"
+  }`;
+  toast.error(
+    `${changes} made offline could not be saved after ${MAX_REPLAY_ATTEMPTS} attempts: ${msg}`
+  );
+};
+
+// Hook that replays the offline queue in order whenever the connection comes back
+// (and on start-up, for changes queued before a reload)
+// A change the server fails on (5xx) is retried with a growing delay; after
+// MAX_REPLAY_ATTEMPTS it moves to the failed list and the queue moves on
+// Mount it once; returns { isOnline, queuedCount, failedCount, isSyncing, replayQueue,
+// retryFailed, discardFailed } for a status indicator
+export const useOfflineSync = () => {
+  const queryClient = useQueryClient();
+  const [isOnline, setIsOnline] = useState(
+    () => typeof navigator === "undefined" || navigator.onLine !== false
+  );
+  const [queuedCount, setQueuedCount] = useState(() => readQueue().length);
+  const [failedCount, setFailedCount] = useState(
+    () => readFailedMutations().length
+  );
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [retryAt, setRetryAt] = useState(null);
+  const isSyncingRef = useRef(false);
+
+  // ignoreBackoff replays a waiting entry right away (the user pressed retry)
+  const replayQueue = useCallback(
+    async ({ ignoreBackoff = false } = {}) => {
+      if (isSyncingRef.current) {
+        return;
+      }
+      isSyncingRef.current = true;
+      setIsSyncing(true);
+      setRetryAt(null);
+      const touchedListIds = new Set();
       try {
-        // Make GET request to fetch tasks (empty string "" means use baseURL only)
-        const { data } = await customFetch.get("");
-        return data;
-      } catch (error) {
-        console.error("API Error:", error);
-        // Return fallback data structure instead of throwing error
-        // This allows the UI to render even if the API call fails
-        return { taskList: [] };
+        // One entry at a time, oldest first - each request waits for the previous one
+        for (let entry = readQueue()[0]; entry; entry = readQueue()[0]) {
+          if (!ignoreBackoff && entry.retryAt > Date.now()) {
+            setRetryAt(entry.retryAt);
+            break;
+          }
+          try {
+            const { data } = await sendQueuedMutation(entry);
+            removeQueuedMutation(entry.id);
+            applyReplayedMutation(queryClient, entry, data);
+          } catch (error) {
+            // Still offline - keep everything and try again on the next "online" event
+            // Logged out meanwhile - the changes are replayed after the next log-in
+            if (isNetworkError(error) || isUnauthorizedError(error)) {
+              break;
+            }
+            if (error?.response?.status >= 500) {
+              const failed = recordFailedReplay(entry.id);
+              if (failed.attempts < MAX_REPLAY_ATTEMPTS) {
+                setRetryAt(failed.retryAt);
+                break;
+              }
+              failReplayedMutation(entry, error);
+            } else {
+              removeQueuedMutation(entry.id);
+              rejectReplayedMutation(queryClient, entry, error);
+            }
+          }
+          touchedListIds.add(entry.listId);
+        }
+      } finally {
+        isSyncingRef.current = false;
+        setIsSyncing(false);
+        // Server-paged views may now be out of date
+        touchedListIds.forEach((listId) =>
+          queryClient.invalidateQueries(["tasks", listId, "infinite"])
+        );
       }
     },
-    // initialData: function that provides data before the first fetch completes
-    // This enables instant UI rendering from localStorage cache (no loading spinner on first load)
-    // If localStorage has data, React Query will use it and skip the initial fetch
-    initialData: () => {
-      const cachedTasks = readTasksFromStorage();
-      if (cachedTasks) {
-        return { taskList: cachedTasks };
+    [queryClient]
+  );
+
+  // Put the failed changes back in the queue and replay them now
+  const retryFailed = useCallback(() => {
+    retryFailedMutations();
+    replayQueue({ ignoreBackoff: true });
+  }, [replayQueue]);
+
+  // Give up on the failed changes: tasks that were never created disappear, the
+  // others go back to the server's copy
+  const discardFailed = useCallback(() => {
+    const discarded = discardFailedMutations();
+    discarded.forEach(({ type, listId, taskId }) => {
+      if (type === "create") {
+        removeTaskFromCache(queryClient, listId, taskId);
+        return;
+      }
+      updateTaskCaches(queryClient, listId, (taskList) =>
+        taskList.map((task) =>
+          task.id === taskId
+            ? { ...task, isQueued: hasQueuedMutations(taskId) }
+            : task
+        )
+      );
+    });
+    new Set(discarded.map(({ listId }) => listId)).forEach((listId) =>
+      refreshTaskLists(queryClient, listId)
+    );
+  }, [queryClient]);
+
+  // Replay again once the entry at the head of the queue may be retried
+  useEffect(() => {
+    if (!retryAt) {
+      return undefined;
+    }
+    const timer = setTimeout(replayQueue, Math.max(retryAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [retryAt, replayQueue]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToQueue((entries, failedEntries) => {
+      setQueuedCount(entries.length);
+      setFailedCount(failedEntries.length);
+    });
+    const handleOnline = () => {
+      setIsOnline(true);
+      replayQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    if (navigator.onLine !== false && readQueue().length) {
+      replayQueue();
+    }
+    return () => {
+      unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [replayQueue]);
+
+  return {
+    isOnline,
+    queuedCount,
+    failedCount,
+    isSyncing,
+    replayQueue,
+    retryFailed,
+    discardFailed,
+  };
+};
+
+// Hook for paging through the active list's tasks on the server with filters/sorting
+// params: { status, q, sort, order, limit } - see shared/taskQuery.js
+// Each page is { taskList, total, hasMore, nextCursor }; the cursor fetches the next one
+export const useInfiniteTasks = (params = {}, { enabled = true } = {}) => {
+  const { listId } = useActiveList();
+  return useInfiniteQuery({
+    queryKey: ["tasks", listId, "infinite", params],
+    queryFn: async ({ pageParam }) => {
+      const { data } = await apiFetch.get(getTasksPath(listId), {
+        params: {
+          ...params,
+          limit: params.limit || TASK_PAGE_SIZE,
+          cursor: pageParam,
+        },
+      });
+      return data;
+    },
+    getNextPageParam: (lastPage) => lastPage?.nextCursor || undefined,
+    enabled,
+    onError: (error) => {
+      console.error("Query Error:", error);
+      if (!isUnauthorizedError(error)) {
+        toast.error("Failed to load tasks. Please check your connection.");
       }
-      return { taskList: [] }; // Provide default structure
     },
-    // onSuccess: callback fired after successful API fetch
-    // Syncs the fetched data to localStorage to keep it up-to-date
-    onSuccess: (result) => {
-      if (result && Array.isArray(result.taskList)) {
-        writeTasksToStorage(result.taskList);
+  });
+};
+
+// Load a whole list for the ["tasks", listId] cache
+// One page of MAX_PAGE_SIZE tasks answers most lists, lists up to FULL_LIST_LIMIT take
+// a second request, and longer lists resolve with { taskList: null, total } - they
+// are paged on the server instead
+const fetchFullTaskList = async (queryClient, listId) => {
+  const { data: firstPage } = await apiFetch.get(getTasksPath(listId), {
+    params: { limit: MAX_PAGE_SIZE },
+  });
+  if (firstPage.hasMore && firstPage.total > FULL_LIST_LIMIT) {
+    return { taskList: null, total: firstPage.total };
+  }
+  const { data } = firstPage.hasMore
+    ? await apiFetch.get(getTasksPath(listId))
+    : { data: firstPage };
+  const cachedTasks = queryClient.getQueryData(["tasks", listId])?.taskList;
+  return {
+    taskList: mergeServerTaskList(cachedTasks || [], data.taskList),
+    total: data.total,
+  };
+};
+
+// Hook used by Items to scroll through the active list
+// Lists up to FULL_LIST_LIMIT tasks are loaded whole into the ["tasks", listId] cache
+// (shown from localStorage straight away, then checked against the server); filtering,
+// sorting and paging then run on the client with the same code as the API - no request
+// per filter change. Longer lists are paged on the server through useInfiniteTasks.
+export const useTaskPages = (params = {}) => {
+  const queryClient = useQueryClient();
+  const { listId } = useActiveList();
+  const fullQuery = useQuery({
+    queryKey: ["tasks", listId],
+    queryFn: () => fetchFullTaskList(queryClient, listId),
+    initialData: () => {
+      const cachedTasks = readTasksFromStorage(listId);
+      return cachedTasks ? { taskList: cachedTasks } : undefined;
+    },
+    // The localStorage copy may be from an earlier visit - it counts as stale at once
+    initialDataUpdatedAt: 0,
+    staleTime: FULL_LIST_STALE_TIME,
+    refetchOnMount: true,
+    refetchOnWindowFocus: true,
+    onSuccess: (data) => {
+      if (Array.isArray(data.taskList)) {
+        persistTaskList(data.taskList, listId);
+      } else if (readTasksFromStorage(listId)) {
+        // Grew too long to keep whole - a copy left behind would go stale
+        removeTasksFromStorage(listId);
       }
     },
-    // onError: callback fired if the query fails
-    // Shows user-friendly error message via toast notification
     onError: (error) => {
       console.error("Query Error:", error);
-      toast.error("Failed to load tasks. Please check your connection.");
+      if (!isUnauthorizedError(error)) {
+        toast.error("Failed to load tasks. Please check your connection.");
+      }
     },
-    // CRITICAL: Only fetch if we don't have cached data
-    // This ensures API is only called when cache is truly empty
-    // With initialData from localStorage, this should rarely trigger
-    enabled: true, // Keep enabled, but staleTime prevents refetches
-    // cacheTime: How long unused data stays in cache (React Query v4)
-    // Set to 24 hours so data persists across sessions
-    cacheTime: 1000 * 60 * 60 * 24, // 24 hours
-    // staleTime: How long data is considered fresh
-    // Set to Infinity so cached data is always considered fresh
-    // This means React Query will NEVER automatically refetch - only manual mutations update cache
-    staleTime: Infinity, // Data never becomes stale - always use cache
   });
-  return { isLoading, isError, data };
+  const cachedData = fullQuery.data;
+  const isLocal = Boolean(cachedData && Array.isArray(cachedData.taskList));
+  const isPagedOnServer = cachedData?.taskList === null;
+
+  const serverQuery = useInfiniteTasks(params, { enabled: isPagedOnServer });
+
+  // Client-side paging: show one more page of the filtered list each time
+  // Switching lists or filters starts again from the first page
+  const paramsKey = JSON.stringify({ listId, ...params });
+  const [localPageCount, setLocalPageCount] = useState(1);
+  useEffect(() => {
+    setLocalPageCount(1);
+  }, [paramsKey]);
+
+  const localResult = useMemo(() => {
+    if (!isLocal) {
+      return null;
+    }
+    const { limit, ...filters } = params;
+    return queryTasks(cachedData.taskList, parseTaskQuery(filters));
+  }, [isLocal, cachedData, paramsKey]);
+
+  if (isLocal) {
+    const visibleCount = localPageCount * (params.limit || TASK_PAGE_SIZE);
+    return {
+      isLocal,
+      isLoading: false,
+      isError: false,
+      taskList: localResult.taskList.slice(0, visibleCount),
+      total: localResult.total,
+      counts: localResult.counts,
+      hasNextPage: visibleCount < localResult.total,
+      isFetchingNextPage: false,
+      fetchNextPage: () => setLocalPageCount((count) => count + 1),
+    };
+  }
+
+  const pages = serverQuery.data?.pages || [];
+  return {
+    isLocal,
+    isLoading: isPagedOnServer ? serverQuery.isLoading : fullQuery.isLoading,
+    isError: isPagedOnServer ? serverQuery.isError : fullQuery.isError,
+    taskList: pages.flatMap((page) => page.taskList || []),
+    total: pages.length ? pages[pages.length - 1].total : 0,
+    counts: pages.length ? pages[pages.length - 1].counts : undefined,
+    hasNextPage: Boolean(serverQuery.hasNextPage),
+    isFetchingNextPage: serverQuery.isFetchingNextPage,
+    fetchNextPage: serverQuery.fetchNextPage,
+  };
 };
 
-// Hook for creating a new task
-// Uses React Query's useMutation for optimistic updates and cache management
+// Hook for creating a new task in the active list
+// The task shows up straight away under a temporary client ID (isPending: true);
+// when the server answers, the temporary task is swapped for the stored one
+// The list ID travels with the mutation variables, so switching lists while a
+// request is in flight still updates the list the task was created in
 export const useCreateTask = () => {
   // Get access to QueryClient instance to manually update cache
   const queryClient = useQueryClient();
-  const { mutate: createTask, isLoading } = useMutation({
+  const { listId: activeListId } = useActiveList();
+  const { mutate, isLoading } = useMutation({
     // mutationFn: async function that makes the API call to create a task
-    // Receives taskTitle as parameter and sends POST request to the server
-    mutationFn: (taskTitle) => customFetch.post("", { title: taskTitle }),
-    // onSuccess: callback fired after successful task creation
-    // Implements optimistic update pattern: immediately updates UI before refetching
-    onSuccess: ({ data }) => {
-      // Manually update the cache with the new task (optimistic update)
-      // This gives instant UI feedback without waiting for a refetch
-      queryClient.setQueryData(["tasks"], (oldData) => {
-        // Safety check: ensure we have valid task data from API response
-        if (!data || !data.task) {
+    // Receives { listId, tempId, title, dueDate?, priority?, notes? } and sends POST request to the server
+    // Offline, the request is queued instead (see sendOrQueue)
+    mutationFn: ({ listId, tempId, ...newTask }) =>
+      sendOrQueue(
+        { type: "create", listId, taskId: tempId, payload: newTask },
+        () => apiFetch.post(getTasksPath(listId), newTask)
+      ),
+    // onMutate: runs before the request - append the temporary task
+    onMutate: async ({ listId, tempId, ...newTask }) => {
+      await queryClient.cancelQueries(["tasks", listId]);
+      const optimisticTask = buildOptimisticTask(newTask, tempId);
+      // Only the cache changes - localStorage gets the task once the server has stored it
+      queryClient.setQueryData(["tasks", listId], (oldData) => {
+        // No full list cached (the list is paged from the server) - nothing to append to
+        if (!oldData || !Array.isArray(oldData.taskList)) {
           return oldData;
         }
-        // Get existing tasks or empty array as fallback
-        const taskList = oldData?.taskList || [];
-        // Add new task to the list (creates new array to maintain immutability)
-        const updatedTaskList = [...taskList, data.task];
-        // Sync updated list to localStorage
-        writeTasksToStorage(updatedTaskList);
-        // Return updated cache data
-        if (!oldData) {
-          return { taskList: updatedTaskList };
+        return { ...oldData, taskList: [...oldData.taskList, optimisticTask] };
+      });
+      // Server pages: only append when the end of the list is already loaded
+      queryClient.setQueriesData(["tasks", listId, "infinite"], (oldData) => {
+        if (
+          !oldData ||
+          !Array.isArray(oldData.pages) ||
+          !oldData.pages.length
+        ) {
+          return oldData;
         }
-        return { ...oldData, taskList: updatedTaskList };
+        const lastPage = oldData.pages[oldData.pages.length - 1];
+        if (lastPage.nextCursor) {
+          return oldData;
+        }
+        return {
+          ...oldData,
+          pages: [
+            ...oldData.pages.slice(0, -1),
+            {
+              ...lastPage,
+              taskList: [...(lastPage.taskList || []), optimisticTask],
+            },
+          ],
+        };
       });
-      // Note: We don't invalidate/refetch here because we already updated the cache optimistically
-      // The optimistic update gives instant feedback, and we trust the server response
-      // This eliminates unnecessary duplicate API calls
-      // Show success notification to user
-      toast.success("task added");
     },
-    // onError: callback fired if task creation fails
+    // onSuccess: swap the temporary task for the server's copy (real ID, timestamps)
+    // A queued task keeps its temporary ID until useOfflineSync replays it
+    onSuccess: (response, { listId, tempId }) => {
+      if (response.queued) {
+        markTaskQueued(queryClient, listId, tempId);
+        toast.info("offline - the task will be saved when you reconnect");
+        return;
+      }
+      const { data } = response;
+      if (!data || !data.task) {
+        return;
+      }
+      replaceTaskInCache(queryClient, listId, data.task, tempId);
+      // Server-paged views are refetched: the new task's position depends on their filters
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      // Show success notification to user - undo deletes the task again,
+      // redo brings it back with the same ID and position
+      const index = findTaskIndex(queryClient, listId, data.task.id);
+      recordUndoable({
+        label: `added "${data.task.title}"`,
+        listId,
+        undo: [{ kind: "delete", taskId: data.task.id }],
+        redo: [{ kind: "restore", tasks: [{ task: data.task, index }] }],
+      });
+    },
+    // onError: drop the temporary task again - only that task, so edits made to
+    // other tasks while the request was in flight are kept
     // Extracts error message from API response or shows generic error
-    onError: (error) => {
+    onError: (error, { listId, tempId }) => {
+      removeTaskFromCache(queryClient, listId, tempId);
       toast.error(error?.response?.data?.msg || "something went wrong");
     },
   });
+  // createTask(newTask, options) - same call signature as before lists existed
+  const createTask = (newTask, options) =>
+    mutate(
+      { ...newTask, listId: activeListId, tempId: createTempId() },
+      options
+    );
   return { createTask, isLoading };
 };
 
-// Hook for editing/updating a task (toggling completion status)
-// Uses optimistic updates to immediately reflect changes in the UI
+// Hook for editing/updating a task - any subset of fields (isDone, title, ...)
+// Call as editTask({ taskId, isDone: true }) or editTask({ taskId, title: "new title" })
+// The change is shown immediately and rolled back if the server rejects it
+// Confirmed changes go on the undo stack (fromHistory: true marks undo/redo itself)
 export const useEditTask = () => {
   const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
 
-  const { mutate: editTask } = useMutation({
-    // mutationFn: makes PATCH request to update task's isDone status
-    // Receives { taskId, isDone } object and sends update to server
-    mutationFn: ({ taskId, isDone }) => {
-      return customFetch.patch(`/${taskId}`, { isDone });
+  const { mutate, isLoading: editTaskLoading } = useMutation({
+    // mutationFn: makes PATCH request with only the changed fields
+    // Everything except listId and taskId is sent as the partial update, with
+    // If-Match naming the version the change was made on
+    mutationFn: ({ listId, taskId, fromHistory, ...changes }) =>
+      inTaskOrder(taskId, () => {
+        const ifMatch = getTaskIfMatch(queryClient, listId, taskId);
+        return sendOrQueue(
+          { type: "edit", listId, taskId, payload: changes, ifMatch },
+          () =>
+            trackVersion(
+              apiFetch.patch(`${getTasksPath(listId)}/${taskId}`, changes, {
+                headers: ifMatchHeaders(ifMatch),
+              })
+            )
+        );
+      }),
+    // onMutate: apply the change to the cached task before the request is sent
+    // The task as it was is kept for the undo entry
+    onMutate: async ({ listId, taskId, fromHistory, ...changes }) => {
+      const snapshot = await snapshotTaskCaches(queryClient, listId);
+      const previousTask = findCachedTask(queryClient, listId, taskId);
+      updateTaskCaches(queryClient, listId, (taskList) =>
+        taskList.map((task) =>
+          task.id === taskId ? applyOptimisticChanges(task, changes) : task
+        )
+      );
+      return { ...snapshot, previousTask };
+    },
+    // onSuccess: replace the optimistic copy with the server's (authoritative timestamps)
+    // Falls back to the sent fields for older APIs that do not return the task
+    // Queued changes are not undoable - undo needs the server's answer
+    onSuccess: (
+      response,
+      { listId, taskId, fromHistory, ...changes },
+      { previousTask }
+    ) => {
+      if (response.queued) {
+        markTaskQueued(queryClient, listId, taskId);
+        return;
+      }
+      const { data } = response;
+      updateTaskCaches(queryClient, listId, (taskList) =>
+        taskList.map((task) =>
+          task.id === taskId
+            ? { ...task, ...changes, ...(data?.task || {}) }
+            : task
+        )
+      );
+      // Note: We don't invalidate/refetch here because the cache is already up to date
+      if (fromHistory || !previousTask || !data?.task) {
+        return;
+      }
+      // Every field the server changed, including isDone set by completeWithSubtasks
+      const before = pickChangedFields(previousTask, data.task);
+      if (!Object.keys(before).length) {
+        return;
+      }
+      const after = pickChangedFields(data.task, previousTask);
+      const onlyStatus = Object.keys(before).join() === "isDone";
+      const title = previousTask.title;
+      recordUndoable({
+        label: onlyStatus
+          ? `${after.isDone ? "completed" : "reopened"} "${title}"`
+          : `edited "${title}"`,
+        listId,
+        undo: [{ kind: "edit", taskId, changes: before }],
+        redo: [{ kind: "edit", taskId, changes: after }],
+      });
     },
-    // onSuccess: optimistically updates cache before refetching
-    // variables parameter contains the original mutation input (taskId, isDone)
-    onSuccess: (_, variables) => {
-      // Manually update cache to reflect the toggle immediately
-      queryClient.setQueryData(["tasks"], (oldData) => {
-        // Safety check: ensure we have valid data structure
+    // onError: a 404 means our cached copy is stale - drop it instead of leaving a ghost task
+    // A 412 shows the server's copy and asks the user what to do with the change
+    // (see ConflictPrompt); any other failure puts the previous version back
+    onError: (error, { listId, taskId, fromHistory, ...changes }, snapshot) => {
+      if (isTaskNotFoundError(error)) {
+        removeTaskFromCache(queryClient, listId, taskId);
+        toast.info("task no longer exists");
+        return;
+      }
+      if (isVersionConflictError(error)) {
+        const theirs = error.response.data.task;
+        replaceTaskInCache(queryClient, listId, theirs);
+        reportConflict({ type: "edit", listId, taskId, mine: changes, theirs });
+        return;
+      }
+      restoreTaskCaches(queryClient, listId, snapshot);
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  // variables.listId is only passed when resolving a conflict or undoing a change
+  // in another list
+  const editTask = (variables, options) =>
+    mutate({ listId: activeListId, ...variables }, options);
+  return { editTask, editTaskLoading };
+};
+// Hook for deleting a task - the server moves it to the trash
+// The task disappears immediately and comes back if the server rejects the delete
+// Undo restores it through POST /tasks/restore with its ID and position
+export const useDeleteTask = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading: deleteTaskLoading } = useMutation({
+    // mutationFn: makes DELETE request to remove task from server
+    // Sends DELETE to /api/tasks/:taskId (or /api/lists/:listId/tasks/:taskId)
+    // Offline, the delete is queued and the task stays hidden
+    mutationFn: ({ listId, taskId }) =>
+      inTaskOrder(taskId, () => {
+        const ifMatch = getTaskIfMatch(queryClient, listId, taskId);
+        return sendOrQueue({ type: "delete", listId, taskId, ifMatch }, () =>
+          trackVersion(
+            apiFetch.delete(`${getTasksPath(listId)}/${taskId}`, {
+              headers: ifMatchHeaders(ifMatch),
+            })
+          )
+        );
+      }),
+    // onMutate: remove the task from the cache before the request is sent
+    // listId and taskId come from the mutation input
+    onMutate: async ({ listId, taskId }) => {
+      const snapshot = await snapshotTaskCaches(queryClient, listId);
+      const previousTask = findCachedTask(queryClient, listId, taskId);
+      const index = findTaskIndex(queryClient, listId, taskId);
+      removeTaskFromCache(queryClient, listId, taskId);
+      return { ...snapshot, previousTask, index };
+    },
+    // onSuccess: the task is in the trash now - offer to undo it
+    onSuccess: (response, { listId, taskId, fromHistory }, context) => {
+      const { previousTask, index } = context;
+      if (response.queued) {
+        return;
+      }
+      invalidateTrash(queryClient, listId);
+      if (fromHistory || !previousTask) {
+        return;
+      }
+      recordUndoable({
+        label: `moved "${previousTask.title}" to the trash`,
+        listId,
+        undo: [{ kind: "restore", tasks: [{ task: previousTask, index }] }],
+        redo: [{ kind: "delete", taskId }],
+      });
+    },
+    // onError: a 404 means the task is already gone on the server - keep it removed
+    // A 412 (changed elsewhere) brings back the server's copy and asks before deleting it;
+    // any other failure brings the task back
+    onError: (error, { listId, taskId }, snapshot) => {
+      if (isTaskNotFoundError(error)) {
+        toast.info("task was already removed");
+        return;
+      }
+      if (isVersionConflictError(error)) {
+        const theirs = error.response.data.task;
+        restoreTaskCaches(queryClient, listId, snapshot);
+        replaceTaskInCache(queryClient, listId, theirs);
+        reportConflict({ type: "delete", listId, taskId, theirs });
+        return;
+      }
+      restoreTaskCaches(queryClient, listId, snapshot);
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  // Return deleteTask function and loading state
+  // deleteTaskLoading is used to disable delete button during deletion
+  const deleteTask = (
+    taskId,
+    { listId = activeListId, fromHistory = false, ...options } = {}
+  ) => mutate({ listId, taskId, fromHistory }, options);
+  return { deleteTask, deleteTaskLoading };
+};
+
+// Hook behind ConflictPrompt - the oldest open conflict and how to settle it
+// resolveConflict(conflict, choice, fields):
+//   "mine"   - send this tab's change again, now on top of the server's version
+//   "theirs" - keep the server's copy (already in the cache) and drop the change
+//   "merge"  - send only the listed fields; the others stay as the server has them
+export const useTaskConflicts = () => {
+  const [conflicts, setConflicts] = useState(readConflicts);
+  useEffect(() => subscribeToConflicts(setConflicts), []);
+  const { editTask } = useEditTask();
+  const { deleteTask } = useDeleteTask();
+
+  const resolveConflict = (conflict, choice, fields = []) => {
+    dismissConflict(conflict.id);
+    const { listId, taskId, mine } = conflict;
+    if (choice === "theirs") {
+      return;
+    }
+    if (conflict.type === "delete") {
+      deleteTask(taskId, { listId });
+      return;
+    }
+    const changes =
+      choice === "merge"
+        ? Object.fromEntries(
+            Object.entries(mine).filter(([field]) => fields.includes(field))
+          )
+        : mine;
+    if (Object.keys(changes).length) {
+      editTask({ listId, taskId, ...changes });
+    }
+  };
+
+  return {
+    conflict: conflicts[0],
+    conflictCount: conflicts.length,
+    resolveConflict,
+  };
+};
+
+// Hook for batch changes - one POST /tasks/bulk instead of a request per task
+// Call as bulkTasks([{ op: "complete", ids: [...] }, { op: "delete", status: "done" }])
+// op is complete, reopen, update (with changes) or delete; target tasks by ids or by status
+// options.label names the change in the undo toast - a string or (data) => string
+export const useBulkTasks = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading: bulkTasksLoading } = useMutation({
+    mutationFn: ({ listId, operations }) =>
+      apiFetch.post(`${getTasksPath(listId)}/bulk`, { operations }),
+    // onMutate: keep the cached tasks and their positions - the server only answers
+    // with the new copies and the removed IDs, undo needs the old ones
+    onMutate: ({ listId }) => {
+      const fullList =
+        queryClient.getQueryData(["tasks", listId])?.taskList || [];
+      const pagedTasks = queryClient
+        .getQueriesData(["tasks", listId, "infinite"])
+        .flatMap(([, data]) =>
+          (data?.pages || []).flatMap((page) => page.taskList || [])
+        );
+      return {
+        previousTasks: new Map(
+          [...pagedTasks, ...fullList].map((task) => [task.id, task])
+        ),
+        indexes: new Map(fullList.map((task, index) => [task.id, index])),
+      };
+    },
+    // onSuccess: the server answers with the updated tasks and the removed IDs,
+    // so the caches are patched in place without refetching the list
+    onSuccess: ({ data }, { listId, label, fromHistory }, context) => {
+      const updatedById = new Map(
+        (data?.updated || []).map((task) => [task.id, task])
+      );
+      const removedIds = new Set(data?.removed || []);
+      const applyResult = (taskList) =>
+        taskList
+          .filter((task) => !removedIds.has(task.id))
+          .map((task) => updatedById.get(task.id) || task);
+
+      queryClient.setQueryData(["tasks", listId], (oldData) => {
         if (!oldData || !Array.isArray(oldData.taskList)) {
           return oldData;
         }
-        // Map through tasks and update the one that matches taskId
-        // Uses map() instead of direct mutation to maintain immutability
-        const updatedTaskList = oldData.taskList.map((task) => {
-          if (task.id === variables.taskId) {
-            return { ...task, isDone: variables.isDone };
-          }
-          return task;
-        });
-        // Sync updated list to localStorage
-        writeTasksToStorage(updatedTaskList);
-        // Return updated cache data
+        const updatedTaskList = applyResult(oldData.taskList);
+        persistTaskList(updatedTaskList, listId);
         return { ...oldData, taskList: updatedTaskList };
       });
-      // Note: We don't invalidate/refetch here because we already updated the cache optimistically
-      // This eliminates unnecessary duplicate API calls after toggling task status
+      updateInfiniteTaskPages(queryClient, listId, applyResult);
+      // Server-paged views are refetched: totals and status filters may have changed
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      if (removedIds.size) {
+        invalidateTrash(queryClient, listId);
+      }
+      if (!fromHistory && data) {
+        recordBulkUndo(listId, data, context, label);
+      }
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
     },
   });
-  return { editTask };
+
+  const bulkTasks = (
+    operations,
+    { listId = activeListId, label, fromHistory = false, ...options } = {}
+  ) => mutate({ listId, operations, label, fromHistory }, options);
+  return { bulkTasks, bulkTasksLoading };
 };
-// Hook for deleting a task
-// Uses optimistic updates to immediately remove task from UI
-export const useDeleteTask = () => {
+
+// Undo entry for a bulk change: updated tasks get their old values back in one
+// bulk request (tasks that had the same old values share an operation), removed
+// tasks are restored in their old slots; redo repeats the change by ID
+// Tasks this tab never loaded cannot be put back and are left out
+const recordBulkUndo = (listId, data, { previousTasks, indexes }, label) => {
+  const undoUpdates = new Map();
+  const redoUpdates = new Map();
+  const addUpdate = (groups, changes, taskId) => {
+    const key = JSON.stringify(changes);
+    const group = groups.get(key) || { op: "update", ids: [], changes };
+    groups.set(key, { ...group, ids: [...group.ids, taskId] });
+  };
+  let changedCount = 0;
+  (data.updated || []).forEach((task) => {
+    const previousTask = previousTasks.get(task.id);
+    const before = previousTask ? pickChangedFields(previousTask, task) : {};
+    if (Object.keys(before).length) {
+      changedCount += 1;
+      addUpdate(undoUpdates, before, task.id);
+      addUpdate(redoUpdates, pickChangedFields(task, previousTask), task.id);
+    }
+  });
+  const removedIds = (data.removed || []).filter((taskId) =>
+    previousTasks.has(taskId)
+  );
+  const restored = removedIds
+    .map((taskId) => ({
+      task: previousTasks.get(taskId),
+      index: indexes.get(taskId),
+    }))
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+  if (!undoUpdates.size && !restored.length) {
+    return;
+  }
+  const redoOperations = [
+    ...redoUpdates.values(),
+    ...(removedIds.length ? [{ op: "delete", ids: removedIds }] : []),
+  ];
+  recordUndoable({
+    label:
+      (typeof label === "function" ? label(data) : label) ||
+      `${changedCount + removedIds.length} tasks changed`,
+    listId,
+    undo: [
+      ...inBatches([...undoUpdates.values()]).map((operations) => ({
+        kind: "bulk",
+        operations,
+      })),
+      ...inBatches(restored).map((tasks) => ({ kind: "restore", tasks })),
+    ],
+    redo: inBatches(redoOperations).map((operations) => ({
+      kind: "bulk",
+      operations,
+    })),
+  });
+};
+
+// Hook for putting removed tasks back with their IDs and positions - the undo of a
+// delete; call as restoreTasks({ listId, tasks: [{ task, index }] })
+// The tasks show up straight away (isPending until the server has stored them)
+export const useRestoreTasks = () => {
   const queryClient = useQueryClient();
 
-  const { mutate: deleteTask, isLoading: deleteTaskLoading } = useMutation({
-    // mutationFn: makes DELETE request to remove task from server
-    // Receives taskId and sends DELETE request to /api/tasks/:taskId
-    mutationFn: (taskId) => {
-      return customFetch.delete(`/${taskId}`);
-    },
-    // onSuccess: optimistically removes task from cache before refetching
-    // taskId parameter comes from the mutation input (second parameter)
-    onSuccess: (_, taskId) => {
-      // Manually update cache to immediately remove the task from UI
-      queryClient.setQueryData(["tasks"], (oldData) => {
-        // Safety check: ensure we have valid data structure
+  const { mutate, isLoading: restoreTasksLoading } = useMutation({
+    mutationFn: ({ listId, tasks }) =>
+      apiFetch.post(`${getTasksPath(listId)}/restore`, { tasks }),
+    // onMutate: insert the tasks at their old positions (lowest index first, as the
+    // server does); tasks that are still cached are left alone
+    onMutate: async ({ listId, tasks }) => {
+      const snapshot = await snapshotTaskCaches(queryClient, listId);
+      queryClient.setQueryData(["tasks", listId], (oldData) => {
         if (!oldData || !Array.isArray(oldData.taskList)) {
           return oldData;
         }
-        // Filter out the deleted task (returns new array without the task)
-        // Maintains immutability by creating new array instead of mutating existing
-        const updatedTaskList = oldData.taskList.filter(
-          (task) => task.id !== taskId
+        const taskList = [...oldData.taskList];
+        [...tasks]
+          .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity))
+          .forEach(({ task, index }) => {
+            if (!taskList.some((item) => item.id === task.id)) {
+              taskList.splice(index ?? taskList.length, 0, {
+                ...task,
+                isPending: true,
+              });
+            }
+          });
+        return { ...oldData, taskList };
+      });
+      return snapshot;
+    },
+    // onSuccess: swap in the server's copies (new version); tasks the server skipped
+    // because it still had them are simply no longer pending
+    onSuccess: ({ data }, { listId }) => {
+      const restoredById = new Map(
+        (data?.restored || []).map(({ task }) => [task.id, task])
+      );
+      restoredById.forEach(rememberVersion);
+      updateTaskCaches(queryClient, listId, (taskList) =>
+        taskList.map((task) => {
+          if (restoredById.has(task.id)) {
+            return restoredById.get(task.id);
+          }
+          if (!task.isPending || !(data?.skipped || []).includes(task.id)) {
+            return task;
+          }
+          const { isPending, ...storedTask } = task;
+          return storedTask;
+        })
+      );
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      invalidateTrash(queryClient, listId);
+    },
+    onError: (error, { listId }, snapshot) => {
+      restoreTaskCaches(queryClient, listId, snapshot);
+      toast.error(error?.response?.data?.msg || "could not restore the tasks");
+    },
+  });
+
+  return { restoreTasks: mutate, restoreTasksLoading };
+};
+
+// Fields with their own text undo - checkboxes and buttons are not among them
+const isTextField = (element) =>
+  element.isContentEditable ||
+  ["TEXTAREA", "SELECT"].includes(element.tagName) ||
+  (element.tagName === "INPUT" &&
+    !["checkbox", "radio", "button", "submit"].includes(element.type));
+
+// Hook that runs undo / redo - from Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) and from the
+// buttons in the toasts. Mount it once (UndoShortcuts); returns { canUndo, canRedo }
+// Shortcuts inside text fields are left to the browser's own text undo
+export const useUndoRedo = () => {
+  const [history, setHistory] = useState(readHistory);
+  useEffect(() => subscribeToHistory(setHistory), []);
+  const { editTask } = useEditTask();
+  const { deleteTask } = useDeleteTask();
+  const { bulkTasks } = useBulkTasks();
+  const { restoreTasks } = useRestoreTasks();
+
+  const runActions = (actions, listId) =>
+    actions.forEach((action) => {
+      if (action.kind === "edit") {
+        editTask({
+          listId,
+          taskId: action.taskId,
+          fromHistory: true,
+          ...action.changes,
+        });
+      } else if (action.kind === "delete") {
+        deleteTask(action.taskId, { listId, fromHistory: true });
+      } else if (action.kind === "restore") {
+        restoreTasks({ listId, tasks: action.tasks });
+      } else if (action.kind === "bulk") {
+        bulkTasks(action.operations, { listId, fromHistory: true });
+      }
+    });
+
+  const undo = (entryId) => {
+    const entry = takeUndo(entryId);
+    if (!entry) {
+      return;
+    }
+    runActions(entry.undo, entry.listId);
+    toast.info(
+      <UndoToast
+        msg={`undone: ${entry.label}`}
+        actionLabel="redo"
+        onAction={() => requestRedo(entry.id)}
+      />
+    );
+  };
+
+  const redo = (entryId) => {
+    const entry = takeRedo(entryId);
+    if (!entry) {
+      return;
+    }
+    runActions(entry.redo, entry.listId);
+    toast.info(
+      <UndoToast
+        msg={`redone: ${entry.label}`}
+        onAction={() => requestUndo(entry.id)}
+      />
+    );
+  };
+
+  // The listeners below are added once and always call the latest undo / redo
+  const handlersRef = useRef({ undo, redo });
+  handlersRef.current = { undo, redo };
+
+  useEffect(
+    () =>
+      subscribeToHistoryRequests((direction, entryId) =>
+        handlersRef.current[direction](entryId)
+      ),
+    []
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const key = event.key.toLowerCase();
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+      if (key !== "z" && key !== "y") {
+        return;
+      }
+      if (isTextField(event.target)) {
+        return;
+      }
+      event.preventDefault();
+      if (key === "y" || event.shiftKey) {
+        handlersRef.current.redo();
+      } else {
+        handlersRef.current.undo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return history;
+};
+
+// Hook for saving a new manual order - call as reorderTasks(["id3", "id1", "id2"])
+// The ids are the visible tasks in their new order; hidden tasks keep their place
+// (applyTaskOrder in shared/taskQuery.js, the same code the server runs).
+// The caches are reordered before the request and restored if the server rejects it.
+export const useReorderTasks = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading: reorderTasksLoading } = useMutation({
+    mutationFn: ({ listId, ids }) =>
+      apiFetch.post(`${getTasksPath(listId)}/reorder`, { ids }),
+    // onMutate: runs before the request - snapshot, then reorder optimistically
+    onMutate: async ({ listId, ids }) => {
+      const snapshot = await snapshotTaskCaches(queryClient, listId);
+      const { previousTasks } = snapshot;
+      if (previousTasks && Array.isArray(previousTasks.taskList)) {
+        const reordered = applyTaskOrder(previousTasks.taskList, ids);
+        queryClient.setQueryData(["tasks", listId], {
+          ...previousTasks,
+          taskList: reordered,
+        });
+        persistTaskList(reordered, listId);
+      }
+      // Server pages: reorder the loaded tasks as one list, then cut it back into pages
+      queryClient.setQueriesData(["tasks", listId, "infinite"], (oldData) => {
+        if (!oldData || !Array.isArray(oldData.pages)) {
+          return oldData;
+        }
+        const reordered = applyTaskOrder(
+          oldData.pages.flatMap((page) => page.taskList || []),
+          ids
         );
-        // Sync updated list to localStorage
-        writeTasksToStorage(updatedTaskList);
-        // Return updated cache data
-        return { ...oldData, taskList: updatedTaskList };
+        let start = 0;
+        return {
+          ...oldData,
+          pages: oldData.pages.map((page) => {
+            const size = (page.taskList || []).length;
+            start += size;
+            return {
+              ...page,
+              taskList: reordered.slice(start - size, start),
+            };
+          }),
+        };
       });
-      // Note: We don't invalidate/refetch here because we already updated the cache optimistically
-      // This eliminates unnecessary duplicate API calls after deleting a task
+      return snapshot;
+    },
+    // onError: put the snapshot back so the list jumps back to the stored order
+    onError: (error, { listId }, snapshot) => {
+      restoreTaskCaches(queryClient, listId, snapshot);
+      toast.error(error?.response?.data?.msg || "could not save the new order");
     },
   });
-  // Return deleteTask function and loading state
-  // deleteTaskLoading is used to disable delete button during deletion
-  return { deleteTask, deleteTaskLoading };
+
+  const reorderTasks = (ids, options) =>
+    mutate({ listId: activeListId, ids }, options);
+  return { reorderTasks, reorderTasksLoading };
+};
+
+// ============================================
+// SUBTASKS
+// ============================================
+
+// Shared by the subtask hooks: every subtask response carries the updated parent task
+// (its done state may have changed too when completeWithSubtasks is set)
+const useSubtaskMutation = (mutationFn) => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading } = useMutation({
+    mutationFn,
+    onSuccess: ({ data }, { listId }) => {
+      if (data?.task) {
+        replaceTaskInCache(queryClient, listId, data.task);
+      }
+    },
+    onError: (error, { listId, taskId }) => {
+      if (isTaskNotFoundError(error)) {
+        removeTaskFromCache(queryClient, listId, taskId);
+        toast.info("task no longer exists");
+        return;
+      }
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+
+  const run = (variables, options) =>
+    mutate({ ...variables, listId: activeListId }, options);
+  return [run, isLoading];
+};
+
+const getSubtasksPath = (listId, taskId) =>
+  `${getTasksPath(listId)}/${taskId}/subtasks`;
+
+// Hook for adding a subtask - call as createSubtask({ taskId, title })
+export const useCreateSubtask = () => {
+  const [createSubtask, createSubtaskLoading] = useSubtaskMutation(
+    ({ listId, taskId, title }) =>
+      apiFetch.post(getSubtasksPath(listId, taskId), { title })
+  );
+  return { createSubtask, createSubtaskLoading };
+};
+
+// Hook for ticking or renaming a subtask - call as editSubtask({ taskId, subtaskId, isDone })
+export const useEditSubtask = () => {
+  const [editSubtask, editSubtaskLoading] = useSubtaskMutation(
+    ({ listId, taskId, subtaskId, ...changes }) =>
+      apiFetch.patch(`${getSubtasksPath(listId, taskId)}/${subtaskId}`, changes)
+  );
+  return { editSubtask, editSubtaskLoading };
+};
+
+// Hook for removing a subtask - call as deleteSubtask({ taskId, subtaskId })
+export const useDeleteSubtask = () => {
+  const [deleteSubtask, deleteSubtaskLoading] = useSubtaskMutation(
+    ({ listId, taskId, subtaskId }) =>
+      apiFetch.delete(`${getSubtasksPath(listId, taskId)}/${subtaskId}`)
+  );
+  return { deleteSubtask, deleteSubtaskLoading };
+};
+
+// ============================================
+// TRASH
+// ============================================
+
+// ["trash", listId] holds the trash of one list; it is only fetched while the Trash
+// section is open and marked stale whenever tasks are deleted or restored
+const invalidateTrash = (queryClient, listId) =>
+  queryClient.invalidateQueries(["trash", listId]);
+
+// Put restored tasks back into the full cached list at their positions (lowest
+// index first, as the server does); tasks this tab still holds are updated instead
+const insertRestoredTasks = (queryClient, listId, restored) =>
+  [...restored]
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ task, index }) => {
+      if (findCachedTask(queryClient, listId, task.id)) {
+        applyServerTask(queryClient, listId, task);
+        return;
+      }
+      queryClient.setQueryData(["tasks", listId], (oldData) => {
+        if (!oldData || !Array.isArray(oldData.taskList)) {
+          return oldData;
+        }
+        const taskList = [...oldData.taskList];
+        taskList.splice(index, 0, task);
+        persistTaskList(taskList, listId);
+        return { ...oldData, taskList };
+      });
+    });
+
+// Remove one task from the cached trash; returns the previous trash for a rollback
+const removeFromTrashCache = async (queryClient, listId, taskId) => {
+  await queryClient.cancelQueries(["trash", listId]);
+  const previousTrash = queryClient.getQueryData(["trash", listId]);
+  queryClient.setQueryData(["trash", listId], (oldData) =>
+    oldData && Array.isArray(oldData.taskList)
+      ? {
+          ...oldData,
+          taskList: oldData.taskList.filter((task) => task.id !== taskId),
+        }
+      : oldData
+  );
+  return previousTrash;
+};
+
+// Hook for the deleted tasks of the active list (GET /tasks?deleted=true), most
+// recently deleted first; retentionDays says how long the server keeps them
+export const useTrash = ({ enabled = true } = {}) => {
+  const { listId } = useActiveList();
+  const { isLoading, isError, data } = useQuery({
+    queryKey: ["trash", listId],
+    queryFn: async () => {
+      const { data } = await apiFetch.get(getTasksPath(listId), {
+        params: { deleted: true },
+      });
+      return data;
+    },
+    enabled,
+    // Fetched again when the section is reopened after a delete or restore
+    refetchOnMount: true,
+  });
+  return {
+    isLoading,
+    isError,
+    trash: data?.taskList || [],
+    retentionDays: data?.retentionDays,
+  };
+};
+
+// Hook for taking a task out of the trash - call as restoreFromTrash(taskId)
+// The task leaves the trash right away and returns to its old place in the list
+// once the server confirms
+export const useRestoreFromTrash = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading: restoreFromTrashLoading } = useMutation({
+    mutationFn: ({ listId, taskId }) =>
+      trackVersion(apiFetch.post(`${getTasksPath(listId)}/${taskId}/restore`)),
+    onMutate: ({ listId, taskId }) =>
+      removeFromTrashCache(queryClient, listId, taskId),
+    onSuccess: ({ data }, { listId }) => {
+      insertRestoredTasks(queryClient, listId, [data]);
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      toast.success(`restored "${data.task.title}"`);
+    },
+    onError: (error, { listId }, previousTrash) => {
+      queryClient.setQueryData(["trash", listId], previousTrash);
+      if (isTaskNotFoundError(error)) {
+        invalidateTrash(queryClient, listId);
+        toast.info("task is no longer in the trash");
+        return;
+      }
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+
+  const restoreFromTrash = (
+    taskId,
+    { listId = activeListId, ...options } = {}
+  ) => mutate({ listId, taskId }, options);
+  return { restoreFromTrash, restoreFromTrashLoading };
+};
+
+// Hook for deleting a trashed task for good - call as purgeTask(taskId)
+export const usePurgeTask = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+
+  const { mutate, isLoading: purgeTaskLoading } = useMutation({
+    mutationFn: ({ listId, taskId }) =>
+      apiFetch.delete(`${getTasksPath(listId)}/${taskId}`, {
+        params: { permanent: true },
+      }),
+    onMutate: ({ listId, taskId }) =>
+      removeFromTrashCache(queryClient, listId, taskId),
+    // A 404 means it is gone already, which is what was asked for
+    onError: (error, { listId }, previousTrash) => {
+      if (isTaskNotFoundError(error)) {
+        return;
+      }
+      queryClient.setQueryData(["trash", listId], previousTrash);
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+
+  const purgeTask = (taskId, { listId = activeListId, ...options } = {}) =>
+    mutate({ listId, taskId }, options);
+  return { purgeTask, purgeTaskLoading };
+};
+
+// ============================================
+// ACTIVITY
+// ============================================
+
+// Number of entries shown in the activity feed
+const ACTIVITY_FEED_SIZE = 30;
+
+// Activity queries are only fetched while a feed or task history is open; this keeps
+// them current after this tab's own changes (other clients' changes arrive as live
+// events, see applyLiveEvent)
+const useActivityRefresh = (enabled) => {
+  const queryClient = useQueryClient();
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    return queryClient.getMutationCache().subscribe((event) => {
+      if (event?.type === "updated" && event.action?.type === "success") {
+        queryClient.invalidateQueries(["activity"]);
+      }
+    });
+  }, [queryClient, enabled]);
+};
+
+// Hook for the latest changes in the active list, newest first
+// Entries: { id, type, taskId, title, actor, at, ... } - see shared/taskActivity.js
+export const useActivityFeed = ({ enabled = true } = {}) => {
+  const { listId } = useActiveList();
+  useActivityRefresh(enabled);
+  const { isLoading, isError, data } = useQuery({
+    queryKey: ["activity", listId],
+    queryFn: async () => {
+      const { data } = await apiFetch.get("/activity", {
+        params: { listId, limit: ACTIVITY_FEED_SIZE },
+      });
+      return data;
+    },
+    enabled,
+    // Fetched again when the feed is reopened after changes
+    refetchOnMount: true,
+  });
+  return { isLoading, isError, activity: data?.activity || [] };
+};
+
+// Hook for the history of one task of the active list, newest first
+export const useTaskActivity = (taskId, { enabled = true } = {}) => {
+  const { listId } = useActiveList();
+  useActivityRefresh(enabled);
+  const { isLoading, isError, data } = useQuery({
+    queryKey: ["activity", listId, taskId],
+    queryFn: async () => {
+      const { data } = await apiFetch.get(
+        `${getTasksPath(listId)}/${taskId}/activity`
+      );
+      return data;
+    },
+    enabled,
+    refetchOnMount: true,
+  });
+  return { isLoading, isError, activity: data?.activity || [] };
+};
+
+// ============================================
+// LISTS
+// ============================================
+
+// Replace one list in the ["lists"] cache (or drop it when updateList returns null)
+const updateListsCache = (queryClient, listId, updateList) => {
+  queryClient.setQueryData(["lists"], (oldData) => {
+    if (!oldData || !Array.isArray(oldData.lists)) {
+      return oldData;
+    }
+    return {
+      ...oldData,
+      lists: oldData.lists
+        .map((list) => (list.id === listId ? updateList(list) : list))
+        .filter(Boolean),
+    };
+  });
+};
+
+// Forget a list this tab can no longer reach (deleted, or left): its caches and its
+// localStorage copy
+const forgetList = (queryClient, listId) => {
+  updateListsCache(queryClient, listId, () => null);
+  queryClient.removeQueries(["tasks", listId]);
+  queryClient.removeQueries(["trash", listId]);
+  queryClient.removeQueries(["activity", listId]);
+  removeTasksFromStorage(listId);
+};
+
+// Add a list to the ["lists"] cache, or update the cached copy
+const upsertListInCache = (queryClient, list) => {
+  queryClient.setQueryData(["lists"], (oldData) => {
+    if (!oldData || !Array.isArray(oldData.lists)) {
+      return oldData;
+    }
+    return oldData.lists.some((item) => item.id === list.id)
+      ? {
+          ...oldData,
+          lists: oldData.lists.map((item) =>
+            item.id === list.id ? { ...item, ...list } : item
+          ),
+        }
+      : { ...oldData, lists: [...oldData.lists, list] };
+  });
+};
+
+// Hook for fetching the task lists ({ lists: [{ id, name, ... }] })
+// The default list is always first; until the API answers it is the only entry
+// Several components read the lists, so the error toast is shown once (toastId)
+export const useFetchLists = () => {
+  const { isLoading, data, isError, isPlaceholderData } = useQuery({
+    queryKey: ["lists"],
+    queryFn: async () => {
+      const { data } = await apiFetch.get("/lists");
+      return data;
+    },
+    placeholderData: {
+      lists: [{ id: DEFAULT_LIST_ID, name: "my tasks" }],
+    },
+    onError: (error) => {
+      console.error("Query Error:", error);
+      if (!isUnauthorizedError(error)) {
+        toast.error("Failed to load lists. Please check your connection.", {
+          toastId: "lists-error",
+        });
+      }
+    },
+  });
+  return { isLoading, isError, isPlaceholderData, lists: data?.lists || [] };
+};
+
+// Hook for creating a list - the new list becomes the active one
+export const useCreateList = () => {
+  const queryClient = useQueryClient();
+  const { setListId } = useActiveList();
+  const { mutate: createList, isLoading } = useMutation({
+    mutationFn: (name) => apiFetch.post("/lists", { name }),
+    onSuccess: ({ data }) => {
+      queryClient.setQueryData(["lists"], (oldData) => ({
+        ...oldData,
+        lists: [...(oldData?.lists || []), data.list],
+      }));
+      // A brand new list is empty - cache that so it is filtered locally right away
+      queryClient.setQueryData(["tasks", data.list.id], { taskList: [] });
+      writeTasksToStorage([], data.list.id);
+      setListId(data.list.id);
+      toast.success("list created");
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { createList, isLoading };
+};
+
+// Hook for renaming a list - call as renameList({ listId, name })
+export const useRenameList = () => {
+  const queryClient = useQueryClient();
+  const { mutate: renameList, isLoading } = useMutation({
+    mutationFn: ({ listId, name }) =>
+      apiFetch.patch(`/lists/${listId}`, { name }),
+    onSuccess: ({ data }, { listId }) => {
+      updateListsCache(queryClient, listId, (list) => ({
+        ...list,
+        ...data.list,
+      }));
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { renameList, isLoading };
+};
+
+// Hook for deleting a list and its tasks
+// Drops the list's caches and localStorage entry, and falls back to the default list
+export const useDeleteList = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId, setListId } = useActiveList();
+  const { mutate: deleteList, isLoading } = useMutation({
+    mutationFn: (listId) => apiFetch.delete(`/lists/${listId}`),
+    onSuccess: (_, listId) => {
+      forgetList(queryClient, listId);
+      if (listId === activeListId) {
+        setListId(DEFAULT_LIST_ID);
+      }
+      toast.success("list removed");
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { deleteList, isLoading };
+};
+
+// ============================================
+// SHARING
+// ============================================
+
+// Hook for the user's access to the active list (see getListRole in taskHelpers.js)
+// Returns { list, role, canEdit, isOwner, members } - on backends without accounts
+// everybody is the owner and members is empty
+export const useListAccess = () => {
+  const { listId } = useActiveList();
+  const { lists } = useFetchLists();
+  const { user } = useSession();
+  const list = lists.find((item) => item.id === listId);
+  const role = getListRole(list, user);
+  return {
+    list,
+    role,
+    canEdit: role !== "viewer",
+    isOwner: role === "owner",
+    members: list?.members || [],
+  };
+};
+
+// Hook for inviting someone to a list - call as createInvitation({ listId, role })
+// invitation ({ token, role, expiresAt }) is the last one created, to pass on
+export const useCreateInvitation = () => {
+  const {
+    mutate: createInvitation,
+    data,
+    reset,
+    isLoading,
+  } = useMutation({
+    mutationFn: ({ listId, role }) =>
+      apiFetch.post(`/lists/${listId}/invitations`, { role }),
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return {
+    createInvitation,
+    invitation: data?.data.invitation || null,
+    clearInvitation: reset,
+    isLoading,
+  };
+};
+
+// Hook for joining a shared list with an invitation token - the list becomes the active one
+export const useAcceptInvitation = () => {
+  const queryClient = useQueryClient();
+  const { setListId } = useActiveList();
+  const { mutate: acceptInvitation, isLoading } = useMutation({
+    mutationFn: (token) => apiFetch.post("/invitations/accept", { token }),
+    onSuccess: ({ data }) => {
+      upsertListInCache(queryClient, data.list);
+      setListId(data.list.id);
+      toast.success(`you joined "${data.list.name}"`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { acceptInvitation, isLoading };
+};
+
+// Hook for changing a member's role - call as updateMember({ listId, userId, role })
+export const useUpdateMember = () => {
+  const queryClient = useQueryClient();
+  const { mutate: updateMember, isLoading } = useMutation({
+    mutationFn: ({ listId, userId, role }) =>
+      apiFetch.patch(`/lists/${listId}/members/${userId}`, { role }),
+    onSuccess: ({ data }) => {
+      upsertListInCache(queryClient, data.list);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { updateMember, isLoading };
+};
+
+// Hook for removing a member - call as removeMember({ listId, userId })
+// With the user's own ID it leaves the list, which then disappears from this browser
+export const useRemoveMember = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId, setListId } = useActiveList();
+  const { mutate: removeMember, isLoading } = useMutation({
+    mutationFn: ({ listId, userId }) =>
+      apiFetch.delete(`/lists/${listId}/members/${userId}`),
+    onSuccess: ({ data }, { listId, userId }) => {
+      if (userId !== readSession().user?.id) {
+        upsertListInCache(queryClient, data.list);
+        toast.success("member removed");
+        return;
+      }
+      forgetList(queryClient, listId);
+      if (listId === activeListId) {
+        setListId(DEFAULT_LIST_ID);
+      }
+      toast.success(`you left "${data.list.name}"`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+  return { removeMember, isLoading };
+};
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+// Hand a file to the browser as a download
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const EXPORT_TYPES = {
+  json: "application/json",
+  csv: "text/csv",
+  md: "text/markdown",
+};
+
+// Hook for downloading the active list's tasks - call as exportTasks("csv")
+// (json, csv or md; see shared/taskTransfer.js for the formats)
+export const useExportTasks = () => {
+  const { listId: activeListId } = useActiveList();
+  const { mutate, isLoading: exportTasksLoading } = useMutation({
+    mutationFn: ({ listId, format }) =>
+      apiFetch.get(`${getTasksPath(listId)}/export`, { params: { format } }),
+    // axios parses the JSON export - it is written back the way the server sent it
+    onSuccess: ({ data }, { listId, format }) => {
+      const content =
+        typeof data === "string" ? data : `${JSON.stringify(data, null, 2)}\n`;
+      downloadFile(content, `${listId}-tasks.${format}`, EXPORT_TYPES[format]);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+
+  const exportTasks = (format, { listId = activeListId, ...options } = {}) =>
+    mutate({ listId, format }, options);
+  return { exportTasks, exportTasksLoading };
+};
+
+// The first invalid rows of an import, e.g. "row 3: title is required; and 2 more"
+const describeImportErrors = (errors) =>
+  errors
+    .slice(0, 3)
+    .map(({ row, msg }) => `row ${row}: ${msg}`)
+    .concat(errors.length > 3 ? [`and ${errors.length - 3} more`] : [])
+    .join("; ");
+
+// Hook for importing a file into the active list - call as
+// importTasks({ format, content, mode }) with mode "merge" (add the new tasks) or
+// "replace" (the file becomes the list, the other tasks go to the trash)
+// Duplicates and invalid rows are skipped by the server and listed in the toast
+export const useImportTasks = () => {
+  const queryClient = useQueryClient();
+  const { listId: activeListId } = useActiveList();
+  const { mutate, isLoading: importTasksLoading } = useMutation({
+    mutationFn: ({ listId, ...body }) =>
+      apiFetch.post(`${getTasksPath(listId)}/import`, body),
+    onSuccess: ({ data }, { listId }) => {
+      data.imported.forEach(rememberVersion);
+      refreshTaskLists(queryClient, listId);
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      invalidateTrash(queryClient, listId);
+
+      const { imported, trashed, duplicates, errors } = data;
+      const summary = [
+        `imported ${imported.length} task(s)`,
+        trashed.length ? `${trashed.length} moved to the trash` : null,
+        duplicates.length ? `${duplicates.length} duplicate(s) skipped` : null,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      if (errors.length) {
+        toast.warning(
+          `${summary}, ${
+            errors.length
+          } invalid row(s) skipped - ${describeImportErrors(errors)}`
+        );
+        return;
+      }
+      toast.success(summary);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+
+  const importTasks = (body, { listId = activeListId, ...options } = {}) =>
+    mutate({ listId, ...body }, options);
+  return { importTasks, importTasksLoading };
+};
+
+// ============================================
+// LIVE UPDATES
+// ============================================
+
+// Hook that keeps this tab's task caches in line with the other open tabs
+// writeTasksToStorage announces every write (see localStorageUtils.js); the list is
+// copied into the ["tasks", listId] cache as is - writing it back to localStorage
+// would only bounce it between the tabs
+export const useTaskCacheBridge = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(
+    () =>
+      subscribeToStoredTasks(({ listId, taskList }) => {
+        if (!taskList) {
+          queryClient.removeQueries(["tasks", listId]);
+          queryClient.invalidateQueries(["lists"]);
+          return;
+        }
+        queryClient.setQueryData(["tasks", listId], (oldData) => {
+          // Tasks this tab is still creating are not in the other tab's copy
+          const pendingTasks = (oldData?.taskList || []).filter(
+            (task) => task.isPending
+          );
+          return { ...oldData, taskList: [...taskList, ...pendingTasks] };
+        });
+        queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+      }),
+    [queryClient]
+  );
+};
+
+// Put a task from another client in the cache - unless this tab already holds the same
+// or a later version, or still has changes of its own queued for it
+const applyServerTask = (queryClient, listId, task) => {
+  if (hasQueuedMutations(task.id)) {
+    return;
+  }
+  const cached = findCachedTask(queryClient, listId, task.id);
+  if (cached && cached.version && cached.version >= task.version) {
+    return;
+  }
+  rememberVersion(task);
+  upsertTaskInCache(queryClient, listId, task);
+};
+
+// Reload the full list of every cached list (or only of onlyListId) after events were
+// missed or a whole file was imported
+// Tasks this tab is still creating, or has changes queued for, keep their local copy
+const refreshTaskLists = (queryClient, onlyListId) => {
+  queryClient
+    .getQueriesData(["tasks"])
+    .filter(
+      ([queryKey, data]) =>
+        queryKey.length === 2 &&
+        data?.taskList &&
+        (!onlyListId || queryKey[1] === onlyListId)
+    )
+    .forEach(async ([[, listId]]) => {
+      try {
+        const { data } = await apiFetch.get(getTasksPath(listId));
+        updateTaskCaches(queryClient, listId, (taskList) =>
+          mergeServerTaskList(taskList, data.taskList)
+        );
+      } catch (error) {
+        // keep the cached list - the next event or a reload catches up
+      }
+    });
+};
+
+const isInfiniteQuery = (query) => query.queryKey[2] === "infinite";
+
+// Apply one change event from GET /api/events to the caches (see shared/taskEvents.js)
+// onListRemoved(listId) lets the caller leave a list that was deleted elsewhere
+const applyLiveEvent = (queryClient, event, { onListRemoved }) => {
+  const { type, listId } = event;
+  // Every change adds to the activity log
+  queryClient.invalidateQueries(["activity"]);
+  if (type === "task.created" || type === "task.updated") {
+    applyServerTask(queryClient, listId, event.task);
+    if (type === "task.created") {
+      queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+    }
+    return;
+  }
+  if (type === "task.removed" || type === "task.purged") {
+    removeTaskFromCache(queryClient, listId, event.taskId);
+    invalidateTrash(queryClient, listId);
+    return;
+  }
+  if (type === "tasks.bulk") {
+    event.updated.forEach((task) => applyServerTask(queryClient, listId, task));
+    event.removed.forEach((taskId) =>
+      removeTaskFromCache(queryClient, listId, taskId)
+    );
+    queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+    if (event.removed.length) {
+      invalidateTrash(queryClient, listId);
+    }
+    return;
+  }
+  // Restored tasks go back to their old slots (from an undo or from the trash)
+  if (type === "tasks.restored") {
+    insertRestoredTasks(queryClient, listId, event.restored);
+    queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+    invalidateTrash(queryClient, listId);
+    return;
+  }
+  // An import can add, replace and trash any number of tasks
+  if (type === "tasks.imported") {
+    refreshTaskLists(queryClient, listId);
+    queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+    invalidateTrash(queryClient, listId);
+    return;
+  }
+  if (type === "tasks.reordered") {
+    queryClient.setQueryData(["tasks", listId], (oldData) => {
+      if (!oldData || !Array.isArray(oldData.taskList)) {
+        return oldData;
+      }
+      const reordered = applyTaskOrder(oldData.taskList, event.ids);
+      persistTaskList(reordered, listId);
+      return { ...oldData, taskList: reordered };
+    });
+    queryClient.invalidateQueries(["tasks", listId, "infinite"]);
+    return;
+  }
+  if (type === "list.created") {
+    queryClient.setQueryData(["lists"], (oldData) =>
+      !oldData || oldData.lists.some((list) => list.id === listId)
+        ? oldData
+        : { ...oldData, lists: [...oldData.lists, event.list] }
+    );
+    return;
+  }
+  // Also sent when someone joins, changes role or leaves a shared list - a user who
+  // was removed from it leaves it like a deleted list
+  if (type === "list.updated") {
+    const { user } = readSession();
+    const isMember =
+      !event.list.members ||
+      !user ||
+      event.list.members.some((member) => member.userId === user.id);
+    if (!isMember) {
+      forgetList(queryClient, listId);
+      onListRemoved(listId);
+      return;
+    }
+    upsertListInCache(queryClient, event.list);
+    return;
+  }
+  if (type === "list.removed") {
+    forgetList(queryClient, listId);
+    onListRemoved(listId);
+    return;
+  }
+  if (type === "resync") {
+    refreshTaskLists(queryClient);
+    queryClient.invalidateQueries(["tasks"], { predicate: isInfiniteQuery });
+    queryClient.invalidateQueries(["trash"]);
+    queryClient.invalidateQueries(["lists"]);
+  }
+};
+
+// Hook that subscribes to the server's change stream (Server-Sent Events at /api/events)
+// so changes made on other devices show up without a reload
+// Events caused by this tab (origin === CLIENT_ID) are skipped - its own mutations
+// already updated the cache. EventSource reconnects by itself and sends Last-Event-ID,
+// so the server replays what was missed. Backends without the stream (the serverless
+// functions) answer 404 and the hook stays idle.
+// Mount it once; returns { isLive } - true while the stream is connected
+export const useLiveUpdates = () => {
+  const queryClient = useQueryClient();
+  const { listId, setListId } = useActiveList();
+  const [isLive, setIsLive] = useState(false);
+  // The stream is opened once; the handlers read the current list through a ref
+  const activeListRef = useRef({ listId, setListId });
+  activeListRef.current = { listId, setListId };
+
+  useEffect(() => {
+    if (typeof EventSource === "undefined") {
+      return undefined;
+    }
+    const source = new EventSource(getEventsUrl());
+    const onListRemoved = (removedListId) => {
+      if (removedListId === activeListRef.current.listId) {
+        activeListRef.current.setListId(DEFAULT_LIST_ID);
+      }
+    };
+    source.onopen = () => setIsLive(true);
+    source.onerror = () => setIsLive(false);
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (error) {
+        return;
+      }
+      if (event.origin === CLIENT_ID) {
+        return;
+      }
+      applyLiveEvent(queryClient, event, { onListRemoved });
+    };
+    return () => source.close();
+  }, [queryClient]);
+
+  return { isLive };
+};
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+// Hook for the login session (see authSession.js)
+// Returns { user, isLoggedIn, loginRequired }; App shows the login screen while
+// loginRequired is set - backends without accounts never set it
+export const useSession = () => {
+  const [session, setSession] = useState(readSession);
+  useEffect(() => subscribeToSession(setSession), []);
+  return {
+    user: session.user,
+    isLoggedIn: Boolean(session.token),
+    loginRequired: session.loginRequired,
+  };
+};
+
+// Forget every task this browser holds: caches, localStorage copies, the offline
+// queue and the undo history - they belong to the account that used it before
+const clearLocalTaskData = (queryClient) => {
+  clearQueue();
+  clearHistory();
+  clearStoredTasks();
+  seenVersions.clear();
+  queryClient.clear();
+};
+
+// Shared by useLogin and useSignup: POST the credentials and store the session
+// When a different account logs in, the previous one's data is cleared first; the
+// same account picks up where it left off (including changes queued offline)
+const useSessionMutation = (path) => {
+  const queryClient = useQueryClient();
+  const { setListId } = useActiveList();
+  return useMutation({
+    mutationFn: (credentials) => apiFetch.post(path, credentials),
+    onSuccess: ({ data }) => {
+      const previousUser = readSession().user;
+      if (!previousUser || previousUser.id !== data.user.id) {
+        clearLocalTaskData(queryClient);
+        setListId(DEFAULT_LIST_ID);
+      }
+      saveSession(data);
+      toast.success(`welcome, ${data.user.name}`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.msg || "something went wrong");
+    },
+  });
+};
+
+// Hook for logging in - call as login({ email, password })
+export const useLogin = () => {
+  const { mutate: login, isLoading } = useSessionMutation("/auth/login");
+  return { login, isLoading };
+};
+
+// Hook for creating an account - call as signup({ email, password, name? })
+export const useSignup = () => {
+  const { mutate: signup, isLoading } = useSessionMutation("/auth/signup");
+  return { signup, isLoading };
+};
+
+// Hook for logging out - the token is only dropped in the browser (it expires on
+// its own), together with everything cached for the account
+export const useLogout = () => {
+  const queryClient = useQueryClient();
+  const { setListId } = useActiveList();
+  return () => {
+    clearLocalTaskData(queryClient);
+    clearSession();
+    setListId(DEFAULT_LIST_ID);
+  };
+};
+
+// ============================================
+// STORAGE HEALTH
+// ============================================
+
+// How often the storage report is fetched again while the app is open
+const HEALTH_REFRESH_INTERVAL = 60 * 1000;
+
+// Hook for the server's storage report (GET /health/storage, see shared/storageHealth.js)
+// Returns { report, isAtRisk }: report is null while loading and on backends without
+// the route; isAtRisk is set when changes are not being saved durably
+export const useStorageHealth = () => {
+  const { data } = useQuery({
+    queryKey: ["health"],
+    queryFn: async () => {
+      try {
+        const { data } = await apiFetch.get("/health/storage");
+        return data;
+      } catch (error) {
+        // 503: the report is there, the storage cannot be read
+        if (error?.response?.status === 503) {
+          return error.response.data;
+        }
+        throw error;
+      }
+    },
+    // Backends without the route answer 404 - the indicator then stays hidden
+    retry: false,
+    staleTime: HEALTH_REFRESH_INTERVAL,
+    refetchInterval: HEALTH_REFRESH_INTERVAL,
+  });
+  const report = data || null;
+  return {
+    report,
+    isAtRisk: Boolean(report && report.status && report.status !== "ok"),
+  };
 };
@@ -0,0 +1,82 @@
+// Edit conflicts waiting for the user to decide (in memory only)
+// The server answers 412 + code "VERSION_CONFLICT" when a task was changed somewhere
+// else after this tab loaded it; the hooks report the conflict here and ConflictPrompt
+// asks whether to keep this tab's change, take the server's copy or merge the two
+//
+// Conflict: { id, type, listId, taskId, mine, theirs }
+//   type   - "edit" or "delete"
+//   mine   - the fields this tab tried to change (null for delete)
+//   theirs - the server's current copy of the task
+
+// Fields the prompt can compare, in display order
+export const CONFLICT_FIELDS = [
+  "title",
+  "isDone",
+  "priority",
+  "dueDate",
+  "notes",
+  "completeWithSubtasks",
+  "assigneeId",
+];
+
+let conflicts = [];
+const listeners = new Set();
+
+const setConflicts = (nextConflicts) => {
+  conflicts = nextConflicts;
+  listeners.forEach((listener) => listener(conflicts));
+};
+
+export const readConflicts = () => conflicts;
+
+// Only fields that still differ from the server's copy need a decision
+const pickDifferences = (mine, theirs) =>
+  Object.fromEntries(
+    Object.entries(mine || {}).filter(
+      ([field, value]) => theirs[field] !== value
+    )
+  );
+
+// Report a conflict; a second conflict on the same task is folded into the first,
+// and an edit that matches the server's copy already is not a conflict at all
+export const reportConflict = ({
+  type,
+  listId,
+  taskId,
+  mine = null,
+  theirs,
+}) => {
+  const existing = conflicts.find((conflict) => conflict.taskId === taskId);
+  const isDelete = type === "delete" || existing?.type === "delete";
+  const changes = isDelete
+    ? null
+    : pickDifferences({ ...existing?.mine, ...mine }, theirs);
+  if (!isDelete && !Object.keys(changes).length) {
+    if (existing) {
+      dismissConflict(existing.id);
+    }
+    return;
+  }
+  const conflict = {
+    id: existing?.id || `${taskId}-${Date.now()}`,
+    type: isDelete ? "delete" : "edit",
+    listId,
+    taskId,
+    mine: changes,
+    theirs,
+  };
+  setConflicts(
+    existing
+      ? conflicts.map((item) => (item.id === existing.id ? conflict : item))
+      : [...conflicts, conflict]
+  );
+};
+
+export const dismissConflict = (conflictId) => {
+  setConflicts(conflicts.filter((conflict) => conflict.id !== conflictId));
+};
+
+export const subscribeToConflicts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
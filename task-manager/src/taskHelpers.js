@@ -0,0 +1,102 @@
+// Small helpers for the rich task model used by the components
+// Mirrors the priorities accepted by the API (shared/taskModel.js)
+
+export const TASK_PRIORITIES = ["low", "normal", "high", "urgent"];
+export const DEFAULT_PRIORITY = "normal";
+
+// Temporary IDs for tasks that exist only in the cache until the server answers
+export const createTempId = () =>
+  `temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isTempId = (taskId) => String(taskId).startsWith("temp-");
+
+// Client-side stand-in for a task being created, shaped like buildTask in shared/taskModel.js
+// isPending marks it so the UI can disable actions that need the real ID
+export const buildOptimisticTask = (fields, tempId) => {
+  const timestamp = new Date().toISOString();
+  return {
+    id: tempId,
+    title: (fields.title || "").trim(),
+    isDone: false,
+    priority: fields.priority || DEFAULT_PRIORITY,
+    dueDate: fields.dueDate || null,
+    notes: fields.notes || "",
+    subtasks: [],
+    completeWithSubtasks: false,
+    assigneeId: fields.assigneeId || null,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    completedAt: null,
+    isPending: true,
+  };
+};
+
+// Apply a partial update the way the server will (applyTaskChanges in shared/taskModel.js),
+// so an optimistic toggle also shows the right completedAt straight away
+export const applyOptimisticChanges = (task, changes) => {
+  const timestamp = new Date().toISOString();
+  const updated = { ...task, ...changes, updatedAt: timestamp };
+  if (changes.isDone === true && !task.isDone) {
+    updated.completedAt = timestamp;
+  }
+  if (changes.isDone === false) {
+    updated.completedAt = null;
+  }
+  return updated;
+};
+
+// Today's date as "YYYY-MM-DD" in the user's local timezone
+// Due dates are calendar days, so they are compared as plain strings
+export const getTodayKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Work out which due-date badge a task needs
+// Returns "overdue", "today" or null (no due date, due later, or already done)
+export const getDueStatus = (task, todayKey = getTodayKey()) => {
+  if (!task.dueDate || task.isDone) {
+    return null;
+  }
+  if (task.dueDate < todayKey) {
+    return "overdue";
+  }
+  if (task.dueDate === todayKey) {
+    return "today";
+  }
+  return null;
+};
+
+// Checklist progress for the "2/5" badge - null when the task has no subtasks
+export const getSubtaskProgress = (task) => {
+  const subtasks = task.subtasks || [];
+  if (!subtasks.length) {
+    return null;
+  }
+  return {
+    done: subtasks.filter((subtask) => subtask.isDone).length,
+    total: subtasks.length,
+  };
+};
+
+// The user's role in a list: "owner", "editor" or "viewer" (see shared/taskModel.js)
+// Lists without an owner (backends without accounts) can be changed by everybody
+export const getListRole = (list, user) => {
+  if (!list || !list.userId || (user && list.userId === user.id)) {
+    return "owner";
+  }
+  const member = (list.members || []).find(
+    (item) => user && item.userId === user.id
+  );
+  return member ? member.role : "viewer";
+};
+
+// "Ann Lee" -> "AL", "bob" -> "B" - for the assignee avatar
+export const getInitials = (name = "") =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join("") || "?";
@@ -0,0 +1,96 @@
+// Undo / redo history of task actions (in memory, per tab)
+// The mutation hooks record every action the server confirmed, together with the
+// actions that revert and repeat it; useUndoRedo runs them through the same hooks.
+// Undo buttons in toasts only send a request here, the mounted useUndoRedo handles it
+//
+// Entry: { id, label, listId, undo, redo }
+//   undo / redo - lists of actions, run in order:
+//     { kind: "edit", taskId, changes }          - PATCH one task
+//     { kind: "delete", taskId }                 - DELETE one task
+//     { kind: "restore", tasks: [{ task, index }] } - POST /restore (original IDs and slots)
+//     { kind: "bulk", operations }               - POST /bulk
+
+const MAX_HISTORY = 50;
+
+let undoStack = [];
+let redoStack = [];
+const listeners = new Set();
+
+const notify = () => {
+  const state = readHistory();
+  listeners.forEach((listener) => listener(state));
+};
+
+export const readHistory = () => ({
+  canUndo: undoStack.length > 0,
+  canRedo: redoStack.length > 0,
+});
+
+// A new action starts a new branch, so whatever was undone can no longer be redone
+export const recordAction = ({ label, listId, undo, redo }) => {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    label,
+    listId,
+    undo,
+    redo,
+  };
+  undoStack = [...undoStack, entry].slice(-MAX_HISTORY);
+  redoStack = [];
+  notify();
+  return entry;
+};
+
+// Take the latest entry - or a given one, when an older toast's undo button is used -
+// off the undo stack and put it on the redo stack
+export const takeUndo = (entryId) => {
+  const entry = entryId
+    ? undoStack.find((item) => item.id === entryId)
+    : undoStack[undoStack.length - 1];
+  if (!entry) {
+    return null;
+  }
+  undoStack = undoStack.filter((item) => item !== entry);
+  redoStack = [...redoStack, entry];
+  notify();
+  return entry;
+};
+
+export const takeRedo = (entryId) => {
+  const entry = entryId
+    ? redoStack.find((item) => item.id === entryId)
+    : redoStack[redoStack.length - 1];
+  if (!entry) {
+    return null;
+  }
+  redoStack = redoStack.filter((item) => item !== entry);
+  undoStack = [...undoStack, entry];
+  notify();
+  return entry;
+};
+
+// Forget everything - after a log-out the actions belong to another account
+export const clearHistory = () => {
+  undoStack = [];
+  redoStack = [];
+  notify();
+};
+
+export const subscribeToHistory = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Requests from the toast buttons: listener(direction, entryId)
+const requestListeners = new Set();
+
+export const requestUndo = (entryId) =>
+  requestListeners.forEach((listener) => listener("undo", entryId));
+
+export const requestRedo = (entryId) =>
+  requestListeners.forEach((listener) => listener("redo", entryId));
+
+export const subscribeToHistoryRequests = (listener) => {
+  requestListeners.add(listener);
+  return () => requestListeners.delete(listener);
+};
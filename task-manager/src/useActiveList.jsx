@@ -0,0 +1,71 @@
+// Active task list shared by the whole app
+// The selected list lives in the query string (?list=abc) like the filters do,
+// so a bookmarked link opens the same list; the default list is left out of the URL
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
+import { DEFAULT_LIST_ID } from "./utils";
+
+const ActiveListContext = createContext({
+  listId: DEFAULT_LIST_ID,
+  setListId: () => {},
+});
+
+const readListIdFromUrl = () => {
+  if (typeof window === "undefined") {
+    return DEFAULT_LIST_ID;
+  }
+  return (
+    new URLSearchParams(window.location.search).get("list") || DEFAULT_LIST_ID
+  );
+};
+
+const writeListIdToUrl = (listId) => {
+  const params = new URLSearchParams(window.location.search);
+  if (listId === DEFAULT_LIST_ID) {
+    params.delete("list");
+  } else {
+    params.set("list", listId);
+  }
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${
+    window.location.hash
+  }`;
+  // Switching lists is a navigation step, so it gets its own history entry
+  window.history.pushState(window.history.state, "", url);
+};
+
+export const ActiveListProvider = ({ children }) => {
+  const [listId, setListIdState] = useState(readListIdFromUrl);
+
+  // Back/forward navigation restores the list stored in that URL
+  useEffect(() => {
+    const handlePopState = () => setListIdState(readListIdFromUrl());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const setListId = useCallback(
+    (nextListId) => {
+      if (nextListId === listId) {
+        return;
+      }
+      writeListIdToUrl(nextListId);
+      setListIdState(nextListId);
+    },
+    [listId]
+  );
+
+  return (
+    <ActiveListContext.Provider value={{ listId, setListId }}>
+      {children}
+    </ActiveListContext.Provider>
+  );
+};
+
+// Returns { listId, setListId } for the list currently shown
+export const useActiveList = () => useContext(ActiveListContext);
@@ -0,0 +1,80 @@
+// URL-backed filter state for the task list
+// The selected tab, search text and sort live in the query string (?status=open&q=milk&sort=title)
+// so a filtered view can be bookmarked, shared, and survives a page refresh
+import { useCallback, useEffect, useState } from "react";
+import { TASK_SORTS, TASK_STATUSES } from "../shared/taskQuery.js";
+
+export const DEFAULT_FILTERS = {
+  status: "all",
+  q: "",
+  sort: "position",
+  order: "",
+};
+
+// Read filters from the current URL, ignoring values the API would reject
+const readFiltersFromUrl = () => {
+  if (typeof window === "undefined") {
+    return DEFAULT_FILTERS;
+  }
+  const params = new URLSearchParams(window.location.search);
+  const status = params.get("status");
+  const sort = params.get("sort");
+  const order = params.get("order");
+  return {
+    status: TASK_STATUSES.includes(status) ? status : DEFAULT_FILTERS.status,
+    q: params.get("q") || "",
+    sort: TASK_SORTS.includes(sort) ? sort : DEFAULT_FILTERS.sort,
+    order: order === "asc" || order === "desc" ? order : "",
+  };
+};
+
+// Write filters back to the URL without adding a history entry per keystroke
+// Default values are left out to keep shared links short
+const writeFiltersToUrl = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value || value === DEFAULT_FILTERS[key]) {
+      params.delete(key);
+    } else {
+      params.set(key, value);
+    }
+  });
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${
+    window.location.hash
+  }`;
+  window.history.replaceState(window.history.state, "", url);
+};
+
+// Returns [filters, updateFilters] - updateFilters merges a partial change
+export const useTaskFilters = () => {
+  const [filters, setFilters] = useState(readFiltersFromUrl);
+
+  // Back/forward navigation restores the filters stored in that URL
+  useEffect(() => {
+    const handlePopState = () => setFilters(readFiltersFromUrl());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const updateFilters = useCallback((changes) => {
+    setFilters((current) => {
+      const next = { ...current, ...changes };
+      writeFiltersToUrl(next);
+      return next;
+    });
+  }, []);
+
+  return [filters, updateFilters];
+};
+
+// Delay a fast-changing value (search text) so server-paged lists are not
+// refetched on every keystroke
+export const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+  return debounced;
+};
@@ -0,0 +1,106 @@
+// Drag-and-drop and keyboard reordering for the task list
+// Drag a task by its handle onto another task, or press Alt+ArrowUp / Alt+ArrowDown
+// while anything inside a task has focus; either way onReorder receives the visible
+// task IDs in their new order (see useReorderTasks)
+import { useState } from "react";
+
+// Alt+Arrow is left alone inside fields, where it can have a meaning of its own
+const isEditableTarget = (target) =>
+  ["TEXTAREA", "SELECT"].includes(target.tagName) ||
+  (target.tagName === "INPUT" && target.type !== "checkbox");
+
+export const useTaskReorder = (taskList, { enabled, onReorder }) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const resetDrag = () => {
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  // Move one task to targetIndex of the visible list; returns false when nothing moves
+  const moveTask = (taskId, targetIndex) => {
+    const ids = taskList.map((task) => task.id);
+    const fromIndex = ids.indexOf(taskId);
+    if (
+      fromIndex === -1 ||
+      targetIndex < 0 ||
+      targetIndex >= ids.length ||
+      targetIndex === fromIndex
+    ) {
+      return false;
+    }
+    ids.splice(fromIndex, 1);
+    ids.splice(targetIndex, 0, taskId);
+    onReorder(ids);
+    return true;
+  };
+
+  const handleKeyDown = (event, taskId) => {
+    const isArrow = event.key === "ArrowUp" || event.key === "ArrowDown";
+    if (!event.altKey || !isArrow || isEditableTarget(event.target)) {
+      return;
+    }
+    event.preventDefault();
+    const index = taskList.findIndex((task) => task.id === taskId);
+    const focused = event.target;
+    if (moveTask(taskId, index + (event.key === "ArrowUp" ? -1 : 1))) {
+      // Moving a DOM node can drop its focus - put it back so the keys can repeat
+      requestAnimationFrame(() => {
+        if (document.activeElement !== focused) {
+          focused.focus();
+        }
+      });
+    }
+  };
+
+  // Props for one task: itemProps go on the task wrapper, handleProps on its drag handle
+  // Resolves to null while reordering is disabled (e.g. the list is sorted by title)
+  const getReorderProps = (taskId) => {
+    if (!enabled) {
+      return null;
+    }
+    return {
+      isDragging: draggedId === taskId,
+      isDropTarget: Boolean(draggedId) && dropTargetId === taskId,
+      itemProps: {
+        onKeyDown: (event) => handleKeyDown(event, taskId),
+        onDragOver: (event) => {
+          if (!draggedId) {
+            return;
+          }
+          // preventDefault marks the task as a valid drop target
+          event.preventDefault();
+          event.dataTransfer.dropEffect = "move";
+          setDropTargetId(taskId);
+        },
+        onDrop: (event) => {
+          event.preventDefault();
+          if (draggedId) {
+            moveTask(
+              draggedId,
+              taskList.findIndex((task) => task.id === taskId)
+            );
+          }
+          resetDrag();
+        },
+      },
+      handleProps: {
+        draggable: true,
+        onDragStart: (event) => {
+          setDraggedId(taskId);
+          event.dataTransfer.effectAllowed = "move";
+          event.dataTransfer.setData("text/plain", taskId);
+          // Drag the whole row, not just the handle
+          const row = event.currentTarget.closest(".task");
+          if (row) {
+            event.dataTransfer.setDragImage(row, 0, 0);
+          }
+        },
+        onDragEnd: resetDrag,
+      },
+    };
+  };
+
+  return { getReorderProps };
+};
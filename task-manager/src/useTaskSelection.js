@@ -0,0 +1,65 @@
+// Multi-select state for the task list
+// A click toggles one task; a shift-click selects every task between the last
+// clicked task and this one, in the order the list is currently shown
+import { useCallback, useMemo, useRef, useState } from "react";
+
+export const useTaskSelection = (taskList) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Last task clicked without shift - the fixed end of a shift-click range
+  const anchorIdRef = useRef(null);
+
+  // Tasks that left the list (deleted, filtered out) drop out of the selection
+  const visibleSelectedIds = useMemo(
+    () =>
+      taskList
+        .filter((task) => selectedIds.has(task.id))
+        .map((task) => task.id),
+    [taskList, selectedIds]
+  );
+
+  const toggleTask = useCallback(
+    (taskId, { shiftKey = false } = {}) => {
+      const index = taskList.findIndex((task) => task.id === taskId);
+      const anchorIndex = taskList.findIndex(
+        (task) => task.id === anchorIdRef.current
+      );
+
+      if (shiftKey && index !== -1 && anchorIndex !== -1) {
+        const rangeIds = taskList
+          .slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1)
+          .map((task) => task.id);
+        setSelectedIds((current) => new Set([...current, ...rangeIds]));
+        return;
+      }
+
+      anchorIdRef.current = taskId;
+      setSelectedIds((current) => {
+        const next = new Set(current);
+        if (next.has(taskId)) {
+          next.delete(taskId);
+        } else {
+          next.add(taskId);
+        }
+        return next;
+      });
+    },
+    [taskList]
+  );
+
+  const clearSelection = useCallback(() => {
+    anchorIdRef.current = null;
+    setSelectedIds(new Set());
+  }, []);
+
+  const isSelected = useCallback(
+    (taskId) => selectedIds.has(taskId),
+    [selectedIds]
+  );
+
+  return {
+    selectedIds: visibleSelectedIds,
+    isSelected,
+    toggleTask,
+    clearSelection,
+  };
+};
@@ -9,6 +9,7 @@
 // Axios instance configuration for API calls
 // This centralized configuration ensures all API requests use the correct base URL
 import axios from "axios";
+import { readSession, requireLogin } from "./authSession";
 
 // Determine the API base URL based on environment
 // Priority: 1. VITE_API_BASE_URL env variable (set in Netlify/Vercel), 2. Default to "/api/tasks"
@@ -26,4 +27,68 @@ const customFetch = axios.create({
   baseURL: cleanBaseURL,
 });
 
+// Axios instance for the API root (baseURL without the trailing "/tasks")
+// Serves the list routes: apiFetch.get("/lists"), apiFetch.get("/lists/abc/tasks")
+export const apiFetch = axios.create({
+  baseURL: cleanBaseURL.replace(/\/tasks$/, ""),
+});
+
+// Identifies this browser tab to the server; live update events carry it as `origin`,
+// so a tab can skip the echo of its own changes
+export const CLIENT_ID = `tab-${Date.now()}-${Math.random()
+  .toString(36)
+  .slice(2, 8)}`;
+apiFetch.defaults.headers.common["X-Client-Id"] = CLIENT_ID;
+
+// Serverless deployments protected with API_KEYS (see shared/apiProtection.js) need a key
+// Note that a key built into the bundle is visible to everybody who loads the app
+const apiKey = import.meta.env.VITE_API_KEY;
+if (apiKey) {
+  [customFetch, apiFetch].forEach((instance) => {
+    instance.defaults.headers.common["X-API-Key"] = apiKey;
+  });
+}
+
+// Logged-in users send their token with every request (see authSession.js)
+const attachToken = (config) => {
+  const { token } = readSession();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+};
+
+// A missing, expired or revoked token sends the user to the login screen
+// (wrong passwords answer INVALID_CREDENTIALS and stay on it with a message)
+const handleUnauthorized = (error) => {
+  if (
+    error?.response?.status === 401 &&
+    error.response.data?.code === "UNAUTHORIZED"
+  ) {
+    requireLogin();
+  }
+  return Promise.reject(error);
+};
+
+[customFetch, apiFetch].forEach((instance) => {
+  instance.interceptors.request.use(attachToken);
+  instance.interceptors.response.use(undefined, handleUnauthorized);
+});
+
+// Server-Sent Events stream with the changes made by every client (Express server only)
+// EventSource cannot send headers, so the token goes in the query string
+export const getEventsUrl = () => {
+  const { token } = readSession();
+  const url = `${apiFetch.defaults.baseURL}/events`;
+  return token ? `${url}?access_token=${encodeURIComponent(token)}` : url;
+};
+
+// Mirrors DEFAULT_LIST_ID in shared/taskModel.js
+export const DEFAULT_LIST_ID = "default";
+
+// Path of a list's tasks below the API root
+// The default list keeps the original /tasks routes, named lists live under /lists/:listId
+export const getTasksPath = (listId = DEFAULT_LIST_ID) =>
+  listId === DEFAULT_LIST_ID ? "/tasks" : `/lists/${listId}/tasks`;
+
 export default customFetch;
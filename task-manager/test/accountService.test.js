@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  createAccountService,
+  handleAuthRequest,
+  readBearerToken,
+  redactAccessToken,
+} from "../shared/accountService.js";
+import {
+  createMemoryStorage,
+  createUserStorage,
+} from "../shared/storageAdapters.js";
+import { createIdSequence, rejectionOf } from "./helpers.js";
+
+const createAccounts = (storage = createMemoryStorage()) => ({
+  storage,
+  accounts: createAccountService({
+    storage,
+    secret: "test-secret",
+    generateId: createIdSequence("user"),
+  }),
+});
+
+describe("signup", () => {
+  test("concurrent sign-ups with one email create a single account", async () => {
+    const { storage, accounts } = createAccounts();
+    const results = await Promise.allSettled(
+      ["Ann", "Anna"].map((name) =>
+        accounts.signup({
+          email: "ann@example.com",
+          password: "secret-1",
+          name,
+        })
+      )
+    );
+    // Either request may win - the passwords are hashed before the lock
+    assert.deepEqual(results.map((result) => result.status).sort(), [
+      "fulfilled",
+      "rejected",
+    ]);
+    assert.equal(
+      results.find((result) => result.status === "rejected").reason.code,
+      "EMAIL_TAKEN"
+    );
+    assert.equal((await storage.readUsers()).length, 1);
+  });
+
+  test("the first account takes over the lists stored before accounts", async () => {
+    const storage = createMemoryStorage({
+      container: {
+        tasks: [{ id: "t1", title: "old default task" }],
+        tasksByList: { work: [{ id: "t2", title: "old work task" }] },
+        lists: [{ id: "work", name: "work" }],
+      },
+    });
+    const { accounts } = createAccounts(storage);
+    const { user } = await accounts.signup({
+      email: "ann@example.com",
+      password: "secret-1",
+    });
+    const own = createUserStorage(storage, user.id);
+    assert.deepEqual(
+      (await own.readTasks("default")).map((task) => task.id),
+      ["t1"]
+    );
+    assert.deepEqual(
+      (await own.readTasks("work")).map((task) => task.id),
+      ["t2"]
+    );
+    assert.equal((await storage.readLists())[0].userId, user.id);
+    // The data stored before accounts is left as it was
+    assert.deepEqual(
+      (await storage.readTasks("default")).map((task) => task.id),
+      ["t1"]
+    );
+
+    // Later accounts start empty
+    const { user: other } = await accounts.signup({
+      email: "bob@example.com",
+      password: "secret-1",
+    });
+    assert.deepEqual(
+      await createUserStorage(storage, other.id).readTasks("default"),
+      []
+    );
+  });
+});
+
+describe("bearer tokens", () => {
+  test("the query token is read only where it is allowed", () => {
+    const request = { headers: {}, query: { access_token: "abc" } };
+    assert.equal(readBearerToken(request), null);
+    assert.equal(readBearerToken(request, { allowQuery: true }), "abc");
+    assert.equal(
+      readBearerToken({ headers: { authorization: "Bearer xyz" } }),
+      "xyz"
+    );
+  });
+
+  test("query tokens are blanked out for the logs", () => {
+    assert.equal(
+      redactAccessToken("/api/events?access_token=abc.def.ghi&x=1"),
+      "/api/events?access_token=[redacted]&x=1"
+    );
+    assert.equal(
+      redactAccessToken("/api/events?x=1&access_token=abc"),
+      "/api/events?x=1&access_token=[redacted]"
+    );
+    assert.equal(redactAccessToken("/api/tasks"), "/api/tasks");
+  });
+
+  test("/auth/me needs the Authorization header", async () => {
+    const { accounts } = createAccounts();
+    const { token } = await accounts.signup({
+      email: "ann@example.com",
+      password: "secret-1",
+    });
+    const viaQuery = await handleAuthRequest(accounts, {
+      method: "GET",
+      path: "/auth/me",
+      headers: {},
+      query: { access_token: token },
+    });
+    assert.equal(viaQuery.statusCode, 401);
+
+    const viaHeader = await handleAuthRequest(accounts, {
+      method: "GET",
+      path: "/auth/me",
+      headers: { authorization: `Bearer ${token}` },
+      query: {},
+    });
+    assert.equal(viaHeader.statusCode, 200);
+    assert.equal(viaHeader.body.user.email, "ann@example.com");
+  });
+
+  test("forged tokens are refused", async () => {
+    const { accounts } = createAccounts();
+    const error = await rejectionOf(accounts.authenticate("a.b.c"));
+    assert.equal(error.statusCode, 401);
+  });
+});
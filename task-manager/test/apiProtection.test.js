@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  createApiProtection,
+  createMemoryRateLimitStore,
+} from "../shared/apiProtection.js";
+
+// Protection with a clock that only moves when clock.time is changed
+const createProtection = (env) => {
+  const clock = { time: Date.parse("2024-05-01T10:00:00.000Z") };
+  const rateLimitStore = createMemoryRateLimitStore();
+  return {
+    clock,
+    rateLimitStore,
+    protection: createApiProtection({
+      env,
+      rateLimitStore,
+      now: () => clock.time,
+    }),
+  };
+};
+
+const request = (method, headers = {}) => ({
+  method,
+  headers,
+  clientIp: "203.0.113.7",
+});
+
+describe("API keys", () => {
+  test("lets writes through with a listed key or bearer token", async () => {
+    const { protection } = createProtection({
+      API_KEYS: "key-a, key-b",
+      API_TOKENS: "token-a",
+    });
+    assert.equal(
+      await protection.checkRequest(request("POST", { "x-api-key": "key-b" })),
+      null
+    );
+    assert.equal(
+      await protection.checkRequest(
+        request("PATCH", { authorization: "Bearer token-a" })
+      ),
+      null
+    );
+    // Reads stay open unless API_AUTH_SCOPE is "all"
+    assert.equal(await protection.checkRequest(request("GET")), null);
+  });
+
+  test("answers 401 for a missing or unknown key", async () => {
+    const { protection } = createProtection({
+      API_KEYS: "key-a",
+      API_AUTH_SCOPE: "all",
+    });
+    for (const headers of [
+      {},
+      { "x-api-key": "key-c" },
+      { authorization: "Bearer key-a" },
+    ]) {
+      const result = await protection.checkRequest(request("GET", headers));
+      assert.equal(result.statusCode, 401);
+      assert.equal(result.body.code, "INVALID_API_KEY");
+      assert.equal(result.headers["WWW-Authenticate"], "Bearer");
+    }
+  });
+});
+
+describe("CORS allowlist", () => {
+  test("only listed origins get Access-Control-Allow-Origin", () => {
+    const { protection } = createProtection({
+      CORS_ORIGINS: "https://tasks.example.com",
+    });
+    const allowed = protection.corsHeaders("https://tasks.example.com");
+    assert.equal(
+      allowed["Access-Control-Allow-Origin"],
+      "https://tasks.example.com"
+    );
+    assert.equal(allowed.Vary, "Origin");
+    assert.deepEqual(protection.corsHeaders("https://evil.example.com"), {
+      Vary: "Origin",
+    });
+    assert.deepEqual(protection.corsHeaders(undefined), { Vary: "Origin" });
+  });
+
+  test('"*" allows every origin, unset allows none', () => {
+    const open = createProtection({ CORS_ORIGINS: "*" }).protection;
+    assert.equal(
+      open.corsHeaders("https://any.example.com")[
+        "Access-Control-Allow-Origin"
+      ],
+      "*"
+    );
+    const closed = createProtection({}).protection;
+    assert.equal(
+      closed.corsHeaders("https://any.example.com")[
+        "Access-Control-Allow-Origin"
+      ],
+      undefined
+    );
+  });
+});
+
+describe("rate limit", () => {
+  test("answers 429 with Retry-After once the bucket is empty and refills over time", async () => {
+    const { protection, clock } = createProtection({
+      RATE_LIMIT_PER_MINUTE: "6",
+      RATE_LIMIT_BURST: "2",
+    });
+    assert.equal(await protection.checkRequest(request("GET")), null);
+    assert.equal(await protection.checkRequest(request("GET")), null);
+
+    const limited = await protection.checkRequest(request("GET"));
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.equal(limited.body.retryAfter, 10);
+    assert.equal(limited.headers["Retry-After"], "10");
+
+    // Other clients have buckets of their own
+    assert.equal(
+      await protection.checkRequest({
+        ...request("GET"),
+        clientIp: "10.0.0.1",
+      }),
+      null
+    );
+
+    // One token every 10 seconds
+    clock.time += 9 * 1000;
+    assert.equal(
+      (await protection.checkRequest(request("GET"))).headers["Retry-After"],
+      "1"
+    );
+    clock.time += 1000;
+    assert.equal(await protection.checkRequest(request("GET")), null);
+    assert.equal(
+      (await protection.checkRequest(request("GET"))).statusCode,
+      429
+    );
+  });
+
+  test("counts key holders by key and switches off with 0", async () => {
+    const { protection } = createProtection({
+      API_KEYS: "key-a",
+      RATE_LIMIT_PER_MINUTE: "1",
+    });
+    const withKey = request("POST", { "x-api-key": "key-a" });
+    assert.equal(await protection.checkRequest(withKey), null);
+    const elsewhere = await protection.checkRequest({
+      ...withKey,
+      clientIp: "10.0.0.1",
+    });
+    assert.equal(elsewhere.statusCode, 429);
+
+    const { protection: unlimited } = createProtection({
+      RATE_LIMIT_PER_MINUTE: "0",
+    });
+    for (let count = 0; count < 200; count += 1) {
+      assert.equal(await unlimited.checkRequest(request("GET")), null);
+    }
+  });
+
+  test("drops the buckets that have refilled completely", async () => {
+    const { protection, clock, rateLimitStore } = createProtection({
+      RATE_LIMIT_PER_MINUTE: "6",
+      RATE_LIMIT_BURST: "2",
+    });
+    await protection.checkRequest(request("GET"));
+    assert.equal((await rateLimitStore.read("ip-203.0.113.7")).tokens, 1);
+
+    // Full again after 10 seconds, dropped with the next sweep a minute later
+    clock.time += 61 * 1000;
+    await protection.checkRequest({ ...request("GET"), clientIp: "10.0.0.1" });
+    assert.equal(await rateLimitStore.read("ip-203.0.113.7"), null);
+    assert.equal((await rateLimitStore.read("ip-10.0.0.1")).tokens, 1);
+  });
+});
@@ -0,0 +1,46 @@
+// Shared setup for the node --test suites: a task service on in-memory storage
+// with predictable IDs and timestamps
+import { createMemoryStorage } from "../shared/storageAdapters.js";
+import { createTaskService } from "../shared/taskService.js";
+
+// "id-1", "id-2", ... so tests can name the tasks they create
+export const createIdSequence = (prefix = "id") => {
+  let counter = 0;
+  return () => {
+    counter += 1;
+    return `${prefix}-${counter}`;
+  };
+};
+
+// A clock that moves one second per call, starting at 2024-05-01T10:00:00Z
+export const createClock = (start = Date.parse("2024-05-01T10:00:00.000Z")) => {
+  let time = start;
+  return () => {
+    const timestamp = new Date(time).toISOString();
+    time += 1000;
+    return timestamp;
+  };
+};
+
+export const createTestService = ({ storage, ...options } = {}) => {
+  const store = storage || createMemoryStorage();
+  return {
+    storage: store,
+    service: createTaskService({
+      storage: store,
+      generateId: createIdSequence(),
+      now: createClock(),
+      ...options,
+    }),
+  };
+};
+
+// Run a promise that should fail and resolve with its error
+export const rejectionOf = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("expected the promise to reject");
+};
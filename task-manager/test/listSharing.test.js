@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  createMemoryStorage,
+  createUserStorage,
+} from "../shared/storageAdapters.js";
+import { createTaskService } from "../shared/taskService.js";
+import { createIdSequence, rejectionOf } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One service per user on a shared storage, as the Express servers build them
+// clock.time moves by hand
+const createSharing = () => {
+  const storage = createMemoryStorage();
+  const clock = { time: Date.parse("2024-05-01T10:00:00.000Z") };
+  const serviceFor = (userId) =>
+    createTaskService({
+      storage: createUserStorage(storage, userId),
+      generateId: createIdSequence(userId),
+      now: () => new Date(clock.time).toISOString(),
+      userId,
+      userName: userId.toUpperCase(),
+    });
+  return {
+    clock,
+    ann: serviceFor("ann"),
+    bob: serviceFor("bob"),
+    cy: serviceFor("cy"),
+    dan: serviceFor("dan"),
+  };
+};
+
+// Ann's list "work" with Bob as an editor and Cy as a viewer
+const createSharedList = async ({ ann, bob, cy }) => {
+  const list = await ann.createList({ name: "work" });
+  const editor = await ann.createInvitation(list.id, { role: "editor" });
+  const viewer = await ann.createInvitation(list.id, { role: "viewer" });
+  await bob.acceptInvitation({ token: editor.token });
+  await cy.acceptInvitation({ token: viewer.token });
+  return list;
+};
+
+const membersOf = (list) =>
+  list.members.map((member) => [member.userId, member.role]);
+
+describe("invitations", () => {
+  test("accepting a token adds the user with its role, once", async () => {
+    const { ann, bob, cy } = createSharing();
+    const list = await ann.createList({ name: "work" });
+    const invitation = await ann.createInvitation(list.id, { role: "viewer" });
+    assert.equal(invitation.listId, list.id);
+    assert.equal(invitation.expiresAt, "2024-05-08T10:00:00.000Z");
+
+    const joined = await bob.acceptInvitation({ token: invitation.token });
+    assert.deepEqual(membersOf(joined), [
+      ["ann", "owner"],
+      ["bob", "viewer"],
+    ]);
+    // Only the owner sees the tokens
+    assert.equal(joined.invitations, undefined);
+    assert.deepEqual((await ann.findList(list.id)).invitations, []);
+
+    const error = await rejectionOf(
+      cy.acceptInvitation({ token: invitation.token })
+    );
+    assert.equal(error.statusCode, 404);
+    assert.equal(error.code, "INVITATION_NOT_FOUND");
+  });
+
+  test("expired tokens are refused and dropped with the next invitation", async () => {
+    const { ann, bob, clock } = createSharing();
+    const list = await ann.createList({ name: "work" });
+    const invitation = await ann.createInvitation(list.id);
+    clock.time += 7 * DAY_MS;
+
+    const error = await rejectionOf(
+      bob.acceptInvitation({ token: invitation.token })
+    );
+    assert.equal(error.code, "INVITATION_NOT_FOUND");
+    await ann.createInvitation(list.id);
+    const { invitations } = await ann.findList(list.id);
+    assert.equal(invitations.length, 1);
+    assert.notEqual(invitations[0].token, invitation.token);
+  });
+
+  test("rejects unknown roles, the default list and servers without accounts", async () => {
+    const { ann } = createSharing();
+    const list = await ann.createList({ name: "work" });
+    const role = await rejectionOf(
+      ann.createInvitation(list.id, { role: "owner" })
+    );
+    assert.equal(role.statusCode, 400);
+    const defaultList = await rejectionOf(ann.createInvitation("default"));
+    assert.equal(defaultList.code, "DEFAULT_LIST");
+
+    const service = createTaskService({ storage: createMemoryStorage() });
+    const anonymous = await service.createList({ name: "work" });
+    const error = await rejectionOf(service.createInvitation(anonymous.id));
+    assert.equal(error.code, "SHARING_UNAVAILABLE");
+  });
+
+  test("concurrent accepts and invitations do not write over each other", async () => {
+    const { ann, bob, cy } = createSharing();
+    const list = await ann.createList({ name: "work" });
+    const first = await ann.createInvitation(list.id);
+    const second = await ann.createInvitation(list.id, { role: "viewer" });
+    const [, , third] = await Promise.all([
+      bob.acceptInvitation({ token: first.token }),
+      cy.acceptInvitation({ token: second.token }),
+      ann.createInvitation(list.id),
+    ]);
+    const stored = await ann.findList(list.id);
+    assert.deepEqual(membersOf(stored), [
+      ["ann", "owner"],
+      ["bob", "editor"],
+      ["cy", "viewer"],
+    ]);
+    assert.deepEqual(
+      stored.invitations.map((invitation) => invitation.token),
+      [third.token]
+    );
+  });
+});
+
+describe("roles", () => {
+  test("viewers read, editors change tasks, only the owner manages the list", async () => {
+    const sharing = createSharing();
+    const { ann, bob, cy } = sharing;
+    const list = await createSharedList(sharing);
+
+    const task = await bob.tasksIn(list.id).createTask({ title: "milk" });
+    assert.deepEqual(
+      (await cy.tasksIn(list.id).listTasks()).map((item) => item.id),
+      [task.id]
+    );
+    const viewerWrite = await rejectionOf(
+      cy.tasksIn(list.id).updateTask(task.id, { isDone: true })
+    );
+    assert.equal(viewerWrite.statusCode, 403);
+    assert.equal(viewerWrite.code, "FORBIDDEN");
+    assert.equal(viewerWrite.details.role, "viewer");
+    assert.equal(viewerWrite.details.requiredRole, "editor");
+
+    for (const attempt of [
+      bob.renameList(list.id, { name: "mine" }),
+      bob.createInvitation(list.id),
+      bob.updateMember(list.id, "cy", { role: "editor" }),
+      bob.removeMember(list.id, "cy"),
+      bob.removeList(list.id),
+    ]) {
+      const error = await rejectionOf(attempt);
+      assert.equal(error.statusCode, 403);
+      assert.equal(error.details.requiredRole, "owner");
+    }
+    await ann.renameList(list.id, { name: "office" });
+    assert.equal((await cy.findList(list.id)).name, "office");
+  });
+
+  test("users outside the list do not see it", async () => {
+    const sharing = createSharing();
+    const { dan } = sharing;
+    const list = await createSharedList(sharing);
+    assert.deepEqual(
+      (await dan.getLists()).map((item) => item.name),
+      ["my tasks"]
+    );
+    const error = await rejectionOf(dan.tasksIn(list.id).listTasks());
+    assert.equal(error.statusCode, 404);
+    assert.equal(error.code, "LIST_NOT_FOUND");
+  });
+
+  test("the owner changes roles, members leave, the owner cannot", async () => {
+    const sharing = createSharing();
+    const { ann, bob, cy } = sharing;
+    const list = await createSharedList(sharing);
+
+    await ann.updateMember(list.id, "cy", { role: "editor" });
+    await cy.tasksIn(list.id).createTask({ title: "milk" });
+
+    const left = await bob.removeMember(list.id, "bob");
+    assert.deepEqual(membersOf(left), [
+      ["ann", "owner"],
+      ["cy", "editor"],
+    ]);
+    const gone = await rejectionOf(bob.findList(list.id));
+    assert.equal(gone.code, "LIST_NOT_FOUND");
+
+    const owner = await rejectionOf(ann.removeMember(list.id, "ann"));
+    assert.equal(owner.code, "OWNER_CANNOT_LEAVE");
+    const unknown = await rejectionOf(
+      ann.updateMember(list.id, "bob", { role: "viewer" })
+    );
+    assert.equal(unknown.code, "MEMBER_NOT_FOUND");
+  });
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createRemoteStorage } from "../shared/remoteStorage.js";
+import { createMemoryStorage } from "../shared/storageAdapters.js";
+import { rejectionOf } from "./helpers.js";
+
+// A storage API client on a Map, with ETags and an outage switch
+const createFakeClient = () => {
+  const arrays = new Map();
+  const client = {
+    isDown: false,
+    arrays,
+    get: async (collection, listId) => {
+      if (client.isDown) {
+        throw Object.assign(new Error("remote storage unreachable"), {
+          status: null,
+        });
+      }
+      const stored = arrays.get(`${collection}/${listId}`);
+      return stored || { items: [], etag: '"0"' };
+    },
+    put: async (collection, listId, items, ifMatch) => {
+      if (client.isDown) {
+        throw Object.assign(new Error("remote storage unreachable"), {
+          status: null,
+        });
+      }
+      const key = `${collection}/${listId}`;
+      const current = arrays.get(key) || { items: [], etag: '"0"' };
+      // Like storageApi.js: without If-Match the array is simply replaced
+      if (ifMatch && ifMatch !== current.etag) {
+        throw Object.assign(new Error("remote storage answered 412"), {
+          status: 412,
+          code: "VERSION_CONFLICT",
+        });
+      }
+      const etag = `"${Number(current.etag.replace(/"/g, "")) + 1}"`;
+      arrays.set(key, { items, etag });
+      return etag;
+    },
+  };
+  return client;
+};
+
+// Remote storage whose circuit opens on the first failure; clock.time moves by hand
+const createTestRemote = (client) => {
+  const clock = { time: Date.parse("2024-05-01T10:00:00.000Z") };
+  const storage = createRemoteStorage({
+    client,
+    local: createMemoryStorage(),
+    failureThreshold: 1,
+    cooldownMs: 1000,
+    now: () => clock.time,
+  });
+  return { storage, clock };
+};
+
+describe("createRemoteStorage", () => {
+  test("reports when the remote answered again after an outage", async () => {
+    const client = createFakeClient();
+    const { storage, clock } = createTestRemote(client);
+    await storage.readTasks();
+    assert.equal(storage.status().remote.recoveredAt, null);
+
+    client.isDown = true;
+    await storage.writeTasks([{ id: "a", title: "a", version: 1 }]);
+    assert.equal(storage.status().remote.circuit, "open");
+    assert.equal(storage.status().durable, false);
+
+    client.isDown = false;
+    clock.time += 1000;
+    await storage.readTasks();
+    const { durable, remote } = storage.status();
+    assert.equal(durable, true);
+    assert.equal(remote.circuit, "closed");
+    assert.equal(remote.recoveredAt, "2024-05-01T10:00:01.000Z");
+    assert.deepEqual(
+      client.arrays.get("tasks/default").items.map((task) => task.id),
+      ["a"]
+    );
+  });
+
+  test("merges outage changes with what changed upstream meanwhile", async () => {
+    const client = createFakeClient();
+    const { storage, clock } = createTestRemote(client);
+    await storage.writeTasks([
+      { id: "a", title: "a", version: 1 },
+      { id: "b", title: "b", version: 1 },
+      { id: "c", title: "c", version: 1 },
+    ]);
+
+    client.isDown = true;
+    await storage.writeTasks([
+      { id: "a", title: "a (offline)", version: 2 },
+      { id: "b", title: "b (offline)", version: 2 },
+      { id: "c", title: "c (offline)", version: 2 },
+      { id: "d", title: "d (offline)", version: 1 },
+    ]);
+    assert.equal(storage.status().remote.pendingChanges, 1);
+
+    // Another container changed the remote copy during the outage
+    const { etag } = client.arrays.get("tasks/default");
+    client.arrays.set("tasks/default", {
+      items: [
+        { id: "a", title: "a (other)", version: 3 },
+        { id: "b", title: "b (other)", version: 2 },
+        { id: "c", title: "c", version: 1 },
+        { id: "e", title: "e (other)", version: 1 },
+      ],
+      etag: `"${Number(etag.replace(/"/g, "")) + 1}"`,
+    });
+
+    client.isDown = false;
+    clock.time += 1000;
+    assert.equal(await storage.flush(), 0);
+    const merged = client.arrays.get("tasks/default").items;
+    // Newer versions win, the outage change wins a tie
+    assert.deepEqual(
+      merged.map((task) => task.title),
+      ["a (other)", "b (offline)", "c (offline)", "d (offline)", "e (other)"]
+    );
+    assert.deepEqual(
+      (await storage.readTasks()).map((task) => task.title),
+      merged.map((task) => task.title)
+    );
+  });
+
+  test("a write based on an outdated remote copy answers 409 REMOTE_CONFLICT", async () => {
+    const client = createFakeClient();
+    const { storage } = createTestRemote(client);
+    await storage.readTasks();
+    client.arrays.set("tasks/default", { items: [], etag: '"7"' });
+    const error = await rejectionOf(
+      storage.writeTasks([{ id: "a", title: "a", version: 1 }])
+    );
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.code, "REMOTE_CONFLICT");
+  });
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { createJsonFileStorage } from "../shared/storageAdapters.js";
+import { rejectionOf } from "./helpers.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createJsonFileStorage", () => {
+  let directory;
+  let filePath;
+  let backupDir;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "task-storage-"));
+    filePath = path.join(directory, "tasks.json");
+    backupDir = path.join(directory, "backups");
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const createStorage = (options = {}) =>
+    createJsonFileStorage({ filePath, backupIntervalMs: 0, ...options });
+
+  const backupsOf = async (name) =>
+    (await fs.readdir(backupDir)).filter((fileName) =>
+      fileName.startsWith(`${name}.`)
+    );
+
+  test("saves each list to its own file and leaves no temporary files", async () => {
+    const storage = createStorage();
+    await storage.writeTasks([{ id: "a", title: "a" }]);
+    await storage.writeTasks([{ id: "b", title: "b" }], "sprint-42");
+
+    const fileNames = (await fs.readdir(directory)).sort();
+    assert.deepEqual(fileNames, [
+      "backups",
+      "tasks.json",
+      "tasks.sprint-42.json",
+    ]);
+    const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+    assert.deepEqual(saved, [{ id: "a", title: "a" }]);
+  });
+
+  test("keeps the newest backupCount backups per file", async () => {
+    const storage = createStorage({ backupCount: 2 });
+    for (const title of ["a", "b", "c"]) {
+      await storage.writeTasks([{ id: title, title }]);
+      await sleep(5);
+    }
+    const backups = (await backupsOf("tasks")).sort();
+    assert.equal(backups.length, 2);
+    const newest = JSON.parse(
+      await fs.readFile(path.join(backupDir, backups[1]), "utf8")
+    );
+    assert.equal(newest[0].title, "c");
+  });
+
+  test("recovers a corrupted file from its newest valid backup", async () => {
+    const writer = createStorage();
+    await writer.writeTasks([{ id: "a", title: "old" }]);
+    await sleep(5);
+    await writer.writeTasks([{ id: "a", title: "new" }]);
+    await fs.writeFile(filePath, '[{"id": "a", "tit');
+
+    const storage = createStorage();
+    const tasks = await storage.readTasks();
+    assert.deepEqual(tasks, [{ id: "a", title: "new" }]);
+    // The file itself is repaired, and the broken one kept for inspection
+    assert.deepEqual(JSON.parse(await fs.readFile(filePath, "utf8")), tasks);
+    const corrupt = (await backupsOf("tasks")).filter((fileName) =>
+      fileName.endsWith(".corrupt")
+    );
+    assert.equal(corrupt.length, 1);
+  });
+
+  test("skips backups that are corrupted too", async () => {
+    const writer = createStorage();
+    await writer.writeTasks([{ id: "a", title: "old" }]);
+    await sleep(5);
+    await writer.writeTasks([{ id: "a", title: "new" }]);
+    const [, newest] = (await backupsOf("tasks")).sort();
+    await fs.writeFile(path.join(backupDir, newest), "not json");
+    await fs.writeFile(filePath, "not json either");
+
+    const tasks = await createStorage().readTasks();
+    assert.deepEqual(tasks, [{ id: "a", title: "old" }]);
+  });
+
+  test("fails instead of returning an empty list when nothing can be recovered", async () => {
+    await fs.writeFile(filePath, "{broken");
+    const storage = createStorage();
+    const error = await rejectionOf(storage.readTasks());
+    assert.match(error.message, /is corrupted and has no valid backup/);
+    assert.deepEqual(await storage.checkFiles(), [filePath]);
+    // Nothing was written over the broken file
+    assert.equal(await fs.readFile(filePath, "utf8"), "{broken");
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createMemoryStorage } from "../shared/storageAdapters.js";
+import {
+  createStorageHealth,
+  handleHealthRequest,
+} from "../shared/storageHealth.js";
+import { createTestService } from "./helpers.js";
+
+// Memory storage that counts its readTasks calls
+const createCountingStorage = () => {
+  const storage = createMemoryStorage();
+  const reads = { count: 0 };
+  return {
+    reads,
+    storage: {
+      ...storage,
+      readTasks: (listId) => {
+        reads.count += 1;
+        return storage.readTasks(listId);
+      },
+    },
+  };
+};
+
+describe("createStorageHealth", () => {
+  test("counts the tasks once and follows the saves after that", async () => {
+    const { storage: baseStorage, reads } = createCountingStorage();
+    await baseStorage.writeTasks([{ id: "a", title: "a" }]);
+    const health = createStorageHealth(baseStorage);
+    const { service } = createTestService({ storage: health.storage });
+
+    assert.equal((await health.report()).taskCount, 1);
+    const task = await service.createTask({ title: "b" });
+    await service.createTask({ title: "c" });
+    await service.removeTask(task.id);
+
+    const readsBefore = reads.count;
+    const report = await health.report();
+    assert.equal(report.taskCount, 2);
+    assert.equal(reads.count, readsBefore);
+    assert.equal(report.status, "degraded");
+    assert.ok(report.lastWriteAt);
+  });
+
+  test("GET /health answers 503 when the storage cannot be read", async () => {
+    const health = createStorageHealth({
+      ...createMemoryStorage(),
+      readLists: async () => {
+        throw new Error("disk gone");
+      },
+    });
+    const result = await handleHealthRequest(health, {
+      method: "GET",
+      path: "/health",
+    });
+    assert.equal(result.statusCode, 503);
+    assert.equal(result.body.storage.error, "disk gone");
+  });
+});
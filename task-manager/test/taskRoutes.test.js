@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { handleTaskRequest, parseJsonBody } from "../shared/taskRoutes.js";
+import { createTestService } from "./helpers.js";
+
+// Send a neutral request the way the adapters do
+const send = (
+  service,
+  method,
+  path,
+  { body, query = {}, headers = {} } = {}
+) => {
+  const events = [];
+  return handleTaskRequest(service, {
+    method,
+    path,
+    query,
+    headers,
+    readBody: async () => body,
+    onChange: (event) => events.push(event),
+  }).then((result) => ({ ...result, events }));
+};
+
+describe("handleTaskRequest", () => {
+  test("creates and lists tasks with ETags", async () => {
+    const { service } = createTestService();
+    const created = await send(service, "POST", "/tasks", {
+      body: { title: "milk" },
+    });
+    assert.equal(created.statusCode, 200);
+    assert.equal(created.headers.ETag, '"1"');
+    assert.equal(created.events[0].type, "task.created");
+
+    const listed = await send(service, "GET", "/tasks");
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.total, 1);
+    assert.ok(listed.headers.ETag);
+  });
+
+  test("turns TaskErrors into their status with msg and code", async () => {
+    const { service } = createTestService();
+    const missing = await send(service, "PATCH", "/tasks/nope", {
+      body: { title: "x" },
+    });
+    assert.equal(missing.statusCode, 404);
+    assert.deepEqual(missing.body, {
+      msg: "no task with id nope",
+      code: "TASK_NOT_FOUND",
+      taskId: "nope",
+    });
+
+    const invalid = await send(service, "POST", "/tasks", { body: {} });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.code, "VALIDATION_ERROR");
+    assert.equal(invalid.body.field, "title");
+  });
+
+  test("answers a stale If-Match with 412 and sends no change event", async () => {
+    const { service } = createTestService();
+    await send(service, "POST", "/tasks", { body: { title: "milk" } });
+    await send(service, "PATCH", "/tasks/id-1", { body: { isDone: true } });
+    const stale = await send(service, "PATCH", "/tasks/id-1", {
+      body: { title: "oat milk" },
+      headers: { "if-match": '"1"' },
+    });
+    assert.equal(stale.statusCode, 412);
+    assert.equal(stale.body.code, "VERSION_CONFLICT");
+    assert.equal(stale.body.task.version, 2);
+    assert.deepEqual(stale.events, []);
+  });
+
+  test("sends the new ETag with every change and honours weak If-Match", async () => {
+    const { service } = createTestService();
+    await send(service, "POST", "/tasks", { body: { title: "milk" } });
+    const updated = await send(service, "PATCH", "/tasks/id-1", {
+      body: { isDone: true },
+      headers: { "if-match": 'W/"1"' },
+    });
+    assert.equal(updated.statusCode, 200);
+    assert.equal(updated.headers.ETag, '"2"');
+
+    const listed = await send(service, "GET", "/tasks");
+    const reordered = await send(service, "POST", "/tasks/reorder", {
+      body: { ids: ["id-1"] },
+      headers: { "if-match": '"stale"' },
+    });
+    assert.equal(reordered.statusCode, 412);
+    const current = await send(service, "POST", "/tasks/reorder", {
+      body: { ids: ["id-1"] },
+      headers: { "if-match": listed.headers.ETag },
+    });
+    assert.equal(current.statusCode, 200);
+  });
+
+  test("answers 405 with Allow for unsupported methods", async () => {
+    const { service } = createTestService();
+    const result = await send(service, "PUT", "/tasks");
+    assert.equal(result.statusCode, 405);
+    assert.equal(result.headers.Allow, "GET, POST");
+  });
+
+  test("resolves with null for unknown routes", async () => {
+    const { service } = createTestService();
+    assert.equal(
+      await handleTaskRequest(service, { method: "GET", path: "/nope" }),
+      null
+    );
+  });
+
+  test("answers malformed path escapes with 400", async () => {
+    const { service } = createTestService();
+    const result = await send(service, "GET", "/tasks/%E0%A4%A");
+    assert.equal(result.statusCode, 400);
+    assert.equal(result.body.code, "VALIDATION_ERROR");
+    assert.equal(result.body.field, "path");
+  });
+
+  test("routes the tasks of named lists", async () => {
+    const { service } = createTestService();
+    const { body } = await send(service, "POST", "/lists", {
+      body: { name: "groceries" },
+    });
+    const created = await send(
+      service,
+      "POST",
+      `/lists/${body.list.id}/tasks`,
+      {
+        body: { title: "milk" },
+      }
+    );
+    assert.equal(created.events[0].listId, body.list.id);
+    const unknown = await send(service, "GET", "/lists/nope/tasks");
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(unknown.body.code, "LIST_NOT_FOUND");
+  });
+
+  test("bulk and reorder notify only when something changed", async () => {
+    const { service } = createTestService();
+    await send(service, "POST", "/tasks", { body: { title: "a" } });
+    await send(service, "POST", "/tasks", { body: { title: "b" } });
+
+    const bulk = await send(service, "POST", "/tasks/bulk", {
+      body: { operations: [{ op: "complete", ids: ["ghost"] }] },
+    });
+    assert.deepEqual(bulk.body.notFound, ["ghost"]);
+    assert.deepEqual(bulk.events, []);
+
+    const reorder = await send(service, "POST", "/tasks/reorder", {
+      body: { ids: ["id-2", "id-1"] },
+    });
+    assert.equal(reorder.statusCode, 200);
+    assert.deepEqual(reorder.events[0].ids, ["id-2", "id-1"]);
+  });
+
+  test("sends exports as a file download", async () => {
+    const { service } = createTestService();
+    await send(service, "POST", "/tasks", { body: { title: 'say "hi", bye' } });
+    const result = await send(service, "GET", "/tasks/export", {
+      query: { format: "csv" },
+    });
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.headers["Content-Type"], "text/csv; charset=utf-8");
+    assert.equal(
+      result.headers["Content-Disposition"],
+      'attachment; filename="default-tasks.csv"'
+    );
+    assert.match(result.body, /^id-1,"say ""hi"", bye",false,normal,/m);
+  });
+
+  test("reports imports with a change event", async () => {
+    const { service } = createTestService();
+    const result = await send(service, "POST", "/tasks/import", {
+      body: { format: "md", content: "- [ ] a\n- [ ] a\n- plain\n" },
+    });
+    assert.equal(result.body.msg, "tasks imported");
+    assert.equal(result.body.imported.length, 1);
+    assert.equal(result.body.duplicates.length, 1);
+    assert.deepEqual(result.body.errors, [
+      { row: 3, msg: "expected a checklist item like - [ ] title" },
+    ]);
+    assert.equal(result.events[0].type, "tasks.imported");
+  });
+});
+
+describe("parseJsonBody", () => {
+  test("reads JSON and treats an empty body as {}", () => {
+    assert.deepEqual(parseJsonBody('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseJsonBody(""), {});
+  });
+
+  test("rejects broken JSON with INVALID_JSON", () => {
+    assert.throws(() => parseJsonBody("{"), { code: "INVALID_JSON" });
+  });
+});
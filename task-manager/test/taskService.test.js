@@ -0,0 +1,761 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createMemoryStorage } from "../shared/storageAdapters.js";
+import { TaskError } from "../shared/taskService.js";
+import { createIdSequence, createTestService, rejectionOf } from "./helpers.js";
+
+const createTasks = async (service, titles) => {
+  const tasks = [];
+  for (const title of titles) {
+    tasks.push(await service.createTask({ title }));
+  }
+  return tasks;
+};
+
+const titlesOf = async (service) =>
+  (await service.listTasks()).map((task) => task.title);
+
+describe("createTask", () => {
+  test("stores a trimmed title with the defaults", async () => {
+    const { service } = createTestService();
+    const task = await service.createTask({ title: "  walk the dog " });
+    assert.equal(task.id, "id-1");
+    assert.equal(task.title, "walk the dog");
+    assert.equal(task.isDone, false);
+    assert.equal(task.priority, "normal");
+    assert.equal(task.version, 1);
+    assert.deepEqual(await titlesOf(service), ["walk the dog"]);
+  });
+
+  test("rejects a missing title and unknown fields", async () => {
+    const { service } = createTestService();
+    const missing = await rejectionOf(service.createTask({ title: "  " }));
+    assert.ok(missing instanceof TaskError);
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.code, "VALIDATION_ERROR");
+    assert.equal(missing.details.field, "title");
+
+    const unknown = await rejectionOf(
+      service.createTask({ title: "a", colour: "red" })
+    );
+    assert.equal(unknown.details.field, "colour");
+
+    const badDate = await rejectionOf(
+      service.createTask({ title: "a", dueDate: "2024-02-30" })
+    );
+    assert.equal(badDate.details.field, "dueDate");
+    assert.deepEqual(await titlesOf(service), []);
+  });
+
+  test("rejects titles longer than 200 characters", async () => {
+    const { service } = createTestService();
+    const error = await rejectionOf(
+      service.createTask({ title: "x".repeat(201) })
+    );
+    assert.equal(error.code, "VALIDATION_ERROR");
+    assert.equal(error.details.field, "title");
+    const [task] = await createTasks(service, ["x".repeat(200)]);
+    const rename = await rejectionOf(
+      service.updateTask(task.id, { title: "y".repeat(10000) })
+    );
+    assert.equal(rename.details.field, "title");
+  });
+
+  test("creates a task that is already done when isDone is sent", async () => {
+    const { service } = createTestService();
+    const task = await service.createTask({ title: "a", isDone: true });
+    assert.equal(task.isDone, true);
+    assert.equal(task.completedAt, task.createdAt);
+    const error = await rejectionOf(
+      service.createTask({ title: "b", isDone: "yes" })
+    );
+    assert.equal(error.details.field, "isDone");
+  });
+});
+
+describe("updateTask", () => {
+  test("applies changes and bumps the version", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["milk"]);
+    const updated = await service.updateTask(task.id, { isDone: true });
+    assert.equal(updated.isDone, true);
+    assert.equal(updated.version, 2);
+    assert.ok(updated.completedAt);
+
+    const reopened = await service.updateTask(task.id, { isDone: false });
+    assert.equal(reopened.completedAt, null);
+  });
+
+  test("answers 404 for unknown tasks", async () => {
+    const { service } = createTestService();
+    const error = await rejectionOf(service.updateTask("nope", { title: "x" }));
+    assert.equal(error.statusCode, 404);
+    assert.equal(error.code, "TASK_NOT_FOUND");
+    assert.equal(error.details.taskId, "nope");
+  });
+
+  test("answers 412 with the current copy for a stale If-Match", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["milk"]);
+    await service.updateTask(
+      task.id,
+      { title: "oat milk" },
+      { ifMatch: '"1"' }
+    );
+    const error = await rejectionOf(
+      service.updateTask(task.id, { title: "soy milk" }, { ifMatch: '"1"' })
+    );
+    assert.equal(error.statusCode, 412);
+    assert.equal(error.code, "VERSION_CONFLICT");
+    assert.equal(error.details.task.title, "oat milk");
+    assert.deepEqual(await titlesOf(service), ["oat milk"]);
+  });
+
+  test("accepts If-Match with the current, a weak or a wildcard ETag", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["milk"]);
+    const first = await service.updateTask(
+      task.id,
+      { title: "a" },
+      { ifMatch: '"1"' }
+    );
+    const second = await service.updateTask(
+      task.id,
+      { title: "b" },
+      { ifMatch: 'W/"2"' }
+    );
+    const third = await service.updateTask(
+      task.id,
+      { title: "c" },
+      { ifMatch: '"1", "3"' }
+    );
+    const fourth = await service.updateTask(
+      task.id,
+      { title: "d" },
+      { ifMatch: "*" }
+    );
+    assert.deepEqual(
+      [first, second, third, fourth].map((item) => item.version),
+      [2, 3, 4, 5]
+    );
+  });
+
+  test("moving a task to the trash and back are new versions too", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["milk"]);
+    const trashed = await service.removeTask(task.id, { ifMatch: '"1"' });
+    assert.equal(trashed.version, 2);
+    const error = await rejectionOf(
+      service.restoreFromTrash(task.id, { ifMatch: '"1"' })
+    );
+    assert.equal(error.statusCode, 412);
+    const { task: restored } = await service.restoreFromTrash(task.id, {
+      ifMatch: '"2"',
+    });
+    assert.equal(restored.version, 3);
+  });
+
+  test("rejects read-only fields", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["milk"]);
+    const error = await rejectionOf(service.updateTask(task.id, { id: "x" }));
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.field, "id");
+  });
+});
+
+const subtaskTitlesOf = (task) => task.subtasks.map((subtask) => subtask.title);
+
+describe("subtasks", () => {
+  test("creates, renames, ticks and removes subtasks in their order", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["pack"]);
+    const { subtask: socks } = await service.createSubtask(task.id, {
+      title: " socks ",
+    });
+    assert.equal(socks.title, "socks");
+    assert.equal(socks.isDone, false);
+    const { subtask: shirt } = await service.createSubtask(task.id, {
+      title: "shirt",
+    });
+    const { task: parent } = await service.createSubtask(task.id, {
+      title: "shoes",
+      isDone: true,
+    });
+    assert.deepEqual(subtaskTitlesOf(parent), ["socks", "shirt", "shoes"]);
+    assert.equal(parent.version, 4);
+
+    const { subtask } = await service.updateSubtask(task.id, socks.id, {
+      title: "warm socks",
+      isDone: true,
+    });
+    assert.deepEqual(subtask, {
+      id: socks.id,
+      title: "warm socks",
+      isDone: true,
+    });
+    const removed = await service.removeSubtask(task.id, shirt.id);
+    assert.deepEqual(subtaskTitlesOf(removed), ["warm socks", "shoes"]);
+    assert.deepEqual(await service.listSubtasks(task.id), removed.subtasks);
+    // Without completeWithSubtasks the parent keeps its own done state
+    assert.equal(removed.isDone, false);
+  });
+
+  test("rejects unknown subtasks, unknown fields and missing parents", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["pack"]);
+    const { subtask } = await service.createSubtask(task.id, {
+      title: "socks",
+    });
+
+    const unknown = await rejectionOf(
+      service.updateSubtask(task.id, "nope", { isDone: true })
+    );
+    assert.equal(unknown.statusCode, 404);
+    const removal = await rejectionOf(service.removeSubtask(task.id, "nope"));
+    assert.equal(removal.statusCode, 404);
+    const field = await rejectionOf(
+      service.updateSubtask(task.id, subtask.id, { notes: "x" })
+    );
+    assert.equal(field.details.field, "notes");
+    const title = await rejectionOf(
+      service.createSubtask(task.id, { title: " " })
+    );
+    assert.equal(title.details.field, "title");
+    const parent = await rejectionOf(
+      service.createSubtask("missing", { title: "socks" })
+    );
+    assert.equal(parent.statusCode, 404);
+    assert.deepEqual(subtaskTitlesOf((await service.listTasks())[0]), [
+      "socks",
+    ]);
+  });
+
+  test("completeWithSubtasks completes the parent with its last subtask and reopens it", async () => {
+    const { service } = createTestService();
+    const task = await service.createTask({
+      title: "pack",
+      completeWithSubtasks: true,
+    });
+    const { subtask: socks } = await service.createSubtask(task.id, {
+      title: "socks",
+    });
+    const { subtask: shirt } = await service.createSubtask(task.id, {
+      title: "shirt",
+    });
+
+    const half = await service.updateSubtask(task.id, socks.id, {
+      isDone: true,
+    });
+    assert.equal(half.task.isDone, false);
+    const { task: done } = await service.updateSubtask(task.id, shirt.id, {
+      isDone: true,
+    });
+    assert.equal(done.isDone, true);
+    assert.ok(done.completedAt);
+    // Ticking the last subtask and completing the parent is one change
+    assert.equal(done.version, half.task.version + 1);
+
+    const { subtask: shoes, task: reopened } = await service.createSubtask(
+      task.id,
+      { title: "shoes" }
+    );
+    assert.equal(reopened.isDone, false);
+    assert.equal(reopened.completedAt, null);
+    const finished = await service.removeSubtask(task.id, shoes.id);
+    assert.equal(finished.isDone, true);
+  });
+
+  test("switching completeWithSubtasks on brings the done state in line", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["pack"]);
+    await service.createSubtask(task.id, { title: "socks", isDone: true });
+    const before = (await service.listTasks())[0];
+    assert.equal(before.isDone, false);
+
+    const updated = await service.updateTask(task.id, {
+      completeWithSubtasks: true,
+    });
+    assert.equal(updated.isDone, true);
+    assert.equal(updated.version, before.version + 1);
+  });
+});
+
+describe("trash", () => {
+  test("removeTask moves a task to the trash and restoreFromTrash brings it back", async () => {
+    const { service } = createTestService();
+    const [first] = await createTasks(service, ["a", "b"]);
+    await service.removeTask(first.id);
+    assert.deepEqual(await titlesOf(service), ["b"]);
+
+    const { taskList } = await service.findTasks({ deleted: "true" });
+    assert.deepEqual(
+      taskList.map((task) => task.title),
+      ["a"]
+    );
+
+    const { task, index } = await service.restoreFromTrash(first.id);
+    assert.equal(index, 0);
+    assert.equal(task.deletedAt, null);
+    assert.deepEqual(await titlesOf(service), ["a", "b"]);
+  });
+
+  test("a stale If-Match on delete leaves the task alone", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["a"]);
+    await service.updateTask(task.id, { title: "b" });
+    const error = await rejectionOf(
+      service.removeTask(task.id, { ifMatch: '"1"' })
+    );
+    assert.equal(error.statusCode, 412);
+    assert.deepEqual(await titlesOf(service), ["b"]);
+  });
+});
+
+describe("trash retention", () => {
+  // A clock that only moves when the test says so
+  const createManualClock = () => {
+    const clock = { time: Date.parse("2024-05-01T10:00:00.000Z") };
+    clock.now = () => new Date(clock.time).toISOString();
+    return clock;
+  };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  test("purges trashed tasks once the retention period is over", async () => {
+    const clock = createManualClock();
+    const { service } = createTestService({
+      now: clock.now,
+      trashRetentionDays: 2,
+    });
+    const [a, b] = await createTasks(service, ["a", "b"]);
+    await service.removeTask(a.id);
+    clock.time += DAY_MS;
+    await service.removeTask(b.id);
+
+    clock.time += DAY_MS;
+    const { taskList } = await service.findTasks({ deleted: "true" });
+    assert.deepEqual(
+      taskList.map((task) => task.title),
+      ["b"]
+    );
+    const [purged] = await service.listActivity();
+    assert.equal(purged.type, "purged");
+    assert.equal(purged.taskId, a.id);
+    assert.equal(purged.actor, null);
+  });
+
+  test("falls back to 30 days for missing or invalid settings", async () => {
+    for (const trashRetentionDays of [undefined, "", "0", "-3", "soon"]) {
+      const clock = createManualClock();
+      const { service } = createTestService({
+        now: clock.now,
+        trashRetentionDays,
+      });
+      const [task] = await createTasks(service, ["a"]);
+      await service.removeTask(task.id);
+      clock.time += 29 * DAY_MS;
+      assert.equal(
+        (await service.findTasks({ deleted: "true" })).total,
+        1,
+        `kept after 29 days with ${trashRetentionDays}`
+      );
+      clock.time += DAY_MS;
+      assert.equal((await service.findTasks({ deleted: "true" })).total, 0);
+    }
+  });
+
+  test("purgeTask removes a task for good", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["a"]);
+    await service.removeTask(task.id);
+    await service.purgeTask(task.id);
+    assert.equal((await service.findTasks({ deleted: "true" })).total, 0);
+    const error = await rejectionOf(service.restoreFromTrash(task.id));
+    assert.equal(error.statusCode, 404);
+  });
+});
+
+describe("applyBulk", () => {
+  test("runs the operations in order and reports unknown IDs", async () => {
+    const { service } = createTestService();
+    const [a, b, c] = await createTasks(service, ["a", "b", "c"]);
+    const result = await service.applyBulk({
+      operations: [
+        { op: "complete", ids: [a.id, b.id, "missing"] },
+        { op: "delete", status: "done" },
+        { op: "update", ids: [c.id], changes: { priority: "high" } },
+      ],
+    });
+    assert.deepEqual(result.removed, [a.id, b.id]);
+    assert.deepEqual(result.notFound, ["missing"]);
+    assert.deepEqual(
+      result.updated.map((task) => [task.id, task.priority]),
+      [[c.id, "high"]]
+    );
+    assert.deepEqual(await titlesOf(service), ["c"]);
+  });
+
+  test("rejects a malformed batch without applying any of it", async () => {
+    const { service } = createTestService();
+    const [a] = await createTasks(service, ["a"]);
+    const error = await rejectionOf(
+      service.applyBulk({
+        operations: [
+          { op: "complete", ids: [a.id] },
+          { op: "archive", ids: [a.id] },
+        ],
+      })
+    );
+    assert.equal(error.code, "INVALID_BULK");
+    assert.equal(error.details.index, 1);
+    const [task] = await service.listTasks();
+    assert.equal(task.isDone, false);
+  });
+
+  test("checks If-Match against the list ETag", async () => {
+    const { service } = createTestService();
+    await createTasks(service, ["a"]);
+    const { etag } = await service.findTasks();
+    await service.createTask({ title: "b" });
+    const error = await rejectionOf(
+      service.applyBulk(
+        { operations: [{ op: "complete", status: "all" }] },
+        { ifMatch: etag }
+      )
+    );
+    assert.equal(error.statusCode, 412);
+    assert.ok(error.details.etag);
+  });
+});
+
+describe("reorderTasks", () => {
+  test("moves the listed tasks into each other's slots", async () => {
+    const { service } = createTestService();
+    const [a, b, c] = await createTasks(service, ["a", "b", "c"]);
+    const result = await service.reorderTasks({ ids: [c.id, "ghost", a.id] });
+    assert.deepEqual(result.notFound, ["ghost"]);
+    assert.deepEqual(await titlesOf(service), ["c", "b", "a"]);
+    await service.reorderTasks({ ids: [b.id, c.id] });
+    assert.deepEqual(await titlesOf(service), ["b", "c", "a"]);
+  });
+
+  test("rejects duplicate IDs", async () => {
+    const { service } = createTestService();
+    const [a] = await createTasks(service, ["a"]);
+    const error = await rejectionOf(
+      service.reorderTasks({ ids: [a.id, a.id] })
+    );
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.field, "ids");
+  });
+});
+
+describe("restoreTasks", () => {
+  test("puts removed tasks back at their positions and skips live IDs", async () => {
+    const { service } = createTestService();
+    const [a, b, c] = await createTasks(service, ["a", "b", "c"]);
+    await service.removeTask(a.id);
+    await service.removeTask(c.id);
+    const result = await service.restoreTasks({
+      tasks: [
+        { task: c, index: 2 },
+        { task: a, index: 0 },
+        { task: b, index: 1 },
+      ],
+    });
+    assert.deepEqual(result.skipped, [b.id]);
+    assert.deepEqual(await titlesOf(service), ["a", "b", "c"]);
+    // The restored copy outranks the trashed one it replaced
+    const restored = result.restored.find(({ task }) => task.id === a.id);
+    assert.ok(restored.task.version > a.version);
+  });
+
+  test("rejects IDs the task routes use for themselves", async () => {
+    const { service } = createTestService();
+    for (const id of ["bulk", "restore", "export", "a/b"]) {
+      const error = await rejectionOf(
+        service.restoreTasks({ tasks: [{ task: { id, title: "a" } }] })
+      );
+      assert.equal(error.statusCode, 400, id);
+      assert.equal(error.details.field, "task.id");
+    }
+  });
+});
+
+describe("lists", () => {
+  test("tasks of an unknown list answer 404 LIST_NOT_FOUND", async () => {
+    const { service } = createTestService();
+    const error = await rejectionOf(service.tasksIn("nope").listTasks());
+    assert.equal(error.statusCode, 404);
+    assert.equal(error.code, "LIST_NOT_FOUND");
+  });
+
+  test("named lists keep their tasks apart", async () => {
+    const { service } = createTestService();
+    const list = await service.createList({ name: "groceries" });
+    await service.tasksIn(list.id).createTask({ title: "milk" });
+    await service.createTask({ title: "call mum" });
+    assert.deepEqual(
+      (await service.tasksIn(list.id).listTasks()).map((task) => task.title),
+      ["milk"]
+    );
+    assert.deepEqual(await titlesOf(service), ["call mum"]);
+  });
+});
+
+describe("import and export", () => {
+  test("exports a markdown checklist with subtasks", async () => {
+    const { service } = createTestService();
+    const [task] = await createTasks(service, ["pack"]);
+    await service.createSubtask(task.id, { title: "socks" });
+    await service.updateTask(task.id, { isDone: true });
+    const { content, fileName } = await service.exportTasks({ format: "md" });
+    assert.equal(fileName, "default-tasks.md");
+    assert.match(content, /^- \[x\] pack\n {2}- \[ \] socks$/m);
+  });
+
+  test("merge import skips duplicates and reports invalid rows", async () => {
+    const { service } = createTestService();
+    await createTasks(service, ["Milk"]);
+    const result = await service.importTasks({
+      format: "csv",
+      content: "title,priority\nmilk,low\nbread,huge\neggs,high\neggs,low\n",
+    });
+    assert.equal(result.mode, "merge");
+    assert.deepEqual(
+      result.imported.map((task) => task.title),
+      ["eggs"]
+    );
+    assert.deepEqual(
+      result.duplicates.map(({ row, match }) => [row, match]),
+      [
+        [2, "title"],
+        [5, "title"],
+      ]
+    );
+    assert.deepEqual(
+      result.errors.map(({ row, field }) => [row, field]),
+      [[3, "priority"]]
+    );
+    assert.deepEqual(await titlesOf(service), ["Milk", "eggs"]);
+  });
+
+  test("replace import moves the other tasks to the trash", async () => {
+    const { service } = createTestService();
+    const [old] = await createTasks(service, ["old"]);
+    const result = await service.importTasks({
+      format: "md",
+      content: "# list\n\n- [x] new\n  - [ ] part\n",
+      mode: "replace",
+    });
+    assert.deepEqual(result.trashed, [old.id]);
+    const [task] = await service.listTasks();
+    assert.equal(task.title, "new");
+    assert.equal(task.isDone, true);
+    assert.deepEqual(
+      task.subtasks.map((subtask) => subtask.title),
+      ["part"]
+    );
+  });
+
+  test("a replace import without valid rows changes nothing", async () => {
+    const { service } = createTestService();
+    await createTasks(service, ["keep"]);
+    const result = await service.importTasks({
+      format: "json",
+      content: JSON.stringify([{ title: "" }]),
+      mode: "replace",
+    });
+    assert.deepEqual(result.imported, []);
+    assert.equal(result.errors.length, 1);
+    assert.deepEqual(await titlesOf(service), ["keep"]);
+  });
+
+  test("CSV cells that look like formulas go out as text and come back unchanged", async () => {
+    const { service } = createTestService();
+    const titles = ["=SUM(A1:A9)", "+1 call", "-> plan", "@home", "'=quoted"];
+    for (const title of titles) {
+      await service.createTask({ title, notes: title });
+    }
+    const { content } = await service.exportTasks({ format: "csv" });
+    assert.match(
+      content,
+      /^id-1,'=SUM\(A1:A9\),false,normal,,'=SUM\(A1:A9\),/m
+    );
+    assert.match(content, /^id-9,''=quoted,/m);
+    assert.doesNotMatch(content, /,[=+\-@]/);
+
+    const copy = createTestService().service;
+    await copy.importTasks({ format: "csv", content });
+    const tasks = await copy.listTasks();
+    assert.deepEqual(
+      tasks.map((task) => task.title),
+      titles
+    );
+    assert.deepEqual(
+      tasks.map((task) => task.notes),
+      titles
+    );
+  });
+
+  test("a JSON export imports back as duplicates by ID", async () => {
+    const { service } = createTestService();
+    await createTasks(service, ["a", "b"]);
+    const { content } = await service.exportTasks({ format: "json" });
+    const result = await service.importTasks({ format: "json", content });
+    assert.deepEqual(result.imported, []);
+    assert.deepEqual(
+      result.duplicates.map(({ match }) => match),
+      ["id", "id"]
+    );
+  });
+
+  test("only tasks that replace a stored copy move to a newer version", async () => {
+    const { service } = createTestService();
+    const [a, b] = await createTasks(service, ["a", "b"]);
+    await service.updateTask(a.id, { title: "a2" });
+    const { content } = await service.exportTasks({ format: "json" });
+    await service.removeTask(a.id);
+    await service.purgeTask(a.id);
+    await service.removeTask(b.id);
+
+    const result = await service.importTasks({
+      format: "json",
+      content: JSON.stringify([...JSON.parse(content).tasks, { title: "c" }]),
+    });
+    assert.deepEqual(
+      result.imported.map((task) => [task.title, task.version]),
+      [
+        // Purged, so nothing to outrank: the exported version comes back as is
+        ["a2", 2],
+        // Its trashed copy was version 2
+        ["b", 3],
+        ["c", 1],
+      ]
+    );
+  });
+
+  test("rows with an ID the task routes use are reported as invalid", async () => {
+    const { service } = createTestService();
+    const result = await service.importTasks({
+      format: "json",
+      content: JSON.stringify([
+        { id: "export", title: "a" },
+        { id: "bulk", title: "b" },
+        { id: "c-1", title: "c" },
+      ]),
+    });
+    assert.deepEqual(
+      result.imported.map((task) => task.id),
+      ["c-1"]
+    );
+    assert.deepEqual(
+      result.errors.map(({ row, field }) => [row, field]),
+      [
+        [1, "id"],
+        [2, "id"],
+      ]
+    );
+  });
+
+  test("unreadable files and bad requests answer 400", async () => {
+    const { service } = createTestService();
+    const badJson = await rejectionOf(
+      service.importTasks({ format: "json", content: "{nope" })
+    );
+    assert.equal(badJson.code, "INVALID_IMPORT");
+    const badHeader = await rejectionOf(
+      service.importTasks({ format: "csv", content: "name\nx\n" })
+    );
+    assert.equal(badHeader.code, "INVALID_IMPORT");
+    const badMode = await rejectionOf(
+      service.importTasks({ format: "csv", content: "title\nx", mode: "wipe" })
+    );
+    assert.equal(badMode.details.field, "mode");
+    const badFormat = await rejectionOf(service.exportTasks({ format: "xml" }));
+    assert.equal(badFormat.details.field, "format");
+  });
+});
+
+describe("activity", () => {
+  test("records who changed what, newest first", async () => {
+    const { service } = createTestService();
+    const tasks = service.tasksIn("default", { actor: "tab-1" });
+    const task = await tasks.createTask({ title: "a" });
+    await tasks.updateTask(task.id, { title: "b" });
+    const activity = await service.listActivity();
+    assert.deepEqual(
+      activity.map((entry) => [entry.type, entry.actor]),
+      [
+        ["renamed", "tab-1"],
+        ["created", "tab-1"],
+      ]
+    );
+  });
+});
+
+describe("concurrent changes", () => {
+  test("requests to one list take turns instead of writing over each other", async () => {
+    const { service } = createTestService();
+    const [a, b, c, d] = await Promise.all(
+      ["a", "b", "c", "d"].map((title) => service.createTask({ title }))
+    );
+    assert.deepEqual((await titlesOf(service)).sort(), ["a", "b", "c", "d"]);
+
+    await Promise.all([
+      service.updateTask(a.id, { isDone: true }),
+      service.updateTask(b.id, { priority: "high" }),
+      service.removeTask(c.id),
+    ]);
+    const tasks = await service.listTasks();
+    assert.deepEqual(
+      tasks.map((task) => [task.id, task.isDone, task.priority]),
+      [
+        [a.id, true, "normal"],
+        [b.id, false, "high"],
+        [d.id, false, "normal"],
+      ]
+    );
+  });
+
+  test("services sharing one storage share its list lock", async () => {
+    const storage = createMemoryStorage();
+    const first = createTestService({ storage }).service;
+    const second = createTestService({
+      storage,
+      generateId: createIdSequence("other"),
+    }).service;
+    await Promise.all([
+      first.createTask({ title: "a" }),
+      second.createTask({ title: "b" }),
+      first.createTask({ title: "c" }),
+    ]);
+    assert.deepEqual((await titlesOf(first)).sort(), ["a", "b", "c"]);
+  });
+
+  test("list changes take turns under one lock for all lists", async () => {
+    const storage = createMemoryStorage();
+    const first = createTestService({ storage }).service;
+    const second = createTestService({
+      storage,
+      generateId: createIdSequence("other"),
+    }).service;
+    const [work] = await Promise.all([
+      first.createList({ name: "work" }),
+      second.createList({ name: "home" }),
+      first.createList({ name: "trips" }),
+    ]);
+    await Promise.all([
+      first.renameList(work.id, { name: "office" }),
+      second.createList({ name: "books" }),
+    ]);
+    const names = (await first.getLists()).map((list) => list.name);
+    assert.deepEqual(names.sort(), [
+      "books",
+      "home",
+      "my tasks",
+      "office",
+      "trips",
+    ]);
+  });
+});